@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * PasteMax headless command-line interface.
+ *
+ * Produces the same output as the "COPY ALL SELECTED" button, in any of its
+ * output formats, without launching the Electron window, so the
+ * bundle can be generated from scripts and git hooks.
+ *
+ * The folder is scanned with the same logic the app uses (file-scanner.js),
+ * honours the project's .pastemax.json/.pastemaxignore, and is formatted with
+ * the renderer's own formatter, bundled into dist-cli/content-format.cjs by
+ * `npm run build:cli`.
+ */
+const fs = require("fs");
+const path = require("path");
+const { MODEL_PROFILES, DEFAULT_MODEL_SETTINGS, getModelProfile } = require("./model-profiles");
+const { parseTemplateFile } = require("./output-templates");
+
+const USAGE = `Usage: pastemax <folder> [options]
+
+Defaults for --include, --sort, --tree and --instructions come from the
+folder's .pastemax.json when it has one.
+
+Options:
+  -o, --output <file>        Write the result to a file instead of stdout
+  -i, --include <glob>       Only select files matching the glob (repeatable)
+  -e, --exclude <glob>       Never select files matching the glob (repeatable)
+  -s, --sort <order>         tokens-desc (default), tokens-asc, name-asc, name-desc
+  -m, --model <profile>      Count tokens for a model profile: ${MODEL_PROFILES.filter((profile) => profile.id !== "custom").map((profile) => profile.id).join(", ")}
+                             (default: ${DEFAULT_MODEL_SETTINGS.profileId})
+  -f, --format <format>      xml (default), markdown, claude, json
+  -t, --template <file>      Format with a template file exported from the app
+                             (overrides --format)
+      --instructions <file>  Append the contents of a file as user instructions
+      --tree                 Include the <FILE_STRUCTURE> section
+      --diff                 Add a <DIFF> section with the git diff of the selected
+                             files against HEAD (staged, unstaged and untracked)
+      --diff-range <range>   Same, with the diff of a commit range such as main..HEAD
+      --diff-only            Copy the diff instead of the file contents
+                             (implies --diff)
+      --history <n>          Add the last n commits touching each selected file
+      --log <n>              Add a \`git log --oneline\` of the last n commits
+      --compress <modes>     Compress the copied files, comma-separated: comments,
+                             blank-lines, license, signatures
+      --stats                Print per-file token counts instead of the content
+      --verbose              Also print scan progress and warnings to stderr
+  -h, --help                 Show this help
+`;
+
+const SORT_ORDERS = ["tokens-desc", "tokens-asc", "name-asc", "name-desc"];
+const OUTPUT_FORMATS = ["xml", "markdown", "claude", "json"];
+// --compress modes and the compression settings they turn on
+const COMPRESSION_MODES = {
+  comments: "removeComments",
+  "blank-lines": "collapseBlankLines",
+  license: "dropLicenseHeaders",
+  signatures: "signaturesOnly",
+};
+
+/**
+ * Parses process arguments into an options object.
+ * Throws an Error with a user-facing message on invalid input.
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    folder: null,
+    output: null,
+    include: [],
+    exclude: [],
+    sort: null,
+    model: DEFAULT_MODEL_SETTINGS.profileId,
+    format: "xml",
+    template: null,
+    instructions: null,
+    tree: false,
+    diff: false,
+    diffRange: null,
+    diffOnly: false,
+    history: 0,
+    log: 0,
+    compression: null,
+    stats: false,
+    verbose: false,
+    help: false,
+  };
+
+  const takeValue = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith("-")) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "-o":
+      case "--output":
+        options.output = takeValue(arg, i++);
+        break;
+      case "-i":
+      case "--include":
+        options.include.push(takeValue(arg, i++));
+        break;
+      case "-e":
+      case "--exclude":
+        options.exclude.push(takeValue(arg, i++));
+        break;
+      case "-s":
+      case "--sort":
+        options.sort = takeValue(arg, i++);
+        if (!SORT_ORDERS.includes(options.sort)) {
+          throw new Error(`Unknown sort order "${options.sort}". Use one of: ${SORT_ORDERS.join(", ")}`);
+        }
+        break;
+      case "-m":
+      case "--model":
+        options.model = takeValue(arg, i++);
+        if (options.model === "custom" || !MODEL_PROFILES.some((profile) => profile.id === options.model)) {
+          throw new Error(`Unknown model profile "${options.model}"`);
+        }
+        break;
+      case "-f":
+      case "--format":
+        options.format = takeValue(arg, i++);
+        if (!OUTPUT_FORMATS.includes(options.format)) {
+          throw new Error(`Unknown output format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(", ")}`);
+        }
+        break;
+      case "-t":
+      case "--template":
+        options.template = takeValue(arg, i++);
+        break;
+      case "--instructions":
+        options.instructions = takeValue(arg, i++);
+        break;
+      case "--tree":
+        options.tree = true;
+        break;
+      case "--diff":
+        options.diff = true;
+        break;
+      case "--diff-range":
+        options.diffRange = takeValue(arg, i++);
+        options.diff = true;
+        break;
+      case "--diff-only":
+        options.diffOnly = true;
+        options.diff = true;
+        break;
+      case "--history":
+      case "--log": {
+        const count = parseInt(takeValue(arg, i++), 10);
+        if (!(count > 0)) {
+          throw new Error(`${arg} needs a number of commits greater than 0`);
+        }
+        options[arg.slice(2)] = count;
+        break;
+      }
+      case "--compress": {
+        options.compression = {
+          removeComments: false,
+          collapseBlankLines: false,
+          dropLicenseHeaders: false,
+          signaturesOnly: false,
+        };
+        takeValue(arg, i++)
+          .split(",")
+          .forEach((mode) => {
+            const key = COMPRESSION_MODES[mode.trim()];
+            if (!key) {
+              throw new Error(
+                `Unknown compression mode "${mode.trim()}". Use any of: ${Object.keys(COMPRESSION_MODES).join(", ")}`
+              );
+            }
+            options.compression[key] = true;
+          });
+        break;
+      }
+      case "--stats":
+        options.stats = true;
+        break;
+      case "--verbose":
+        options.verbose = true;
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new Error(`Unknown option "${arg}"`);
+        }
+        if (options.folder) {
+          throw new Error(`Unexpected argument "${arg}"`);
+        }
+        options.folder = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Loads the formatter bundle produced by scripts/build-cli.js
+ * @returns {Function} formatContentForCopying
+ */
+function loadFormatter() {
+  const bundlePath = path.join(__dirname, "dist-cli", "content-format.cjs");
+  if (!fs.existsSync(bundlePath)) {
+    throw new Error("Formatter bundle not found. Run `npm run build:cli` first.");
+  }
+  return require(bundlePath).formatContentForCopying;
+}
+
+/**
+ * Picks the files the app would auto-select, narrowed by --include/--exclude.
+ * An include glob (from --include or the project's "include") also selects files
+ * that are only excluded by default (lock files, configs, ...), mirroring a
+ * manual selection in the app.
+ *
+ * @param {Array} files - Scanned files
+ * @param {string[]} include - Include globs
+ * @param {string[]} exclude - Exclude globs
+ * @param {Function} ignore - The ignore module, used as a glob matcher
+ * @returns {string[]} Paths of the selected files
+ */
+function selectFiles(files, include, exclude, ignore) {
+  const includeMatcher = include.length > 0 ? ignore().add(include) : null;
+  const excludeMatcher = ignore().add(exclude);
+
+  return files
+    .filter((file) => {
+      if (file.isBinary || file.isSkipped) return false;
+      if (excludeMatcher.ignores(file.relativePath)) return false;
+      if (includeMatcher) return includeMatcher.ignores(file.relativePath);
+      return !file.excludedByDefault;
+    })
+    .map((file) => file.path);
+}
+
+/**
+ * Formats the --stats table: one line per selected file plus a total.
+ * @param {Array} files - Selected files, already sorted
+ * @param {object} profile - Model profile the tokens were counted with
+ * @returns {string}
+ */
+function formatStats(files, profile) {
+  const total = files.reduce((sum, file) => sum + file.tokenCount, 0);
+  const width = Math.max(6, ...files.map((file) => file.tokenCount.toLocaleString().length));
+  const lines = files.map(
+    (file) => `${file.tokenCount.toLocaleString().padStart(width)}  ${file.relativePath}`
+  );
+  lines.push(`${total.toLocaleString().padStart(width)}  total (${files.length} files)`);
+  const percent = ((total / profile.contextWindow) * 100).toFixed(1);
+  lines.push(`${percent}% of the ${profile.contextWindow.toLocaleString()} token context window of ${profile.name}`);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Sorts files with the same keys the app uses for its sort dropdown
+ */
+function sortFiles(files, sortOrder) {
+  const [sortKey, sortDir] = sortOrder.split("-");
+  return [...files].sort((a, b) => {
+    let comparison = 0;
+    if (sortKey === "name") {
+      comparison = a.name.localeCompare(b.name);
+    } else if (sortKey === "tokens") {
+      comparison = a.tokenCount - b.tokenCount;
+    }
+    return sortDir === "asc" ? comparison : -comparison;
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!options.folder) {
+    throw new Error("No folder given.\n\n" + USAGE);
+  }
+
+  // Keep stdout clean for the output: the scanner's progress and warnings go to
+  // stderr with --verbose, its errors always do
+  require("./logger").setLogger({
+    log: options.verbose ? console.error : () => {},
+    warn: options.verbose ? console.warn : () => {},
+    error: console.error,
+  });
+
+  const scanner = require("./file-scanner");
+  const { loadProjectConfig } = require("./project-config");
+  const ignore = require("ignore");
+
+  const rootDir = scanner.ensureAbsolutePath(options.folder);
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    throw new Error(`Not a directory: ${options.folder}`);
+  }
+
+  const { config: projectConfig, errors } = loadProjectConfig(rootDir);
+  errors.forEach((error) => process.stderr.write(`pastemax: warning: ${error}\n`));
+
+  const sortOrder = options.sort || projectConfig.sortOrder || "tokens-desc";
+  const include = options.include.length > 0 ? options.include : projectConfig.include;
+
+  const ignoreOptions = scanner.resolveIgnoreOptions(projectConfig);
+  const ignoreFilter = scanner.loadGitignore(rootDir, ignoreOptions);
+  const profile = getModelProfile({ profileId: options.model });
+  const files = (await scanner.readFilesRecursively(rootDir, rootDir, ignoreFilter, { profile })).map((file) => ({
+    ...file,
+    excludedByDefault: scanner.shouldExcludeByDefault(file.path, rootDir, ignoreOptions),
+  }));
+  const selectedFiles = selectFiles(files, include, options.exclude, ignore);
+
+  let result;
+  if (options.stats) {
+    const selected = files.filter((file) => selectedFiles.includes(file.path));
+    result = formatStats(sortFiles(selected, sortOrder), profile);
+  } else {
+    const formatContentForCopying = loadFormatter();
+    const userInstructions = options.instructions
+      ? fs.readFileSync(path.resolve(options.instructions), "utf8")
+      : projectConfig.instructions || "";
+    const gitUtils = require("./git-utils");
+    const diffs = options.diff
+      ? await gitUtils.getFileDiffs(rootDir, { range: options.diffRange, paths: selectedFiles })
+      : null;
+    const history = options.history || options.log
+      ? await gitUtils.getGitHistory(rootDir, {
+          paths: selectedFiles,
+          commitsPerFile: options.history,
+          logCount: options.log,
+        })
+      : null;
+    result = formatContentForCopying({
+      files,
+      selectedFiles,
+      sortOrder,
+      includeFileTree: options.tree || projectConfig.includeFileTree === true,
+      selectedFolder: rootDir,
+      userInstructions,
+      outputFormat: options.format,
+      template: options.template
+        ? parseTemplateFile(fs.readFileSync(path.resolve(options.template), "utf8"))
+        : null,
+      diffs,
+      diffOnly: options.diffOnly,
+      history,
+      compression: options.compression,
+    });
+  }
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(options.output), result);
+  } else {
+    process.stdout.write(result);
+  }
+}
+
+main().catch((err) => {
+  process.stderr.write(`pastemax: ${err.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+/**
+ * Worker thread that runs one content search, so a slow regular expression
+ * can be stopped without blocking the Electron main thread. Started by
+ * searchFileContents() in content-search.js, once per search.
+ *
+ * Data in:      { filePaths, rootDir, options }
+ * Messages out: { type: "matching", path } before the pattern runs on each file,
+ *               then { type: "done", result } or { type: "error", message }
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { searchFiles } = require("./content-search");
+
+const { filePaths, rootDir, options } = workerData;
+
+searchFiles(filePaths, rootDir, options, (filePath) => {
+  parentPort.postMessage({ type: "matching", path: filePath });
+})
+  .then((result) => parentPort.postMessage({ type: "done", result }))
+  .catch((err) => parentPort.postMessage({ type: "error", message: err.message }));
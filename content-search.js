@@ -0,0 +1,176 @@
+/**
+ * Full-text search through the contents of the loaded files. Each search runs
+ * in its own worker thread (content-search-worker.js), so neither a large
+ * folder nor a slow regular expression can freeze the main process. Files are
+ * read in small batches; the worker is stopped when a newer search starts or
+ * when matching a single file takes longer than MATCH_TIMEOUT_MS.
+ */
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const {
+  MAX_FILE_SIZE,
+  ensureAbsolutePath,
+  safeRelativePath,
+  isValidPath,
+  isBinaryFile,
+} = require("./path-utils");
+
+const CHUNK_SIZE = 20;
+const MAX_QUERY_LENGTH = 1000;
+const MATCH_TIMEOUT_MS = 5000; // Longest a pattern may run on one file
+const WATCH_INTERVAL_MS = 100; // How often a running search checks for cancellation and timeouts
+
+/**
+ * Builds the regular expression for a search
+ * @param {object} options
+ * @param {string} options.query - Text or pattern to find
+ * @param {boolean} [options.isRegex] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive] - Match case
+ * @returns {RegExp} Global regular expression
+ * @throws {Error} When the query is empty, too long or not a valid pattern
+ */
+function createMatcher({ query, isRegex = false, caseSensitive = false }) {
+  if (typeof query !== "string" || !query) {
+    throw new Error("Nothing to search for");
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Search text is longer than ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const source = isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  // An invalid pattern throws a SyntaxError such as "Invalid regular expression: /(/: Unterminated group"
+  return new RegExp(source, caseSensitive ? "gm" : "gim");
+}
+
+/**
+ * Counts the non-empty matches of a global regular expression in a text
+ * @param {string} text
+ * @param {RegExp} matcher - From createMatcher()
+ * @returns {number}
+ */
+function countMatches(text, matcher) {
+  let count = 0;
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(text)) !== null) {
+    if (match[0] === "") {
+      // Step over empty matches so patterns like "^" or "a*" don't loop forever
+      matcher.lastIndex++;
+      continue;
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Searches the contents of files inside a folder, in the calling thread.
+ * Used by the search worker; see searchFileContents().
+ * @param {string[]} filePaths - Files to search
+ * @param {string} rootDir - Folder the files must be in
+ * @param {object} options - See createMatcher()
+ * @param {Function} [onMatching] - Called with each file's path before the pattern runs on it
+ * @returns {Promise<{ matches: { path: string, count: number }[], totalMatches: number,
+ *   searchedFiles: number, cancelled: boolean }>}
+ */
+async function searchFiles(filePaths, rootDir, options, onMatching = () => {}) {
+  const matcher = createMatcher(options);
+  rootDir = ensureAbsolutePath(rootDir);
+
+  const matches = [];
+  let totalMatches = 0;
+  let searchedFiles = 0;
+
+  for (let i = 0; i < filePaths.length; i += CHUNK_SIZE) {
+    const contents = await Promise.all(filePaths.slice(i, i + CHUNK_SIZE).map(async (filePath) => {
+      const fullPath = ensureAbsolutePath(filePath);
+      const relativePath = safeRelativePath(rootDir, fullPath);
+      if (!relativePath || !isValidPath(relativePath) || relativePath.startsWith("..") || isBinaryFile(fullPath)) {
+        return null;
+      }
+      try {
+        const stats = await fs.promises.stat(fullPath);
+        if (stats.size > MAX_FILE_SIZE) return null;
+        return await fs.promises.readFile(fullPath, "utf8");
+      } catch (err) {
+        return null; // Deleted or unreadable since the scan
+      }
+    }));
+
+    contents.forEach((content, index) => {
+      if (content === null) return;
+      searchedFiles++;
+      onMatching(filePaths[i + index]);
+      const count = countMatches(content, matcher);
+      if (count > 0) {
+        matches.push({ path: filePaths[i + index], count });
+        totalMatches += count;
+      }
+    });
+  }
+
+  return { matches, totalMatches, searchedFiles, cancelled: false };
+}
+
+/**
+ * Searches the contents of files inside a folder in a worker thread
+ * @param {string[]} filePaths - Files to search, normally every loaded text file
+ * @param {string} rootDir - Folder the files must be in
+ * @param {object} options - See createMatcher()
+ * @param {Function} [isCancelled] - Returns true when a newer search has started
+ * @returns {Promise<{ matches: { path: string, count: number }[], totalMatches: number,
+ *   searchedFiles: number, cancelled: boolean }>} Nothing is found by a cancelled search
+ * @throws {Error} When the query is invalid, or the pattern took too long on a file
+ */
+function searchFileContents(filePaths, rootDir, options, isCancelled = () => false) {
+  return new Promise((resolve, reject) => {
+    // Invalid patterns are reported without starting a worker
+    createMatcher(options);
+
+    const worker = new Worker(path.join(__dirname, "content-search-worker.js"), {
+      workerData: { filePaths, rootDir, options },
+    });
+    let matching = null; // { path, startedAt } while the pattern runs on a file
+    let done = false;
+
+    const finish = (settle) => {
+      if (done) return;
+      done = true;
+      clearInterval(watchId);
+      worker.terminate();
+      settle();
+    };
+
+    // A regular expression can't be interrupted, so the worker is stopped from here
+    const watchId = setInterval(() => {
+      if (isCancelled()) {
+        finish(() => resolve({ matches: [], totalMatches: 0, searchedFiles: 0, cancelled: true }));
+      } else if (matching && Date.now() - matching.startedAt > MATCH_TIMEOUT_MS) {
+        const relativePath = safeRelativePath(ensureAbsolutePath(rootDir), ensureAbsolutePath(matching.path));
+        finish(() => reject(new Error(
+          `The pattern took longer than ${MATCH_TIMEOUT_MS / 1000} seconds on ${relativePath}; try a simpler one`
+        )));
+      }
+    }, WATCH_INTERVAL_MS);
+
+    worker.on("message", (message) => {
+      if (message.type === "matching") {
+        matching = { path: message.path, startedAt: Date.now() };
+      } else if (message.type === "error") {
+        finish(() => reject(new Error(message.message)));
+      } else {
+        finish(() => resolve(message.result));
+      }
+    });
+    worker.on("error", (err) => finish(() => reject(err)));
+    worker.on("exit", (code) => finish(() => reject(new Error(`Search worker exited with code ${code}`))));
+  });
+}
+
+module.exports = {
+  createMatcher,
+  countMatches,
+  searchFiles,
+  searchFileContents,
+};
@@ -0,0 +1,742 @@
+/**
+ * File scanning logic shared by the Electron main process (main.js) and the
+ * headless command-line interface (cli.js).
+ *
+ * Nothing in here depends on Electron: progress reporting and cancellation
+ * are handled through the callbacks passed into readFilesRecursively().
+ */
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+const {
+  MAX_FILE_SIZE,
+  normalizePath,
+  getPathSeparator,
+  ensureAbsolutePath,
+  safePathJoin,
+  safeRelativePath,
+  isValidPath,
+  isBinaryFile,
+} = require("./path-utils");
+
+// Import the excluded files list
+const { excludedFiles } = require("./excluded-files");
+const { createIgnoreFilter, parseIgnoreFile } = require("./ignore-rules");
+const { getModelProfile, getProfileEncodingKey } = require("./model-profiles");
+
+// Add handling for the 'ignore' module
+let ignore;
+try {
+  ignore = require("ignore");
+  logger.log("Successfully loaded ignore module");
+} catch (err) {
+  logger.error("Failed to load ignore module:", err);
+  // Simple fallback implementation for when the ignore module fails to load
+  ignore = {
+    // Simple implementation that just matches exact paths
+    createFilter: () => {
+      return (path) => !excludedFiles.includes(path);
+    },
+  };
+  logger.log("Using fallback for ignore module");
+}
+
+// Initialize tokenizer with better error handling
+let tiktoken;
+try {
+  tiktoken = require("tiktoken");
+  logger.log("Successfully loaded tiktoken module");
+} catch (err) {
+  logger.error("Failed to load tiktoken module:", err);
+  tiktoken = null;
+}
+
+// tiktoken encoders by encoding name, created on first use
+// (null when an encoding can't be loaded, so it isn't retried for every file)
+const encoders = new Map();
+
+/**
+ * Returns the tiktoken encoder for an encoding, with better error handling
+ * @param {string} encodingName - e.g. "o200k_base" (gpt-4o) or "cl100k_base" (gpt-4)
+ * @returns {object|null} The encoder, or null if tiktoken isn't available
+ */
+function getEncoder(encodingName) {
+  if (!encoders.has(encodingName)) {
+    let encoder = null;
+    try {
+      if (!tiktoken) {
+        throw new Error("Tiktoken module not available");
+      }
+      encoder = tiktoken.get_encoding(encodingName);
+      logger.log(`Tiktoken encoder initialized successfully: ${encodingName}`);
+    } catch (err) {
+      logger.error(`Failed to initialize tiktoken encoder ${encodingName}:`, err);
+      // Fallback to a simpler method if tiktoken fails
+      logger.log("Using fallback token counter");
+    }
+    encoders.set(encodingName, encoder);
+  }
+  return encoders.get(encodingName);
+}
+
+// Never scanned, whatever the project settings say
+const ALWAYS_IGNORED_PATTERNS = [".git"];
+
+// Directories and files PasteMax skips on top of git's own rules,
+// unless a project turns them off with "useDefaultIgnores": false
+const DEFAULT_IGNORE_PATTERNS = [
+  "node_modules",
+  ".DS_Store",
+  // Add Windows-specific files to ignore
+  "Thumbs.db",
+  "desktop.ini",
+  // Add common IDE files
+  ".idea",
+  ".vscode",
+  // Add common build directories
+  "dist",
+  "build",
+  "out"
+];
+
+/**
+ * App-level ignore settings, edited in the Ignore Rules panel.
+ * Each built-in source can be switched off, and users can add their own patterns.
+ */
+const DEFAULT_IGNORE_SETTINGS = {
+  useGitignore: true,       // .gitignore files, .git/info/exclude and core.excludesFile
+  useDefaultIgnores: true,  // DEFAULT_IGNORE_PATTERNS
+  useExcludedFiles: true,   // excluded-files.js
+  useProjectIgnores: true,  // .pastemaxignore and "ignore" in .pastemax.json
+  useCustomIgnores: true,   // customIgnores below
+  customIgnores: [],
+};
+
+/**
+ * Cleans up ignore settings received from the renderer: unknown keys are
+ * dropped, missing ones take their defaults.
+ *
+ * @param {object} raw - Settings to check
+ * @returns {object} Settings with the shape of DEFAULT_IGNORE_SETTINGS
+ */
+function sanitizeIgnoreSettings(raw) {
+  const settings = { ...DEFAULT_IGNORE_SETTINGS };
+  if (!raw || typeof raw !== "object") return settings;
+
+  Object.keys(DEFAULT_IGNORE_SETTINGS).forEach(key => {
+    if (key === "customIgnores") {
+      if (Array.isArray(raw.customIgnores)) {
+        settings.customIgnores = parseIgnoreFile(
+          raw.customIgnores.filter(pattern => typeof pattern === "string").join("\n")
+        );
+      }
+    } else if (typeof raw[key] === "boolean") {
+      settings[key] = raw[key];
+    }
+  });
+  return settings;
+}
+
+/**
+ * Combines the project's settings with the app's ignore settings into the
+ * options used for a scan. A source is active only if both allow it.
+ *
+ * @param {object} [projectConfig] - Settings from loadProjectConfig()
+ * @param {object} [ignoreSettings] - App settings, see DEFAULT_IGNORE_SETTINGS
+ * @returns {object} Ignore options for loadGitignore() and shouldExcludeByDefault()
+ */
+function resolveIgnoreOptions(projectConfig, ignoreSettings) {
+  const project = projectConfig || {};
+  const settings = { ...DEFAULT_IGNORE_SETTINGS, ...(ignoreSettings || {}) };
+
+  return {
+    useGitignore: settings.useGitignore,
+    useDefaultIgnores: settings.useDefaultIgnores && project.useDefaultIgnores !== false,
+    useExcludedFiles: settings.useExcludedFiles && project.useExcludedFiles !== false,
+    projectPatterns: settings.useProjectIgnores ? project.ignore || [] : [],
+    customPatterns: settings.useCustomIgnores ? settings.customIgnores : [],
+  };
+}
+
+/**
+ * Creates the ignore filter for a directory, evaluating ignore files the way git does:
+ * every nested .gitignore (relative to its own directory), .git/info/exclude and the
+ * user's core.excludesFile, plus the project's .pastemaxignore/.pastemax.json patterns,
+ * PasteMax's default ignores, the excludedFiles patterns and the user's custom patterns.
+ * See ignore-rules.js for the precedence rules.
+ *
+ * @param {string} rootDir - The root directory of the scan
+ * @param {object} [ignoreOptions] - From resolveIgnoreOptions(); every source is on if omitted
+ * @returns {object} - Ignore filter with ignores(relativePath), explain(relativePath) and invalidate(relativeDir)
+ */
+function loadGitignore(rootDir, ignoreOptions) {
+  const options = ignoreOptions || resolveIgnoreOptions();
+
+  // Ensure root directory path is absolute and normalized
+  rootDir = ensureAbsolutePath(rootDir);
+
+  // Normalize and add the excludedFiles patterns
+  const normalizedExcludedFiles = options.useExcludedFiles
+    ? excludedFiles.map(pattern => normalizePath(pattern))
+    : [];
+
+  return createIgnoreFilter(rootDir, {
+    useGitignore: options.useGitignore,
+    builtInSources: [
+      { source: "always", patterns: ALWAYS_IGNORED_PATTERNS },
+      { source: "default", patterns: options.useDefaultIgnores ? DEFAULT_IGNORE_PATTERNS : [] },
+      { source: "excluded-files", patterns: normalizedExcludedFiles },
+      { source: "custom", patterns: options.customPatterns.map(pattern => normalizePath(pattern)) },
+    ],
+    projectPatterns: options.projectPatterns.map(pattern => normalizePath(pattern)),
+  });
+}
+
+/**
+ * Counts tokens the way a model profile does: with its tiktoken encoding, or
+ * with its characters-per-token heuristic
+ * @param {string} text - Text to count
+ * @param {object} [profile] - From model-profiles.js; defaults to o200k_base
+ * @returns {number} Token count
+ */
+function countTokens(text, profile) {
+  const { encoding, charsPerToken } = profile || getModelProfile();
+  if (encoding === "chars") {
+    return Math.ceil(text.length / charsPerToken);
+  }
+
+  const encoder = getEncoder(encoding);
+  // Simple fallback implementation if encoder fails
+  if (!encoder) {
+    return Math.ceil(text.length / 4);
+  }
+
+  try {
+    // Remove any special tokens that might cause issues
+    const cleanText = text.replace(/<\|endoftext\|>/g, '');
+    const tokens = encoder.encode(cleanText);
+    return tokens.length;
+  } catch (err) {
+    logger.error("Error counting tokens:", err);
+    // Fallback to character-based estimation on error
+    return Math.ceil(text.length / 4);
+  }
+}
+
+/**
+ * Name of the token counting method a profile ends up using, part of the scan
+ * cache key so counts from a different tokenizer are never reused
+ * @param {object} [profile] - From model-profiles.js; defaults to o200k_base
+ * @returns {string}
+ */
+function getEncodingName(profile) {
+  const resolved = profile || getModelProfile();
+  if (resolved.encoding !== "chars" && !getEncoder(resolved.encoding)) {
+    return "chars-per-token-4"; // The fallback countTokens() uses
+  }
+  return getProfileEncodingKey(resolved);
+}
+
+/**
+ * Reads and tokenizes a file on the tokenizer pool. If the worker itself
+ * fails (rather than the read), the file is processed on this thread instead.
+ * File system errors and cancellation are passed on to the caller.
+ */
+async function tokenizeInWorker(tokenizer, fullPath, loadContent, profile) {
+  try {
+    return await tokenizer.run(fullPath, loadContent, profile);
+  } catch (err) {
+    if (err.code || err.name === "ScanCancelledError") throw err;
+    logger.error(`Tokenizer worker failed for ${fullPath}, counting on the main thread:`, err);
+    const content = await fs.promises.readFile(fullPath, "utf8");
+    return { content, tokenCount: countTokens(content, profile) };
+  }
+}
+
+/**
+ * Works out what the file list needs to know about a file that isn't ignored:
+ * binary or too large to process, its content and its token count.
+ * With a scan cache, unchanged files aren't tokenized again, and aren't read
+ * at all when the content isn't needed.
+ *
+ * @param {string} fullPath - Normalized absolute path of the file
+ * @param {fs.Stats} stats - Stats of the file
+ * @param {object} [options]
+ * @param {object} [options.cache] - Scan cache from scan-cache.js
+ * @param {object} [options.tokenizer] - Pool from tokenizer-pool.js; files are read and tokenized on the main thread without one
+ * @param {boolean} [options.loadContent=true] - Return the file content
+ * @param {object} [options.profile] - Model profile used to count tokens (model-profiles.js)
+ * @returns {Promise<object>} { content, tokenCount, isBinary, isSkipped, error?, fileType? }
+ */
+async function readFileInfo(fullPath, stats, options = {}) {
+  const { cache = null, tokenizer = null, loadContent = true, profile = null } = options;
+  const encoding = getEncodingName(profile);
+  const fileType = path.extname(fullPath).substring(1).toUpperCase();
+
+  const cached = cache ? cache.get(fullPath, stats, encoding) : null;
+  if (cached && (cached.isBinary || cached.isSkipped || !loadContent)) {
+    return {
+      content: "",
+      tokenCount: cached.tokenCount,
+      isBinary: cached.isBinary,
+      isSkipped: cached.isSkipped,
+      ...(cached.error && { error: cached.error }),
+      ...(cached.isBinary && { fileType }),
+    };
+  }
+
+  let info;
+  if (stats.size > MAX_FILE_SIZE) {
+    info = { content: "", tokenCount: 0, isBinary: false, isSkipped: true, error: "File too large to process" };
+  } else if (isBinaryFile(fullPath)) {
+    info = { content: "", tokenCount: 0, isBinary: true, isSkipped: false, fileType };
+  } else if (tokenizer && !cached) {
+    const { content, tokenCount } = await tokenizeInWorker(tokenizer, fullPath, loadContent, profile);
+    info = { content, tokenCount, isBinary: false, isSkipped: false };
+  } else {
+    const content = await fs.promises.readFile(fullPath, "utf8");
+    info = {
+      content,
+      tokenCount: cached ? cached.tokenCount : countTokens(content, profile),
+      isBinary: false,
+      isSkipped: false,
+    };
+  }
+
+  if (cache && !cached) cache.set(fullPath, stats, encoding, info);
+  return loadContent ? info : { ...info, content: "" };
+}
+
+/**
+ * Processes a single file: reads stats, content, counts tokens, and checks ignore rules.
+ * Used by both initial scan and live file watching.
+ * @param {string} fullPath - Absolute path to the file.
+ * @param {string} rootDir - Root directory for relative path calculation.
+ * @param {object} ignoreFilter - The ignore filter instance.
+ * @param {object} [ignoreOptions] - From resolveIgnoreOptions(), used for the excludedByDefault flag.
+ * @param {object} [options] - { cache, tokenizer, loadContent, profile }, see readFileInfo()
+ * @returns {Promise<object|null>} File data object or null if ignored/error.
+ */
+async function processSingleFile(fullPath, rootDir, ignoreFilter, ignoreOptions, options = {}) {
+  logger.log(`Processing file: ${fullPath}`);
+  try {
+    // Ensure paths are absolute and normalized
+    fullPath = ensureAbsolutePath(fullPath);
+    rootDir = ensureAbsolutePath(rootDir);
+
+    // Calculate relative path safely
+    const relativePath = safeRelativePath(rootDir, fullPath);
+
+    // Skip if invalid path or outside root
+    if (!isValidPath(relativePath) || relativePath.startsWith('..')) {
+      logger.log('Skipping file outside root:', fullPath);
+      return null;
+    }
+
+    // Check ignore rules
+    if (ignoreFilter.ignores(relativePath)) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(fullPath);
+
+    // Handle binary, large files, read content and count tokens
+    return {
+      name: path.basename(fullPath),
+      path: normalizePath(fullPath),
+      relativePath: relativePath,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      ...(await readFileInfo(normalizePath(fullPath), stats, options)),
+      excludedByDefault: shouldExcludeByDefault(fullPath, rootDir, ignoreOptions)
+    };
+  } catch (err) {
+    // A scan was cancelled while this file waited for a tokenizer worker
+    if (err.name === "ScanCancelledError") return null;
+    logger.error(`Error processing single file ${fullPath}:`, err);
+    // Return a skipped object on error to inform the UI
+    return {
+      name: path.basename(fullPath),
+      path: normalizePath(fullPath),
+      relativePath: safeRelativePath(rootDir, fullPath),
+      size: 0,
+      isBinary: false, // Assume not binary on error
+      isSkipped: true,
+      error: `Error: ${err.message}`,
+      content: "",
+      tokenCount: 0,
+      excludedByDefault: shouldExcludeByDefault(fullPath, rootDir, ignoreOptions)
+    };
+  }
+}
+
+/**
+ * Recursively reads files from a directory with chunked processing and cancellation support.
+ * Implements several performance and safety features:
+ * - Processes files in small chunks to maintain UI responsiveness
+ * - Supports immediate cancellation at any point
+ * - Handles binary files and large files appropriately
+ * - Respects .gitignore and custom exclusion patterns
+ * - Provides progress updates to the caller
+ * - Handles cross-platform path issues including UNC paths
+ *
+ * @param {string} dir - The directory to process
+ * @param {string} rootDir - The root directory (used for relative path calculations)
+ * @param {object} ignoreFilter - The ignore filter instance for file exclusions
+ * @param {object} [options] - Scan hooks and settings
+ * @param {() => boolean} [options.isCancelled] - Returns true once the scan should stop
+ * @param {(status: {status: string, message: string}) => void} [options.onProgress] - Receives progress updates
+ * @param {string} [options.appPath] - The running application's own path, which is never scanned
+ * @param {object} [options.cache] - Scan cache from scan-cache.js, reused for unchanged files
+ * @param {object} [options.tokenizer] - Worker pool from tokenizer-pool.js that reads and tokenizes files
+ * @param {boolean} [options.loadContent=true] - Include file contents in the results
+ * @param {object} [options.profile] - Model profile used to count tokens (model-profiles.js)
+ * @returns {Promise<Array>} Array of processed file objects
+ */
+async function readFilesRecursively(dir, rootDir, ignoreFilter, options = {}) {
+  const {
+    isCancelled = () => false,
+    onProgress = () => {},
+    appPath = null,
+    cache = null,
+    tokenizer = null,
+    loadContent = true,
+    profile = null,
+  } = options;
+  if (isCancelled()) return [];
+
+  // Shared by the recursive calls so progress counts files across the whole scan
+  const progress = options.progress || { processedFiles: 0 };
+
+  // Ensure absolute and normalized paths
+  dir = ensureAbsolutePath(dir);
+  rootDir = ensureAbsolutePath(rootDir || dir);
+  ignoreFilter = ignoreFilter || loadGitignore(rootDir);
+
+  let results = [];
+  const CHUNK_SIZE = 20;
+
+  try {
+    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    if (isCancelled()) return results;
+
+    const directories = dirents.filter(dirent => dirent.isDirectory());
+    const files = dirents.filter(dirent => dirent.isFile());
+
+    // Process directories first
+    for (const dirent of directories) {
+      if (isCancelled()) return results;
+
+      const fullPath = safePathJoin(dir, dirent.name);
+      // Calculate relative path safely
+      const relativePath = safeRelativePath(rootDir, fullPath);
+
+      // Skip PasteMax app directories and invalid paths - Refined .app check
+      const isAppBundle = /\.app($|\/)/.test(fullPath); // Check for /.app/ or path ending in .app
+      if (isAppBundle || fullPath === appPath ||
+          !isValidPath(relativePath) || relativePath.startsWith('..')) {
+        logger.log('Skipping directory:', fullPath);
+        continue;
+      }
+
+      // Only process if not ignored (the trailing slash lets directory-only patterns match)
+      if (!ignoreFilter.ignores(relativePath + '/')) {
+        const subResults = await readFilesRecursively(fullPath, rootDir, ignoreFilter, { ...options, progress });
+        if (isCancelled()) return results;
+        results = results.concat(subResults);
+      }
+
+      onProgress({
+        status: "processing",
+        message: `Scanning directories... (Press ESC to cancel)`,
+      });
+    }
+
+    // Process files in chunks
+    for (let i = 0; i < files.length; i += CHUNK_SIZE) {
+      if (isCancelled()) return results;
+
+      const chunk = files.slice(i, i + CHUNK_SIZE);
+
+      const chunkPromises = chunk.map(async (dirent) => {
+        if (isCancelled()) return null;
+
+        const fullPath = safePathJoin(dir, dirent.name);
+        // Calculate relative path safely
+        const relativePath = safeRelativePath(rootDir, fullPath);
+
+        // Skip PasteMax app files and invalid paths - Refined .app check
+        const isAppBundleFile = /\.app($|\/)/.test(fullPath); // Check for /.app/ or path ending in .app
+        if (isAppBundleFile || fullPath === appPath ||
+            !isValidPath(relativePath) || relativePath.startsWith('..')) {
+          // Removed console log here for files to reduce noise, keep for dirs
+          return null;
+        }
+
+        const isIgnored = ignoreFilter.ignores(relativePath);
+        if (isIgnored) {
+          return null;
+        }
+
+        try {
+          const stats = await fs.promises.stat(fullPath);
+          if (isCancelled()) return null;
+
+          const fileInfo = await readFileInfo(normalizePath(fullPath), stats, { cache, tokenizer, loadContent, profile });
+          if (isCancelled()) return null;
+
+          progress.processedFiles++;
+          onProgress({
+            status: "processing",
+            message: `Processing files... ${progress.processedFiles} done, ${relativePath} (Press ESC to cancel)`,
+            processedFiles: progress.processedFiles,
+            currentFile: relativePath,
+          });
+
+          return {
+            name: dirent.name,
+            path: normalizePath(fullPath),
+            relativePath: relativePath,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            ...fileInfo
+          };
+        } catch (err) {
+          if (err.name === "ScanCancelledError") return null;
+          logger.error(`Error reading file ${fullPath}:`, err);
+          return {
+            name: dirent.name,
+            path: normalizePath(fullPath),
+            relativePath: relativePath,
+            tokenCount: 0,
+            size: 0,
+            isBinary: false,
+            isSkipped: true,
+            error: err.code === 'EPERM' ? "Permission denied" :
+                   err.code === 'ENOENT' ? "File not found" :
+                   "Could not read file"
+          };
+        }
+      });
+
+      const chunkResults = await Promise.all(chunkPromises);
+      if (isCancelled()) return results;
+
+      results = results.concat(chunkResults.filter(result => result !== null));
+    }
+  } catch (err) {
+    logger.error(`Error reading directory ${dir}:`, err);
+    if (err.code === 'EPERM' || err.code === 'EACCES') {
+      logger.log(`Skipping inaccessible directory: ${dir}`);
+      return results;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Determines if a file should be excluded based on gitignore patterns and default rules.
+ * Handles cross-platform path issues including UNC paths and network shares.
+ *
+ * @param {string} filePath - The full path of the file to check
+ * @param {string} rootDir - The root directory for relative path calculation
+ * @param {object} [ignoreOptions] - From resolveIgnoreOptions(); useExcludedFiles: false turns off excluded-files.js
+ * @returns {boolean} True if the file should be excluded
+ */
+function shouldExcludeByDefault(filePath, rootDir, ignoreOptions) {
+  // Ensure paths are absolute and normalized
+  filePath = ensureAbsolutePath(filePath);
+  rootDir = ensureAbsolutePath(rootDir);
+
+  // Calculate relative path safely
+  const relativePath = safeRelativePath(rootDir, filePath);
+
+  // Don't process paths outside the root directory or invalid paths
+  if (!isValidPath(relativePath) || relativePath.startsWith('..')) {
+    return true;
+  }
+
+  // Handle Windows-specific paths
+  if (process.platform === 'win32') {
+    // Skip system files and folders
+    if (/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i.test(path.basename(filePath))) {
+      return true;
+    }
+
+    // Skip Windows system directories
+    if (filePath.toLowerCase().includes('\\windows\\') ||
+        filePath.toLowerCase().includes('\\system32\\')) {
+      return true;
+    }
+  }
+
+  // Handle macOS-specific paths
+  if (process.platform === 'darwin') {
+    // Skip macOS system files
+    if (filePath.includes('/.Spotlight-') ||
+        filePath.includes('/.Trashes') ||
+        filePath.includes('/.fseventsd')) {
+      return true;
+    }
+  }
+
+  // Handle Linux-specific paths
+  if (process.platform === 'linux') {
+    // Skip Linux system directories
+    if (filePath.startsWith('/proc/') ||
+        filePath.startsWith('/sys/') ||
+        filePath.startsWith('/dev/')) {
+      return true;
+    }
+  }
+
+  if (ignoreOptions && !ignoreOptions.useExcludedFiles) {
+    return false;
+  }
+
+  const ig = ignore().add(excludedFiles);
+  return ig.ignores(relativePath);
+}
+
+/**
+ * Reads the contents of files found by a scan, for the renderer's copy and
+ * preview actions (the file list itself carries no contents). Paths outside
+ * rootDir, binary files and files over MAX_FILE_SIZE are refused.
+ *
+ * @param {string[]} filePaths - Absolute paths of the files
+ * @param {string} rootDir - Root directory of the current scan
+ * @returns {Promise<{contents: Object<string, string>, errors: Object<string, string>}>}
+ *   Contents and error messages, keyed by the paths as given
+ */
+async function readFileContents(filePaths, rootDir) {
+  rootDir = ensureAbsolutePath(rootDir);
+  const contents = {};
+  const errors = {};
+  const CHUNK_SIZE = 20;
+
+  for (let i = 0; i < filePaths.length; i += CHUNK_SIZE) {
+    await Promise.all(filePaths.slice(i, i + CHUNK_SIZE).map(async (filePath) => {
+      const fullPath = ensureAbsolutePath(filePath);
+      const relativePath = safeRelativePath(rootDir, fullPath);
+      if (!relativePath || !isValidPath(relativePath) || relativePath.startsWith('..')) {
+        errors[filePath] = "File is outside the selected folder";
+        return;
+      }
+      if (isBinaryFile(fullPath)) {
+        errors[filePath] = "Binary file";
+        return;
+      }
+
+      try {
+        const stats = await fs.promises.stat(fullPath);
+        if (stats.size > MAX_FILE_SIZE) {
+          errors[filePath] = "File too large to process";
+          return;
+        }
+        contents[filePath] = await fs.promises.readFile(fullPath, "utf8");
+      } catch (err) {
+        errors[filePath] = err.code === 'EPERM' ? "Permission denied" :
+                           err.code === 'ENOENT' ? "File not found" :
+                           "Could not read file";
+      }
+    }));
+  }
+
+  return { contents, errors };
+}
+
+/**
+ * Lists the paths that change visibility when the ignore rules change, for the
+ * live preview in the Ignore Rules panel. Directories hidden by both filters
+ * aren't entered; a hidden directory is reported once instead of file by file,
+ * while files that become visible are listed one by one.
+ *
+ * @param {string} rootDir - The root directory
+ * @param {object} nextFilter - Filter built from the edited settings
+ * @param {object} currentFilter - Filter the file list was built with
+ * @param {object} [options]
+ * @param {number} [options.limit=500] - Maximum number of paths returned
+ * @param {number} [options.maxEntries=20000] - Maximum number of entries visited
+ * @returns {Promise<{hidden: Array, shown: Array, truncated: boolean}>}
+ *   `hidden` entries carry the explain() result of the rule hiding them;
+ *   `isNew` marks paths the current rules don't hide
+ */
+async function previewIgnoreChanges(rootDir, nextFilter, currentFilter, options = {}) {
+  const { limit = 500, maxEntries = 20000 } = options;
+  rootDir = ensureAbsolutePath(rootDir);
+
+  const hidden = [];
+  const shown = [];
+  let visited = 0;
+  let truncated = false;
+
+  const walk = async (dir) => {
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      logger.error(`Error reading directory ${dir} for preview:`, err);
+      return;
+    }
+
+    for (const dirent of dirents) {
+      if (hidden.length + shown.length >= limit || ++visited > maxEntries) {
+        truncated = true;
+        return;
+      }
+
+      const fullPath = safePathJoin(dir, dirent.name);
+      const relativePath = safeRelativePath(rootDir, fullPath);
+      if (!isValidPath(relativePath) || relativePath.startsWith('..')) continue;
+
+      const isDirectory = dirent.isDirectory();
+      const testPath = isDirectory ? relativePath + '/' : relativePath;
+      const next = nextFilter.explain(testPath);
+      const current = currentFilter.explain(testPath);
+
+      if (next.ignored) {
+        // Only report the directory (or file) the rule actually matched
+        if (next.path === testPath) {
+          hidden.push({ relativePath, isDirectory, ...next, isNew: !current.ignored });
+        }
+      } else if (isDirectory) {
+        await walk(fullPath);
+      } else if (current.ignored) {
+        // Report the files themselves, since a re-included directory can still have hidden contents
+        shown.push({ relativePath, isDirectory });
+      }
+
+      if (truncated) return;
+    }
+  };
+
+  await walk(rootDir);
+  return { hidden, shown, truncated };
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ALWAYS_IGNORED_PATTERNS,
+  DEFAULT_IGNORE_PATTERNS,
+  DEFAULT_IGNORE_SETTINGS,
+  sanitizeIgnoreSettings,
+  normalizePath,
+  getPathSeparator,
+  ensureAbsolutePath,
+  safePathJoin,
+  safeRelativePath,
+  isValidPath,
+  resolveIgnoreOptions,
+  loadGitignore,
+  isBinaryFile,
+  countTokens,
+  getEncodingName,
+  readFileInfo,
+  processSingleFile,
+  readFilesRecursively,
+  shouldExcludeByDefault,
+  readFileContents,
+  previewIgnoreChanges,
+};
@@ -0,0 +1,377 @@
+/**
+ * Git integration for the main process: which files are modified, staged or
+ * changed against another branch, their diffs and their recent history, read
+ * with the git command line.
+ *
+ * Git reports paths relative to the top of the repository, which may be above
+ * the folder opened in the app. Every function here returns absolute,
+ * normalized paths and leaves out files outside the opened folder. Git prints
+ * the real path of the repository, so when the folder was opened through a
+ * symlink, paths are turned back into paths below the folder as opened.
+ */
+const { execFile } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { normalizePath, isBinaryFile, MAX_FILE_SIZE } = require("./file-scanner");
+
+const GIT_TIMEOUT_MS = 15000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+const HISTORY_CHUNK_SIZE = 8; // `git log` processes run at once for the file history
+const MAX_HISTORY_COMMITS = 100;
+// Trees without files, by the hash format of the repository
+const EMPTY_TREES = {
+  sha1: "4b825dc642cb6eb9a060e54bf8d69288fbee4904",
+  sha256: "6ef19b41225c5369f1c104d45d8d85efa9b057b53b14b4b9b939dd74decc5321",
+};
+
+/**
+ * Runs git in a folder
+ * @param {string} cwd - Folder to run git in
+ * @param {string[]} args - Git arguments
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} With git's error output as the message
+ */
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      args,
+      { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER, windowsHide: true },
+      (err, stdout, stderr) => {
+        if (err) {
+          const message = err.code === "ENOENT" ? "git is not installed or not on the PATH" : (stderr || err.message).trim();
+          reject(new Error(message));
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+/**
+ * Finds the top of the repository that contains a folder
+ * @param {string} rootDir - Folder opened in the app
+ * @returns {Promise<string|null>} Normalized top-level folder, or null outside a repository
+ */
+async function getRepoTopLevel(rootDir) {
+  try {
+    return normalizePath((await runGit(rootDir, ["rev-parse", "--show-toplevel"])).trim());
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Creates a function that turns a path relative to the repository top into
+ * an absolute path inside rootDir
+ * @param {string} topLevel - Repository top-level folder, as printed by git
+ * @param {string} rootDir - Folder opened in the app
+ * @returns {(repoPath: string) => string|null} Absolute, normalized path under rootDir,
+ *   or null for paths outside it
+ */
+function createFolderPathMapper(topLevel, rootDir) {
+  const folder = normalizePath(rootDir).replace(/\/+$/, "");
+  let realFolder = folder;
+  try {
+    realFolder = normalizePath(fs.realpathSync(rootDir)).replace(/\/+$/, "");
+  } catch (err) {
+    // Keep the path as opened; git will fail on a missing folder anyway
+  }
+  return (repoPath) => {
+    const fullPath = normalizePath(path.join(topLevel, repoPath));
+    if (fullPath.startsWith(`${realFolder}/`)) return folder + fullPath.slice(realFolder.length);
+    return fullPath.startsWith(`${folder}/`) ? fullPath : null;
+  };
+}
+
+/**
+ * Turns paths relative to the repository top into absolute paths inside rootDir
+ * @param {string} topLevel - Repository top-level folder
+ * @param {string} rootDir - Folder opened in the app
+ * @param {string[]} repoPaths - Paths as printed by git
+ * @returns {string[]} Absolute, normalized paths under rootDir
+ */
+function toFolderPaths(topLevel, rootDir, repoPaths) {
+  return repoPaths.map(createFolderPathMapper(topLevel, rootDir)).filter(Boolean);
+}
+
+/**
+ * Parses `git status --porcelain=v1 -z` output
+ * @param {string} output - Raw output
+ * @returns {{ path: string, index: string, worktree: string }[]} Paths relative to the repository top
+ */
+function parsePorcelainStatus(output) {
+  const entries = [];
+  const fields = output.split("\0");
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.length < 4) continue;
+    const index = field[0];
+    const worktree = field[1];
+    entries.push({ path: field.slice(3), index, worktree });
+    // Renames and copies are followed by the original path, which isn't needed
+    if (index === "R" || index === "C") i++;
+  }
+  return entries;
+}
+
+/**
+ * Picks the badge shown in the file tree for a status entry
+ * @returns {string} "??", "A", "D", "R" or "M"
+ */
+function getStatusBadge({ index, worktree }) {
+  if (index === "?" && worktree === "?") return "??";
+  if (index === "A") return "A";
+  if (index === "R" || index === "C") return "R";
+  if (index === "D" || worktree === "D") return "D";
+  return "M";
+}
+
+/**
+ * Reads the status of the repository that contains a folder
+ * @param {string} rootDir - Folder opened in the app
+ * @returns {Promise<object>} { isRepo, branch, branches, files: [{ path, status, staged, unstaged }] },
+ *   with isRepo false and nothing else filled in outside a repository
+ */
+async function getGitStatus(rootDir) {
+  const topLevel = await getRepoTopLevel(rootDir);
+  if (!topLevel) return { isRepo: false, branch: null, branches: [], files: [] };
+
+  const [statusOutput, branchOutput, refsOutput] = await Promise.all([
+    runGit(rootDir, ["status", "--porcelain=v1", "-z", "--untracked-files=all"]),
+    runGit(rootDir, ["branch", "--show-current"]),
+    runGit(rootDir, ["for-each-ref", "--format=%(refname:short)", "refs/heads", "refs/remotes"]),
+  ]);
+
+  const toFolderPath = createFolderPathMapper(topLevel, rootDir);
+  const files = [];
+  parsePorcelainStatus(statusOutput).forEach((entry) => {
+    const fullPath = toFolderPath(entry.path);
+    if (!fullPath) return;
+    files.push({
+      path: fullPath,
+      status: getStatusBadge(entry),
+      staged: entry.index !== " " && entry.index !== "?",
+      unstaged: entry.worktree !== " ",
+    });
+  });
+
+  return {
+    isRepo: true,
+    branch: branchOutput.trim() || null, // null on a detached HEAD
+    branches: refsOutput.split("\n").map((ref) => ref.trim()).filter((ref) => ref && !ref.endsWith("/HEAD")),
+    files,
+  };
+}
+
+/**
+ * Lists the files changed on the current branch since it left another one
+ * (`git diff --name-only <base>...HEAD`)
+ * @param {string} rootDir - Folder opened in the app
+ * @param {string} base - Branch, tag or commit to compare with
+ * @returns {Promise<string[]>} Absolute paths of the changed files that still exist
+ */
+async function getBranchDiffFiles(rootDir, base) {
+  if (typeof base !== "string" || !base.trim() || base.startsWith("-")) {
+    throw new Error(`Invalid branch "${base}"`);
+  }
+  const topLevel = await getRepoTopLevel(rootDir);
+  if (!topLevel) throw new Error("Not a git repository");
+
+  const output = await runGit(rootDir, ["diff", "--name-only", "-z", "--diff-filter=d", `${base.trim()}...HEAD`, "--"]);
+  return toFolderPaths(topLevel, rootDir, output.split("\0").filter(Boolean));
+}
+
+/**
+ * Checks a revision or range typed by the user before it is passed to git
+ * @param {string} range - e.g. "main..HEAD", "HEAD~3" or a commit hash
+ * @returns {string} The trimmed range
+ * @throws {Error} For anything git could read as an option
+ */
+function checkRange(range) {
+  const trimmed = typeof range === "string" ? range.trim() : "";
+  if (!trimmed || trimmed.startsWith("-") || /\s/.test(trimmed)) {
+    throw new Error(`Invalid commit range "${range}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Finds what the working tree is compared with when no range is given
+ * @param {string} rootDir - Folder opened in the app
+ * @returns {Promise<string>} HEAD, or the empty tree before the first commit so
+ *   that staged files show as new files
+ */
+async function getWorkingTreeBase(rootDir) {
+  try {
+    await runGit(rootDir, ["rev-parse", "--verify", "-q", "HEAD"]);
+    return "HEAD";
+  } catch (err) {
+    const format = await runGit(rootDir, ["rev-parse", "--show-object-format"]).catch(() => "sha1");
+    return EMPTY_TREES[format.trim()] || EMPTY_TREES.sha1;
+  }
+}
+
+/**
+ * Builds a patch that adds an untracked file, as `git diff` would show it
+ * once the file is added
+ * @param {string} repoPath - Path relative to the repository top
+ * @param {string} fullPath - Absolute path
+ * @returns {Promise<string>}
+ */
+async function createNewFilePatch(repoPath, fullPath) {
+  const header = `diff --git a/${repoPath} b/${repoPath}\nnew file mode 100644\n`;
+  const stats = await fs.promises.stat(fullPath);
+  if (isBinaryFile(fullPath) || stats.size > MAX_FILE_SIZE) {
+    return `${header}Binary files /dev/null and b/${repoPath} differ\n`;
+  }
+
+  const content = await fs.promises.readFile(fullPath, "utf8");
+  if (!content) return header;
+  const lines = content.split("\n");
+  const endsWithNewline = lines[lines.length - 1] === "";
+  if (endsWithNewline) lines.pop();
+
+  return (
+    `${header}--- /dev/null\n+++ b/${repoPath}\n@@ -0,0 +1${lines.length === 1 ? "" : `,${lines.length}`} @@\n` +
+    lines.map((line) => `+${line}\n`).join("") +
+    (endsWithNewline ? "" : "\\ No newline at end of file\n")
+  );
+}
+
+/**
+ * Reads the unified diffs of files in a folder, one patch per file
+ *
+ * Without a range the working tree (staged and unstaged changes) is compared
+ * with HEAD, or with an empty tree in a repository without commits, and
+ * untracked files among `paths` are shown as new files. With a range, the diff
+ * is `git diff <range>`.
+ *
+ * @param {string} rootDir - Folder opened in the app
+ * @param {object} options
+ * @param {string|null} [options.range] - Commit range; the working tree when empty
+ * @param {string[]} options.paths - Absolute paths of the files to return diffs for
+ * @returns {Promise<{ path: string, diff: string }[]>} Files without changes are left out
+ */
+async function getFileDiffs(rootDir, { range = null, paths }) {
+  const topLevel = await getRepoTopLevel(rootDir);
+  if (!topLevel) throw new Error("Not a git repository");
+
+  const wanted = new Set(paths.map(normalizePath));
+  const revision = range ? checkRange(range) : await getWorkingTreeBase(rootDir);
+  const diffArgs = ["diff", "--no-color", "--no-ext-diff", "--no-renames", revision, "--", "."];
+
+  // --name-only lists the files in the same order as the patches
+  const [namesOutput, patchOutput] = await Promise.all([
+    runGit(rootDir, [...diffArgs.slice(0, 4), "--name-only", "-z", ...diffArgs.slice(4)]),
+    runGit(rootDir, diffArgs),
+  ]);
+  const names = namesOutput.split("\0").filter(Boolean);
+  const patches = patchOutput.split(/^(?=diff --git )/m).filter((chunk) => chunk.startsWith("diff --git "));
+  if (names.length !== patches.length) {
+    throw new Error("Couldn't match the diff output to files");
+  }
+
+  const toFolderPath = createFolderPathMapper(topLevel, rootDir);
+  const diffs = [];
+  names.forEach((name, index) => {
+    const fullPath = toFolderPath(name);
+    if (fullPath && wanted.has(fullPath)) diffs.push({ path: fullPath, diff: patches[index] });
+  });
+
+  if (!range) {
+    const untrackedOutput = await runGit(rootDir, ["ls-files", "--others", "--exclude-standard", "--full-name", "-z", "--", "."]);
+    for (const name of untrackedOutput.split("\0").filter(Boolean)) {
+      const fullPath = toFolderPath(name);
+      if (fullPath && wanted.has(fullPath)) {
+        diffs.push({ path: fullPath, diff: await createNewFilePatch(name, fullPath) });
+      }
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Formats `git log --format=%x1e%h %ad %an%n%B` output: one header line per
+ * commit with its message indented below
+ * @param {string} output - Raw output
+ * @returns {string}
+ */
+function formatCommitMessages(output) {
+  return output
+    .split("\x1e")
+    .filter((entry) => entry.trim())
+    .map((entry) => {
+      const [header, ...message] = entry.trim().split("\n");
+      const body = message.join("\n").trim();
+      return body ? `${header}\n${body.replace(/^(?=.)/gm, "    ")}\n` : `${header}\n`;
+    })
+    .join("");
+}
+
+/**
+ * Clamps a commit count from the settings
+ */
+function clampCount(count, fallback) {
+  const value = parseInt(count, 10);
+  return Number.isFinite(value) && value > 0 ? Math.min(value, MAX_HISTORY_COMMITS) : fallback;
+}
+
+/**
+ * Reads the recent git history for the copied content
+ * @param {string} rootDir - Folder opened in the app
+ * @param {object} options
+ * @param {string[]} options.paths - Absolute paths of the selected files
+ * @param {number} [options.commitsPerFile] - Commits per file; no file history when 0
+ * @param {number} [options.logCount] - Commits in the repository log; no log when 0
+ * @returns {Promise<{ files: { path: string, history: string }[]|null, log: string|null }>}
+ *   Each part is null when not requested. Files without commits (untracked files) are left out.
+ */
+async function getGitHistory(rootDir, { paths, commitsPerFile = 0, logCount = 0 }) {
+  const topLevel = await getRepoTopLevel(rootDir);
+  if (!topLevel) throw new Error("Not a git repository");
+
+  let files = null;
+  if (commitsPerFile > 0) {
+    files = [];
+    const count = String(clampCount(commitsPerFile, 3));
+    const relativePaths = paths
+      .map((filePath) => ({ path: filePath, relative: path.relative(rootDir, filePath) }))
+      .filter(({ relative }) => relative && !relative.startsWith("..") && !path.isAbsolute(relative));
+
+    for (let i = 0; i < relativePaths.length; i += HISTORY_CHUNK_SIZE) {
+      const chunk = relativePaths.slice(i, i + HISTORY_CHUNK_SIZE);
+      const outputs = await Promise.all(
+        chunk.map(({ relative }) =>
+          runGit(rootDir, ["log", "-n", count, "--follow", "--date=short", "--format=%x1e%h %ad %an%n%B", "--", relative])
+            .catch(() => "") // No commits yet
+        )
+      );
+      outputs.forEach((output, index) => {
+        const history = formatCommitMessages(output);
+        if (history) files.push({ path: chunk[index].path, history });
+      });
+    }
+  }
+
+  let log = null;
+  if (logCount > 0) {
+    try {
+      log = await runGit(rootDir, ["log", "--oneline", "--no-decorate", "-n", String(clampCount(logCount, 20))]);
+    } catch (err) {
+      log = ""; // No commits yet
+    }
+  }
+  return { files, log };
+}
+
+module.exports = {
+  runGit,
+  getRepoTopLevel,
+  toFolderPaths,
+  getGitStatus,
+  getBranchDiffFiles,
+  getFileDiffs,
+  getGitHistory,
+};
@@ -0,0 +1,216 @@
+/**
+ * Git-compatible ignore evaluation.
+ *
+ * Mirrors the way git decides whether a path is ignored:
+ * - core.excludesFile (the user's global gitignore) has the lowest precedence
+ * - then .git/info/exclude
+ * - then every .gitignore from the root down to the file's own directory,
+ *   each one matched relative to the directory that contains it
+ * Within those sources the last matching rule wins, so a nested `!pattern`
+ * can re-include something a parent .gitignore excluded. As in git, nothing
+ * inside an excluded directory can be re-included.
+ *
+ * Project patterns (.pastemaxignore / .pastemax.json) come after all git
+ * sources, so they can also re-include something git ignores. PasteMax's
+ * built-in patterns are applied on top and can't be negated.
+ *
+ * All paths passed to the filter are relative to the root and use forward
+ * slashes; a trailing slash marks a directory.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const ignore = require("ignore");
+const logger = require("./logger");
+
+/**
+ * Splits the contents of an ignore file into patterns.
+ *
+ * Lines are kept as written, since whitespace and backslashes are significant
+ * in gitignore syntax (`\#file`, `\!file`, a trailing `\ `); ignore() applies
+ * the same rules as git to them.
+ *
+ * @param {string} content - Raw file content
+ * @returns {string[]} Patterns without blank lines and comments
+ */
+function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .filter(pattern => pattern.trim() && !pattern.startsWith('#'));
+}
+
+/**
+ * Reads an ignore file into a matcher
+ * @param {string} filePath - Absolute path of the ignore file
+ * @returns {object|null} ignore() instance, or null if the file doesn't exist or can't be read
+ */
+function readIgnoreFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return ignore().add(parseIgnoreFile(fs.readFileSync(filePath, "utf8")));
+  } catch (err) {
+    logger.error(`Error reading ignore file ${filePath}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Resolves the user's global gitignore the same way git does:
+ * `core.excludesFile` if configured, else $XDG_CONFIG_HOME/git/ignore
+ * (defaulting to ~/.config/git/ignore).
+ *
+ * @param {string} rootDir - Repository root, so repository-level config is honoured
+ * @returns {string} Absolute path (the file may not exist)
+ */
+function getGlobalExcludesPath(rootDir) {
+  try {
+    const configured = execFileSync("git", ["config", "--path", "--get", "core.excludesFile"], {
+      cwd: rootDir,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 5000,
+    }).trim();
+    if (configured) {
+      return configured.startsWith("~")
+        ? path.join(os.homedir(), configured.slice(1))
+        : path.resolve(rootDir, configured);
+    }
+  } catch (err) {
+    // git missing or no core.excludesFile configured: fall through to the default location
+  }
+
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "git", "ignore");
+}
+
+/**
+ * Creates an ignore filter for a directory tree.
+ *
+ * Each rule source has a name, which explain() reports along with the matching
+ * pattern: "global-gitignore", "git-info-exclude", "gitignore", "project", or
+ * the names given to the built-in sources.
+ *
+ * @param {string} rootDir - Absolute root directory
+ * @param {object} [options]
+ * @param {Array<{source: string, patterns: string[]}>} [options.builtInSources] - Patterns applied
+ *   on top of git's rules, checked in order
+ * @param {string[]} [options.projectPatterns] - Project patterns, evaluated after git's rules
+ * @param {boolean} [options.useGitignore=true] - Read .gitignore files, info/exclude and core.excludesFile
+ * @returns {{
+ *   ignores: (relativePath: string) => boolean,
+ *   explain: (relativePath: string) => object,
+ *   invalidate: (relativeDir?: string) => void
+ * }}
+ */
+function createIgnoreFilter(rootDir, options = {}) {
+  const { builtInSources = [], projectPatterns = [], useGitignore = true } = options;
+
+  const builtIns = builtInSources
+    .filter(({ patterns }) => patterns.length > 0)
+    .map(({ source, patterns }) => ({ source, matcher: ignore().add(patterns) }));
+  const project = projectPatterns.length > 0 ? ignore().add(projectPatterns) : null;
+
+  // Sources matched relative to the root, lowest precedence first
+  const rootSources = useGitignore
+    ? [
+        { source: "global-gitignore", file: getGlobalExcludesPath(rootDir) },
+        { source: "git-info-exclude", file: path.join(rootDir, ".git", "info", "exclude") },
+      ]
+        .map(entry => ({ ...entry, matcher: readIgnoreFile(entry.file) }))
+        .filter(entry => entry.matcher)
+    : [];
+
+  // relative directory ('' for the root) -> matcher for its .gitignore, or null
+  const directoryMatchers = new Map();
+  // relative path -> explanation (see explain())
+  const results = new Map();
+
+  const getDirectoryMatcher = (relativeDir) => {
+    if (!useGitignore) return null;
+    if (!directoryMatchers.has(relativeDir)) {
+      directoryMatchers.set(relativeDir, readIgnoreFile(path.join(rootDir, relativeDir, ".gitignore")));
+    }
+    return directoryMatchers.get(relativeDir);
+  };
+
+  const notIgnored = { ignored: false };
+
+  // Evaluates the rules for a single path, without looking at its parents
+  const matchPath = (relativePath) => {
+    for (const { source, matcher } of builtIns) {
+      const { ignored, rule } = matcher.test(relativePath);
+      if (ignored) return { ignored: true, source, pattern: rule ? rule.pattern : null };
+    }
+
+    let match = notIgnored;
+    const apply = ({ ignored, unignored, rule }, source, file) => {
+      if (ignored) match = { ignored: true, source, pattern: rule ? rule.pattern : null, file };
+      else if (unignored) match = notIgnored;
+    };
+
+    rootSources.forEach(({ source, file, matcher }) => apply(matcher.test(relativePath), source, file));
+
+    const segments = relativePath.replace(/\/$/, '').split('/');
+    for (let depth = 0; depth < segments.length; depth++) {
+      const relativeDir = segments.slice(0, depth).join('/');
+      const matcher = getDirectoryMatcher(relativeDir);
+      if (matcher) {
+        apply(
+          matcher.test(relativeDir ? relativePath.slice(relativeDir.length + 1) : relativePath),
+          "gitignore",
+          relativeDir ? `${relativeDir}/.gitignore` : ".gitignore",
+        );
+      }
+    }
+
+    if (project) apply(project.test(relativePath), "project");
+
+    return match;
+  };
+
+  /**
+   * Explains whether a path is ignored and by which rule
+   * @param {string} relativePath - Path relative to the root, trailing slash for directories
+   * @returns {{ignored: boolean, source?: string, pattern?: string, file?: string, path?: string}}
+   *   `path` is the path the rule matched, which is a parent directory when the
+   *   path is hidden because its directory is ignored
+   */
+  const explain = (relativePath) => {
+    if (!relativePath || relativePath === '.' || relativePath === '/') return notIgnored;
+    if (results.has(relativePath)) return results.get(relativePath);
+
+    // A path inside an ignored directory is always ignored
+    const parentEnd = relativePath.replace(/\/$/, '').lastIndexOf('/');
+    const parentResult = parentEnd !== -1 ? explain(relativePath.slice(0, parentEnd + 1)) : notIgnored;
+    const result = parentResult.ignored
+      ? parentResult
+      : { ...matchPath(relativePath), path: relativePath };
+
+    results.set(relativePath, result);
+    return result;
+  };
+
+  const ignores = (relativePath) => explain(relativePath).ignored;
+
+  /**
+   * Drops cached rules after an ignore file changed
+   * @param {string} [relativeDir] - Directory whose .gitignore changed; omit to reload everything
+   */
+  const invalidate = (relativeDir) => {
+    if (relativeDir === undefined) {
+      directoryMatchers.clear();
+    } else {
+      directoryMatchers.delete(relativeDir === '.' ? '' : relativeDir);
+    }
+    results.clear();
+  };
+
+  return { ignores, explain, invalidate };
+}
+
+module.exports = {
+  parseIgnoreFile,
+  getGlobalExcludesPath,
+  createIgnoreFilter,
+};
@@ -0,0 +1,324 @@
+/**
+ * Import graph of the loaded files, used by "Select dependencies" and
+ * "Select dependents". Imports are found with regular expressions rather
+ * than a full parser: ES module imports and re-exports, require() and
+ * import() in JS/TS, and `import` / `from ... import` in Python. Only
+ * imports that resolve to a loaded file are followed; packages and path
+ * aliases are skipped.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  MAX_FILE_SIZE,
+  normalizePath,
+  ensureAbsolutePath,
+  safeRelativePath,
+  isValidPath,
+  isBinaryFile,
+} = require("./file-scanner");
+
+const CHUNK_SIZE = 20;
+const MAX_CACHE_ENTRIES = 50000;
+
+const JS_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs", ".mts", ".cts"];
+const PYTHON_EXTENSIONS = [".py", ".pyi"];
+
+// TypeScript files are imported with the extension of the compiled file ("./utils.js")
+const COMPILED_EXTENSIONS = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+// Folders searched for absolute Python imports, relative to the opened folder
+const PYTHON_SOURCE_ROOTS = ["", "src"];
+
+/**
+ * Tells which import syntax a file uses
+ * @param {string} filePath
+ * @returns {"js" | "python" | null}
+ */
+function getImportLanguage(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (JS_EXTENSIONS.includes(ext)) return "js";
+  if (PYTHON_EXTENSIONS.includes(ext)) return "python";
+  return null;
+}
+
+/**
+ * Finds the module specifiers imported by JS/TS code
+ * @param {string} content
+ * @returns {string[]} Specifiers such as "./utils" or "react"
+ */
+function parseJsImports(content) {
+  // Drop comments so commented-out imports aren't followed
+  const code = content.replace(/\/\*[\s\S]*?\*\//g, "").replace(/^\s*\/\/.*$/gm, "");
+  const specifiers = [];
+  const patterns = [
+    // import x from "a"; import { x } from "a"; import "a"; export * from "a"; export { x } from "a"
+    /(?:^|[^.\w$])(?:import|export)\s+(?:type\s+)?(?:[\w*${},\s]+?\s+from\s+)?["']([^"'\n]+)["']/g,
+    // require("a"); import("a")
+    /(?:^|[^.\w$])(?:require|import)\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+  ];
+  patterns.forEach((pattern) => {
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      specifiers.push(match[1]);
+    }
+  });
+  return specifiers;
+}
+
+/**
+ * Finds the modules imported by Python code. For `from a import b`, both
+ * "a" and "a.b" are returned, since b may be a submodule.
+ * @param {string} content
+ * @returns {string[]} Module names such as "pkg.utils" or ".models"
+ */
+function parsePythonImports(content) {
+  const code = content.replace(/#.*$/gm, "");
+  const modules = [];
+
+  const importPattern = /^[ \t]*import[ \t]+([\w. \t,]+)$/gm;
+  let match;
+  while ((match = importPattern.exec(code)) !== null) {
+    match[1].split(",").forEach((part) => {
+      const name = part.trim().split(/\s+/)[0]; // "a.b as c" -> "a.b"
+      if (name) modules.push(name);
+    });
+  }
+
+  const fromPattern = /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]*)/gm;
+  while ((match = fromPattern.exec(code)) !== null) {
+    const base = match[1];
+    modules.push(base);
+    const prefix = /\.$/.test(base) ? base : `${base}.`;
+    match[2]
+      .replace(/[()\\]/g, "")
+      .split(",")
+      .forEach((part) => {
+        const name = part.trim().split(/\s+/)[0];
+        if (name && name !== "*") modules.push(`${prefix}${name}`);
+      });
+  }
+
+  return modules;
+}
+
+/**
+ * Returns the first candidate path that is a loaded file
+ * @param {string[]} candidates - Absolute paths
+ * @param {Map<string, string>} knownFiles - Normalized path -> path as loaded
+ * @returns {string | null}
+ */
+function findKnownFile(candidates, knownFiles) {
+  for (const candidate of candidates) {
+    const known = knownFiles.get(normalizePath(candidate));
+    if (known) return known;
+  }
+  return null;
+}
+
+/**
+ * Resolves a JS/TS specifier the way Node and bundlers do for relative
+ * paths: as written, with an extension added, or as a folder's index file
+ * @returns {string | null} The imported file, or null for packages and unknown files
+ */
+function resolveJsImport(specifier, fromFile, knownFiles) {
+  if (!specifier.startsWith(".")) return null;
+
+  const base = path.resolve(path.dirname(fromFile), specifier.split(/[?#]/)[0]);
+  const candidates = [base];
+  const compiled = COMPILED_EXTENSIONS[path.extname(base).toLowerCase()];
+  if (compiled) {
+    const stem = base.slice(0, -path.extname(base).length);
+    compiled.forEach((ext) => candidates.push(stem + ext));
+  }
+  JS_EXTENSIONS.forEach((ext) => candidates.push(base + ext));
+  JS_EXTENSIONS.forEach((ext) => candidates.push(path.join(base, `index${ext}`)));
+
+  return findKnownFile(candidates, knownFiles);
+}
+
+/**
+ * Resolves a Python module to a module file or a package's __init__.py.
+ * Relative modules start from the importing file's package; absolute ones
+ * from the opened folder or its src/ folder.
+ * @returns {string | null}
+ */
+function resolvePythonImport(moduleName, fromFile, knownFiles, rootDir) {
+  const relative = /^(\.+)(.*)$/.exec(moduleName);
+  let bases;
+  let name = moduleName;
+  if (relative) {
+    let dir = path.dirname(fromFile);
+    for (let level = 1; level < relative[1].length; level++) dir = path.dirname(dir);
+    bases = [dir];
+    name = relative[2];
+  } else {
+    bases = PYTHON_SOURCE_ROOTS.map((sourceRoot) => path.join(rootDir, sourceRoot));
+  }
+
+  const modulePath = name.split(".").filter(Boolean).join(path.sep);
+  const candidates = [];
+  bases.forEach((base) => {
+    const target = path.join(base, modulePath);
+    if (modulePath) {
+      PYTHON_EXTENSIONS.forEach((ext) => candidates.push(target + ext));
+    }
+    candidates.push(path.join(target, "__init__.py"));
+  });
+
+  const resolved = findKnownFile(candidates, knownFiles);
+  return resolved && normalizePath(resolved) !== normalizePath(fromFile) ? resolved : null;
+}
+
+// Import specifiers of each file read so far, reused while the file is unchanged
+const specifierCache = new Map();
+
+/**
+ * Reads the import specifiers of a loaded file, skipping files outside the
+ * folder, binary and large files
+ * @returns {Promise<string[]>}
+ */
+async function readImportSpecifiers(fullPath, language, rootDir) {
+  const relativePath = safeRelativePath(rootDir, fullPath);
+  if (!relativePath || !isValidPath(relativePath) || relativePath.startsWith("..") || isBinaryFile(fullPath)) {
+    return [];
+  }
+  try {
+    const stats = await fs.promises.stat(fullPath);
+    if (stats.size > MAX_FILE_SIZE) return [];
+
+    const cached = specifierCache.get(fullPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.specifiers;
+    }
+
+    const content = await fs.promises.readFile(fullPath, "utf8");
+    const specifiers = language === "js" ? parseJsImports(content) : parsePythonImports(content);
+    if (specifierCache.size >= MAX_CACHE_ENTRIES) specifierCache.clear();
+    specifierCache.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size, specifiers });
+    return specifiers;
+  } catch (err) {
+    return []; // Deleted or unreadable since the scan
+  }
+}
+
+/**
+ * Lists the loaded files a file imports
+ * @param {string} filePath
+ * @param {Map<string, string>} knownFiles - Normalized path -> path as loaded
+ * @param {string} rootDir
+ * @returns {Promise<string[]>} Imported files, without duplicates
+ */
+async function getFileImports(filePath, knownFiles, rootDir) {
+  const language = getImportLanguage(filePath);
+  if (!language) return [];
+
+  const fullPath = ensureAbsolutePath(filePath);
+  const specifiers = await readImportSpecifiers(fullPath, language, rootDir);
+  const resolved =
+    language === "js"
+      ? specifiers.map((specifier) => resolveJsImport(specifier, fullPath, knownFiles))
+      : specifiers.map((name) => resolvePythonImport(name, fullPath, knownFiles, rootDir));
+  return Array.from(new Set(resolved.filter(Boolean)));
+}
+
+/**
+ * Follows the imports of some files through the loaded files
+ * @param {string[]} filePaths - Every loaded file imports can resolve to
+ * @param {string[]} startPaths - Files whose imports are followed, normally the selection
+ * @param {string} rootDir - Folder the files must be in
+ * @param {number} [maxDepth] - 1 for direct imports only; 0 follows imports of imports to the end
+ * @returns {Promise<{ files: { path: string, depth: number, importedBy: string }[] }>}
+ *   Files reached, excluding the start files, with how many steps away they are and
+ *   the first file found importing them
+ */
+async function findDependencies(filePaths, startPaths, rootDir, maxDepth = 0) {
+  rootDir = ensureAbsolutePath(rootDir);
+  const knownFiles = new Map(filePaths.map((filePath) => [normalizePath(filePath), filePath]));
+  const visited = new Set(startPaths.map(normalizePath));
+  const files = [];
+
+  let level = startPaths;
+  for (let depth = 1; level.length > 0 && (maxDepth <= 0 || depth <= maxDepth); depth++) {
+    const next = [];
+    for (let i = 0; i < level.length; i += CHUNK_SIZE) {
+      const chunk = level.slice(i, i + CHUNK_SIZE);
+      const imports = await Promise.all(chunk.map((filePath) => getFileImports(filePath, knownFiles, rootDir)));
+      imports.forEach((imported, index) => {
+        imported.forEach((dependency) => {
+          const key = normalizePath(dependency);
+          if (visited.has(key)) return;
+          visited.add(key);
+          files.push({ path: dependency, depth, importedBy: chunk[index] });
+          next.push(dependency);
+        });
+      });
+    }
+    level = next;
+  }
+
+  return { files };
+}
+
+/**
+ * Finds the loaded files that import some files, directly or through other files
+ * @param {string[]} filePaths - Every loaded file; all of them are read to build the graph
+ * @param {string[]} targetPaths - Files whose importers are wanted
+ * @param {string} rootDir - Folder the files must be in
+ * @returns {Promise<{ files: { path: string, depth: number, imports: string }[] }>}
+ *   Files found, excluding the targets, with how many steps away they are and
+ *   the file they import on the way to a target
+ */
+async function findDependents(filePaths, targetPaths, rootDir) {
+  rootDir = ensureAbsolutePath(rootDir);
+  const knownFiles = new Map(filePaths.map((filePath) => [normalizePath(filePath), filePath]));
+
+  // Reverse import graph: normalized path -> files importing it
+  const importers = new Map();
+  const sources = filePaths.filter((filePath) => getImportLanguage(filePath));
+  for (let i = 0; i < sources.length; i += CHUNK_SIZE) {
+    const chunk = sources.slice(i, i + CHUNK_SIZE);
+    const imports = await Promise.all(chunk.map((filePath) => getFileImports(filePath, knownFiles, rootDir)));
+    imports.forEach((imported, index) => {
+      imported.forEach((dependency) => {
+        const key = normalizePath(dependency);
+        if (!importers.has(key)) importers.set(key, []);
+        importers.get(key).push(chunk[index]);
+      });
+    });
+  }
+
+  const visited = new Set(targetPaths.map(normalizePath));
+  const files = [];
+  let level = targetPaths;
+  for (let depth = 1; level.length > 0; depth++) {
+    const next = [];
+    level.forEach((target) => {
+      (importers.get(normalizePath(target)) || []).forEach((importer) => {
+        const key = normalizePath(importer);
+        if (visited.has(key)) return;
+        visited.add(key);
+        files.push({ path: importer, depth, imports: target });
+        next.push(importer);
+      });
+    });
+    level = next;
+  }
+
+  return { files };
+}
+
+module.exports = {
+  getImportLanguage,
+  parseJsImports,
+  parsePythonImports,
+  resolveJsImport,
+  resolvePythonImport,
+  getFileImports,
+  findDependencies,
+  findDependents,
+};
@@ -0,0 +1,116 @@
+/**
+ * Small JSON file store for settings kept by the main process
+ * (usually in app.getPath("userData")).
+ *
+ * The file is read once, on first access. Writes go to a temporary file that
+ * is then renamed over the old one, so a crash can't leave half a file behind.
+ *
+ * Large files that change often (the workspace state, the scan cache) use the
+ * async writes instead, which don't block the main process: they run one at a
+ * time, and changes made while one is waiting share the next write. A store
+ * should use either the sync or the async writes, not both.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creates a store backed by a JSON file.
+ *
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {object} defaults - Values used for keys missing from the file
+ * @param {object} [options]
+ * @param {boolean} [options.pretty=true] - Indent the file; off for large files nobody edits by hand
+ * @returns {{
+ *   get: (key?: string) => any,
+ *   set: (key: string, value: any) => void,
+ *   setAsync: (key: string, value: any) => Promise<void>,
+ *   replace: (data: object) => void,
+ *   replaceAsync: (data: object) => Promise<void>,
+ *   save: () => void,
+ *   whenWritten: () => Promise<void>
+ * }}
+ */
+function createJsonStore(filePath, defaults = {}, options = {}) {
+  const { pretty = true } = options;
+  let data = null;
+  let lastWrite = Promise.resolve(); // Last async write, queued or running
+  let isWriteQueued = false; // An async write is waiting to start and will pick up any change
+
+  const load = () => {
+    if (data) return data;
+    data = { ...defaults };
+    try {
+      if (fs.existsSync(filePath)) {
+        const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+          data = { ...defaults, ...raw };
+        }
+      }
+    } catch (err) {
+      console.error(`Error reading ${filePath}, using defaults:`, err);
+    }
+    return data;
+  };
+
+  const save = () => {
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(load(), null, pretty ? 2 : 0));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`Error writing ${filePath}:`, err);
+    }
+  };
+
+  // Same as save() without blocking the main process
+  const write = async () => {
+    const tempPath = `${filePath}.tmp`;
+    try {
+      const json = JSON.stringify(load(), null, pretty ? 2 : 0);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, json);
+      await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+      console.error(`Error writing ${filePath}:`, err);
+    }
+  };
+
+  // Queues an async write after the running one, unless one is already waiting
+  const saveAsync = () => {
+    if (!isWriteQueued) {
+      isWriteQueued = true;
+      lastWrite = lastWrite.then(() => {
+        isWriteQueued = false;
+        return write();
+      });
+    }
+    return lastWrite;
+  };
+
+  return {
+    // Returns the whole object when called without a key
+    get: (key) => (key === undefined ? { ...load() } : load()[key]),
+    set: (key, value) => {
+      load()[key] = value;
+      save();
+    },
+    setAsync: (key, value) => {
+      load()[key] = value;
+      return saveAsync();
+    },
+    replace: (newData) => {
+      data = { ...defaults, ...newData };
+      save();
+    },
+    replaceAsync: (newData) => {
+      data = { ...defaults, ...newData };
+      return saveAsync();
+    },
+    save,
+    // Resolves once the async writes made so far are on disk
+    whenWritten: () => lastWrite,
+  };
+}
+
+module.exports = { createJsonStore };
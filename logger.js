@@ -0,0 +1,24 @@
+/**
+ * Diagnostics of the modules shared by the app and the CLI (file-scanner.js,
+ * ignore-rules.js, project-config.js).
+ *
+ * Messages go to the console unless setLogger() routes them elsewhere. The CLI
+ * does that before loading the other modules, so that its stdout only carries
+ * the copied content.
+ */
+let current = console;
+
+/**
+ * Replaces where messages go
+ * @param {{log: Function, warn: Function, error: Function}} logger
+ */
+function setLogger(logger) {
+  current = logger;
+}
+
+module.exports = {
+  log: (...args) => current.log(...args),
+  warn: (...args) => current.warn(...args),
+  error: (...args) => current.error(...args),
+  setLogger,
+};
@@ -2,118 +2,170 @@ const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require("electro
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const {
+  normalizePath,
+  ensureAbsolutePath,
+  processSingleFile,
+  readFilesRecursively,
+  readFileContents,
+  loadGitignore,
+  shouldExcludeByDefault,
+  safeRelativePath,
+  isValidPath,
+  ALWAYS_IGNORED_PATTERNS,
+  DEFAULT_IGNORE_PATTERNS,
+  DEFAULT_IGNORE_SETTINGS,
+  sanitizeIgnoreSettings,
+  resolveIgnoreOptions,
+  previewIgnoreChanges,
+  countTokens,
+} = require("./file-scanner");
+const { loadProjectConfig, isProjectConfigFile } = require("./project-config");
+const { createJsonStore } = require("./json-store");
+const { createScanCache } = require("./scan-cache");
+const { createTokenizerPool } = require("./tokenizer-pool");
+const {
+  MODEL_PROFILES,
+  DEFAULT_MODEL_SETTINGS,
+  sanitizeModelSettings,
+  getModelProfile,
+} = require("./model-profiles");
+const {
+  DEFAULT_TEMPLATE_SETTINGS,
+  sanitizeTemplate,
+  sanitizeTemplateSettings,
+  parseTemplateFile,
+  serializeTemplate,
+} = require("./output-templates");
+const {
+  DEFAULT_PRESET_SETTINGS,
+  sanitizePresetList,
+  findFolderPresets,
+} = require("./selection-presets");
+const {
+  DEFAULT_WORKSPACE_SETTINGS,
+  sanitizeWorkspace,
+  updateWorkspace,
+  getRecentFolders,
+} = require("./workspace-state");
+const { getGitStatus, getBranchDiffFiles, getFileDiffs, getGitHistory } = require("./git-utils");
+const { searchFileContents } = require("./content-search");
+const { findDependencies, findDependents } = require("./import-graph");
+const { readFileOutlines } = require("./symbol-outline");
+const {
+  DEFAULT_SECRET_EXCEPTION_SETTINGS,
+  sanitizeSecretExceptions,
+  scanForSecrets,
+} = require("./secret-scanner");
+const { excludedFiles } = require("./excluded-files");
 
 // Global variables for directory loading control
 let isLoadingDirectory = false;
 let loadingTimeoutId = null;
 let currentWatcher = null;
+let currentRootDir = null; // Folder of the last completed scan; file contents are only served from here
+let contentSearchId = 0; // Id of the latest content search; older searches stop early
 const MAX_DIRECTORY_LOAD_TIME = 60000; // 60 seconds timeout
-
-/**
- * Enhanced path handling functions for cross-platform compatibility
- */
-
-/**
- * Normalize file paths to use forward slashes regardless of OS
- * This ensures consistent path formatting between main and renderer processes
- * Also handles UNC paths on Windows
- */
-function normalizePath(filePath) {
-  if (!filePath) return filePath;
-
-  // Handle Windows UNC paths
-  if (process.platform === 'win32' && filePath.startsWith('\\\\')) {
-    // Preserve the UNC path format but normalize separators
-    return '\\\\' + filePath.slice(2).replace(/\\/g, '/');
+const PROGRESS_INTERVAL_MS = 100; // Minimum time between progress messages to the renderer
+
+// App-level ignore settings, edited in the Ignore Rules panel
+let ignoreSettingsStore = null;
+function getIgnoreSettings() {
+  if (!ignoreSettingsStore) {
+    ignoreSettingsStore = createJsonStore(
+      path.join(app.getPath("userData"), "ignore-settings.json"),
+      DEFAULT_IGNORE_SETTINGS
+    );
   }
-
-  return filePath.replace(/\\/g, '/');
+  return sanitizeIgnoreSettings(ignoreSettingsStore.get());
 }
 
-/**
- * Get the platform-specific path separator
- */
-function getPathSeparator() {
-  return path.sep;
+// Selected model profile (tokenizer and context window)
+let modelSettingsStore = null;
+function getModelSettings() {
+  if (!modelSettingsStore) {
+    modelSettingsStore = createJsonStore(
+      path.join(app.getPath("userData"), "model-settings.json"),
+      DEFAULT_MODEL_SETTINGS
+    );
+  }
+  return sanitizeModelSettings(modelSettingsStore.get());
 }
 
-/**
- * Ensures a path is absolute and normalized for the current platform
- * @param {string} inputPath - The path to normalize
- * @returns {string} - Normalized absolute path
- */
-function ensureAbsolutePath(inputPath) {
-  if (!path.isAbsolute(inputPath)) {
-    inputPath = path.resolve(inputPath);
+// User-defined output templates, edited in the Templates panel
+let templateStore = null;
+function getTemplateSettings() {
+  if (!templateStore) {
+    templateStore = createJsonStore(
+      path.join(app.getPath("userData"), "output-templates.json"),
+      DEFAULT_TEMPLATE_SETTINGS
+    );
   }
-  return normalizePath(inputPath);
+  return sanitizeTemplateSettings(templateStore.get());
 }
 
-/**
- * Safely joins paths across different platforms
- * @param {...string} paths - Path segments to join
- * @returns {string} - Normalized joined path
- */
-function safePathJoin(...paths) {
-  const joined = path.join(...paths);
-  return normalizePath(joined);
+// Named selection presets of each root folder
+let presetStore = null;
+function getPresetStore() {
+  if (!presetStore) {
+    presetStore = createJsonStore(
+      path.join(app.getPath("userData"), "selection-presets.json"),
+      DEFAULT_PRESET_SETTINGS
+    );
+  }
+  return presetStore;
 }
 
-/**
- * Safely calculates relative path between two paths
- * Handles different OS path formats and edge cases
- * @param {string} from - Base path
- * @param {string} to - Target path
- * @returns {string} - Normalized relative path
- */
-function safeRelativePath(from, to) {
-  // Normalize both paths to use the same separator format
-  from = normalizePath(from);
-  to = normalizePath(to);
-  
-  // Handle Windows drive letter case-insensitivity
-  if (process.platform === 'win32') {
-    from = from.toLowerCase();
-    to = to.toLowerCase();
+// Findings of the secret scan allowed to be copied, for each root folder
+let secretExceptionStore = null;
+function getSecretExceptionStore() {
+  if (!secretExceptionStore) {
+    secretExceptionStore = createJsonStore(
+      path.join(app.getPath("userData"), "secret-exceptions.json"),
+      DEFAULT_SECRET_EXCEPTION_SETTINGS
+    );
   }
-  
-  let relativePath = path.relative(from, to);
-  return normalizePath(relativePath);
+  return secretExceptionStore;
 }
 
-/**
- * Checks if a path is a valid path for the current OS
- * @param {string} pathToCheck - Path to validate
- * @returns {boolean} - True if path is valid
- */
-function isValidPath(pathToCheck) {
-  try {
-    path.parse(pathToCheck);
-    return true;
-  } catch (err) {
-    return false;
+// Selection, expanded nodes, search term and instructions of each opened folder
+let workspaceStore = null;
+function getWorkspaceStore() {
+  if (!workspaceStore) {
+    workspaceStore = createJsonStore(
+      path.join(app.getPath("userData"), "workspace-state.json"),
+      DEFAULT_WORKSPACE_SETTINGS,
+      { pretty: false }
+    );
   }
+  return workspaceStore;
 }
 
-// Add handling for the 'ignore' module
-let ignore;
-try {
-  ignore = require("ignore");
-  console.log("Successfully loaded ignore module");
-} catch (err) {
-  console.error("Failed to load ignore module:", err);
-  // Simple fallback implementation for when the ignore module fails to load
-  ignore = {
-    // Simple implementation that just matches exact paths
-    createFilter: () => {
-      return (path) => !excludedFiles.includes(path);
-    },
-  };
-  console.log("Using fallback for ignore module");
+// Recent folders with a flag for those that were deleted or moved since
+function listRecentFolders() {
+  return getRecentFolders(getWorkspaceStore().get("folders")).map((folder) => ({
+    ...folder,
+    exists: fs.existsSync(folder.path),
+  }));
+}
+
+// Token counts of unchanged files, kept between scans and app restarts
+let scanCache = null;
+function getScanCache() {
+  if (!scanCache) {
+    scanCache = createScanCache(path.join(app.getPath("userData"), "scan-cache.json"));
+  }
+  return scanCache;
 }
 
-// Initialize tokenizer with better error handling
-let tiktoken;
+// Worker threads that read and tokenize files off the main thread
+let tokenizerPool = null;
+function getTokenizerPool() {
+  if (!tokenizerPool) {
+    tokenizerPool = createTokenizerPool();
+  }
+  return tokenizerPool;
+}
 
 // Initialize chokidar for file watching
 let chokidar;
@@ -125,35 +177,6 @@ try {
   console.error("Failed to load chokidar module:", err);
   chokidar = null; // Set to null if loading fails
 }
-try {
-  tiktoken = require("tiktoken");
-  console.log("Successfully loaded tiktoken module");
-} catch (err) {
-  console.error("Failed to load tiktoken module:", err);
-  tiktoken = null;
-}
-
-// Import the excluded files list
-const { excludedFiles, binaryExtensions } = require("./excluded-files");
-
-// Initialize the encoder once at startup with better error handling
-let encoder;
-try {
-  if (tiktoken) {
-    encoder = tiktoken.get_encoding("o200k_base"); // gpt-4o encoding
-    console.log("Tiktoken encoder initialized successfully");
-  } else {
-    throw new Error("Tiktoken module not available");
-  }
-} catch (err) {
-  console.error("Failed to initialize tiktoken encoder:", err);
-  // Fallback to a simpler method if tiktoken fails
-  console.log("Using fallback token counter");
-  encoder = null;
-}
-
-// Max file size to read (5MB) - BINARY_EXTENSIONS constant removed
-const MAX_FILE_SIZE = 5 * 1024 * 1024;
 
 function createWindow() {
   // Check if we're starting in safe mode (Shift key pressed)
@@ -204,87 +227,6 @@ function createWindow() {
   }
 }
 
-/**
- * Processes a single file: reads stats, content, counts tokens, and checks ignore rules.
- * Used by both initial scan and live file watching.
- * @param {string} fullPath - Absolute path to the file.
- * @param {string} rootDir - Root directory for relative path calculation.
- * @param {object} ignoreFilter - The ignore filter instance.
- * @returns {Promise<object|null>} File data object or null if ignored/error.
- */
-async function processSingleFile(fullPath, rootDir, ignoreFilter) {
-  console.log(`Processing file: ${fullPath}`);
-  try {
-    // Ensure paths are absolute and normalized
-    fullPath = ensureAbsolutePath(fullPath);
-    rootDir = ensureAbsolutePath(rootDir);
-
-    // Calculate relative path safely
-    const relativePath = safeRelativePath(rootDir, fullPath);
-
-    // Skip if invalid path or outside root
-    if (!isValidPath(relativePath) || relativePath.startsWith('..')) {
-      console.log('Skipping file outside root:', fullPath);
-      return null;
-    }
-
-    // Check ignore rules
-    if (ignoreFilter.ignores(relativePath)) {
-      return null;
-    }
-
-    const stats = await fs.promises.stat(fullPath);
-    const fileData = {
-      name: path.basename(fullPath),
-      path: normalizePath(fullPath),
-      relativePath: relativePath,
-      size: stats.size,
-      isBinary: false,
-      isSkipped: false,
-      content: "",
-      tokenCount: 0,
-      excludedByDefault: shouldExcludeByDefault(fullPath, rootDir)
-    };
-
-    // Handle binary, large files, read content and count tokens
-    if (stats.size > MAX_FILE_SIZE) {
-      fileData.isSkipped = true;
-      fileData.error = "File too large to process";
-      return fileData;
-    }
-
-    // Check if file is binary
-    const ext = path.extname(fullPath).substring(1).toLowerCase();
-    if (binaryExtensions.includes(ext)) {
-      fileData.isBinary = true;
-      fileData.fileType = ext.toUpperCase();
-      return fileData;
-    }
-
-    // Read file content
-    const content = await fs.promises.readFile(fullPath, "utf8");
-    fileData.content = content;
-    fileData.tokenCount = countTokens(content);
-
-    return fileData;
-  } catch (err) {
-    console.error(`Error processing single file ${fullPath}:`, err);
-    // Return a skipped object on error to inform the UI
-    return {
-      name: path.basename(fullPath),
-      path: normalizePath(fullPath),
-      relativePath: safeRelativePath(rootDir, fullPath),
-      size: 0,
-      isBinary: false, // Assume not binary on error
-      isSkipped: true,
-      error: `Error: ${err.message}`,
-      content: "",
-      tokenCount: 0,
-      excludedByDefault: shouldExcludeByDefault(fullPath, rootDir)
-    };
-  }
-}
-
 app.whenReady().then(() => {
   createWindow();
 
@@ -293,6 +235,25 @@ app.whenReady().then(() => {
   });
 });
 
+// The scan cache and the workspace state are written without blocking, so
+// quitting waits for them (after the windows saved their last changes)
+let isSavedBeforeQuit = false;
+
+app.on("will-quit", (event) => {
+  if (!isSavedBeforeQuit) {
+    event.preventDefault();
+    Promise.all([
+      scanCache ? scanCache.save() : null,
+      workspaceStore ? workspaceStore.whenWritten() : null,
+    ]).finally(() => {
+      isSavedBeforeQuit = true;
+      app.quit();
+    });
+    return;
+  }
+  if (tokenizerPool) tokenizerPool.destroy();
+});
+
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     if (currentWatcher) {
@@ -324,260 +285,6 @@ ipcMain.on("open-folder", async (event) => {
   }
 });
 
-/**
- * Parse .gitignore file if it exists and create an ignore filter
- * Handles path normalization for cross-platform compatibility
- * 
- * @param {string} rootDir - The root directory containing .gitignore
- * @returns {object} - Configured ignore filter
- */
-function loadGitignore(rootDir) {
-  const ig = ignore();
-  
-  // Ensure root directory path is absolute and normalized
-  rootDir = ensureAbsolutePath(rootDir);
-  const gitignorePath = safePathJoin(rootDir, ".gitignore");
-
-  if (fs.existsSync(gitignorePath)) {
-    try {
-      const gitignoreContent = fs.readFileSync(gitignorePath, "utf8");
-      // Split content into lines and normalize path separators
-      const normalizedPatterns = gitignoreContent
-        .split(/\r?\n/)
-        .map(pattern => pattern.trim())
-        .filter(pattern => pattern && !pattern.startsWith('#'))
-        .map(pattern => normalizePath(pattern));
-
-      ig.add(normalizedPatterns);
-    } catch (err) {
-      console.error("Error reading .gitignore:", err);
-    }
-  }
-
-  // Add some default ignores that are common
-  ig.add([
-    ".git",
-    "node_modules",
-    ".DS_Store",
-    // Add Windows-specific files to ignore
-    "Thumbs.db",
-    "desktop.ini",
-    // Add common IDE files
-    ".idea",
-    ".vscode",
-    // Add common build directories
-    "dist",
-    "build",
-    "out"
-  ]);
-
-  // Normalize and add the excludedFiles patterns
-  const normalizedExcludedFiles = excludedFiles.map(pattern => normalizePath(pattern));
-  ig.add(normalizedExcludedFiles);
-
-  return ig;
-}
-
-// Check if file is binary based on extension
-function isBinaryFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  // Use imported binaryExtensions directly
-  return binaryExtensions.includes(ext);
-}
-
-// Count tokens using tiktoken with o200k_base encoding
-function countTokens(text) {
-  // Simple fallback implementation if encoder fails
-  if (!encoder) {
-    return Math.ceil(text.length / 4);
-  }
-
-  try {
-    // Remove any special tokens that might cause issues
-    const cleanText = text.replace(/<\|endoftext\|>/g, '');
-    const tokens = encoder.encode(cleanText);
-    return tokens.length;
-  } catch (err) {
-    console.error("Error counting tokens:", err);
-    // Fallback to character-based estimation on error
-    return Math.ceil(text.length / 4);
-  }
-}
-
-/**
- * Recursively reads files from a directory with chunked processing and cancellation support.
- * Implements several performance and safety features:
- * - Processes files in small chunks to maintain UI responsiveness
- * - Supports immediate cancellation at any point
- * - Handles binary files and large files appropriately
- * - Respects .gitignore and custom exclusion patterns
- * - Provides progress updates to the UI
- * - Handles cross-platform path issues including UNC paths
- * 
- * @param {string} dir - The directory to process
- * @param {string} rootDir - The root directory (used for relative path calculations)
- * @param {object} ignoreFilter - The ignore filter instance for file exclusions
- * @param {BrowserWindow} window - The Electron window instance for sending updates
- * @returns {Promise<Array>} Array of processed file objects
- */
-async function readFilesRecursively(dir, rootDir, ignoreFilter, window) {
-  if (!isLoadingDirectory) return [];
-  
-  // Ensure absolute and normalized paths
-  dir = ensureAbsolutePath(dir);
-  rootDir = ensureAbsolutePath(rootDir || dir);
-  ignoreFilter = ignoreFilter || loadGitignore(rootDir);
-
-  let results = [];
-  let processedFiles = 0;
-  const CHUNK_SIZE = 20;
-
-  try {
-    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
-    if (!isLoadingDirectory) return results;
-
-    const directories = dirents.filter(dirent => dirent.isDirectory());
-    const files = dirents.filter(dirent => dirent.isFile());
-
-    // Process directories first
-    for (const dirent of directories) {
-      if (!isLoadingDirectory) return results;
-
-      const fullPath = safePathJoin(dir, dirent.name);
-      // Calculate relative path safely
-      const relativePath = safeRelativePath(rootDir, fullPath);
-
-      // Skip PasteMax app directories and invalid paths - Refined .app check
-      const isAppBundle = /\.app($|\/)/.test(fullPath); // Check for /.app/ or path ending in .app
-      if (isAppBundle || fullPath === app.getAppPath() ||
-          !isValidPath(relativePath) || relativePath.startsWith('..')) {
-        console.log('Skipping directory:', fullPath);
-        continue;
-      }
-
-      // Only process if not ignored
-      if (!ignoreFilter.ignores(relativePath)) {
-        const subResults = await readFilesRecursively(fullPath, rootDir, ignoreFilter, window);
-        if (!isLoadingDirectory) return results;
-        results = results.concat(subResults);
-      }
-
-      window.webContents.send("file-processing-status", {
-        status: "processing",
-        message: `Scanning directories... (Press ESC to cancel)`,
-      });
-    }
-
-    // Process files in chunks
-    for (let i = 0; i < files.length; i += CHUNK_SIZE) {
-      if (!isLoadingDirectory) return results;
-
-      const chunk = files.slice(i, i + CHUNK_SIZE);
-      
-      const chunkPromises = chunk.map(async (dirent) => {
-        if (!isLoadingDirectory) return null;
-
-        const fullPath = safePathJoin(dir, dirent.name);
-        // Calculate relative path safely
-        const relativePath = safeRelativePath(rootDir, fullPath);
-
-        // Skip PasteMax app files and invalid paths - Refined .app check
-        const isAppBundleFile = /\.app($|\/)/.test(fullPath); // Check for /.app/ or path ending in .app
-        if (isAppBundleFile || fullPath === app.getAppPath() || 
-            !isValidPath(relativePath) || relativePath.startsWith('..')) {
-          // Removed console log here for files to reduce noise, keep for dirs
-          return null;
-        }
-
-        const isIgnored = ignoreFilter.ignores(relativePath);
-        if (isIgnored) {
-          return null;
-        }
-
-        try {
-          const stats = await fs.promises.stat(fullPath);
-          if (!isLoadingDirectory) return null;
-          
-          if (stats.size > MAX_FILE_SIZE) {
-            return {
-              name: dirent.name,
-              path: normalizePath(fullPath),
-              relativePath: relativePath,
-              tokenCount: 0,
-              size: stats.size,
-              content: "",
-              isBinary: false,
-              isSkipped: true,
-              error: "File too large to process"
-            };
-          }
-
-          if (isBinaryFile(fullPath)) {
-            return {
-              name: dirent.name,
-              path: normalizePath(fullPath),
-              relativePath: relativePath,
-              tokenCount: 0,
-              size: stats.size,
-              content: "",
-              isBinary: true,
-              isSkipped: false,
-              fileType: path.extname(fullPath).substring(1).toUpperCase()
-            };
-          }
-
-          const fileContent = await fs.promises.readFile(fullPath, "utf8");
-          if (!isLoadingDirectory) return null;
-          
-          return {
-            name: dirent.name,
-            path: normalizePath(fullPath),
-            relativePath: relativePath,
-            content: fileContent,
-            tokenCount: countTokens(fileContent),
-            size: stats.size,
-            isBinary: false,
-            isSkipped: false
-          };
-        } catch (err) {
-          console.error(`Error reading file ${fullPath}:`, err);
-          return {
-            name: dirent.name,
-            path: normalizePath(fullPath),
-            relativePath: relativePath,
-            tokenCount: 0,
-            size: 0,
-            isBinary: false,
-            isSkipped: true,
-            error: err.code === 'EPERM' ? "Permission denied" : 
-                   err.code === 'ENOENT' ? "File not found" : 
-                   "Could not read file"
-          };
-        }
-      });
-
-      const chunkResults = await Promise.all(chunkPromises);
-      if (!isLoadingDirectory) return results;
-      
-      results = results.concat(chunkResults.filter(result => result !== null));
-      processedFiles += chunk.length;
-      
-      window.webContents.send("file-processing-status", {
-        status: "processing",
-        message: `Processing files... ${processedFiles}/${files.length} (Press ESC to cancel)`,
-      });
-    }
-  } catch (err) {
-    console.error(`Error reading directory ${dir}:`, err);
-    if (err.code === 'EPERM' || err.code === 'EACCES') {
-      console.log(`Skipping inaccessible directory: ${dir}`);
-      return results;
-    }
-  }
-
-  return results;
-}
-
 // Modify the request-file-list handler to use async/await
 ipcMain.on("request-file-list", async (event, folderPath) => {
   // Prevent processing if already loading - Simply return if busy
@@ -617,8 +324,27 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
 
     // Process files with async/await
     const rootDir = ensureAbsolutePath(folderPath);
-    const ignoreFilter = loadGitignore(rootDir);
-    const files = await readFilesRecursively(rootDir, rootDir, ignoreFilter, BrowserWindow.fromWebContents(event.sender));
+    const { config: projectConfig, errors: projectConfigErrors } = loadProjectConfig(rootDir);
+    const ignoreOptions = resolveIgnoreOptions(projectConfig, getIgnoreSettings());
+    const ignoreFilter = loadGitignore(rootDir, ignoreOptions);
+    const profile = getModelProfile(getModelSettings());
+    const window = BrowserWindow.fromWebContents(event.sender);
+    let lastProgressTime = 0;
+    const files = await readFilesRecursively(rootDir, rootDir, ignoreFilter, {
+      isCancelled: () => !isLoadingDirectory,
+      // Progress is reported per file, so throttle it to keep the IPC channel quiet
+      onProgress: (status) => {
+        const now = Date.now();
+        if (now - lastProgressTime < PROGRESS_INTERVAL_MS) return;
+        lastProgressTime = now;
+        window.webContents.send("file-processing-status", status);
+      },
+      appPath: app.getAppPath(),
+      cache: getScanCache(),
+      tokenizer: getTokenizerPool(),
+      loadContent: false, // The renderer asks for contents through "read-file-contents"
+      profile,
+    });
     
     // If loading was cancelled, return early
     if (!isLoadingDirectory) {
@@ -631,6 +357,11 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
       loadingTimeoutId = null;
     }
     isLoadingDirectory = false;
+    currentRootDir = rootDir;
+
+    // Forget files that were deleted or are now ignored, then persist the cache
+    getScanCache().prune(normalizePath(rootDir), new Set(files.map(file => file.path)));
+    getScanCache().save();
 
     // Update with processing complete status
     event.sender.send("file-processing-status", {
@@ -638,29 +369,37 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
       message: `Found ${files.length} files`,
     });
 
-    // Process the files to ensure they're serializable
+    // Process the files to ensure they're serializable. Contents are left out
+    // to keep the message small; the renderer loads them when it needs them.
     const serializedFiles = files.map(file => ({
       path: file.path, // Keep the full path
       relativePath: file.relativePath, // Use the relative path for display
       name: file.name,
       size: file.size,
+      mtimeMs: file.mtimeMs,
       isDirectory: file.isDirectory,
       extension: path.extname(file.name).toLowerCase(),
-      excluded: shouldExcludeByDefault(file.path, folderPath),
-      content: file.content,
+      excluded: shouldExcludeByDefault(file.path, folderPath, ignoreOptions),
       tokenCount: file.tokenCount,
       isBinary: file.isBinary,
       isSkipped: file.isSkipped,
       error: file.error,
     }));
 
+    // Project settings go first so the renderer can apply them to the new file list
+    event.sender.send("project-config", {
+      rootDir,
+      config: projectConfig,
+      errors: projectConfigErrors,
+      reason: "load",
+    });
     event.sender.send("file-list-data", serializedFiles);
 
     // Start the file watcher only if chokidar loaded successfully
     if (chokidar) {
       console.log(`Starting file watcher for: ${rootDir}`);
       currentWatcher = chokidar.watch(rootDir, {
-        ignored: (filePath) => {
+        ignored: (filePath, stats) => {
           const absolutePath = ensureAbsolutePath(filePath);
           let relative = ''; // Initialize relative path
 
@@ -684,7 +423,9 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
             try {
               // Ensure ignoreFilter exists before calling ignores
               if (ignoreFilter && typeof ignoreFilter.ignores === 'function') {
-                 isIgnoredByRules = ignoreFilter.ignores(relative); // 'relative' is guaranteed not empty here
+                 // 'relative' is guaranteed not empty here; mark directories so directory-only patterns match
+                 const isDirectory = stats && typeof stats.isDirectory === 'function' && stats.isDirectory();
+                 isIgnoredByRules = ignoreFilter.ignores(isDirectory ? relative + '/' : relative);
               } else {
                  console.warn('ignoreFilter or ignoreFilter.ignores is not available.');
                  return true;
@@ -707,11 +448,33 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
         depth: 99
       });
 
+      // A .gitignore can hide or reveal files that are already listed (or that the
+      // watcher skipped), and project settings can change ignores and defaults
+      // everywhere, so in both cases the renderer is told to request a fresh scan.
+      // The cached .gitignore rules are dropped first so events until then use the new rules.
+      const refreshIgnoreRules = (normalizedPath) => {
+        const relativePath = safeRelativePath(rootDir, normalizedPath);
+        if (path.basename(normalizedPath) === '.gitignore') {
+          const relativeDir = path.posix.dirname(relativePath);
+          console.log(`Reloading ignore rules for: ${relativeDir}`);
+          ignoreFilter.invalidate(relativeDir);
+          event.sender.send('ignore-rules-changed', { rootDir, file: relativePath });
+        } else if (isProjectConfigFile(relativePath)) {
+          console.log(`Project config changed: ${relativePath}`);
+          const { config, errors } = loadProjectConfig(rootDir);
+          event.sender.send('project-config', { rootDir, config, errors, reason: "change" });
+        }
+      };
+
+      // Changed files are counted the same way as in the scan
+      const fileOptions = { cache: getScanCache(), tokenizer: getTokenizerPool(), loadContent: false, profile };
+
       currentWatcher
         .on('add', async (filePath) => {
           const normalizedPath = normalizePath(filePath);
           console.log(`<<< CHOKIDAR EVENT: add - ${normalizedPath} >>>`);
-          const fileData = await processSingleFile(normalizedPath, rootDir, ignoreFilter);
+          refreshIgnoreRules(normalizedPath);
+          const fileData = await processSingleFile(normalizedPath, rootDir, ignoreFilter, ignoreOptions, fileOptions);
           if (fileData) { // Send update even if skipped
             console.log(`[Watcher Sending IPC] file-added for ${normalizedPath}`);
             event.sender.send('file-added', fileData);
@@ -720,7 +483,8 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
         .on('change', async (filePath) => {
           const normalizedPath = normalizePath(filePath);
           console.log(`<<< CHOKIDAR EVENT: change - ${normalizedPath} >>>`);
-          const fileData = await processSingleFile(normalizedPath, rootDir, ignoreFilter);
+          refreshIgnoreRules(normalizedPath);
+          const fileData = await processSingleFile(normalizedPath, rootDir, ignoreFilter, ignoreOptions, fileOptions);
           if (fileData) { // Send update even if skipped
             event.sender.send('file-updated', fileData);
           }
@@ -728,6 +492,8 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
         .on('unlink', (filePath) => {
           const normalizedPath = normalizePath(filePath);
           console.log(`<<< CHOKIDAR EVENT: unlink - ${normalizedPath} >>>`);
+          refreshIgnoreRules(normalizedPath);
+          getScanCache().delete(normalizedPath);
           event.sender.send('file-removed', normalizedPath);
         })
         .on('error', (error) => {
@@ -760,69 +526,375 @@ ipcMain.on("request-file-list", async (event, folderPath) => {
   }
 });
 
-// Add handler for cancel-directory-loading event
-ipcMain.on("cancel-directory-loading", (event) => {
-  cancelDirectoryLoading(BrowserWindow.fromWebContents(event.sender));
+// Ignore Rules panel: current settings plus the patterns each built-in source contributes
+ipcMain.handle("get-ignore-settings", (event, folderPath) => {
+  const projectConfig = folderPath ? loadProjectConfig(ensureAbsolutePath(folderPath)).config : null;
+  return {
+    settings: getIgnoreSettings(),
+    sources: {
+      always: ALWAYS_IGNORED_PATTERNS,
+      default: DEFAULT_IGNORE_PATTERNS,
+      excludedFiles,
+      project: projectConfig ? projectConfig.ignore : [],
+    },
+    projectFlags: projectConfig
+      ? { useDefaultIgnores: projectConfig.useDefaultIgnores, useExcludedFiles: projectConfig.useExcludedFiles }
+      : null,
+  };
 });
 
-/**
- * Determines if a file should be excluded based on gitignore patterns and default rules.
- * Handles cross-platform path issues including UNC paths and network shares.
- * 
- * @param {string} filePath - The full path of the file to check
- * @param {string} rootDir - The root directory for relative path calculation
- * @returns {boolean} True if the file should be excluded
- */
-function shouldExcludeByDefault(filePath, rootDir) {
-  // Ensure paths are absolute and normalized
-  filePath = ensureAbsolutePath(filePath);
-  rootDir = ensureAbsolutePath(rootDir);
-  
-  // Calculate relative path safely
-  const relativePath = safeRelativePath(rootDir, filePath);
-  
-  // Don't process paths outside the root directory or invalid paths
-  if (!isValidPath(relativePath) || relativePath.startsWith('..')) {
-    return true;
+ipcMain.handle("set-ignore-settings", (event, settings) => {
+  const sanitized = sanitizeIgnoreSettings(settings);
+  getIgnoreSettings(); // Make sure the store exists
+  ignoreSettingsStore.replace(sanitized);
+  console.log("Saved ignore settings:", sanitized);
+  return sanitized;
+});
+
+// Builds the filters for the saved settings and for edited (unsaved) settings
+function createPreviewFilters(folderPath, draftSettings) {
+  const rootDir = ensureAbsolutePath(folderPath);
+  const { config: projectConfig } = loadProjectConfig(rootDir);
+  return {
+    rootDir,
+    currentFilter: loadGitignore(rootDir, resolveIgnoreOptions(projectConfig, getIgnoreSettings())),
+    nextFilter: loadGitignore(
+      rootDir,
+      resolveIgnoreOptions(projectConfig, sanitizeIgnoreSettings(draftSettings))
+    ),
+  };
+}
+
+ipcMain.handle("preview-ignore-rules", async (event, { folderPath, settings }) => {
+  const { rootDir, currentFilter, nextFilter } = createPreviewFilters(folderPath, settings);
+  return previewIgnoreChanges(rootDir, nextFilter, currentFilter);
+});
+
+ipcMain.handle("explain-ignore-path", async (event, { folderPath, settings, relativePath }) => {
+  const { rootDir, nextFilter } = createPreviewFilters(folderPath, settings);
+  const cleanPath = normalizePath(relativePath || "").replace(/^\/+/, "");
+  if (!cleanPath) return { ignored: false };
+
+  // Directories need a trailing slash so directory-only patterns match
+  let testPath = cleanPath;
+  let exists = false;
+  try {
+    const stats = await fs.promises.stat(path.join(rootDir, cleanPath));
+    exists = true;
+    if (stats.isDirectory() && !testPath.endsWith("/")) testPath += "/";
+  } catch (err) {
+    // The path doesn't exist; test it as given
   }
+  return { ...nextFilter.explain(testPath), exists };
+});
 
-  // Handle Windows-specific paths
-  if (process.platform === 'win32') {
-    // Skip system files and folders
-    if (/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i.test(path.basename(filePath))) {
-      return true;
-    }
-    
-    // Skip Windows system directories
-    if (filePath.toLowerCase().includes('\\windows\\') || 
-        filePath.toLowerCase().includes('\\system32\\')) {
-      return true;
-    }
+// File contents for copying and previewing, read in batches by the renderer
+ipcMain.handle("read-file-contents", async (event, filePaths) => {
+  if (!currentRootDir) {
+    return { contents: {}, errors: {} };
   }
+  return readFileContents(Array.isArray(filePaths) ? filePaths : [], currentRootDir);
+});
 
-  // Handle macOS-specific paths
-  if (process.platform === 'darwin') {
-    // Skip macOS system files
-    if (filePath.includes('/.Spotlight-') || 
-        filePath.includes('/.Trashes') || 
-        filePath.includes('/.fseventsd')) {
-      return true;
-    }
+// Content search in the sidebar; a new search cancels the one still running
+ipcMain.handle("search-file-contents", async (event, { filePaths, query, isRegex, caseSensitive }) => {
+  const searchId = ++contentSearchId;
+  if (!currentRootDir) {
+    return { matches: [], totalMatches: 0, searchedFiles: 0, cancelled: false };
   }
+  return searchFileContents(
+    Array.isArray(filePaths) ? filePaths : [],
+    currentRootDir,
+    { query, isRegex, caseSensitive },
+    () => searchId !== contentSearchId
+  );
+});
 
-  // Handle Linux-specific paths
-  if (process.platform === 'linux') {
-    // Skip Linux system directories
-    if (filePath.startsWith('/proc/') || 
-        filePath.startsWith('/sys/') || 
-        filePath.startsWith('/dev/')) {
-      return true;
+// "Select dependencies": loaded files imported by the selection, up to a depth (0 for all)
+ipcMain.handle("find-file-dependencies", async (event, { filePaths, paths, depth }) => {
+  if (!currentRootDir) {
+    return { files: [] };
+  }
+  return findDependencies(
+    Array.isArray(filePaths) ? filePaths : [],
+    Array.isArray(paths) ? paths : [],
+    currentRootDir,
+    Number.isInteger(depth) && depth > 0 ? depth : 0
+  );
+});
+
+// "Select dependents": loaded files importing a file, directly or through other files
+ipcMain.handle("find-file-dependents", async (event, { filePaths, paths }) => {
+  if (!currentRootDir) {
+    return { files: [] };
+  }
+  return findDependents(
+    Array.isArray(filePaths) ? filePaths : [],
+    Array.isArray(paths) ? paths : [],
+    currentRootDir
+  );
+});
+
+// Top-level symbols of files, with the tokens of each counted with the current model profile
+ipcMain.handle("get-file-outlines", async (event, { paths }) => {
+  if (!currentRootDir) {
+    return { files: [] };
+  }
+  const profile = getModelProfile(getModelSettings());
+  const results = await readFileOutlines(Array.isArray(paths) ? paths : [], currentRootDir);
+  const files = results.map(({ path: filePath, content, outline, error }) => {
+    if (!outline) {
+      return { path: filePath, language: null, imports: [], importTokenCount: 0, symbols: [], error };
     }
+    const lines = content.split(/\r?\n/);
+    const countLines = ({ start, end }) => countTokens(lines.slice(start - 1, end).join("\n"), profile);
+    return {
+      path: filePath,
+      language: outline.language,
+      imports: outline.imports,
+      importTokenCount: outline.imports.reduce((sum, span) => sum + countLines(span), 0),
+      symbols: outline.symbols.map((symbol) => ({ ...symbol, tokenCount: countLines(symbol) })),
+    };
+  });
+  return { files };
+});
+
+// Secrets in the files about to be copied and in the git diffs and history copied along, checked
+// before every copy; with redact, also that text with the secrets that aren't allowed replaced
+ipcMain.handle("scan-secrets", async (event, { paths, texts, redact }) => {
+  if (!currentRootDir) {
+    return { files: [], redacted: {} };
   }
+  const exceptions = sanitizeSecretExceptions(getSecretExceptionStore().get("folders")[currentRootDir]);
+  return scanForSecrets(
+    Array.isArray(paths) ? paths : [],
+    Array.isArray(texts) ? texts : [],
+    currentRootDir,
+    exceptions,
+    redact === true
+  );
+});
 
-  const ig = ignore().add(excludedFiles);
-  return ig.ignores(relativePath);
-}
+// Allows one finding of the open folder to be copied, or blocks it again
+ipcMain.handle("set-secret-exception", (event, { relativePath, ruleId, fingerprint, allowed }) => {
+  if (!currentRootDir) return;
+  const folders = { ...getSecretExceptionStore().get("folders") };
+  const others = sanitizeSecretExceptions(folders[currentRootDir]).filter(
+    (exception) => exception.path !== relativePath || exception.fingerprint !== fingerprint
+  );
+  const exceptions = allowed
+    ? sanitizeSecretExceptions([...others, { path: relativePath, ruleId, fingerprint, createdAt: Date.now() }])
+    : others;
+
+  if (exceptions.length > 0) {
+    folders[currentRootDir] = exceptions;
+  } else {
+    delete folders[currentRootDir];
+  }
+  secretExceptionStore.set("folders", folders);
+});
+
+// Model profile selector: the available profiles and the current choice
+ipcMain.handle("get-model-settings", () => {
+  const settings = getModelSettings();
+  return { settings, profiles: MODEL_PROFILES, profile: getModelProfile(settings) };
+});
+
+// Saves the model choice; the renderer rescans the folder to recount tokens
+ipcMain.handle("set-model-settings", (event, settings) => {
+  const sanitized = sanitizeModelSettings(settings);
+  getModelSettings(); // Make sure the store exists
+  modelSettingsStore.replace(sanitized);
+  console.log("Saved model settings:", sanitized);
+  return { settings: sanitized, profiles: MODEL_PROFILES, profile: getModelProfile(sanitized) };
+});
+
+// Templates panel: the saved output templates
+ipcMain.handle("get-output-templates", () => {
+  return getTemplateSettings().templates;
+});
+
+// Saves the whole template list as edited in the panel
+ipcMain.handle("set-output-templates", (event, templates) => {
+  const sanitized = sanitizeTemplateSettings({ templates });
+  getTemplateSettings(); // Make sure the store exists
+  templateStore.replace(sanitized);
+  console.log(`Saved ${sanitized.templates.length} output templates`);
+  return sanitized.templates;
+});
+
+// Reads a shared template file; the panel adds it to its list and saves it with the others
+ipcMain.handle("import-output-template", async (event) => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: "Import Template",
+    properties: ["openFile"],
+    filters: [{ name: "PasteMax Templates", extensions: ["json"] }],
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const template = parseTemplateFile(await fs.promises.readFile(result.filePaths[0], "utf8"));
+  console.log("Imported output template:", template.name);
+  return { canceled: false, template };
+});
+
+// Writes a template to a file that can be shared with the team
+ipcMain.handle("export-output-template", async (event, rawTemplate) => {
+  const template = sanitizeTemplate(rawTemplate);
+  if (!template) {
+    throw new Error("The template has no file block");
+  }
+
+  const fileName = `${template.name.replace(/[^\w.-]+/g, "-").toLowerCase() || "template"}.pastemax-template.json`;
+  const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: "Export Template",
+    defaultPath: fileName,
+    filters: [{ name: "PasteMax Templates", extensions: ["json"] }],
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  await fs.promises.writeFile(result.filePath, serializeTemplate(template));
+  return { canceled: false, filePath: result.filePath };
+});
+
+// Selection presets of a folder, taking over those of the folder's old location if it was moved
+ipcMain.handle("get-selection-presets", (event, folderPath) => {
+  const rootDir = ensureAbsolutePath(folderPath);
+  const folders = { ...getPresetStore().get("folders") };
+  const { presets, movedFrom } = findFolderPresets(folders, rootDir);
+
+  if (movedFrom) {
+    console.log(`Moving selection presets from ${movedFrom} to ${rootDir}`);
+    delete folders[movedFrom];
+    folders[rootDir] = presets;
+    presetStore.set("folders", folders);
+  }
+  return presets;
+});
+
+// Saves the whole preset list of a folder as edited in the sidebar
+ipcMain.handle("set-selection-presets", (event, { folderPath, presets }) => {
+  const rootDir = ensureAbsolutePath(folderPath);
+  const sanitized = sanitizePresetList(presets);
+  const folders = { ...getPresetStore().get("folders") };
+
+  if (sanitized.length > 0) {
+    folders[rootDir] = sanitized;
+  } else {
+    delete folders[rootDir];
+  }
+  presetStore.set("folders", folders);
+  return sanitized;
+});
+
+// Workspace state of a folder being opened (null the first time); also moves it to the top of the recent folders
+ipcMain.handle("load-workspace-state", (event, folderPath) => {
+  const rootDir = ensureAbsolutePath(folderPath);
+  const folders = getWorkspaceStore().get("folders");
+  if (!folders[rootDir]) return null;
+
+  const workspace = sanitizeWorkspace(folders[rootDir]);
+  workspaceStore.setAsync("folders", updateWorkspace(folders, rootDir, { ...workspace, lastOpened: Date.now() }));
+  return workspace;
+});
+
+// Saves the workspace state of the open folder; the renderer calls this shortly after each change
+ipcMain.handle("set-workspace-state", (event, { folderPath, workspace }) => {
+  const rootDir = ensureAbsolutePath(folderPath);
+  const folders = getWorkspaceStore().get("folders");
+  workspaceStore.setAsync("folders", updateWorkspace(folders, rootDir, { ...workspace, lastOpened: Date.now() }));
+});
+
+// "Recent folders" menu
+ipcMain.handle("get-recent-folders", () => {
+  return listRecentFolders();
+});
+
+ipcMain.handle("remove-recent-folder", (event, folderPath) => {
+  const folders = { ...getWorkspaceStore().get("folders") };
+  delete folders[ensureAbsolutePath(folderPath)];
+  workspaceStore.setAsync("folders", folders);
+  return listRecentFolders();
+});
+
+// "Clear Data" button: forget the state of every folder
+ipcMain.handle("clear-workspace-state", () => {
+  getWorkspaceStore().replaceAsync(DEFAULT_WORKSPACE_SETTINGS);
+});
+
+// Git status of the open folder: badges in the file tree and the "Select modified/staged" actions
+ipcMain.handle("get-git-status", async () => {
+  if (!currentRootDir) {
+    return { isRepo: false, branch: null, branches: [], files: [] };
+  }
+  return getGitStatus(currentRootDir);
+});
+
+// Files changed on the current branch since it left another branch
+ipcMain.handle("get-git-branch-diff", async (event, { base }) => {
+  if (!currentRootDir) {
+    return [];
+  }
+  return getBranchDiffFiles(currentRootDir, base);
+});
+
+// Diffs of the selected files for the <DIFF> section, counted with the current model profile
+ipcMain.handle("get-git-diff", async (event, { paths, range }) => {
+  if (!currentRootDir) {
+    return { files: [], tokenCount: 0 };
+  }
+  const profile = getModelProfile(getModelSettings());
+  const diffs = await getFileDiffs(currentRootDir, {
+    range: range || null,
+    paths: Array.isArray(paths) ? paths : [],
+  });
+  const files = diffs.map((file) => ({ ...file, tokenCount: countTokens(file.diff, profile) }));
+  return { files, tokenCount: files.reduce((sum, file) => sum + file.tokenCount, 0) };
+});
+
+// Recent commits of the selected files and of the repository, counted with the current model profile
+ipcMain.handle("get-git-history", async (event, { paths, commitsPerFile, logCount }) => {
+  if (!currentRootDir) {
+    return { files: null, log: null, logTokenCount: 0, tokenCount: 0 };
+  }
+  const profile = getModelProfile(getModelSettings());
+  const history = await getGitHistory(currentRootDir, {
+    paths: Array.isArray(paths) ? paths : [],
+    commitsPerFile,
+    logCount,
+  });
+  const files = history.files
+    ? history.files.map((file) => ({ ...file, tokenCount: countTokens(file.history, profile) }))
+    : null;
+  const logTokenCount = history.log ? countTokens(history.log, profile) : 0;
+  return {
+    files,
+    log: history.log,
+    logTokenCount,
+    tokenCount: (files || []).reduce((sum, file) => sum + file.tokenCount, logTokenCount),
+  };
+});
+
+// Token counts of texts built in the renderer, such as the picked lines of partial files
+ipcMain.handle("count-tokens", (event, texts) => {
+  const profile = getModelProfile(getModelSettings());
+  return (Array.isArray(texts) ? texts : []).map((text) => (typeof text === "string" ? countTokens(text, profile) : 0));
+});
+
+// "Clear Cache" button: forget all cached token counts
+ipcMain.handle("clear-scan-cache", () => {
+  const removed = getScanCache().clear();
+  console.log(`Cleared scan cache (${removed} entries)`);
+  return removed;
+});
+
+// Add handler for cancel-directory-loading event
+ipcMain.on("cancel-directory-loading", (event) => {
+  cancelDirectoryLoading(BrowserWindow.fromWebContents(event.sender));
+});
 
 // Add a debug handler for file selection
 ipcMain.on("debug-file-selection", (event, data) => {
@@ -845,6 +917,9 @@ function cancelDirectoryLoading(window) {
   // Ensure flag is reset here as well
   isLoadingDirectory = false;
 
+  // Stop the workers; files they were still reading are dropped from the scan
+  if (tokenizerPool) tokenizerPool.cancel();
+
   if (loadingTimeoutId) {
     clearTimeout(loadingTimeoutId);
     loadingTimeoutId = null;
@@ -0,0 +1,111 @@
+/**
+ * Model profiles: how tokens are counted and how large the context window is
+ * for the model the user pastes into.
+ *
+ * A profile counts tokens either with a tiktoken encoding ("o200k_base",
+ * "cl100k_base") or with a characters-per-token heuristic ("chars") for
+ * models whose tokenizer isn't available locally. The "custom" profile's
+ * heuristic and context window are set by the user.
+ */
+
+const MODEL_PROFILES = [
+  {
+    id: "gpt-4o",
+    name: "GPT-4o / o1 (o200k_base)",
+    encoding: "o200k_base",
+    contextWindow: 128000,
+  },
+  {
+    id: "gpt-4",
+    name: "GPT-4 Turbo / GPT-3.5 (cl100k_base)",
+    encoding: "cl100k_base",
+    contextWindow: 128000,
+  },
+  {
+    id: "claude",
+    name: "Claude (~3.5 chars per token)",
+    encoding: "chars",
+    charsPerToken: 3.5,
+    contextWindow: 200000,
+  },
+  {
+    id: "gemini",
+    name: "Gemini 1.5 (~4 chars per token)",
+    encoding: "chars",
+    charsPerToken: 4,
+    contextWindow: 1000000,
+  },
+  {
+    id: "custom",
+    name: "Custom",
+    encoding: "chars",
+    charsPerToken: 4,
+    contextWindow: 32000,
+  },
+];
+
+const DEFAULT_MODEL_SETTINGS = {
+  profileId: "gpt-4o",
+  customCharsPerToken: 4,
+  customContextWindow: 32000,
+};
+
+/**
+ * Cleans up model settings received from the renderer
+ * @param {object} raw - Settings to check
+ * @returns {object} Settings with the shape of DEFAULT_MODEL_SETTINGS
+ */
+function sanitizeModelSettings(raw) {
+  const settings = { ...DEFAULT_MODEL_SETTINGS };
+  if (!raw || typeof raw !== "object") return settings;
+
+  if (MODEL_PROFILES.some(profile => profile.id === raw.profileId)) {
+    settings.profileId = raw.profileId;
+  }
+  if (typeof raw.customCharsPerToken === "number" && raw.customCharsPerToken >= 0.5 && raw.customCharsPerToken <= 20) {
+    settings.customCharsPerToken = raw.customCharsPerToken;
+  }
+  if (Number.isInteger(raw.customContextWindow) && raw.customContextWindow > 0) {
+    settings.customContextWindow = raw.customContextWindow;
+  }
+  return settings;
+}
+
+/**
+ * Resolves the profile selected in the settings, filling in the custom values
+ * @param {object} [settings] - Model settings, see DEFAULT_MODEL_SETTINGS
+ * @returns {object} { id, name, encoding, charsPerToken?, contextWindow }
+ */
+function getModelProfile(settings) {
+  const { profileId, customCharsPerToken, customContextWindow } = sanitizeModelSettings(settings);
+  const profile = MODEL_PROFILES.find(candidate => candidate.id === profileId);
+
+  if (profile.id === "custom") {
+    return {
+      ...profile,
+      name: `Custom (~${customCharsPerToken} chars per token)`,
+      charsPerToken: customCharsPerToken,
+      contextWindow: customContextWindow,
+    };
+  }
+  return { ...profile };
+}
+
+/**
+ * Identifies how a profile counts tokens, so counts from one method are never
+ * reused for another (see scan-cache.js)
+ * @param {object} [profile] - From getModelProfile(); defaults to the default profile
+ * @returns {string} e.g. "o200k_base" or "chars-per-token-3.5"
+ */
+function getProfileEncodingKey(profile) {
+  const { encoding, charsPerToken } = profile || getModelProfile();
+  return encoding === "chars" ? `chars-per-token-${charsPerToken}` : encoding;
+}
+
+module.exports = {
+  MODEL_PROFILES,
+  DEFAULT_MODEL_SETTINGS,
+  sanitizeModelSettings,
+  getModelProfile,
+  getProfileEncodingKey,
+};
@@ -0,0 +1,110 @@
+/**
+ * User-defined output templates: a header, a block repeated for every
+ * selected file and a footer, with {{placeholders}} filled in by the
+ * renderer's formatter (see src/utils/contentFormatUtils.ts).
+ *
+ * Templates are kept by the main process in output-templates.json and can be
+ * shared as template files:
+ *
+ *   { "pastemaxTemplate": 1, "name": "...", "header": "...", "fileBlock": "...", "footer": "..." }
+ */
+const crypto = require("crypto");
+
+const TEMPLATE_FILE_VERSION = 1;
+const MAX_TEMPLATE_LENGTH = 20000; // Per part; templates are wrappers, not content
+const MAX_TEMPLATES = 100;
+
+const DEFAULT_TEMPLATE_SETTINGS = {
+  templates: [],
+};
+
+const TEMPLATE_PARTS = ["header", "fileBlock", "footer"];
+
+/**
+ * Cleans up a template received from the renderer or read from a file
+ * @param {object} raw - Template to check
+ * @returns {object|null} { id, name, header, fileBlock, footer }, or null when
+ *   it has no usable file block
+ */
+function sanitizeTemplate(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (typeof raw.fileBlock !== "string" || !raw.fileBlock.trim()) return null;
+
+  const template = {
+    id: typeof raw.id === "string" && raw.id.trim() ? raw.id.trim() : crypto.randomUUID(),
+    name: typeof raw.name === "string" && raw.name.trim() ? raw.name.trim().slice(0, 100) : "Untitled template",
+  };
+  TEMPLATE_PARTS.forEach((part) => {
+    template[part] = typeof raw[part] === "string" ? raw[part].slice(0, MAX_TEMPLATE_LENGTH) : "";
+  });
+  return template;
+}
+
+/**
+ * Cleans up the stored template list, dropping invalid entries and duplicate ids
+ * @param {object} raw - Settings to check
+ * @returns {object} Settings with the shape of DEFAULT_TEMPLATE_SETTINGS
+ */
+function sanitizeTemplateSettings(raw) {
+  const templates = [];
+  const seenIds = new Set();
+  const rawTemplates = raw && Array.isArray(raw.templates) ? raw.templates : [];
+
+  for (const rawTemplate of rawTemplates.slice(0, MAX_TEMPLATES)) {
+    const template = sanitizeTemplate(rawTemplate);
+    if (!template || seenIds.has(template.id)) continue;
+    seenIds.add(template.id);
+    templates.push(template);
+  }
+  return { templates };
+}
+
+/**
+ * Reads a shared template file. The imported template always gets a new id,
+ * so importing the same file twice doesn't overwrite an edited copy.
+ * @param {string} text - File contents
+ * @returns {object} The template
+ * @throws {Error} With a user-facing message when the file isn't a template
+ */
+function parseTemplateFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a valid template file: ${err.message}`);
+  }
+  if (!raw || typeof raw !== "object" || raw.pastemaxTemplate === undefined) {
+    throw new Error("Not a PasteMax template file (missing \"pastemaxTemplate\")");
+  }
+  if (raw.pastemaxTemplate > TEMPLATE_FILE_VERSION) {
+    throw new Error("This template was made by a newer version of PasteMax");
+  }
+
+  const template = sanitizeTemplate({ ...raw, id: null });
+  if (!template) {
+    throw new Error("The template has no \"fileBlock\"");
+  }
+  return template;
+}
+
+/**
+ * Serializes a template for sharing (the id stays local)
+ * @param {object} template - Sanitized template to export
+ * @returns {string} Contents of the template file
+ */
+function serializeTemplate(template) {
+  const { name, header, fileBlock, footer } = template;
+  return JSON.stringify(
+    { pastemaxTemplate: TEMPLATE_FILE_VERSION, name, header, fileBlock, footer },
+    null,
+    2
+  ) + "\n";
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_SETTINGS,
+  sanitizeTemplate,
+  sanitizeTemplateSettings,
+  parseTemplateFile,
+  serializeTemplate,
+};
@@ -0,0 +1,114 @@
+/**
+ * Path helpers and the binary-file check shared by the scanner and the modules
+ * that read files on their own. Unlike file-scanner.js, this module loads
+ * neither tiktoken nor the ignore rules, so worker threads can use it cheaply.
+ */
+const path = require("path");
+const { binaryExtensions } = require("./excluded-files");
+
+/**
+ * Enhanced path handling functions for cross-platform compatibility
+ */
+
+/**
+ * Normalize file paths to use forward slashes regardless of OS
+ * This ensures consistent path formatting between main and renderer processes
+ * Also handles UNC paths on Windows
+ */
+function normalizePath(filePath) {
+  if (!filePath) return filePath;
+
+  // Handle Windows UNC paths
+  if (process.platform === 'win32' && filePath.startsWith('\\\\')) {
+    // Preserve the UNC path format but normalize separators
+    return '\\\\' + filePath.slice(2).replace(/\\/g, '/');
+  }
+
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Get the platform-specific path separator
+ */
+function getPathSeparator() {
+  return path.sep;
+}
+
+/**
+ * Ensures a path is absolute and normalized for the current platform
+ * @param {string} inputPath - The path to normalize
+ * @returns {string} - Normalized absolute path
+ */
+function ensureAbsolutePath(inputPath) {
+  if (!path.isAbsolute(inputPath)) {
+    inputPath = path.resolve(inputPath);
+  }
+  return normalizePath(inputPath);
+}
+
+/**
+ * Safely joins paths across different platforms
+ * @param {...string} paths - Path segments to join
+ * @returns {string} - Normalized joined path
+ */
+function safePathJoin(...paths) {
+  const joined = path.join(...paths);
+  return normalizePath(joined);
+}
+
+/**
+ * Safely calculates relative path between two paths
+ * Handles different OS path formats and edge cases
+ * @param {string} from - Base path
+ * @param {string} to - Target path
+ * @returns {string} - Normalized relative path
+ */
+function safeRelativePath(from, to) {
+  // Normalize both paths to use the same separator format
+  from = normalizePath(from);
+  to = normalizePath(to);
+
+  // Handle Windows drive letter case-insensitivity
+  if (process.platform === 'win32') {
+    from = from.toLowerCase();
+    to = to.toLowerCase();
+  }
+
+  let relativePath = path.relative(from, to);
+  return normalizePath(relativePath);
+}
+
+/**
+ * Checks if a path is a valid path for the current OS
+ * @param {string} pathToCheck - Path to validate
+ * @returns {boolean} - True if path is valid
+ */
+function isValidPath(pathToCheck) {
+  try {
+    path.parse(pathToCheck);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Max file size to read (5MB) - BINARY_EXTENSIONS constant removed
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Check if file is binary based on extension
+function isBinaryFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  // Use imported binaryExtensions directly
+  return binaryExtensions.includes(ext);
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  normalizePath,
+  getPathSeparator,
+  ensureAbsolutePath,
+  safePathJoin,
+  safeRelativePath,
+  isValidPath,
+  isBinaryFile,
+};
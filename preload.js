@@ -52,7 +52,9 @@ contextBridge.exposeInMainWorld("electron", {
       "startup-mode",
       "file-added",
       "file-updated",
-      "file-removed"
+      "file-removed",
+      "project-config",
+      "ignore-rules-changed"
     ];
     if (validChannels.includes(channel)) {
       // Remove any existing listeners to avoid duplicates
@@ -61,6 +63,45 @@ contextBridge.exposeInMainWorld("electron", {
       ipcRenderer.on(channel, (event, ...args) => func(...args));
     }
   },
+  // Request/response calls, answered by ipcMain.handle in main.js
+  invoke: (channel, data) => {
+    const validChannels = [
+      "get-ignore-settings",
+      "set-ignore-settings",
+      "preview-ignore-rules",
+      "explain-ignore-path",
+      "clear-scan-cache",
+      "read-file-contents",
+      "get-model-settings",
+      "set-model-settings",
+      "get-output-templates",
+      "set-output-templates",
+      "import-output-template",
+      "export-output-template",
+      "get-selection-presets",
+      "set-selection-presets",
+      "load-workspace-state",
+      "set-workspace-state",
+      "get-recent-folders",
+      "remove-recent-folder",
+      "clear-workspace-state",
+      "get-git-status",
+      "get-git-branch-diff",
+      "get-git-diff",
+      "get-git-history",
+      "search-file-contents",
+      "find-file-dependencies",
+      "find-file-dependents",
+      "count-tokens",
+      "get-file-outlines",
+      "scan-secrets",
+      "set-secret-exception"
+    ];
+    if (validChannels.includes(channel)) {
+      return ipcRenderer.invoke(channel, ensureSerializable(data));
+    }
+    return Promise.reject(new Error(`Invalid invoke channel: ${channel}`));
+  },
   // For backward compatibility (but still ensure serialization)
   ipcRenderer: {
     send: (channel, data) => {
@@ -89,7 +130,9 @@ contextBridge.exposeInMainWorld("electron", {
         "startup-mode",
         "file-added",
         "file-updated",
-        "file-removed"
+        "file-removed",
+        "project-config",
+        "ignore-rules-changed"
       ];
       if (validChannels.includes(channel)) {
         ipcRenderer.removeListener(channel, (event, ...args) => func(...args));
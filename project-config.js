@@ -0,0 +1,174 @@
+/**
+ * Per-project settings committed to a repository, so everyone who opens it
+ * in PasteMax gets the same context bundle:
+ *
+ * - `.pastemaxignore` - extra ignore patterns in .gitignore syntax
+ * - `.pastemax.json`  - ignore patterns, default selection globs, sort order,
+ *                       file-tree toggle, instructions template and switches
+ *                       for the built-in ignore lists
+ *
+ * Both files live in the root of the opened folder.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseIgnoreFile } = require("./ignore-rules");
+const logger = require("./logger");
+
+const PROJECT_CONFIG_FILE = ".pastemax.json";
+const PROJECT_IGNORE_FILE = ".pastemaxignore";
+
+const SORT_ORDERS = ["tokens-desc", "tokens-asc", "name-asc", "name-desc"];
+
+/**
+ * Settings used when a project has no config files.
+ * `null` means "no project default, keep the user's choice".
+ */
+function getDefaultProjectConfig() {
+  return {
+    ignore: [],               // Extra ignore patterns (.pastemaxignore is appended)
+    include: [],              // Globs selected automatically when the folder is first loaded
+    sortOrder: null,          // One of SORT_ORDERS
+    includeFileTree: null,    // Default for the "Include File Tree" checkbox
+    instructions: null,       // Default user instructions text
+    useDefaultIgnores: true,  // Apply PasteMax's built-in ignores (node_modules, dist, build, ...)
+    useExcludedFiles: true,   // Apply the patterns from excluded-files.js
+  };
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === "string");
+
+/**
+ * Checks whether a path is inside a folder (or is the folder)
+ * @param {string} parent - Absolute folder path
+ * @param {string} child - Absolute path to check
+ * @returns {boolean}
+ */
+function isInsideDir(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+/**
+ * Reads the instructions file named in .pastemax.json. A config committed
+ * to a cloned repository must not pull in files from elsewhere on the
+ * machine, so the path, and the file a symlink points to, must stay inside
+ * the project root.
+ *
+ * @param {string} rootDir - Project root
+ * @param {string} value - Path from the config
+ * @returns {string} The file's contents
+ * @throws {Error} When the file is outside the project root or can't be read
+ */
+function readInstructionsFile(rootDir, value) {
+  const root = path.resolve(rootDir);
+  const filePath = path.resolve(root, value);
+  if (path.isAbsolute(value) || !isInsideDir(root, filePath)) {
+    throw new Error("the path must stay inside the project root");
+  }
+  if (!isInsideDir(fs.realpathSync(root), fs.realpathSync(filePath))) {
+    throw new Error("the file links to a path outside the project root");
+  }
+  return fs.readFileSync(filePath, "utf8");
+}
+
+/**
+ * Validates the parsed contents of .pastemax.json and copies known settings onto config.
+ * Invalid or unknown keys are reported and skipped instead of failing the whole file.
+ *
+ * @param {object} raw - Parsed JSON
+ * @param {object} config - Config to update
+ * @param {string} rootDir - Project root, used to resolve instructionsFile
+ * @param {string[]} errors - Collected problems
+ */
+function applyConfigFile(raw, config, rootDir, errors) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push(`${PROJECT_CONFIG_FILE} must contain a JSON object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    switch (key) {
+      case "ignore":
+      case "include":
+        if (isStringArray(value)) config[key] = value;
+        else errors.push(`"${key}" must be an array of glob strings`);
+        break;
+      case "sortOrder":
+        if (SORT_ORDERS.includes(value)) config.sortOrder = value;
+        else errors.push(`"sortOrder" must be one of: ${SORT_ORDERS.join(", ")}`);
+        break;
+      case "includeFileTree":
+      case "useDefaultIgnores":
+      case "useExcludedFiles":
+        if (typeof value === "boolean") config[key] = value;
+        else errors.push(`"${key}" must be true or false`);
+        break;
+      case "instructions":
+        if (typeof value === "string") config.instructions = value;
+        else errors.push(`"instructions" must be a string`);
+        break;
+      case "instructionsFile":
+        if (typeof value !== "string") {
+          errors.push(`"instructionsFile" must be a path relative to the project root`);
+          break;
+        }
+        try {
+          config.instructions = readInstructionsFile(rootDir, value);
+        } catch (err) {
+          errors.push(`Could not read instructionsFile "${value}": ${err.message}`);
+        }
+        break;
+      default:
+        errors.push(`Unknown setting "${key}"`);
+    }
+  }
+}
+
+/**
+ * Loads the project settings for a folder.
+ *
+ * @param {string} rootDir - Absolute path of the opened folder
+ * @returns {{config: object, errors: string[]}} Merged settings and any problems found
+ */
+function loadProjectConfig(rootDir) {
+  const config = getDefaultProjectConfig();
+  const errors = [];
+
+  const configPath = path.join(rootDir, PROJECT_CONFIG_FILE);
+  if (fs.existsSync(configPath)) {
+    try {
+      applyConfigFile(JSON.parse(fs.readFileSync(configPath, "utf8")), config, rootDir, errors);
+    } catch (err) {
+      errors.push(`Could not parse ${PROJECT_CONFIG_FILE}: ${err.message}`);
+    }
+  }
+
+  const ignorePath = path.join(rootDir, PROJECT_IGNORE_FILE);
+  if (fs.existsSync(ignorePath)) {
+    try {
+      config.ignore = [...config.ignore, ...parseIgnoreFile(fs.readFileSync(ignorePath, "utf8"))];
+    } catch (err) {
+      errors.push(`Could not read ${PROJECT_IGNORE_FILE}: ${err.message}`);
+    }
+  }
+
+  errors.forEach(error => logger.warn(`Project config: ${error}`));
+  return { config, errors };
+}
+
+/**
+ * Checks whether a root-relative path is one of the project config files
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {boolean}
+ */
+function isProjectConfigFile(relativePath) {
+  return relativePath === PROJECT_CONFIG_FILE || relativePath === PROJECT_IGNORE_FILE;
+}
+
+module.exports = {
+  PROJECT_CONFIG_FILE,
+  PROJECT_IGNORE_FILE,
+  getDefaultProjectConfig,
+  loadProjectConfig,
+  isProjectConfigFile,
+};
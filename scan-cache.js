@@ -0,0 +1,146 @@
+/**
+ * Persistent cache of per-file scan results.
+ *
+ * Reopening a large folder used to re-read and re-tokenize every file. The
+ * cache remembers token counts and binary/skip status per absolute path; an
+ * entry is only used while the file's mtime and size and the tokenizer's
+ * encoding are unchanged, so edited files are always counted again.
+ *
+ * The cache is held in memory and written to disk (through json-store.js)
+ * after each scan and when the app quits, but only when entries were added,
+ * changed or dropped; cache hits alone don't cause a write. Writes don't
+ * block the main process. When the cache grows past
+ * `maxEntries`, the least recently used entries are dropped.
+ */
+const { createJsonStore } = require("./json-store");
+
+// Bump when the entry format changes; older cache files are discarded
+const CACHE_VERSION = 1;
+const DEFAULT_MAX_ENTRIES = 100000;
+
+/**
+ * Creates a scan cache backed by a JSON file.
+ *
+ * @param {string} filePath - Absolute path of the cache file
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=100000] - Entries kept when the cache is saved
+ * @returns {{
+ *   get: (filePath: string, stats: object, encoding: string) => object|null,
+ *   set: (filePath: string, stats: object, encoding: string, data: object) => void,
+ *   delete: (filePath: string) => void,
+ *   prune: (rootDir: string, keepPaths: Set<string>) => void,
+ *   clear: () => number,
+ *   save: () => Promise<void>,
+ *   size: () => number
+ * }}
+ */
+function createScanCache(filePath, options = {}) {
+  const { maxEntries = DEFAULT_MAX_ENTRIES } = options;
+  const store = createJsonStore(filePath, { version: CACHE_VERSION, entries: {} }, { pretty: false });
+
+  let entries = null;
+  let isDirty = false;
+
+  const load = () => {
+    if (entries) return entries;
+    const version = store.get("version");
+    const saved = store.get("entries");
+    entries = new Map(
+      version === CACHE_VERSION && saved && typeof saved === "object" ? Object.entries(saved) : []
+    );
+    console.log(`Loaded scan cache with ${entries.size} entries`);
+    return entries;
+  };
+
+  /**
+   * Returns the cached data for a file if it is still valid
+   * @param {string} filePath - Normalized absolute path
+   * @param {{mtimeMs: number, size: number}} stats - Current fs.Stats of the file
+   * @param {string} encoding - Name of the tokenizer encoding in use
+   * @returns {object|null} { tokenCount, isBinary, isSkipped, error } or null on a miss
+   */
+  const get = (filePath, stats, encoding) => {
+    const entry = load().get(filePath);
+    if (!entry) return null;
+    if (entry.mtimeMs !== stats.mtimeMs || entry.size !== stats.size || entry.encoding !== encoding) {
+      load().delete(filePath);
+      isDirty = true;
+      return null;
+    }
+    // Kept in memory for eviction; saved along with the next real change
+    entry.lastUsed = Date.now();
+    return entry;
+  };
+
+  const set = (filePath, stats, encoding, data) => {
+    load().set(filePath, {
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      encoding,
+      tokenCount: data.tokenCount,
+      isBinary: data.isBinary,
+      isSkipped: data.isSkipped,
+      error: data.error,
+      lastUsed: Date.now(),
+    });
+    isDirty = true;
+  };
+
+  const remove = (filePath) => {
+    if (load().delete(filePath)) isDirty = true;
+  };
+
+  /**
+   * Drops the entries under rootDir that a full scan didn't see (deleted or now ignored files)
+   * @param {string} rootDir - Normalized absolute root of the scan
+   * @param {Set<string>} keepPaths - Normalized paths found by the scan
+   */
+  const prune = (rootDir, keepPaths) => {
+    const prefix = rootDir.endsWith("/") ? rootDir : rootDir + "/";
+    for (const cachedPath of load().keys()) {
+      if (cachedPath.startsWith(prefix) && !keepPaths.has(cachedPath)) {
+        load().delete(cachedPath);
+        isDirty = true;
+      }
+    }
+  };
+
+  /**
+   * Writes the cache to disk if it changed, keeping only the most recently used entries
+   * @returns {Promise<void>} Resolves once written; write errors are only logged
+   */
+  const save = () => {
+    if (!entries || !isDirty) return store.whenWritten();
+    let saved = [...entries.entries()];
+    if (saved.length > maxEntries) {
+      saved = saved.sort((a, b) => b[1].lastUsed - a[1].lastUsed).slice(0, maxEntries);
+      entries = new Map(saved);
+    }
+    isDirty = false;
+    return store.replaceAsync({ version: CACHE_VERSION, entries: Object.fromEntries(saved) });
+  };
+
+  /**
+   * Removes every entry and empties the cache file
+   * @returns {number} Number of entries removed
+   */
+  const clear = () => {
+    const count = load().size;
+    entries.clear();
+    isDirty = true;
+    save();
+    return count;
+  };
+
+  return {
+    get,
+    set,
+    delete: remove,
+    prune,
+    clear,
+    save,
+    size: () => load().size,
+  };
+}
+
+module.exports = { createScanCache };
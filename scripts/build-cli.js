@@ -0,0 +1,37 @@
+/**
+ * Bundles the renderer's output formatter (src/utils/contentFormatUtils.ts)
+ * into a CommonJS module so the headless CLI (cli.js) produces exactly the
+ * same text as the "COPY ALL SELECTED" button.
+ *
+ * Output: dist-cli/content-format.cjs
+ */
+
+const path = require("path");
+
+async function main() {
+  const { build } = await import("vite");
+
+  console.log("📦 Bundling formatter for the CLI...");
+  await build({
+    configFile: false,
+    publicDir: false, // Keep the app's favicons out of dist-cli
+    logLevel: "warn",
+    build: {
+      outDir: path.join(__dirname, "..", "dist-cli"),
+      emptyOutDir: true,
+      sourcemap: false,
+      minify: false,
+      lib: {
+        entry: path.join(__dirname, "..", "src", "utils", "contentFormatUtils.ts"),
+        formats: ["cjs"],
+        fileName: () => "content-format.cjs",
+      },
+    },
+  });
+  console.log("✅ CLI formatter bundle written to dist-cli/content-format.cjs");
+}
+
+main().catch((error) => {
+  console.error("❌ CLI build failed:", error.message);
+  process.exit(1);
+});
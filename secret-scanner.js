@@ -0,0 +1,307 @@
+/**
+ * Scanning of the files about to be copied, and of the git diffs and history
+ * copied along with them, for secrets and credentials: AWS keys, private
+ * keys, tokens of common services, JWTs, passwords in URLs, secret-looking
+ * assignments, `.env` values and high-entropy strings.
+ *
+ * Findings are identified by a fingerprint (a hash of the rule and the
+ * secret) rather than by the secret itself, so the renderer never has to
+ * hold the value and a finding allowed as an exception stays allowed when
+ * its line moves. Exceptions are kept per root folder in
+ * secret-exceptions.json.
+ */
+const crypto = require("crypto");
+const path = require("path");
+const { ensureAbsolutePath, safeRelativePath, readFileContents } = require("./file-scanner");
+
+const MAX_FINDINGS_PER_FILE = 100;
+const MAX_EXCEPTIONS_PER_FOLDER = 1000;
+const MIN_ENTROPY_LENGTH = 32; // Shorter strings don't carry enough randomness to tell them apart from words
+const MIN_ENTROPY = 4.3; // Bits per character; hex strings (hashes, ids) stay below 4
+const REDACTED = "[REDACTED]";
+
+const DEFAULT_SECRET_EXCEPTION_SETTINGS = {
+  folders: {}, // Normalized root folder path -> exceptions
+};
+
+// Names of assignments whose value is likely a secret
+const SECRET_NAME = "(?:api[_-]?key|secret|token|passw(?:or)?d|passwd|pwd|access[_-]?key|private[_-]?key|auth|credentials?|dsn)";
+
+// Values that only stand in for a secret
+const PLACEHOLDER_PATTERN =
+  /^(?:<[^>]*>|\$\{[^}]*\}|\$\(?[A-Za-z_][A-Za-z0-9_]*\)?|%[A-Za-z_]+%|\{\{.*\}\}|x+|\*+|\.+|changeme|change[_-]?me|your[_-].*|example.*|dummy|test|todo|none|null|undefined|true|false|\d+)$/i;
+
+/**
+ * Patterns of known secrets. When a pattern has a group, only the group is
+ * the secret (and redacted); otherwise the whole match is.
+ */
+const SECRET_RULES = [
+  {
+    id: "private-key",
+    label: "Private key",
+    pattern: /-----BEGIN[A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END[A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  { id: "aws-access-key", label: "AWS access key ID", pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  {
+    id: "aws-secret-key",
+    label: "AWS secret access key",
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  { id: "github-token", label: "GitHub token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { id: "slack-token", label: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: "stripe-key", label: "Stripe secret key", pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/g },
+  { id: "google-api-key", label: "Google API key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: "api-key", label: "API key", pattern: /\bsk-(?:proj-|ant-[a-z0-9]+-)?[A-Za-z0-9_-]{32,}/g },
+  { id: "jwt", label: "JSON Web Token", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: "url-password",
+    label: "Password in a URL",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"'`]+:([^\s@/"'`]{3,})@/gi,
+  },
+  {
+    id: "secret-assignment",
+    label: "Secret assignment",
+    pattern: new RegExp(`${SECRET_NAME}["']?\\s*[:=]\\s*["'\`]([^"'\`\\s]{8,})["'\`]`, "gi"),
+    check: (value) => !PLACEHOLDER_PATTERN.test(value) && getEntropy(value) >= 3,
+  },
+];
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} text
+ * @returns {number}
+ */
+function getEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  counts.forEach((count) => {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+}
+
+/**
+ * Tells whether a file holds environment variables, like .env or .env.local
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isEnvFile(fileName) {
+  return /^\.env(?:\..+)?$/i.test(fileName) || /\.env$/i.test(fileName);
+}
+
+/**
+ * Identifies a secret without revealing it
+ * @param {string} ruleId
+ * @param {string} value - The secret
+ * @returns {string} 16 hex characters
+ */
+function getFingerprint(ruleId, value) {
+  return crypto.createHash("sha256").update(`${ruleId}\0${value}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Shows the start of a secret, enough to recognize it
+ * @param {string} value
+ * @returns {string}
+ */
+function maskSecret(value) {
+  const firstLine = value.split(/\r?\n/)[0];
+  if (firstLine.startsWith("-----BEGIN")) return firstLine; // The armor line of a key names its type
+  const shown = firstLine.length > 12 ? 4 : Math.min(2, firstLine.length);
+  return `${firstLine.slice(0, shown)}${"*".repeat(Math.min(8, Math.max(3, value.length - shown)))}`;
+}
+
+/**
+ * Finds the candidate secrets of a text: known patterns, then `.env` values
+ * and high-entropy strings
+ * @param {string} content
+ * @param {string} fileName - Name of the file, to recognize .env files
+ * @returns {{ ruleId: string, label: string, start: number, end: number }[]} Value spans, unsorted
+ */
+function findCandidates(content, fileName) {
+  const candidates = [];
+  SECRET_RULES.forEach((rule) => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(content)) !== null) {
+      const value = match[1] !== undefined ? match[1] : match[0];
+      if (rule.check && !rule.check(value)) continue;
+      const start = match.index + (match[1] !== undefined ? match[0].lastIndexOf(value) : 0);
+      candidates.push({ ruleId: rule.id, label: rule.label, start, end: start + value.length });
+    }
+  });
+
+  if (isEnvFile(fileName)) {
+    // A leading "+" or "-" is the change marker of a line in a diff
+    const assignment = /^[+-]?[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_.]*)[ \t]*=[ \t]*(.*)$/gm;
+    let match;
+    while ((match = assignment.exec(content)) !== null) {
+      const [line, name, rawValue] = match;
+      let value = rawValue.trim();
+      let offset = line.length - rawValue.length + rawValue.indexOf(value);
+      const quote = value[0];
+      if ((quote === '"' || quote === "'") && value.lastIndexOf(quote) > 0) {
+        value = value.slice(1, value.lastIndexOf(quote));
+        offset += 1;
+      } else {
+        value = value.replace(/\s+#.*$/, ""); // Unquoted values end at a comment
+      }
+      if (!value || PLACEHOLDER_PATTERN.test(value)) continue;
+      const looksSecret = new RegExp(SECRET_NAME, "i").test(name) || getEntropy(value) >= 3.5;
+      if (!looksSecret) continue;
+      const start = match.index + offset;
+      candidates.push({ ruleId: "env-value", label: ".env value", start, end: start + value.length });
+    }
+  }
+
+  const quoted = /(["'`])([A-Za-z0-9+/=_.-]{32,})\1/g;
+  let match;
+  while ((match = quoted.exec(content)) !== null) {
+    const value = match[2];
+    if (/^sha\d+-/.test(value) || !/\d/.test(value) || !/[A-Za-z]/.test(value)) continue; // Integrity hashes, words
+    if (value.length < MIN_ENTROPY_LENGTH || getEntropy(value) < MIN_ENTROPY) continue;
+    const start = match.index + 1;
+    candidates.push({ ruleId: "high-entropy", label: "High-entropy string", start, end: start + value.length });
+  }
+
+  return candidates;
+}
+
+/**
+ * Scans a text for secrets. A candidate overlapping one found by an earlier
+ * rule is left out, so a key inside an assignment is reported once.
+ * @param {string} content
+ * @param {string} fileName - Name of the file, to recognize .env files
+ * @returns {{ ruleId: string, label: string, line: number, start: number, end: number,
+ *   preview: string, fingerprint: string }[]} Findings in the order of the text
+ */
+function scanContent(content, fileName) {
+  const findings = [];
+  findCandidates(content, fileName).forEach((candidate) => {
+    const overlaps = findings.some((finding) => candidate.start < finding.end && candidate.end > finding.start);
+    if (overlaps || findings.length >= MAX_FINDINGS_PER_FILE) return;
+    const value = content.slice(candidate.start, candidate.end);
+    findings.push({
+      ...candidate,
+      line: content.slice(0, candidate.start).split("\n").length,
+      preview: maskSecret(value),
+      fingerprint: getFingerprint(candidate.ruleId, value),
+    });
+  });
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replaces secrets in a text with a marker. A secret over several lines,
+ * such as a private key, gets a marker on each line, so the text keeps its
+ * line numbers for the picked line ranges and symbols.
+ * @param {string} content
+ * @param {{ start: number, end: number }[]} findings - From scanContent(), on the same text
+ * @returns {string}
+ */
+function redactContent(content, findings) {
+  let result = content;
+  [...findings]
+    .sort((a, b) => b.start - a.start)
+    .forEach((finding) => {
+      const redacted = result
+        .slice(finding.start, finding.end)
+        .split(/(\r?\n)/)
+        .map((part, index) => (index % 2 === 1 || !part ? part : REDACTED))
+        .join("");
+      result = result.slice(0, finding.start) + redacted + result.slice(finding.end);
+    });
+  return result;
+}
+
+/**
+ * Cleans up the exceptions of one folder
+ * @param {any} raw - Exception list to check
+ * @returns {{ path: string, ruleId: string, fingerprint: string, createdAt: number }[]}
+ */
+function sanitizeSecretExceptions(raw) {
+  const seen = new Set();
+  return (Array.isArray(raw) ? raw : [])
+    .filter(
+      (exception) =>
+        exception &&
+        typeof exception.path === "string" &&
+        typeof exception.ruleId === "string" &&
+        typeof exception.fingerprint === "string" &&
+        /^[0-9a-f]{16}$/.test(exception.fingerprint)
+    )
+    .map((exception) => ({
+      path: exception.path.replace(/\\/g, "/").replace(/^\/+/, ""),
+      ruleId: exception.ruleId,
+      fingerprint: exception.fingerprint,
+      createdAt: Number.isFinite(exception.createdAt) ? exception.createdAt : Date.now(),
+    }))
+    .filter((exception) => {
+      const key = `${exception.path}\0${exception.fingerprint}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(-MAX_EXCEPTIONS_PER_FOLDER);
+}
+
+/**
+ * Scans the files about to be copied, and the git diffs and history copied
+ * along with them, for secrets. Findings in a diff or in a file's history are
+ * allowed by the exceptions of that file.
+ * @param {string[]} filePaths - Files to scan, normally the ones about to be copied
+ * @param {{ id: string, source: "diff"|"history"|"log", path: string|null, text: string }[]} texts -
+ *   Git text to scan; path is the file a diff or history belongs to, null for the log
+ * @param {string} rootDir - Folder the files must be in
+ * @param {object[]} exceptions - The folder's exceptions (see sanitizeSecretExceptions())
+ * @param {boolean} [redact] - Also return the scanned text with findings, with the secrets that aren't allowed redacted
+ * @returns {Promise<{ files: { id: string, source: string, path: string|null, relativePath: string,
+ *   findings: object[] }[], redacted: Object<string, string> }>} Files and texts with findings, and
+ *   redacted text keyed by id; a file's id is its path as given
+ */
+async function scanForSecrets(filePaths, texts, rootDir, exceptions, redact = false) {
+  rootDir = ensureAbsolutePath(rootDir);
+  const allowed = new Set(exceptions.map((exception) => `${exception.path}\0${exception.fingerprint}`));
+  const { contents } = await readFileContents(filePaths, rootDir);
+
+  const sources = [
+    ...filePaths
+      .filter((filePath) => filePath in contents)
+      .map((filePath) => ({ id: filePath, source: "file", path: filePath, text: contents[filePath] })),
+    ...texts.filter((entry) => entry && typeof entry.id === "string" && typeof entry.text === "string"),
+  ];
+
+  const files = [];
+  const redacted = {};
+  sources.forEach(({ id, source, path: filePath, text }) => {
+    const fileName = typeof filePath === "string" ? path.basename(filePath) : "";
+    const findings = scanContent(text, fileName);
+    if (findings.length === 0) return;
+
+    const relativePath =
+      typeof filePath === "string"
+        ? (safeRelativePath(rootDir, ensureAbsolutePath(filePath)) || "").replace(/\\/g, "/")
+        : "";
+    const checked = findings.map((finding) => ({
+      ...finding,
+      isAllowed: allowed.has(`${relativePath}\0${finding.fingerprint}`),
+    }));
+    files.push({ id, source, path: typeof filePath === "string" ? filePath : null, relativePath, findings: checked });
+
+    const blocked = checked.filter((finding) => !finding.isAllowed);
+    if (redact && blocked.length > 0) redacted[id] = redactContent(text, blocked);
+  });
+  return { files, redacted };
+}
+
+module.exports = {
+  DEFAULT_SECRET_EXCEPTION_SETTINGS,
+  SECRET_RULES,
+  getEntropy,
+  scanContent,
+  redactContent,
+  sanitizeSecretExceptions,
+  scanForSecrets,
+};
@@ -0,0 +1,95 @@
+/**
+ * Named selection presets, kept per root folder by the main process in
+ * selection-presets.json.
+ *
+ * A preset holds the selected files as paths relative to the root folder
+ * (always with "/" separators), plus the instructions and output options
+ * that go with them, so it still applies after the repository is moved.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MAX_PRESETS_PER_FOLDER = 200;
+const MAX_PRESET_FILES = 50000;
+
+const DEFAULT_PRESET_SETTINGS = {
+  folders: {}, // Normalized root folder path -> presets
+};
+
+/**
+ * Cleans up a preset received from the renderer
+ * @param {object} raw - Preset to check
+ * @returns {object|null} The preset, or null when it has no name
+ */
+function sanitizePreset(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (typeof raw.name !== "string" || !raw.name.trim()) return null;
+
+  const now = Date.now();
+  const files = Array.isArray(raw.files) ? raw.files : [];
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : crypto.randomUUID(),
+    name: raw.name.trim().slice(0, 100),
+    files: [...new Set(
+      files
+        .filter((file) => typeof file === "string" && file.trim())
+        .map((file) => file.replace(/\\/g, "/").replace(/^\/+/, ""))
+        .filter((file) => !file.split("/").includes(".."))
+    )].slice(0, MAX_PRESET_FILES),
+    instructions: typeof raw.instructions === "string" ? raw.instructions : "",
+    includeFileTree: raw.includeFileTree === true,
+    outputFormat: typeof raw.outputFormat === "string" ? raw.outputFormat : "xml",
+    templateId: typeof raw.templateId === "string" ? raw.templateId : null,
+    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : now,
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : now,
+  };
+}
+
+/**
+ * Cleans up the presets of one folder, dropping invalid entries and
+ * duplicate ids
+ * @param {any} raw - Preset list to check
+ * @returns {object[]} Presets
+ */
+function sanitizePresetList(raw) {
+  const presets = [];
+  const seenIds = new Set();
+  for (const rawPreset of (Array.isArray(raw) ? raw : []).slice(0, MAX_PRESETS_PER_FOLDER)) {
+    const preset = sanitizePreset(rawPreset);
+    if (!preset || seenIds.has(preset.id)) continue;
+    seenIds.add(preset.id);
+    presets.push(preset);
+  }
+  return presets;
+}
+
+/**
+ * Finds the stored presets of a root folder. When the folder has none, the
+ * presets of a folder with the same name that no longer exists are used, so
+ * presets follow a repository that was moved or renamed on disk.
+ *
+ * @param {object} folders - Stored presets by root folder
+ * @param {string} rootDir - Normalized root folder
+ * @returns {{ presets: object[], movedFrom: string|null }}
+ */
+function findFolderPresets(folders, rootDir) {
+  if (Array.isArray(folders[rootDir])) {
+    return { presets: sanitizePresetList(folders[rootDir]), movedFrom: null };
+  }
+
+  const folderName = path.basename(rootDir);
+  const movedFrom = Object.keys(folders).find(
+    (storedDir) => path.basename(storedDir) === folderName && !fs.existsSync(storedDir)
+  );
+  return movedFrom
+    ? { presets: sanitizePresetList(folders[movedFrom]), movedFrom }
+    : { presets: [], movedFrom: null };
+}
+
+module.exports = {
+  DEFAULT_PRESET_SETTINGS,
+  sanitizePreset,
+  sanitizePresetList,
+  findFolderPresets,
+};
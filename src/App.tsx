@@ -1,11 +1,49 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import Sidebar from "./components/Sidebar";
 import FileList from "./components/FileList";
+import PreviewPane from "./components/PreviewPane";
 import CopyButton from "./components/CopyButton";
-import { FileData } from "./types/FileTypes";
+import {
+  FileData,
+  ProjectConfig,
+  ProjectConfigMessage,
+  IgnoreRulesChangedMessage,
+  ModelSettings,
+  ModelSettingsInfo,
+  OutputTemplate,
+  SelectionPreset,
+  WorkspaceState,
+  GitStatus,
+  GitFileStatus,
+  GitDiffResult,
+  GitDiffSettings,
+  GitHistoryResult,
+  GitHistorySettings,
+  ContentSearchOptions,
+  ContentSearchResult,
+  DependencyFile,
+  DependentFile,
+  DependentsImpact,
+  PreviewTarget,
+  LineRange,
+  CopiedFile,
+  CompressionSettings,
+  SecretAction,
+  SecretFinding,
+  SecretScanFile,
+} from "./types/FileTypes";
 import { ThemeProvider } from "./context/ThemeContext";
 import ThemeToggle from "./components/ThemeToggle";
 import UserInstructions from "./components/UserInstructions";
+import IgnoreSettingsPanel from "./components/IgnoreSettingsPanel";
+import ModelSelector from "./components/ModelSelector";
+import ContextMeter from "./components/ContextMeter";
+import TokenBudget from "./components/TokenBudget";
+import TemplateEditor from "./components/TemplateEditor";
+import RecentFolders from "./components/RecentFolders";
+import GitContext from "./components/GitContext";
+import CompressionOptions from "./components/CompressionOptions";
+import SecretWarnings from "./components/SecretWarnings";
 
 /**
  * Import path utilities for handling file paths across different operating systems.
@@ -18,7 +56,43 @@ import { generateAsciiFileTree, normalizePath, arePathsEqual, isSubPath, join }
  * The contentFormatUtils module handles content assembly and applies language detection
  * via the languageUtils module internally.
  */
-import { formatContentForCopying } from "./utils/contentFormatUtils";
+import {
+  formatContentForCopying,
+  OutputFormat,
+  OUTPUT_FORMATS,
+} from "./utils/contentFormatUtils";
+import { getDefaultSelection } from "./utils/projectConfigUtils";
+import { withFileContents, loadFileContents } from "./utils/fileContentUtils";
+import {
+  relocateLineRanges,
+  areLineRangesEqual,
+  extractLineRanges,
+  formatLineRanges,
+} from "./utils/lineRangeUtils";
+import { resolveCopiedLineRanges } from "./utils/symbolOutlineUtils";
+import { DEFAULT_COMPRESSION_SETTINGS, isCompressionActive, compressContent } from "./utils/compressionUtils";
+import { getLanguageFromFilename } from "./utils/languageUtils";
+import {
+  DEFAULT_SECRET_ACTION,
+  scanSecrets,
+  getGitSecretTexts,
+  redactGitText,
+  countBlockedSecrets,
+  describeBlockedSecrets,
+} from "./utils/secretScanUtils";
+import { toPresetPaths, resolvePresetPaths } from "./utils/selectionPresetUtils";
+import { parseFilter, matchesFilter } from "./utils/filterUtils";
+import {
+  DEFAULT_GIT_DIFF_SETTINGS,
+  DEFAULT_GIT_HISTORY_SETTINGS,
+  keepCopiedGitFiles,
+} from "./utils/gitContextUtils";
+import {
+  DEFAULT_TOKEN_BUDGET,
+  TokenBudgetSettings,
+  trimSelectionToBudget,
+  GitBudgetTokens,
+} from "./utils/tokenBudgetUtils";
 
 // Access the electron API from the window object
 declare global {
@@ -32,6 +106,7 @@ declare global {
           func: (...args: any[]) => void,
         ) => void;
       };
+      invoke: (channel: string, data?: any) => Promise<any>;
     };
   }
 }
@@ -42,12 +117,87 @@ declare global {
  */
 const STORAGE_KEYS = {
   SELECTED_FOLDER: "pastemax-selected-folder",
-  SELECTED_FILES: "pastemax-selected-files",
   SORT_ORDER: "pastemax-sort-order",
+  TOKEN_BUDGET: "pastemax-token-budget",
+  OUTPUT_FORMAT: "pastemax-output-format",
+  OUTPUT_TEMPLATE: "pastemax-output-template",
+  GIT_DIFF: "pastemax-git-diff",
+  GIT_HISTORY: "pastemax-git-history",
+  COMPRESSION: "pastemax-compression",
+  SECRET_ACTION: "pastemax-secret-action",
+};
+
+/**
+ * The selection, search term and expanded nodes used to be stored in
+ * localStorage for all folders at once. They are now kept per folder by the
+ * main process (see workspace-state.js); these keys are only read once, to
+ * carry the old state over.
+ */
+const LEGACY_WORKSPACE_KEYS = {
+  SELECTED_FILES: "pastemax-selected-files",
   SEARCH_TERM: "pastemax-search-term",
   EXPANDED_NODES: "pastemax-expanded-nodes",
 };
 
+// Delay before workspace changes are saved, so typing and clicking don't write on every change
+const WORKSPACE_SAVE_DELAY_MS = 500;
+
+// Delay before the git status and diff are read again after files or the selection change,
+// so a checkout or a burst of clicks is read once
+const GIT_REFRESH_DELAY_MS = 500;
+
+// Delay before the copied text of compressed and partial files is counted again
+const COPIED_TOKENS_DELAY_MS = 300;
+
+// Delay before the selected files are scanned for secrets again
+const SECRET_SCAN_DELAY_MS = 500;
+
+// Delay before the content search runs while typing
+const CONTENT_SEARCH_DELAY_MS = 300;
+
+/**
+ * Drops the entries of deselected files from a map keyed by normalized path
+ * @returns The same map when nothing is dropped, so the state doesn't change
+ */
+function keepSelectedPaths<T>(map: Record<string, T>, selectedFiles: string[]): Record<string, T> {
+  const selected = new Set(selectedFiles.map(normalizePath));
+  const kept = Object.keys(map).filter((filePath: string) => selected.has(filePath));
+  if (kept.length === Object.keys(map).length) return map;
+  const next: Record<string, T> = {};
+  kept.forEach((filePath: string) => {
+    next[filePath] = map[filePath];
+  });
+  return next;
+}
+
+/**
+ * Reads and removes the workspace state left in localStorage by older versions
+ * @returns The old state, or null if there is none
+ */
+function takeLegacyWorkspace(): WorkspaceState | null {
+  const savedFiles = localStorage.getItem(LEGACY_WORKSPACE_KEYS.SELECTED_FILES);
+  const savedSearchTerm = localStorage.getItem(LEGACY_WORKSPACE_KEYS.SEARCH_TERM);
+  const savedExpandedNodes = localStorage.getItem(LEGACY_WORKSPACE_KEYS.EXPANDED_NODES);
+  Object.values(LEGACY_WORKSPACE_KEYS).forEach((key) => localStorage.removeItem(key));
+  if (savedFiles === null && savedSearchTerm === null && savedExpandedNodes === null) return null;
+
+  try {
+    return {
+      selectedFiles: savedFiles ? JSON.parse(savedFiles) : [],
+      expandedNodes: savedExpandedNodes ? JSON.parse(savedExpandedNodes) : {},
+      searchTerm: savedSearchTerm || "",
+      instructions: "",
+      lineRanges: {},
+      selectedSymbols: {},
+      compression: {},
+      lastOpened: 0,
+    };
+  } catch (error) {
+    console.error("Error parsing saved workspace state:", error);
+    return null;
+  }
+}
+
 /**
  * The main App component that handles:
  * - File selection and management
@@ -69,23 +219,26 @@ const App = (): JSX.Element => {
 
   // Load initial state from localStorage if available
   const savedFolder = localStorage.getItem(STORAGE_KEYS.SELECTED_FOLDER);
-  const savedFiles = localStorage.getItem(STORAGE_KEYS.SELECTED_FILES);
   const savedSortOrder = localStorage.getItem(STORAGE_KEYS.SORT_ORDER);
-  const savedSearchTerm = localStorage.getItem(STORAGE_KEYS.SEARCH_TERM);
+  const savedTokenBudget = localStorage.getItem(STORAGE_KEYS.TOKEN_BUDGET);
+  const savedOutputFormat = localStorage.getItem(STORAGE_KEYS.OUTPUT_FORMAT);
+  const savedOutputTemplate = localStorage.getItem(STORAGE_KEYS.OUTPUT_TEMPLATE);
+  const savedGitDiff = localStorage.getItem(STORAGE_KEYS.GIT_DIFF);
+  const savedGitHistory = localStorage.getItem(STORAGE_KEYS.GIT_HISTORY);
+  const savedCompression = localStorage.getItem(STORAGE_KEYS.COMPRESSION);
+  const savedSecretAction = localStorage.getItem(STORAGE_KEYS.SECRET_ACTION);
 
   // Normalize selectedFolder when loading from localStorage
   const [selectedFolder, setSelectedFolder] = useState( // Remove type argument
     savedFolder ? normalizePath(savedFolder) : null
   );
   const [allFiles, setAllFiles] = useState([] as FileData[]); // Explicitly type initial value
-  // Normalize paths loaded from localStorage
-  const [selectedFiles, setSelectedFiles] = useState( // Remove type argument
-    (savedFiles ? JSON.parse(savedFiles).map(normalizePath) : []) as string[] // Explicitly type initial value
-  );
+  // Restored from the folder's workspace state once the folder is opened
+  const [selectedFiles, setSelectedFiles] = useState([] as string[]);
   const [sortOrder, setSortOrder] = useState( // Remove type argument
     savedSortOrder || "tokens-desc"
   );
-  const [searchTerm, setSearchTerm] = useState(savedSearchTerm || ""); // Remove type argument
+  const [searchTerm, setSearchTerm] = useState("");
   const [expandedNodes, setExpandedNodes] = useState(
     {} as Record<string, boolean>
   );
@@ -97,12 +250,131 @@ const App = (): JSX.Element => {
     }
   );
   const [includeFileTree, setIncludeFileTree] = useState(false);
-  
+
+  /**
+   * State for storing user instructions 
+   * This text will be appended at the end of all copied content
+   * to provide context or special notes to recipients
+   */
+  const [userInstructions, setUserInstructions] = useState("");
+
+  /**
+   * Settings from the opened folder's .pastemax.json / .pastemaxignore.
+   * Kept in a ref because the IPC handlers that read it are registered once.
+   */
+  const projectConfigRef = useRef(null as ProjectConfig | null);
+  // Project defaults (sort, file tree, instructions) only override the user's
+  // choices when a different folder is opened or the config file changes
+  const applyProjectDefaultsRef = useRef(false);
+  // Folder whose workspace state has been restored; changes are only saved for that folder
+  const workspaceFolderRef = useRef(null as string | null);
+  // Workspace change waiting to be saved (see WORKSPACE_SAVE_DELAY_MS)
+  const pendingWorkspaceRef = useRef(
+    null as { folderPath: string; workspace: Omit<WorkspaceState, "lastOpened"> } | null
+  );
 
 
   // State for sort dropdown
   const [sortDropdownOpen, setSortDropdownOpen] = useState(false);
 
+  // State for the Ignore Rules panel
+  const [ignorePanelOpen, setIgnorePanelOpen] = useState(false);
+
+  // Whether the "Clear Cache" button is showing its confirmation
+  const [cacheCleared, setCacheCleared] = useState(false);
+
+  // Token budget: selections over the limit are trimmed by the chosen policy when copying
+  const [tokenBudget, setTokenBudget] = useState(
+    (savedTokenBudget
+      ? { ...DEFAULT_TOKEN_BUDGET, ...JSON.parse(savedTokenBudget) }
+      : DEFAULT_TOKEN_BUDGET) as TokenBudgetSettings
+  );
+
+  // Layout of the copied content (XML tags, Markdown, Claude documents or JSON)
+  const [outputFormat, setOutputFormat] = useState(
+    (OUTPUT_FORMATS.some((format) => format.value === savedOutputFormat)
+      ? savedOutputFormat
+      : "xml") as OutputFormat
+  );
+
+  // User templates (kept by the main process) and the one chosen instead of a built-in format
+  const [outputTemplates, setOutputTemplates] = useState([] as OutputTemplate[]);
+  const [activeTemplateId, setActiveTemplateId] = useState(savedOutputTemplate as string | null);
+  const [templateEditorOpen, setTemplateEditorOpen] = useState(false);
+
+  // Named selections of the open folder, kept by the main process
+  const [selectionPresets, setSelectionPresets] = useState([] as SelectionPreset[]);
+
+  // Search through file contents, run by the main process
+  const [contentSearch, setContentSearch] = useState({
+    query: "",
+    isRegex: false,
+    caseSensitive: false,
+  } as ContentSearchOptions);
+  const [contentSearchResult, setContentSearchResult] = useState(null as ContentSearchResult | null);
+  const [contentSearchError, setContentSearchError] = useState(null as string | null);
+  const [isContentSearching, setIsContentSearching] = useState(false);
+
+  // Summary of the last "Select dependents" action, shown in the sidebar
+  const [dependentsImpact, setDependentsImpact] = useState(null as DependentsImpact | null);
+
+  // File or bundle shown in the preview pane; null when the pane is closed
+  const [previewTarget, setPreviewTarget] = useState(null as PreviewTarget | null);
+
+  // Lines picked in the preview, by normalized path; only these lines of a file are copied
+  const [lineRanges, setLineRanges] = useState({} as Record<string, LineRange[]>);
+  // Symbols picked in the preview's outline, by normalized path; copied with the file's imports
+  const [selectedSymbols, setSelectedSymbols] = useState({} as Record<string, string[]>);
+  // Compression transforms for all files, and files with their own, by normalized path
+  const [compressionSettings, setCompressionSettings] = useState(
+    (savedCompression
+      ? { ...DEFAULT_COMPRESSION_SETTINGS, ...JSON.parse(savedCompression) }
+      : DEFAULT_COMPRESSION_SETTINGS) as CompressionSettings
+  );
+  const [fileCompression, setFileCompression] = useState({} as Record<string, CompressionSettings>);
+  // What is copied of files with picked lines or symbols, or compression, by normalized path
+  const [copiedFiles, setCopiedFiles] = useState({} as Record<string, CopiedFile>);
+  // Possible secrets in the selected files, by normalized path, and what copying does with them
+  const [secretScan, setSecretScan] = useState({} as Record<string, SecretScanFile>);
+  // Earlier scans of selected files (null without findings) with the mtime they were scanned at,
+  // and of the git text with the diff and history it came from, so only changes are scanned again
+  const secretFileScansRef = useRef({} as Record<string, { mtimeMs?: number; file: SecretScanFile | null }>);
+  const secretTextScanRef = useRef(
+    null as {
+      diff: GitDiffResult | null;
+      history: GitHistoryResult | null;
+      files: Record<string, SecretScanFile>;
+    } | null
+  );
+  const [secretAction, setSecretAction] = useState(
+    (savedSecretAction === "redact" ? "redact" : DEFAULT_SECRET_ACTION) as SecretAction
+  );
+  const [secretError, setSecretError] = useState(null as string | null);
+
+  // Git status of the open folder; null until read
+  const [gitStatus, setGitStatus] = useState(null as GitStatus | null);
+
+  // Git diff of the copied files, kept up to date while a diff is included to show its tokens
+  const [gitDiffSettings, setGitDiffSettings] = useState(
+    (savedGitDiff
+      ? { ...DEFAULT_GIT_DIFF_SETTINGS, ...JSON.parse(savedGitDiff) }
+      : DEFAULT_GIT_DIFF_SETTINGS) as GitDiffSettings
+  );
+  const [gitDiff, setGitDiff] = useState(null as GitDiffResult | null);
+  const [gitDiffError, setGitDiffError] = useState(null as string | null);
+
+  // Recent commits of the copied files and of the repository, kept up to date the same way
+  const [gitHistorySettings, setGitHistorySettings] = useState(
+    (savedGitHistory
+      ? { ...DEFAULT_GIT_HISTORY_SETTINGS, ...JSON.parse(savedGitHistory) }
+      : DEFAULT_GIT_HISTORY_SETTINGS) as GitHistorySettings
+  );
+  const [gitHistory, setGitHistory] = useState(null as GitHistoryResult | null);
+  const [gitHistoryError, setGitHistoryError] = useState(null as string | null);
+
+  // Model profile used for token counts and the context window meter
+  const [modelInfo, setModelInfo] = useState(null as ModelSettingsInfo | null);
+
   // Check if we're running in Electron or browser environment
   const isElectron = window.electron !== undefined;
 
@@ -111,9 +383,13 @@ const App = (): JSX.Element => {
   // Utility function to clear all saved state and reset the app
   const clearSavedState = useCallback(() => {
     // Clear all localStorage items
-    Object.values(STORAGE_KEYS).forEach(key => {
+    [...Object.values(STORAGE_KEYS), ...Object.values(LEGACY_WORKSPACE_KEYS)].forEach(key => {
       localStorage.removeItem(key);
     });
+
+    // Stop saving the open folder's workspace state; the main process forgets all of it below
+    workspaceFolderRef.current = null;
+    pendingWorkspaceRef.current = null;
     
     // Clear any session storage items
     sessionStorage.removeItem("hasLoadedInitialData");
@@ -122,6 +398,9 @@ const App = (): JSX.Element => {
     setSelectedFolder(null);
     setAllFiles([]);
     setSelectedFiles([]);
+    setLineRanges({});
+    setSelectedSymbols({});
+    setFileCompression({});
     setDisplayedFiles([]);
     setSearchTerm("");
     setSortOrder("tokens-desc");
@@ -129,30 +408,108 @@ const App = (): JSX.Element => {
     setIncludeFileTree(false);
     setProcessingStatus({ status: "idle", message: "All saved data cleared" });
 
-    // Also cancel any ongoing directory loading
-    if (isElectron) {
-      window.electron.ipcRenderer.send("cancel-directory-loading");
-    }
-    
     console.log("All saved state cleared");
 
     // Reload the application window
-    window.location.reload();
+    const reload = () => window.location.reload();
+
+    // Also cancel any ongoing directory loading and clear the state of every folder
+    if (isElectron) {
+      window.electron.ipcRenderer.send("cancel-directory-loading");
+      window.electron
+        .invoke("clear-workspace-state")
+        .catch((err: Error) => console.error("Failed to clear workspace state:", err))
+        .finally(reload);
+    } else {
+      reload();
+    }
   }, [isElectron]); // Added isElectron dependency
 
-  // Load expanded nodes state from localStorage
+  // Remove the token counts cached by the main process, so every file is counted again on the next scan
+  const clearScanCache = useCallback(async () => {
+    if (!isElectron) return;
+    try {
+      const removed = await window.electron.invoke("clear-scan-cache");
+      console.log(`Cleared ${removed} cached files`);
+      setCacheCleared(true);
+
+      // Reset the confirmation after 2 seconds
+      setTimeout(() => {
+        setCacheCleared(false);
+      }, 2000);
+    } catch (err) {
+      console.error("Failed to clear scan cache:", err);
+    }
+  }, [isElectron]);
+
+  // Load the model profile from the main process
   useEffect(() => {
-    const savedExpandedNodes = localStorage.getItem(
-      STORAGE_KEYS.EXPANDED_NODES,
-    );
-    if (savedExpandedNodes) {
-      try {
-        setExpandedNodes(JSON.parse(savedExpandedNodes));
-      } catch (error) {
-        console.error("Error parsing saved expanded nodes:", error);
+    if (!isElectron) return;
+    window.electron
+      .invoke("get-model-settings")
+      .then((info: ModelSettingsInfo) => setModelInfo(info))
+      .catch((err: Error) => console.error("Failed to load model settings:", err));
+  }, [isElectron]);
+
+  // Load the user's output templates from the main process
+  useEffect(() => {
+    if (!isElectron) return;
+    window.electron
+      .invoke("get-output-templates")
+      .then((templates: OutputTemplate[]) => setOutputTemplates(templates))
+      .catch((err: Error) => console.error("Failed to load output templates:", err));
+  }, [isElectron]);
+
+  // Load the selection presets of the open folder
+  useEffect(() => {
+    if (!isElectron || !selectedFolder) {
+      setSelectionPresets([]);
+      return;
+    }
+    window.electron
+      .invoke("get-selection-presets", selectedFolder)
+      .then((presets: SelectionPreset[]) => setSelectionPresets(presets))
+      .catch((err: Error) => console.error("Failed to load selection presets:", err));
+  }, [isElectron, selectedFolder]);
+
+  const refreshGitStatus = useCallback(async (): Promise<GitStatus | null> => {
+    if (!isElectron || !selectedFolder) {
+      setGitStatus(null);
+      return null;
+    }
+    try {
+      const status: GitStatus = await window.electron.invoke("get-git-status");
+      setGitStatus(status);
+      return status;
+    } catch (err) {
+      console.error("Failed to read git status:", err);
+      setGitStatus(null);
+      return null;
+    }
+  }, [isElectron, selectedFolder]);
+
+  // Read the git status again after scans and file changes, once they settle
+  useEffect(() => {
+    const timeoutId = setTimeout(refreshGitStatus, GIT_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [refreshGitStatus, allFiles]);
+
+  // Save a new model profile and rescan so every file is counted with it
+  const handleModelSettingsChange = async (settings: ModelSettings) => {
+    try {
+      const info: ModelSettingsInfo = await window.electron.invoke("set-model-settings", settings);
+      setModelInfo(info);
+      if (selectedFolder) {
+        setProcessingStatus({
+          status: "processing",
+          message: `Counting tokens for ${info.profile.name}...`,
+        });
+        window.electron.ipcRenderer.send("request-file-list", selectedFolder);
       }
+    } catch (err) {
+      console.error("Failed to save model settings:", err);
     }
-  }, []);
+  };
 
   // Persist selected folder when it changes
   useEffect(() => {
@@ -161,25 +518,133 @@ const App = (): JSX.Element => {
     } else {
       localStorage.removeItem(STORAGE_KEYS.SELECTED_FOLDER);
     }
+    setDependentsImpact(null);
+    setPreviewTarget(null);
   }, [selectedFolder]);
 
-  // Persist selected files when they change
-  useEffect(() => {
-    localStorage.setItem(
-      STORAGE_KEYS.SELECTED_FILES,
-      JSON.stringify(selectedFiles),
-    );
-  }, [selectedFiles]);
-
   // Persist sort order when it changes
   useEffect(() => {
     localStorage.setItem(STORAGE_KEYS.SORT_ORDER, sortOrder);
   }, [sortOrder]);
 
-  // Persist search term when it changes
+  // Persist token budget when it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.TOKEN_BUDGET, JSON.stringify(tokenBudget));
+  }, [tokenBudget]);
+
+  // Persist the git diff options when they change
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.GIT_DIFF, JSON.stringify(gitDiffSettings));
+  }, [gitDiffSettings]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.GIT_HISTORY, JSON.stringify(gitHistorySettings));
+  }, [gitHistorySettings]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.COMPRESSION, JSON.stringify(compressionSettings));
+  }, [compressionSettings]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.SECRET_ACTION, secretAction);
+    setSecretError(null);
+  }, [secretAction]);
+
+  // Persist output format when it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.OUTPUT_FORMAT, outputFormat);
+  }, [outputFormat]);
+
+  // Persist the chosen template; without one the built-in format is used
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.SEARCH_TERM, searchTerm);
-  }, [searchTerm]);
+    if (activeTemplateId) {
+      localStorage.setItem(STORAGE_KEYS.OUTPUT_TEMPLATE, activeTemplateId);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.OUTPUT_TEMPLATE);
+    }
+  }, [activeTemplateId]);
+
+  // Sends the last workspace change to the main process, if it hasn't been saved yet
+  const flushWorkspaceSave = useCallback(() => {
+    const pending = pendingWorkspaceRef.current;
+    if (!pending) return;
+    pendingWorkspaceRef.current = null;
+    window.electron
+      .invoke("set-workspace-state", pending)
+      .catch((err: Error) => console.error("Failed to save workspace state:", err));
+  }, []);
+
+  // Persist the open folder's selection, line ranges, symbols, per-file compression, expanded nodes,
+  // search term and instructions
+  useEffect(() => {
+    if (!isElectron || !selectedFolder || workspaceFolderRef.current !== normalizePath(selectedFolder)) return;
+    pendingWorkspaceRef.current = {
+      folderPath: selectedFolder,
+      workspace: {
+        selectedFiles,
+        expandedNodes,
+        searchTerm,
+        instructions: userInstructions,
+        lineRanges,
+        selectedSymbols,
+        compression: fileCompression,
+      },
+    };
+    const timeoutId = setTimeout(flushWorkspaceSave, WORKSPACE_SAVE_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [
+    isElectron,
+    selectedFolder,
+    selectedFiles,
+    expandedNodes,
+    searchTerm,
+    userInstructions,
+    lineRanges,
+    selectedSymbols,
+    fileCompression,
+    flushWorkspaceSave,
+  ]);
+
+  // Don't lose the last change when the window is reloaded or closed
+  useEffect(() => {
+    if (!isElectron) return;
+    window.addEventListener("beforeunload", flushWorkspaceSave);
+    return () => window.removeEventListener("beforeunload", flushWorkspaceSave);
+  }, [isElectron, flushWorkspaceSave]);
+
+  /**
+   * Restores the selection, line ranges, symbols, per-file compression,
+   * expanded nodes, search term and instructions saved for a folder. Without
+   * saved state the selection is cleared, so the folder gets its default
+   * selection and the project's defaults once it is scanned.
+   * @returns {Promise<boolean>} Whether the folder had saved state
+   */
+  const restoreWorkspace = async (folderPath: string): Promise<boolean> => {
+    flushWorkspaceSave();
+    workspaceFolderRef.current = null;
+
+    let workspace: WorkspaceState | null = null;
+    try {
+      workspace = await window.electron.invoke("load-workspace-state", folderPath);
+    } catch (err) {
+      console.error("Failed to load workspace state:", err);
+    }
+    if (!workspace) {
+      workspace = takeLegacyWorkspace();
+    }
+
+    setSelectedFiles(workspace ? workspace.selectedFiles.map(normalizePath) : []);
+    setLineRanges(workspace && workspace.lineRanges ? workspace.lineRanges : {});
+    setSelectedSymbols(workspace && workspace.selectedSymbols ? workspace.selectedSymbols : {});
+    setFileCompression(workspace && workspace.compression ? workspace.compression : {});
+    setExpandedNodes(workspace ? workspace.expandedNodes : {});
+    setSearchTerm(workspace ? workspace.searchTerm : "");
+    // Without saved state, the project's default instructions (if any) are set once it is scanned
+    setUserInstructions(workspace ? workspace.instructions ?? "" : "");
+    applyProjectDefaultsRef.current = !workspace;
+    workspaceFolderRef.current = normalizePath(folderPath);
+    return workspace !== null;
+  };
 
   // Add a function to cancel directory loading
   const cancelDirectoryLoading = useCallback(() => {
@@ -227,14 +692,56 @@ const App = (): JSX.Element => {
       message: "Loading files from previously selected folder...",
     });
     
-    // Request file list from the main process
-    window.electron.ipcRenderer.send("request-file-list", selectedFolder);
+    // Restore the folder's selection, then request the file list from the main process
+    restoreWorkspace(selectedFolder).then(() => {
+      window.electron.ipcRenderer.send("request-file-list", selectedFolder);
+    });
     
     // We intentionally don't set any session flags because we want this to run
     // on every refresh to ensure state is fully restored
   }, [isElectron, selectedFolder, isSafeMode]);
   
 
+  /**
+   * Opens a folder chosen in the folder dialog or the "Recent folders" menu.
+   * A different folder gets its saved selection back before it is scanned.
+   */
+  const selectFolder = async (folderPath: string) => {
+    // Check if folderPath is valid string
+    if (typeof folderPath !== "string") {
+      console.error("Invalid folder path received:", folderPath);
+      setProcessingStatus({
+        status: "error",
+        message: "Invalid folder path received",
+      });
+      return;
+    }
+
+    // Prevent redundant processing if the same folder is selected and already loaded/loading
+    if (arePathsEqual(folderPath, selectedFolder) && (allFiles.length > 0 || processingStatus.status === 'processing')) {
+      console.log("Folder already selected and loaded/loading, skipping request:", folderPath);
+      return;
+    }
+
+    const normalizedFolderPath = normalizePath(folderPath); // Normalize before setting
+    console.log("Folder selected:", normalizedFolderPath);
+    const isNewFolder = !arePathsEqual(normalizedFolderPath, selectedFolder); // Compare normalized path
+    setSelectedFolder(normalizedFolderPath); // Set normalized path
+    setProcessingStatus({
+      status: "processing",
+      message: "Requesting file list...",
+    });
+    // Swap in the new folder's selection, expansion and instructions
+    if (isNewFolder) {
+      await restoreWorkspace(normalizedFolderPath);
+    }
+    window.electron.ipcRenderer.send("request-file-list", folderPath);
+  };
+
+  // The IPC listeners below are registered once, so they call the latest selectFolder through a ref
+  const selectFolderRef = useRef(selectFolder);
+  selectFolderRef.current = selectFolder;
+
   // Listen for folder selection from main process
   useEffect(() => {
     if (!isElectron) {
@@ -243,34 +750,7 @@ const App = (): JSX.Element => {
     }
 
     const handleFolderSelected = (folderPath: string) => {
-      // Check if folderPath is valid string
-      if (typeof folderPath !== "string") {
-        console.error("Invalid folder path received:", folderPath);
-        setProcessingStatus({
-          status: "error",
-          message: "Invalid folder path received",
-        });
-        return;
-      }
-
-      // Prevent redundant processing if the same folder is selected and already loaded/loading
-      if (arePathsEqual(folderPath, selectedFolder) && (allFiles.length > 0 || processingStatus.status === 'processing')) {
-        console.log("Folder already selected and loaded/loading, skipping request:", folderPath);
-        return;
-      }
-      
-      const normalizedFolderPath = normalizePath(folderPath); // Normalize before setting
-      console.log("Folder selected:", normalizedFolderPath);
-      setSelectedFolder(normalizedFolderPath); // Set normalized path
-      // Reset selections when a *new* folder is selected
-      if (!arePathsEqual(normalizedFolderPath, selectedFolder)) { // Compare normalized path
-        setSelectedFiles([]); 
-      }
-      setProcessingStatus({
-        status: "processing",
-        message: "Requesting file list...",
-      });
-      window.electron.ipcRenderer.send("request-file-list", folderPath);
+      selectFolderRef.current(folderPath);
     };
 
     const handleFileListData = (files: FileData[]) => {
@@ -282,32 +762,30 @@ const App = (): JSX.Element => {
         message: `Loaded ${files.length} files`,
       });
 
-      // Preserve selected files after reload
-      if (selectedFiles.length > 0) {
-        console.log("Preserving", selectedFiles.length, "file selections from before reload");
-        
-        // Validate that selected files still exist in the newly loaded files
-        // and remove any that don't (they might have been deleted)
-        const validSelectedFiles = selectedFiles.filter((selectedPath: string) => 
-          files.some(file => arePathsEqual(file.path, selectedPath))
-        );
-        
-        if (validSelectedFiles.length !== selectedFiles.length) {
-          console.log("Removed", selectedFiles.length - validSelectedFiles.length, "invalid selections");
-          setSelectedFiles(validSelectedFiles);
+      // This handler is registered once, so read the current selection through the updater
+      setSelectedFiles((prevSelected: string[]) => {
+        // Preserve selected files after reload or restored from the folder's workspace state
+        if (prevSelected.length > 0) {
+          console.log("Preserving", prevSelected.length, "file selections from before reload");
+
+          // Validate that selected files still exist in the newly loaded files
+          // and remove any that don't (they might have been deleted)
+          const validSelectedFiles = prevSelected.filter((selectedPath: string) =>
+            files.some(file => arePathsEqual(file.path, selectedPath))
+          );
+
+          if (validSelectedFiles.length !== prevSelected.length) {
+            console.log("Removed", prevSelected.length - validSelectedFiles.length, "invalid selections");
+            return validSelectedFiles;
+          }
+          return prevSelected;
         }
-      } else {
-        // If no files were selected, auto-select non-binary files
+
+        // If no files were selected, auto-select non-binary files,
+        // or the project's "include" globs when it defines them
         console.log("No existing selections, selecting all eligible files");
-        const selectablePaths = files
-          .filter(
-            (file: FileData) =>
-              !file.isBinary && !file.isSkipped && !file.excludedByDefault,
-          )
-          .map((file: FileData) => file.path);
-  
-        setSelectedFiles(selectablePaths);
-      }
+        return getDefaultSelection(files, projectConfigRef.current);
+      });
     };
 
     const handleProcessingStatus = (status: {
@@ -341,11 +819,68 @@ const App = (): JSX.Element => {
     };
   }, [isElectron]); // Removed sortOrder and searchTerm dependencies
 
+  // Listen for project settings (.pastemax.json / .pastemaxignore) from main process
+  useEffect(() => {
+    if (!isElectron) return;
+
+    const handleProjectConfig = ({ rootDir, config, errors, reason }: ProjectConfigMessage) => {
+      console.log("Received project config:", reason, config);
+      errors.forEach((error: string) => console.warn("Project config:", error));
+
+      projectConfigRef.current = config;
+
+      if (reason === "change" || applyProjectDefaultsRef.current) {
+        applyProjectDefaultsRef.current = false;
+        if (config.sortOrder) setSortOrder(config.sortOrder);
+        if (config.includeFileTree !== null) setIncludeFileTree(config.includeFileTree);
+        if (config.instructions !== null) setUserInstructions(config.instructions);
+      }
+
+      // Ignore patterns may have changed, so rescan to rebuild the file list
+      if (reason === "change") {
+        setProcessingStatus({
+          status: "processing",
+          message: "Project settings changed, reloading files...",
+        });
+        window.electron.ipcRenderer.send("request-file-list", rootDir);
+      }
+    };
+
+    // A .gitignore changed, so files may have been hidden or revealed anywhere below it
+    const handleIgnoreRulesChanged = ({ rootDir, file }: IgnoreRulesChangedMessage) => {
+      console.log("Ignore rules changed:", file);
+      setProcessingStatus({
+        status: "processing",
+        message: `${file} changed, reloading files...`,
+      });
+      window.electron.ipcRenderer.send("request-file-list", rootDir);
+    };
+
+    window.electron.ipcRenderer.on("project-config", handleProjectConfig);
+    window.electron.ipcRenderer.on("ignore-rules-changed", handleIgnoreRulesChanged);
+
+    return () => {
+      window.electron.ipcRenderer.removeListener("project-config", handleProjectConfig);
+      window.electron.ipcRenderer.removeListener("ignore-rules-changed", handleIgnoreRulesChanged);
+    };
+  }, [isElectron]);
+
   // Apply filters and sort whenever relevant state changes
   useEffect(() => {
     applyFiltersAndSort(allFiles, sortOrder, searchTerm);
   }, [allFiles, sortOrder, searchTerm]); // Added allFiles dependency
 
+  // Rescan with the ignore settings saved in the Ignore Rules panel
+  const handleIgnoreSettingsApplied = () => {
+    setIgnorePanelOpen(false);
+    if (!isElectron || !selectedFolder) return;
+    setProcessingStatus({
+      status: "processing",
+      message: "Ignore rules changed, reloading files...",
+    });
+    window.electron.ipcRenderer.send("request-file-list", selectedFolder);
+  };
+
   const openFolder = () => {
     if (isElectron) {
       console.log("Opening folder dialog");
@@ -364,14 +899,10 @@ const App = (): JSX.Element => {
   ) => {
     let filtered = files;
 
-    // Apply filter
+    // Apply the filter expression (see filterUtils.ts)
     if (filter) {
-      const lowerFilter = filter.toLowerCase();
-      filtered = files.filter(
-        (file) =>
-          file.name.toLowerCase().includes(lowerFilter) ||
-          file.path.toLowerCase().includes(lowerFilter),
-      );
+      const parsedFilter = parseFilter(filter);
+      filtered = files.filter((file) => matchesFilter(file, parsedFilter));
     }
 
     // Apply sort
@@ -575,37 +1106,683 @@ const App = (): JSX.Element => {
     setSortDropdownOpen(!sortDropdownOpen);
   };
 
-  // Calculate total tokens from selected files
-  const calculateTotalTokens = () => {
-    // Ensure paths are normalized before summing tokens
-    const normalizedSelectedPaths = selectedFiles.map(normalizePath);
-    return normalizedSelectedPaths.reduce((total: number, selectedPath: string) => {
-      // Use arePathsEqual for comparison
-      const file = allFiles.find((f: FileData) => arePathsEqual(f.path, selectedPath));
-      return total + (file ? file.tokenCount : 0);
-    }, 0);
+  // Ranges, symbols and compression of deselected files are dropped; selecting the file again copies it whole
+  useEffect(() => {
+    setLineRanges((prev: Record<string, LineRange[]>) => keepSelectedPaths(prev, selectedFiles));
+    setSelectedSymbols((prev: Record<string, string[]>) => keepSelectedPaths(prev, selectedFiles));
+    setFileCompression((prev: Record<string, CompressionSettings>) => keepSelectedPaths(prev, selectedFiles));
+  }, [selectedFiles]);
+
+  // Count what gets copied of files with picked lines or symbols, or with
+  // compression, again when they or the files change. Ranges are moved along
+  // with their lines when the watcher reports an edit; a range whose lines
+  // are all gone is dropped, and a file with nothing left to pick is copied
+  // whole again.
+  useEffect(() => {
+    const filesByPath = new Map<string, FileData>(
+      allFiles.map((file: FileData) => [normalizePath(file.path), file] as [string, FileData]),
+    );
+    const paths = Array.from(new Set<string>(selectedFiles.map(normalizePath))).filter((filePath: string) => {
+      const file = filesByPath.get(filePath);
+      return (
+        file &&
+        !file.isBinary &&
+        !file.isSkipped &&
+        (lineRanges[filePath] ||
+          selectedSymbols[filePath] ||
+          isCompressionActive(fileCompression[filePath] ?? compressionSettings))
+      );
+    });
+    if (!isElectron || paths.length === 0) {
+      setCopiedFiles({});
+      return;
+    }
+    let isCurrent = true;
+    const countCopiedFiles = async () => {
+      const { contents } = await loadFileContents(paths);
+      const copiedRanges = await resolveCopiedLineRanges(contents, lineRanges, selectedSymbols);
+      const counted = paths.filter((filePath: string) => filePath in contents);
+
+      // Picked lines are counted before and after compression; whole files already have a count
+      const texts: string[] = [];
+      const textIndexes = counted.map((filePath: string) => {
+        const ranges = copiedRanges[filePath];
+        const picked = ranges ? extractLineRanges(contents[filePath], ranges) : contents[filePath];
+        const settings = fileCompression[filePath] ?? compressionSettings;
+        const language = getLanguageFromFilename((filesByPath.get(filePath) as FileData).name);
+        const uncompressed = ranges ? texts.push(picked) - 1 : -1;
+        const compressed = isCompressionActive(settings)
+          ? texts.push(compressContent(picked, language, settings)) - 1
+          : uncompressed;
+        return { uncompressed, compressed };
+      });
+      const counts: number[] = await window.electron.invoke("count-tokens", texts);
+      if (!isCurrent) return;
+
+      const nextCopiedFiles: Record<string, CopiedFile> = {};
+      counted.forEach((filePath: string, index: number) => {
+        const { uncompressed, compressed } = textIndexes[index];
+        const uncompressedTokenCount =
+          uncompressed === -1 ? (filesByPath.get(filePath) as FileData).tokenCount : counts[uncompressed];
+        nextCopiedFiles[filePath] = {
+          lines: copiedRanges[filePath] ? formatLineRanges(copiedRanges[filePath]) : null,
+          tokenCount: compressed === -1 ? uncompressedTokenCount : counts[compressed],
+          uncompressedTokenCount,
+        };
+      });
+      setCopiedFiles(nextCopiedFiles);
+
+      const relocated: Record<string, LineRange[]> = {};
+      Object.keys(lineRanges).forEach((filePath: string) => {
+        if (!(filePath in contents)) return;
+        const ranges = relocateLineRanges(lineRanges[filePath], contents[filePath]);
+        if (!areLineRangesEqual(ranges, lineRanges[filePath])) relocated[filePath] = ranges;
+      });
+      if (Object.keys(relocated).length > 0) {
+        setLineRanges((prev: Record<string, LineRange[]>) => {
+          const next = { ...prev };
+          Object.keys(relocated).forEach((filePath: string) => {
+            if (relocated[filePath].length > 0) next[filePath] = relocated[filePath];
+            else delete next[filePath];
+          });
+          return next;
+        });
+      }
+    };
+    const timeoutId = setTimeout(() => {
+      countCopiedFiles().catch((err: Error) => console.error("Failed to count the copied text:", err));
+    }, COPIED_TOKENS_DELAY_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeoutId);
+    };
+  }, [isElectron, allFiles, selectedFiles, lineRanges, selectedSymbols, compressionSettings, fileCompression]);
+
+  // Files with the token counts of what gets copied: only the picked lines of
+  // partial files, after compression
+  const effectiveFiles = useMemo(() => {
+    if (Object.keys(copiedFiles).length === 0) return allFiles;
+    return allFiles.map((file: FileData) => {
+      const key = normalizePath(file.path);
+      const isAdjusted =
+        key in copiedFiles &&
+        (lineRanges[key] || selectedSymbols[key] || isCompressionActive(fileCompression[key] ?? compressionSettings));
+      return isAdjusted ? { ...file, tokenCount: copiedFiles[key].tokenCount } : file;
+    });
+  }, [allFiles, lineRanges, selectedSymbols, fileCompression, compressionSettings, copiedFiles]);
+
+  // Tokens of the compressed files with and without compression, for the savings shown with the options
+  const compressionSavings = useMemo(() => {
+    let before = 0;
+    let after = 0;
+    Object.keys(copiedFiles).forEach((filePath: string) => {
+      if (!isCompressionActive(fileCompression[filePath] ?? compressionSettings)) return;
+      before += copiedFiles[filePath].uncompressedTokenCount;
+      after += copiedFiles[filePath].tokenCount;
+    });
+    return { before, after };
+  }, [copiedFiles, fileCompression, compressionSettings]);
+
+  // Picks lines of a file in the preview; picking lines selects the file, no lines copies it whole
+  const setFileLineRanges = (filePath: string, ranges: LineRange[]) => {
+    const key = normalizePath(filePath);
+    setLineRanges((prev: Record<string, LineRange[]>) => {
+      const next = { ...prev };
+      if (ranges.length > 0) next[key] = ranges;
+      else delete next[key];
+      return next;
+    });
+    if (ranges.length > 0) addToSelection([filePath]);
   };
 
-  /**
-   * State for storing user instructions 
-   * This text will be appended at the end of all copied content
-   * to provide context or special notes to recipients
-   */
-  const [userInstructions, setUserInstructions] = useState("");
+  // Gives a file its own compression settings, or null to use the ones for all files
+  const setFileCompressionSettings = (filePath: string, settings: CompressionSettings | null) => {
+    const key = normalizePath(filePath);
+    setFileCompression((prev: Record<string, CompressionSettings>) => {
+      const next = { ...prev };
+      if (settings) next[key] = settings;
+      else delete next[key];
+      return next;
+    });
+  };
+
+  // Picks symbols of a file in the outline, the same way
+  const setFileSymbols = (filePath: string, symbolIds: string[]) => {
+    const key = normalizePath(filePath);
+    setSelectedSymbols((prev: Record<string, string[]>) => {
+      const next = { ...prev };
+      if (symbolIds.length > 0) next[key] = symbolIds;
+      else delete next[key];
+      return next;
+    });
+    if (symbolIds.length > 0) addToSelection([filePath]);
+  };
+
+  // The diff is only read inside a git repository
+  const isGitDiffIncluded = gitDiffSettings.mode !== "off" && !!gitStatus?.isRepo;
+
+  // Reads the diff of the selected files with the chosen range; the token budget needs the diff
+  // of every selected file to decide which ones are copied
+  const fetchGitDiff = useCallback(async (): Promise<GitDiffResult> => {
+    return window.electron.invoke("get-git-diff", {
+      paths: selectedFiles,
+      range: gitDiffSettings.range.trim(),
+    });
+  }, [selectedFiles, gitDiffSettings.range]);
+
+  // Keep the diff and its token count current while it is included
+  useEffect(() => {
+    if (!isGitDiffIncluded) {
+      setGitDiff(null);
+      setGitDiffError(null);
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      fetchGitDiff()
+        .then((result: GitDiffResult) => {
+          setGitDiff(result);
+          setGitDiffError(null);
+        })
+        .catch((err: Error) => {
+          setGitDiff(null);
+          setGitDiffError(`Could not read the git diff: ${err.message}`);
+        });
+    }, GIT_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isGitDiffIncluded, fetchGitDiff]);
+
+  const isGitHistoryIncluded =
+    (gitHistorySettings.fileHistory || gitHistorySettings.log) && !!gitStatus?.isRepo;
+
+  // Reads the parts of the history that are turned on, for the selected files like the diff
+  const fetchGitHistory = useCallback(async (): Promise<GitHistoryResult> => {
+    return window.electron.invoke("get-git-history", {
+      paths: selectedFiles,
+      commitsPerFile: gitHistorySettings.fileHistory ? gitHistorySettings.commitsPerFile : 0,
+      logCount: gitHistorySettings.log ? gitHistorySettings.logCount : 0,
+    });
+  }, [selectedFiles, gitHistorySettings]);
+
+  useEffect(() => {
+    if (!isGitHistoryIncluded) {
+      setGitHistory(null);
+      setGitHistoryError(null);
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      fetchGitHistory()
+        .then((result: GitHistoryResult) => {
+          setGitHistory(result);
+          setGitHistoryError(null);
+        })
+        .catch((err: Error) => {
+          setGitHistory(null);
+          setGitHistoryError(`Could not read the git history: ${err.message}`);
+        });
+    }, GIT_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isGitHistoryIncluded, fetchGitHistory]);
+
+  // Git text copied along with each file, and the log copied whatever is kept
+  const gitBudgetTokens = useMemo((): GitBudgetTokens => {
+    const perFile: Record<string, number> = {};
+    const addTokens = (file: { path: string; tokenCount: number }) => {
+      const key = normalizePath(file.path);
+      perFile[key] = (perFile[key] || 0) + file.tokenCount;
+    };
+    if (isGitDiffIncluded && gitDiff) gitDiff.files.forEach(addTokens);
+    if (isGitHistoryIncluded && gitHistory) (gitHistory.files || []).forEach(addTokens);
+    return {
+      perFile,
+      fixed: isGitHistoryIncluded && gitHistory ? gitHistory.logTokenCount : 0,
+      contentsCopied: !(isGitDiffIncluded && gitDiffSettings.mode === "only"),
+    };
+  }, [isGitDiffIncluded, isGitHistoryIncluded, gitDiff, gitHistory, gitDiffSettings.mode]);
+
+  // The selection trimmed to the token budget, counting the git text copied along; this is
+  // exactly what gets copied, and its total is the token count shown
+  const budgetResult = useMemo(
+    () => trimSelectionToBudget(effectiveFiles, selectedFiles, tokenBudget, gitBudgetTokens),
+    [effectiveFiles, selectedFiles, tokenBudget, gitBudgetTokens]
+  );
+
+  // Scan the selected files, and the diff and history copied along, for secrets when they
+  // change: files that were just selected or modified, and the git text when it was read again.
+  // Copying scans them once more, so this only keeps the warnings current.
+  useEffect(() => {
+    const selected = new Set(selectedFiles.map(normalizePath));
+    const files = allFiles.filter(
+      (file: FileData) => !file.isBinary && !file.isSkipped && selected.has(normalizePath(file.path)),
+    );
+    if (!isElectron || files.length === 0) {
+      secretFileScansRef.current = {};
+      setSecretScan({});
+      return;
+    }
+
+    // Forget files that are no longer selected
+    const fileScans: Record<string, { mtimeMs?: number; file: SecretScanFile | null }> = {};
+    files.forEach((file: FileData) => {
+      const key = normalizePath(file.path);
+      if (key in secretFileScansRef.current) fileScans[key] = secretFileScansRef.current[key];
+    });
+    secretFileScansRef.current = fileScans;
+
+    const showScans = () => {
+      const scan: Record<string, SecretScanFile> = {};
+      Object.keys(secretFileScansRef.current).forEach((key: string) => {
+        const file = secretFileScansRef.current[key].file;
+        if (file) scan[key] = file;
+      });
+      setSecretScan({ ...scan, ...(secretTextScanRef.current ? secretTextScanRef.current.files : {}) });
+    };
+
+    const changedFiles = files.filter((file: FileData) => {
+      const earlier = fileScans[normalizePath(file.path)];
+      return !earlier || file.mtimeMs === undefined || earlier.mtimeMs !== file.mtimeMs;
+    });
+    const textScan = secretTextScanRef.current;
+    const isTextChanged = !textScan || textScan.diff !== gitDiff || textScan.history !== gitHistory;
+    if (changedFiles.length === 0 && !isTextChanged) {
+      showScans();
+      return;
+    }
+
+    let isCurrent = true;
+    const timeoutId = setTimeout(() => {
+      const texts = isTextChanged ? getGitSecretTexts(gitDiff, gitHistory) : [];
+      scanSecrets(changedFiles.map((file: FileData) => file.path), texts)
+        .then(({ files: found }: { files: Record<string, SecretScanFile> }) => {
+          if (!isCurrent) return;
+          changedFiles.forEach((file: FileData) => {
+            const key = normalizePath(file.path);
+            secretFileScansRef.current[key] = { mtimeMs: file.mtimeMs, file: found[key] || null };
+          });
+          if (isTextChanged) {
+            const textFiles: Record<string, SecretScanFile> = {};
+            Object.keys(found).forEach((key: string) => {
+              if (found[key].source !== "file") textFiles[key] = found[key];
+            });
+            secretTextScanRef.current = { diff: gitDiff, history: gitHistory, files: textFiles };
+          }
+          showScans();
+        })
+        .catch((err: Error) => console.error("Failed to scan for secrets:", err));
+    }, SECRET_SCAN_DELAY_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeoutId);
+    };
+  }, [isElectron, allFiles, selectedFiles, gitDiff, gitHistory]);
+
+  // Secrets that aren't allowed, by normalized path, for the badges in the tree and file list;
+  // those in a file's diff or history count for the file
+  const secretCounts = useMemo(() => {
+    const counts: Record<string, number> = {};
+    Object.keys(secretScan).forEach((scanKey: string) => {
+      const file: SecretScanFile = secretScan[scanKey];
+      const count = countBlockedSecrets(file);
+      if (count === 0 || file.path === null) return;
+      const key = normalizePath(file.path);
+      counts[key] = (counts[key] || 0) + count;
+    });
+    return counts;
+  }, [secretScan]);
+
+  // Allows a finding to be copied in the open folder, or blocks it again; the exception also
+  // covers the same secret in the file's diff and history
+  const allowSecretFinding = async (file: SecretScanFile, finding: SecretFinding, allowed: boolean) => {
+    try {
+      await window.electron.invoke("set-secret-exception", {
+        relativePath: file.relativePath,
+        ruleId: finding.ruleId,
+        fingerprint: finding.fingerprint,
+        allowed,
+      });
+    } catch (err) {
+      console.error("Failed to save the secret exception:", err);
+      return;
+    }
+    const update = (scanned: SecretScanFile): SecretScanFile =>
+      scanned.relativePath === file.relativePath
+        ? {
+            ...scanned,
+            findings: scanned.findings.map((candidate: SecretFinding) =>
+              candidate.fingerprint === finding.fingerprint ? { ...candidate, isAllowed: allowed } : candidate,
+            ),
+          }
+        : scanned;
+    // The earlier scans are kept up to date too, since unchanged files aren't scanned again
+    Object.keys(secretFileScansRef.current).forEach((key: string) => {
+      const scanned = secretFileScansRef.current[key];
+      if (scanned.file) secretFileScansRef.current[key] = { ...scanned, file: update(scanned.file) };
+    });
+    const textScan = secretTextScanRef.current;
+    if (textScan) {
+      const files: Record<string, SecretScanFile> = {};
+      Object.keys(textScan.files).forEach((key: string) => {
+        files[key] = update(textScan.files[key]);
+      });
+      secretTextScanRef.current = { ...textScan, files };
+    }
+    setSecretScan((prev: Record<string, SecretScanFile>) => {
+      const next: Record<string, SecretScanFile> = {};
+      Object.keys(prev).forEach((key: string) => {
+        next[key] = update(prev[key]);
+      });
+      return next;
+    });
+    setSecretError(null);
+  };
+
+  const activeTemplate =
+    outputTemplates.find((template: OutputTemplate) => template.id === activeTemplateId) || null;
 
   /**
-   * Assembles the final content for copying by using the utility function
-   * @returns {string} The concatenated content ready for copying
+   * Assembles the final content for copying by using the utility function.
+   * File contents aren't part of the file list, so they are loaded first,
+   * along with a fresh git diff and history when they are included.
+   * Files dropped by the token budget are left out. The files, diff and history
+   * are scanned for secrets first: secrets that aren't allowed block the copy,
+   * or are redacted.
+   * @returns {Promise<string>} The concatenated content ready for copying
    */
-  const getSelectedFilesContent = () => {
+  const getSelectedFilesContent = async () => {
+    const copiedPaths = budgetResult.keptPaths;
+    let diff: GitDiffResult | null = null;
+    if (isGitDiffIncluded) {
+      try {
+        diff = await fetchGitDiff();
+      } catch (err) {
+        // Don't copy without the diff that was asked for; the error is shown with the options
+        setGitDiffError(`Could not read the git diff: ${(err as Error).message}`);
+        throw err;
+      }
+    }
+    let history: GitHistoryResult | null = null;
+    if (isGitHistoryIncluded) {
+      try {
+        history = await fetchGitHistory();
+      } catch (err) {
+        setGitHistoryError(`Could not read the git history: ${(err as Error).message}`);
+        throw err;
+      }
+    }
+    ({ diff, history } = keepCopiedGitFiles(diff, history, copiedPaths));
+    const secrets = await scanSecrets(copiedPaths, getGitSecretTexts(diff, history), secretAction === "redact");
+    const blockedMessage = secretAction === "block" ? describeBlockedSecrets(secrets.files) : null;
+    setSecretScan((prev: Record<string, SecretScanFile>) => ({ ...prev, ...secrets.files }));
+    setSecretError(blockedMessage);
+    if (blockedMessage) throw new Error(blockedMessage);
+    ({ diff, history } = redactGitText(diff, history, secrets.redacted));
+
+    // Redacted files keep their line numbers; ranges and symbols are found again in the redacted text
+    const files = (await withFileContents(effectiveFiles, copiedPaths)).map((file: FileData) => {
+      const redacted = secrets.redacted[normalizePath(file.path)];
+      return redacted === undefined ? file : { ...file, content: redacted };
+    });
+    const contents: Record<string, string> = {};
+    files.forEach((file: FileData) => {
+      if (file.content !== undefined) contents[normalizePath(file.path)] = file.content;
+    });
     return formatContentForCopying({
-      files: allFiles,
-      selectedFiles,
+      files,
+      selectedFiles: copiedPaths,
       sortOrder,
       includeFileTree,
       selectedFolder,
-      userInstructions
+      userInstructions,
+      outputFormat,
+      template: activeTemplate,
+      diffs: diff ? diff.files : null,
+      diffOnly: gitDiffSettings.mode === "only",
+      history,
+      lineRanges: await resolveCopiedLineRanges(contents, lineRanges, selectedSymbols),
+      compression: compressionSettings,
+      fileCompression,
+    });
+  };
+
+  // Everything the copied output depends on; the bundle preview is rebuilt when it changes
+  const bundleKey = JSON.stringify([
+    budgetResult.keptPaths,
+    sortOrder,
+    includeFileTree,
+    userInstructions,
+    outputFormat,
+    activeTemplate,
+    gitDiffSettings,
+    gitHistorySettings,
+    gitDiff?.tokenCount,
+    gitHistory?.tokenCount,
+    lineRanges,
+    selectedSymbols,
+    compressionSettings,
+    fileCompression,
+    secretAction,
+    secretCounts,
+  ]);
+
+  // The bundle preview highlights Markdown and JSON; the XML-style formats are mostly file contents
+  const bundleLanguage =
+    !activeTemplate && (outputFormat === "markdown" || outputFormat === "json") ? outputFormat : "text";
+
+  // Saves the preset list of the open folder
+  const saveSelectionPresets = async (presets: SelectionPreset[]) => {
+    if (!selectedFolder) return;
+    try {
+      const saved: SelectionPreset[] = await window.electron.invoke("set-selection-presets", {
+        folderPath: selectedFolder,
+        presets,
+      });
+      setSelectionPresets(saved);
+    } catch (err) {
+      console.error("Failed to save selection presets:", err);
+    }
+  };
+
+  // Saves the selection, instructions and output options; an existing name is overwritten
+  const handleSavePreset = (name: string) => {
+    const now = Date.now();
+    const existing = selectionPresets.find((preset: SelectionPreset) => preset.name === name);
+    const preset: SelectionPreset = {
+      id: existing ? existing.id : `preset-${now.toString(36)}`,
+      name,
+      files: toPresetPaths(allFiles, selectedFiles),
+      instructions: userInstructions,
+      includeFileTree,
+      outputFormat,
+      templateId: activeTemplate ? activeTemplate.id : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    saveSelectionPresets(
+      existing
+        ? selectionPresets.map((candidate: SelectionPreset) => (candidate.id === existing.id ? preset : candidate))
+        : [...selectionPresets, preset]
+    );
+  };
+
+  // Restores a preset; returns the preset paths that aren't in the folder anymore
+  const handleLoadPreset = (preset: SelectionPreset): string[] => {
+    const { paths, missing } = resolvePresetPaths(allFiles, preset);
+    setSelectedFiles(paths);
+    setUserInstructions(preset.instructions);
+    setIncludeFileTree(preset.includeFileTree);
+    if (OUTPUT_FORMATS.some((format) => format.value === preset.outputFormat)) {
+      setOutputFormat(preset.outputFormat as OutputFormat);
+    }
+    setActiveTemplateId(
+      outputTemplates.some((template: OutputTemplate) => template.id === preset.templateId)
+        ? preset.templateId
+        : null
+    );
+    return missing;
+  };
+
+  const handleRenamePreset = (presetId: string, name: string) => {
+    saveSelectionPresets(
+      selectionPresets.map((preset: SelectionPreset) =>
+        preset.id === presetId ? { ...preset, name, updatedAt: Date.now() } : preset
+      )
+    );
+  };
+
+  const handleDeletePreset = (presetId: string) => {
+    saveSelectionPresets(selectionPresets.filter((preset: SelectionPreset) => preset.id !== presetId));
+  };
+
+  // Search the loaded files as the query changes, and again when files change
+  useEffect(() => {
+    setContentSearchError(null);
+    if (!isElectron || !contentSearch.query) {
+      setContentSearchResult(null);
+      setIsContentSearching(false);
+      return;
+    }
+    if (contentSearch.isRegex) {
+      try {
+        new RegExp(contentSearch.query);
+      } catch (err) {
+        setContentSearchResult(null);
+        setContentSearchError((err as Error).message);
+        setIsContentSearching(false);
+        return;
+      }
+    }
+
+    let isCurrent = true; // Results of an older query are dropped
+    setIsContentSearching(true);
+    const timeoutId = setTimeout(() => {
+      window.electron
+        .invoke("search-file-contents", {
+          filePaths: allFiles
+            .filter((file: FileData) => !file.isBinary && !file.isSkipped)
+            .map((file: FileData) => file.path),
+          ...contentSearch,
+        })
+        .then((result: ContentSearchResult) => {
+          if (!isCurrent || result.cancelled) return;
+          setContentSearchResult(result);
+          setIsContentSearching(false);
+        })
+        .catch((err: Error) => {
+          if (!isCurrent) return;
+          setContentSearchResult(null);
+          setContentSearchError(`Search failed: ${err.message}`);
+          setIsContentSearching(false);
+        });
+    }, CONTENT_SEARCH_DELAY_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeoutId);
+    };
+  }, [isElectron, contentSearch, allFiles]);
+
+  // Adds the selectable files among paths to the selection
+  const addToSelection = (paths: string[]) => {
+    const added = new Set(paths.map(normalizePath));
+    const selectable = allFiles
+      .filter((file: FileData) => !file.isBinary && !file.isSkipped && added.has(normalizePath(file.path)))
+      .map((file: FileData) => normalizePath(file.path));
+
+    setSelectedFiles((prev: string[]) => {
+      const selection = new Set(prev.map(normalizePath));
+      selectable.forEach((selectablePath: string) => selection.add(selectablePath));
+      return Array.from(selection);
+    });
+  };
+
+  // "Select all matches": adds every selectable file with a content search match
+  const selectContentMatches = () => {
+    if (!contentSearchResult) return;
+    addToSelection(contentSearchResult.matches.map((match: { path: string }) => match.path));
+  };
+
+  // Files the import graph is built from
+  const getImportGraphPaths = () =>
+    allFiles.filter((file: FileData) => !file.isBinary && !file.isSkipped).map((file: FileData) => file.path);
+
+  // "Select dependencies": the loaded files the selection imports, for the preview
+  const findDependencies = async (depth: number): Promise<DependencyFile[]> => {
+    const result: { files: DependencyFile[] } = await window.electron.invoke("find-file-dependencies", {
+      filePaths: getImportGraphPaths(),
+      paths: selectedFiles,
+      depth,
     });
+    return result.files;
+  };
+
+  // "Select dependents": adds a file and every file importing it, and sums up the impact
+  const selectDependents = async (filePath: string) => {
+    try {
+      const result: { files: DependentFile[] } = await window.electron.invoke("find-file-dependents", {
+        filePaths: getImportGraphPaths(),
+        paths: [filePath],
+      });
+      const dependents = new Set(result.files.map((file: DependentFile) => normalizePath(file.path)));
+      const tokenCount = allFiles
+        .filter((file: FileData) => dependents.has(normalizePath(file.path)))
+        .reduce((sum: number, file: FileData) => sum + file.tokenCount, 0);
+
+      addToSelection([filePath, ...result.files.map((file: DependentFile) => file.path)]);
+      setDependentsImpact({ path: filePath, files: result.files, tokenCount });
+    } catch (err) {
+      setDependentsImpact({
+        path: filePath,
+        files: [],
+        tokenCount: 0,
+        error: `Could not read the imports: ${(err as Error).message}`,
+      });
+    }
+  };
+
+  // Replaces the selection with the selectable files among paths reported by git
+  const selectGitPaths = (paths: string[]): number => {
+    const changed = new Set(paths.map(normalizePath));
+    const selectable = allFiles
+      .filter((file: FileData) => !file.isBinary && !file.isSkipped && changed.has(normalizePath(file.path)))
+      .map((file: FileData) => normalizePath(file.path));
+    if (selectable.length > 0) setSelectedFiles(selectable);
+    return selectable.length;
+  };
+
+  // "Select modified" and "Select staged", from a fresh git status
+  const handleSelectGitChanges = async (kind: "modified" | "staged"): Promise<number> => {
+    const status = await refreshGitStatus();
+    if (!status || !status.isRepo) return 0;
+    return selectGitPaths(
+      status.files
+        .filter((file: GitFileStatus) => kind === "modified" || file.staged)
+        .map((file: GitFileStatus) => file.path)
+    );
+  };
+
+  // "Select changed vs. <branch>"
+  const handleSelectBranchChanges = async (base: string): Promise<number> => {
+    if (!selectedFolder) return 0;
+    const paths: string[] = await window.electron.invoke("get-git-branch-diff", { base });
+    return selectGitPaths(paths);
+  };
+
+  // Output format picker: built-in formats by name, templates as "template:<id>"
+  const handleOutputFormatChange = (value: string) => {
+    if (value.startsWith("template:")) {
+      setActiveTemplateId(value.slice("template:".length));
+    } else {
+      setActiveTemplateId(null);
+      setOutputFormat(value as OutputFormat);
+    }
+  };
+
+  // Templates saved in the Templates panel; forget the chosen one if it was deleted
+  const handleTemplatesSaved = (templates: OutputTemplate[]) => {
+    setOutputTemplates(templates);
+    if (activeTemplateId && !templates.some((template: OutputTemplate) => template.id === activeTemplateId)) {
+      setActiveTemplateId(null);
+    }
+    setTemplateEditorOpen(false);
   };
 
   // Handle select all files
@@ -652,18 +1829,11 @@ const App = (): JSX.Element => {
   // Handle expand/collapse state changes
   const toggleExpanded = (nodeId: string) => {
     setExpandedNodes((prev: Record<string, boolean>) => {
-      const newState = {
+      // Saved with the folder's workspace state
+      return {
         ...prev,
         [nodeId]: prev[nodeId] === undefined ? false : !prev[nodeId],
       };
-
-      // Save to localStorage
-      localStorage.setItem(
-        STORAGE_KEYS.EXPANDED_NODES,
-        JSON.stringify(newState),
-      );
-
-      return newState;
     });
   };
 
@@ -687,6 +1857,19 @@ const App = (): JSX.Element => {
               >
                 Select Folder
               </button>
+              <RecentFolders
+                selectedFolder={selectedFolder}
+                onSelect={selectFolder}
+                disabled={!isElectron || processingStatus.status === "processing"}
+              />
+              <button
+                className="ignore-rules-btn"
+                onClick={() => setIgnorePanelOpen(true)}
+                disabled={!isElectron || processingStatus.status === "processing"}
+                title="Choose which files are ignored"
+              >
+                Ignore Rules
+              </button>
               <button
                 className="clear-data-btn"
                 onClick={clearSavedState}
@@ -694,10 +1877,41 @@ const App = (): JSX.Element => {
               >
                 Clear Data
               </button>
+              <button
+                className="clear-cache-btn"
+                onClick={clearScanCache}
+                disabled={!isElectron || processingStatus.status === "processing"}
+                title="Forget cached token counts so every file is read again on the next scan"
+              >
+                {cacheCleared ? "Cache Cleared" : "Clear Cache"}
+              </button>
             </div>
           </div>
         </header>
 
+        {ignorePanelOpen && (
+          <IgnoreSettingsPanel
+            selectedFolder={selectedFolder}
+            onClose={() => setIgnorePanelOpen(false)}
+            onApply={handleIgnoreSettingsApplied}
+          />
+        )}
+
+        {templateEditorOpen && (
+          <TemplateEditor
+            templates={outputTemplates}
+            activeTemplateId={activeTemplate ? activeTemplate.id : null}
+            allFiles={allFiles}
+            selectedFiles={budgetResult.keptPaths}
+            selectedFolder={selectedFolder}
+            sortOrder={sortOrder}
+            includeFileTree={includeFileTree}
+            userInstructions={userInstructions}
+            onClose={() => setTemplateEditorOpen(false)}
+            onSave={handleTemplatesSaved}
+          />
+        )}
+
         {processingStatus.status === "processing" && (
           <div className="processing-indicator">
             <div className="spinner"></div>
@@ -729,6 +1943,29 @@ const App = (): JSX.Element => {
               deselectAllFiles={deselectAllFiles}
               expandedNodes={expandedNodes}
               toggleExpanded={toggleExpanded}
+              presets={selectionPresets}
+              onSavePreset={handleSavePreset}
+              onLoadPreset={handleLoadPreset}
+              onRenamePreset={handleRenamePreset}
+              onDeletePreset={handleDeletePreset}
+              gitStatus={gitStatus}
+              onSelectGitChanges={handleSelectGitChanges}
+              onSelectBranchChanges={handleSelectBranchChanges}
+              onRefreshGitStatus={refreshGitStatus}
+              contentSearch={contentSearch}
+              onContentSearchChange={setContentSearch}
+              contentSearchResult={contentSearchResult}
+              contentSearchError={contentSearchError}
+              isContentSearching={isContentSearching}
+              onSelectContentMatches={selectContentMatches}
+              onFindDependencies={findDependencies}
+              onAddToSelection={addToSelection}
+              onSelectDependents={selectDependents}
+              dependentsImpact={dependentsImpact}
+              onDismissDependentsImpact={() => setDependentsImpact(null)}
+              onPreviewFile={(filePath: string) => setPreviewTarget({ type: "file", path: filePath })}
+              isPreviewOpen={previewTarget !== null}
+              secretCounts={secretCounts}
             />
             <div className="content-area">
               <div className="content-header">
@@ -759,17 +1996,60 @@ const App = (): JSX.Element => {
                       </div>
                     )}
                   </div>
+                  {modelInfo && (
+                    <ModelSelector
+                      modelInfo={modelInfo}
+                      onChange={handleModelSettingsChange}
+                      disabled={processingStatus.status === "processing"}
+                    />
+                  )}
                   <div className="file-stats">
-                    {selectedFiles.length} files | ~
-                    {calculateTotalTokens().toLocaleString()} tokens
+                    {budgetResult.keptPaths.length} files | ~
+                    {budgetResult.keptTokens.toLocaleString()} tokens
                   </div>
+                  {modelInfo && (
+                    <ContextMeter
+                      tokens={budgetResult.keptTokens}
+                      contextWindow={modelInfo.profile.contextWindow}
+                    />
+                  )}
                 </div>
               </div>
 
+              <TokenBudget
+                budget={tokenBudget}
+                onChange={setTokenBudget}
+                result={budgetResult}
+                onDeselectDropped={() => setSelectedFiles(budgetResult.keptPaths)}
+              />
+
+              {gitStatus?.isRepo && (
+                <GitContext
+                  diffSettings={gitDiffSettings}
+                  onDiffSettingsChange={setGitDiffSettings}
+                  diffResult={gitDiff}
+                  diffError={gitDiffError}
+                  historySettings={gitHistorySettings}
+                  onHistorySettingsChange={setGitHistorySettings}
+                  historyResult={gitHistory}
+                  historyError={gitHistoryError}
+                />
+              )}
+
+              <CompressionOptions
+                settings={compressionSettings}
+                onChange={setCompressionSettings}
+                savings={compressionSavings}
+              />
+
               <FileList
                 files={displayedFiles}
                 selectedFiles={selectedFiles}
                 toggleFileSelection={toggleFileSelection}
+                onSelectDependents={selectDependents}
+                onPreview={(filePath: string) => setPreviewTarget({ type: "file", path: filePath })}
+                copiedFiles={copiedFiles}
+                secretCounts={secretCounts}
               />
 
               {/* 
@@ -783,6 +2063,16 @@ const App = (): JSX.Element => {
                 setInstructions={setUserInstructions}
               />
 
+              {Object.keys(secretScan).length > 0 && (
+                <SecretWarnings
+                  files={Object.values(secretScan)}
+                  action={secretAction}
+                  onActionChange={setSecretAction}
+                  onAllowFinding={allowSecretFinding}
+                  error={secretError}
+                />
+              )}
+
               <div className="copy-button-container">
                 <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: "12px", width: "100%", maxWidth: "400px" }}>
                   <label style={{ display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
@@ -793,21 +2083,93 @@ const App = (): JSX.Element => {
                     />
                     <span>Include File Tree</span>
                   </label>
+                  <div className="output-format">
+                    <label className="output-format-picker">
+                      <span>Output format</span>
+                      <select
+                        value={activeTemplate ? `template:${activeTemplate.id}` : outputFormat}
+                        onChange={(e: any) => handleOutputFormatChange(e.target.value)}
+                      >
+                        {OUTPUT_FORMATS.map((format) => (
+                          <option key={format.value} value={format.value}>
+                            {format.label}
+                          </option>
+                        ))}
+                        {outputTemplates.length > 0 && (
+                          <optgroup label="Templates">
+                            {outputTemplates.map((template: OutputTemplate) => (
+                              <option key={template.id} value={`template:${template.id}`}>
+                                {template.name}
+                              </option>
+                            ))}
+                          </optgroup>
+                        )}
+                      </select>
+                    </label>
+                    <button
+                      className="output-format-templates"
+                      onClick={() => setTemplateEditorOpen(true)}
+                      disabled={!isElectron}
+                      title="Write your own output templates"
+                    >
+                      Templates...
+                    </button>
+                  </div>
                   {/* 
                    * Copy Button
                    * When clicked, this will copy all selected files along with:
                    * - File tree (if enabled via the checkbox)
+                   * - Git diff (if included), after or instead of the file contents
+                   * - Git log and file history (if included)
                    * - User instructions (if any were entered)
+                   * laid out in the chosen output format or template
                    */}
                   <CopyButton
-                    text={getSelectedFilesContent()}
+                    text={getSelectedFilesContent}
                     className="primary full-width"
                   >
-                    <span>COPY ALL SELECTED ({selectedFiles.length} files)</span>
+                    <span>COPY ALL SELECTED ({budgetResult.keptPaths.length} files)</span>
                   </CopyButton>
+                  <button
+                    className="preview-bundle-btn"
+                    onClick={() => setPreviewTarget({ type: "bundle" })}
+                    title="See exactly what will be copied"
+                  >
+                    Preview
+                  </button>
                 </div>
               </div>
             </div>
+
+            {previewTarget && (
+              <PreviewPane
+                target={previewTarget}
+                allFiles={allFiles}
+                bundleKey={bundleKey}
+                bundleTokens={budgetResult.keptTokens}
+                bundleLanguage={bundleLanguage}
+                loadBundle={getSelectedFilesContent}
+                onShowBundle={() => setPreviewTarget({ type: "bundle" })}
+                onClose={() => setPreviewTarget(null)}
+                lineRanges={previewTarget.type === "file" ? lineRanges[normalizePath(previewTarget.path)] || [] : []}
+                onLineRangesChange={setFileLineRanges}
+                selectedSymbols={
+                  previewTarget.type === "file" ? selectedSymbols[normalizePath(previewTarget.path)] || [] : []
+                }
+                onSelectedSymbolsChange={setFileSymbols}
+                compression={
+                  (previewTarget.type === "file" && fileCompression[normalizePath(previewTarget.path)]) ||
+                  compressionSettings
+                }
+                hasOwnCompression={
+                  previewTarget.type === "file" && normalizePath(previewTarget.path) in fileCompression
+                }
+                onFileCompressionChange={setFileCompressionSettings}
+                copiedFile={
+                  previewTarget.type === "file" ? copiedFiles[normalizePath(previewTarget.path)] : undefined
+                }
+              />
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,52 @@
+import React from "react";
+import { CompressionSettings } from "../types/FileTypes";
+import { COMPRESSION_OPTIONS } from "../utils/compressionUtils";
+
+interface CompressionOptionsProps {
+  settings: CompressionSettings;
+  onChange: (settings: CompressionSettings) => void;
+  label?: string;
+  savings?: { before: number; after: number } | null; // Tokens of the affected files without and with compression
+}
+
+/**
+ * CompressionOptions Component
+ *
+ * Checkboxes for the compression transforms applied before copying (see
+ * compressionUtils.ts), with the tokens they save. Used for the settings of
+ * all files below the file list, and for one file's own settings in the
+ * preview pane.
+ */
+const CompressionOptions = ({
+  settings,
+  onChange,
+  label = "Compression",
+  savings = null,
+}: CompressionOptionsProps): JSX.Element => {
+  const saved = savings ? savings.before - savings.after : 0;
+
+  return (
+    <div className="compression-options">
+      <span className="compression-options-label">{label}</span>
+      {COMPRESSION_OPTIONS.map((option: (typeof COMPRESSION_OPTIONS)[number]) => (
+        <label key={option.key} className="compression-option" title={option.description}>
+          <input
+            type="checkbox"
+            checked={settings[option.key]}
+            onChange={() => onChange({ ...settings, [option.key]: !settings[option.key] })}
+          />
+          <span>{option.label}</span>
+        </label>
+      ))}
+      {savings && savings.before > 0 && (
+        <span className="compression-options-savings">
+          {saved > 0
+            ? `Saves ~${saved.toLocaleString()} tokens (${Math.round((saved / savings.before) * 100)}%)`
+            : "Nothing to save"}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CompressionOptions;
@@ -0,0 +1,98 @@
+import React from "react";
+import { CaseSensitive, Regex, X } from "lucide-react";
+import { ContentSearchOptions, ContentSearchResult } from "../types/FileTypes";
+
+interface ContentSearchProps {
+  search: ContentSearchOptions;
+  onChange: (search: ContentSearchOptions) => void;
+  result: ContentSearchResult | null;
+  error: string | null;
+  isSearching: boolean;
+  onSelectMatches: () => void;
+}
+
+/**
+ * ContentSearch Component
+ *
+ * Sidebar search through the contents of the loaded files, run by the main
+ * process as you type. Matching files are highlighted in the tree with their
+ * hit counts, and "Select all matches" adds them to the selection.
+ */
+const ContentSearch = ({
+  search,
+  onChange,
+  result,
+  error,
+  isSearching,
+  onSelectMatches,
+}: ContentSearchProps): JSX.Element => {
+  const matchedFiles = result ? result.matches.length : 0;
+
+  let summary = "";
+  if (error) {
+    summary = error;
+  } else if (isSearching) {
+    summary = "Searching...";
+  } else if (result) {
+    summary = `${result.totalMatches.toLocaleString()} match${result.totalMatches === 1 ? "" : "es"} in ${matchedFiles} of ${result.searchedFiles} files`;
+  }
+
+  return (
+    <div className="content-search">
+      <div className="content-search-row">
+        <input
+          type="text"
+          className="content-search-input"
+          value={search.query}
+          onChange={(e: any) => onChange({ ...search, query: e.target.value })}
+          onKeyDown={(e: any) => {
+            if (e.key === "Escape") onChange({ ...search, query: "" });
+          }}
+          placeholder="Search in file contents..."
+          spellCheck={false}
+        />
+        <button
+          className={`content-search-toggle ${search.caseSensitive ? "active" : ""}`}
+          onClick={() => onChange({ ...search, caseSensitive: !search.caseSensitive })}
+          title="Match case"
+          aria-pressed={search.caseSensitive}
+        >
+          <CaseSensitive size={16} />
+        </button>
+        <button
+          className={`content-search-toggle ${search.isRegex ? "active" : ""}`}
+          onClick={() => onChange({ ...search, isRegex: !search.isRegex })}
+          title="Use regular expression"
+          aria-pressed={search.isRegex}
+        >
+          <Regex size={16} />
+        </button>
+        {search.query && (
+          <button
+            className="content-search-toggle"
+            onClick={() => onChange({ ...search, query: "" })}
+            title="Clear content search"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {search.query && (
+        <div className="content-search-row">
+          <span className={`content-search-summary ${error ? "error" : ""}`}>{summary}</span>
+          <button
+            className="sidebar-action-btn"
+            onClick={onSelectMatches}
+            disabled={!result || matchedFiles === 0 || !!error}
+            title="Add every matching file to the selection"
+          >
+            Select all matches
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContentSearch;
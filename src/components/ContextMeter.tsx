@@ -0,0 +1,33 @@
+import React from "react";
+
+interface ContextMeterProps {
+  tokens: number;
+  contextWindow: number;
+}
+
+/**
+ * ContextMeter Component
+ *
+ * Shows how much of the selected model's context window the selected files
+ * use. The bar turns orange above 80% and red once the selection doesn't fit.
+ */
+const ContextMeter = ({ tokens, contextWindow }: ContextMeterProps): JSX.Element => {
+  const percent = contextWindow > 0 ? (tokens / contextWindow) * 100 : 0;
+  const level = percent > 100 ? "over" : percent > 80 ? "high" : "ok";
+
+  return (
+    <div
+      className={`context-meter ${level}`}
+      title={`${tokens.toLocaleString()} of ${contextWindow.toLocaleString()} tokens`}
+    >
+      <div className="context-meter-bar">
+        <div className="context-meter-fill" style={{ width: `${Math.min(percent, 100)}%` }} />
+      </div>
+      <span className="context-meter-label">
+        {percent < 1 && percent > 0 ? "<1" : Math.round(percent)}% of context
+      </span>
+    </div>
+  );
+};
+
+export default ContextMeter;
@@ -2,17 +2,24 @@ import React, { useState } from "react";
 import { Copy, Check } from "lucide-react";
 
 interface CopyButtonProps {
-  text: string;
+  // The text, or a function that loads it when the button is clicked
+  text: string | (() => Promise<string>);
   className?: string;
   children?: JSX.Element | string;
 }
 
 const CopyButton = ({ text, className = "", children }: CopyButtonProps) => {
   const [copied, setCopied] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
 
   const handleCopy = async () => {
     try {
-      await navigator.clipboard.writeText(text);
+      let content = text;
+      if (typeof content === "function") {
+        setIsLoading(true);
+        content = await content();
+      }
+      await navigator.clipboard.writeText(content);
       setCopied(true);
 
       // Reset the copied state after 2 seconds
@@ -21,6 +28,8 @@ const CopyButton = ({ text, className = "", children }: CopyButtonProps) => {
       }, 2000);
     } catch (err) {
       console.error("Failed to copy:", err);
+    } finally {
+      setIsLoading(false);
     }
   };
 
@@ -34,7 +43,8 @@ const CopyButton = ({ text, className = "", children }: CopyButtonProps) => {
       type="button"
       className={`${className}`}
       onClick={handleCopy}
-      title={copied ? "Copied!" : "Copy to clipboard"}
+      disabled={isLoading}
+      title={copied ? "Copied!" : isLoading ? "Loading file contents..." : "Copy to clipboard"}
       style={buttonStyle}
     >
       {copied ? <Check size={16} /> : <Copy size={16} />}
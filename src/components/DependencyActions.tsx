@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { DependencyFile, DependentFile, DependentsImpact, FileData } from "../types/FileTypes";
+import { normalizePath } from "../utils/pathUtils";
+
+interface DependencyActionsProps {
+  allFiles: FileData[];
+  selectedFiles: string[];
+  onFind: (depth: number) => Promise<DependencyFile[]>;
+  onAdd: (paths: string[]) => void;
+  impact: DependentsImpact | null;
+  onDismissImpact: () => void;
+}
+
+// Depth choices; 0 follows imports of imports until nothing new is found
+const DEPTH_OPTIONS = [
+  { value: 1, label: "Direct imports" },
+  { value: 2, label: "2 levels" },
+  { value: 3, label: "3 levels" },
+  { value: 0, label: "All levels" },
+];
+
+/**
+ * DependencyActions Component
+ *
+ * Sidebar section that finds the files the selection imports (JS/TS and
+ * Python) and previews them with their token cost before adding them to the
+ * selection. The preview is dropped when the selection changes. It also
+ * sums up the last "Select dependents" action of the file tree or file list.
+ */
+const DependencyActions = ({
+  allFiles,
+  selectedFiles,
+  onFind,
+  onAdd,
+  impact,
+  onDismissImpact,
+}: DependencyActionsProps): JSX.Element => {
+  const [depth, setDepth] = useState(1);
+  const [preview, setPreview] = useState(null as DependencyFile[] | null);
+  const [isFinding, setIsFinding] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setPreview(null);
+    setError("");
+  }, [selectedFiles]);
+
+  // Loaded files by normalized path, for relative paths and token counts
+  const filesByPath = useMemo(() => {
+    const map: Record<string, FileData> = {};
+    allFiles.forEach((file: FileData) => {
+      map[normalizePath(file.path)] = file;
+    });
+    return map;
+  }, [allFiles]);
+
+  const displayPath = (path: string) => filesByPath[normalizePath(path)]?.relativePath || path;
+  const previewTokens = (preview || []).reduce(
+    (sum: number, file: DependencyFile) => sum + (filesByPath[normalizePath(file.path)]?.tokenCount || 0),
+    0,
+  );
+
+  const directDependents = impact
+    ? impact.files.filter((file: DependentFile) => file.depth === 1).length
+    : 0;
+
+  const handleFind = () => {
+    setIsFinding(true);
+    setError("");
+    onFind(depth)
+      .then((files: DependencyFile[]) => setPreview(files))
+      .catch((err: Error) => setError(`Could not read the imports: ${err.message}`))
+      .finally(() => setIsFinding(false));
+  };
+
+  const handleAdd = () => {
+    if (!preview) return;
+    onAdd(preview.map((file: DependencyFile) => file.path));
+  };
+
+  return (
+    <div className="dependency-actions">
+      <div className="dependency-actions-row">
+        <button
+          className="sidebar-action-btn"
+          onClick={handleFind}
+          disabled={selectedFiles.length === 0 || isFinding}
+          title="Find the loaded files imported by the selected files"
+        >
+          {isFinding ? "Finding..." : "Select dependencies"}
+        </button>
+        <select value={depth} onChange={(e: any) => setDepth(Number(e.target.value))}>
+          {DEPTH_OPTIONS.map((option: { value: number; label: string }) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="dependency-actions-note">{error}</div>}
+
+      {preview && preview.length === 0 && (
+        <div className="dependency-actions-note">The selection doesn't import any other loaded file.</div>
+      )}
+
+      {preview && preview.length > 0 && (
+        <>
+          <div className="dependency-actions-summary">
+            {preview.length} file{preview.length === 1 ? "" : "s"}, +{previewTokens.toLocaleString()} tokens
+          </div>
+          <ul className="dependency-actions-list">
+            {preview.map((file: DependencyFile) => (
+              <li key={file.path} title={`Imported by ${displayPath(file.importedBy)}`}>
+                + {displayPath(file.path)}
+              </li>
+            ))}
+          </ul>
+          <div className="dependency-actions-row">
+            <button className="sidebar-action-btn" onClick={handleAdd}>
+              Add to selection
+            </button>
+            <button className="sidebar-action-btn" onClick={() => setPreview(null)}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      {impact && (
+        <div className="dependency-impact">
+          <div className="dependency-actions-row">
+            <span className="dependency-actions-summary">
+              {impact.error
+                ? impact.error
+                : impact.files.length === 0
+                  ? `No loaded file imports ${displayPath(impact.path)}.`
+                  : `${impact.files.length} file${impact.files.length === 1 ? "" : "s"} use ${displayPath(
+                      impact.path,
+                    )} (${directDependents} directly), ${impact.tokenCount.toLocaleString()} tokens`}
+            </span>
+            <button className="sidebar-action-btn" onClick={onDismissImpact}>
+              Dismiss
+            </button>
+          </div>
+          {impact.files.length > 0 && (
+            <ul className="dependency-actions-list">
+              {impact.files.map((file: DependentFile) => (
+                <li key={file.path} title={`Imports ${displayPath(file.imports)}`}>
+                  {displayPath(file.path)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DependencyActions;
@@ -1,31 +1,45 @@
 import React from "react";
-import { FileCardProps } from "../types/FileTypes";
-import { Plus, X, FileText } from "lucide-react";
+import { FileCardProps, CopiedFile } from "../types/FileTypes";
+import { Plus, X, FileText, Network } from "lucide-react";
 import CopyButton from "./CopyButton";
+import { loadFileContent } from "../utils/fileContentUtils";
 
 interface FileCardComponentProps {
   file: {
     name: string;
     path: string;
     tokenCount: number;
-    content: string;
   };
+  copied?: CopiedFile; // What is copied, when only some lines are or the file is compressed
+  secretCount?: number; // Possible secrets that aren't allowed
   isSelected: boolean;
   toggleSelection: (path: string) => void;
+  onSelectDependents?: (path: string) => void;
+  onPreview?: (path: string) => void;
 }
 
 const FileCard = ({
   file,
+  copied,
+  secretCount,
   isSelected,
   toggleSelection,
+  onSelectDependents,
+  onPreview,
 }: FileCardComponentProps) => {
   const { name, path: filePath, tokenCount } = file;
 
-  // Format token count for display
-  const formattedTokens = tokenCount.toLocaleString();
+  // Format token count for display; partial and compressed files count what is copied
+  const formattedTokens = (copied ? copied.tokenCount : tokenCount).toLocaleString();
+  const lines = copied?.lines;
+  const isCompressed = copied !== undefined && copied.tokenCount !== copied.uncompressedTokenCount;
 
   return (
-    <div className={`file-card ${isSelected ? "selected" : ""}`}>
+    <div
+      className={`file-card ${isSelected ? "selected" : ""} ${onPreview ? "previewable" : ""}`}
+      onClick={() => onPreview?.(filePath)}
+      title={onPreview ? "Click to preview" : undefined}
+    >
       <div className="file-card-header">
         <div className="file-card-icon">
           <FileText size={16} />
@@ -34,9 +48,27 @@ const FileCard = ({
       </div>
       <div className="file-card-info">
         <div className="file-card-tokens">~{formattedTokens} tokens</div>
+        {lines && (
+          <div className="file-card-lines" title={`Only lines ${lines} are copied`}>
+            lines {lines}
+          </div>
+        )}
+        {isCompressed && (
+          <div
+            className="file-card-lines"
+            title={`Compressed from ~${copied.uncompressedTokenCount.toLocaleString()} tokens`}
+          >
+            compressed
+          </div>
+        )}
+        {secretCount ? (
+          <div className="file-card-secrets" title="See the warnings above the copy button">
+            {secretCount} possible secret{secretCount === 1 ? "" : "s"}
+          </div>
+        ) : null}
       </div>
 
-      <div className="file-card-actions">
+      <div className="file-card-actions" onClick={(e: any) => e.stopPropagation()}>
         <button
           className="file-card-action"
           onClick={() => toggleSelection(filePath)}
@@ -44,7 +76,16 @@ const FileCard = ({
         >
           {isSelected ? <X size={16} /> : <Plus size={16} />}
         </button>
-        <CopyButton text={file.content} className="file-card-action">
+        {onSelectDependents && (
+          <button
+            className="file-card-action"
+            onClick={() => onSelectDependents(filePath)}
+            title="Select dependents: every file importing this one"
+          >
+            <Network size={16} />
+          </button>
+        )}
+        <CopyButton text={() => loadFileContent(filePath)} className="file-card-action">
           {""}
         </CopyButton>
       </div>
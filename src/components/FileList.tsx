@@ -1,12 +1,16 @@
 import React from "react";
 import { FileListProps, FileData } from "../types/FileTypes";
 import FileCard from "./FileCard";
-import { arePathsEqual } from "../utils/pathUtils";
+import { arePathsEqual, normalizePath } from "../utils/pathUtils";
 
 const FileList = ({
   files,
   selectedFiles,
   toggleFileSelection,
+  onSelectDependents,
+  onPreview,
+  copiedFiles = {},
+  secretCounts = {},
 }: FileListProps) => {
   // Only show files that are in the selectedFiles array and not binary/skipped
   const displayableFiles = files.filter(
@@ -20,14 +24,20 @@ const FileList = ({
     <div className="file-list-container">
       {displayableFiles.length > 0 ? (
         <div className="file-list">
-          {displayableFiles.map((file: FileData) => (
-            <FileCard
-              key={file.path}
-              file={file}
-              isSelected={true} // All displayed files are selected
-              toggleSelection={toggleFileSelection}
-            />
-          ))}
+          {displayableFiles.map((file: FileData) => {
+            return (
+              <FileCard
+                key={file.path}
+                file={file}
+                copied={copiedFiles[normalizePath(file.path)]}
+                secretCount={secretCounts[normalizePath(file.path)]}
+                isSelected={true} // All displayed files are selected
+                toggleSelection={toggleFileSelection}
+                onSelectDependents={onSelectDependents}
+                onPreview={onPreview}
+              />
+            );
+          })}
         </div>
       ) : (
         <div className="file-list-empty">
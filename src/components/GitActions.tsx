@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { GitFileStatus, GitStatus } from "../types/FileTypes";
+
+interface GitActionsProps {
+  gitStatus: GitStatus;
+  onSelectChanges: (kind: "modified" | "staged") => Promise<number>;
+  onSelectBranchChanges: (base: string) => Promise<number>;
+  onRefresh: () => void;
+}
+
+// Branches usually compared against, in order of preference
+const DEFAULT_BASE_BRANCHES = ["main", "master", "origin/main", "origin/master", "develop"];
+
+/**
+ * GitActions Component
+ *
+ * Sidebar section shown when the open folder is in a git repository. Each
+ * action replaces the selection with the files git reports: modified (any
+ * uncommitted change, including untracked files), staged, or changed on the
+ * current branch since it left another branch.
+ */
+const GitActions = ({
+  gitStatus,
+  onSelectChanges,
+  onSelectBranchChanges,
+  onRefresh,
+}: GitActionsProps): JSX.Element => {
+  const otherBranches = useMemo(
+    () => gitStatus.branches.filter((branch: string) => branch !== gitStatus.branch),
+    [gitStatus],
+  );
+  const [base, setBase] = useState("");
+  const [note, setNote] = useState("");
+
+  // Start with the main branch, and pick again when the chosen branch disappears
+  useEffect(() => {
+    if (!otherBranches.includes(base)) {
+      setBase(DEFAULT_BASE_BRANCHES.find((branch: string) => otherBranches.includes(branch)) || otherBranches[0] || "");
+    }
+  }, [otherBranches, base]);
+
+  const modifiedCount = gitStatus.files.length;
+  const stagedCount = gitStatus.files.filter((file: GitFileStatus) => file.staged).length;
+
+  const run = (action: Promise<number>, description: string) => {
+    action
+      .then((count: number) => setNote(count === 0 ? `No ${description} files to select.` : ""))
+      .catch((err: Error) => setNote(err.message));
+  };
+
+  return (
+    <div className="git-actions">
+      <div className="git-actions-row">
+        <span className="git-actions-branch" title="Current branch">
+          {gitStatus.branch || "detached HEAD"}
+        </span>
+        <button className="sidebar-action-btn" onClick={onRefresh} title="Read the git status again">
+          Refresh
+        </button>
+      </div>
+
+      <div className="git-actions-row">
+        <button
+          className="sidebar-action-btn"
+          onClick={() => run(onSelectChanges("modified"), "modified")}
+          title="Select every file with uncommitted changes, including untracked files"
+        >
+          Select modified ({modifiedCount})
+        </button>
+        <button
+          className="sidebar-action-btn"
+          onClick={() => run(onSelectChanges("staged"), "staged")}
+          title="Select the files staged for the next commit"
+        >
+          Select staged ({stagedCount})
+        </button>
+      </div>
+
+      <div className="git-actions-row">
+        <button
+          className="sidebar-action-btn"
+          onClick={() => run(onSelectBranchChanges(base), "changed")}
+          disabled={!base}
+          title="Select the files changed on this branch since it left the chosen branch"
+        >
+          Select changed vs.
+        </button>
+        <select value={base} onChange={(e: any) => setBase(e.target.value)} disabled={otherBranches.length === 0}>
+          {otherBranches.length === 0 && <option value="">No other branches</option>}
+          {otherBranches.map((branch: string) => (
+            <option key={branch} value={branch}>
+              {branch}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {note && <div className="git-actions-note">{note}</div>}
+    </div>
+  );
+};
+
+export default GitActions;
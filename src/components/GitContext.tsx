@@ -0,0 +1,137 @@
+import React from "react";
+import {
+  GitDiffMode,
+  GitDiffResult,
+  GitDiffSettings,
+  GitHistoryResult,
+  GitHistorySettings,
+} from "../types/FileTypes";
+import { GIT_DIFF_MODES, MAX_HISTORY_COMMITS } from "../utils/gitContextUtils";
+
+interface GitContextProps {
+  diffSettings: GitDiffSettings;
+  onDiffSettingsChange: (settings: GitDiffSettings) => void;
+  diffResult: GitDiffResult | null;
+  diffError: string | null;
+  historySettings: GitHistorySettings;
+  onHistorySettingsChange: (settings: GitHistorySettings) => void;
+  historyResult: GitHistoryResult | null;
+  historyError: string | null;
+}
+
+/**
+ * GitContext Component
+ *
+ * Options for the git context of the copied content, shown when the open
+ * folder is in a git repository. The diff covers the selected files, either
+ * against HEAD (the working tree) or for a commit range, and can be added
+ * after the file contents or copied instead of them. The history adds the last
+ * commits touching each selected file and a compact log of the repository;
+ * each part is turned on separately.
+ */
+const GitContext = ({
+  diffSettings,
+  onDiffSettingsChange,
+  diffResult,
+  diffError,
+  historySettings,
+  onHistorySettingsChange,
+  historyResult,
+  historyError,
+}: GitContextProps): JSX.Element => {
+  const isDiffOn = diffSettings.mode !== "off";
+  const isHistoryOn = historySettings.fileHistory || historySettings.log;
+
+  // Commit counts between 1 and MAX_HISTORY_COMMITS; other input is ignored
+  const parseCount = (value: string): number | null => {
+    const count = parseInt(value, 10);
+    return count > 0 && count <= MAX_HISTORY_COMMITS ? count : null;
+  };
+
+  return (
+    <div className="git-context">
+      <div className="git-context-controls">
+        <label className="git-context-field">
+          <span>Git diff</span>
+          <select
+            value={diffSettings.mode}
+            onChange={(e: any) => onDiffSettingsChange({ ...diffSettings, mode: e.target.value as GitDiffMode })}
+          >
+            {GIT_DIFF_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <input
+          type="text"
+          className="git-context-range"
+          value={diffSettings.range}
+          disabled={!isDiffOn}
+          onChange={(e: any) => onDiffSettingsChange({ ...diffSettings, range: e.target.value })}
+          placeholder="Working tree, or a range like main..HEAD"
+          title="Commit range to diff; leave empty for uncommitted changes"
+        />
+        {isDiffOn && !diffError && diffResult && (
+          <span className="git-context-stats">
+            {diffResult.files.length} changed file{diffResult.files.length === 1 ? "" : "s"} | ~
+            {diffResult.tokenCount.toLocaleString()} tokens
+          </span>
+        )}
+      </div>
+      {isDiffOn && diffError && <div className="git-context-error">{diffError}</div>}
+
+      <div className="git-context-controls">
+        <label className="git-context-field">
+          <input
+            type="checkbox"
+            checked={historySettings.fileHistory}
+            onChange={() => onHistorySettingsChange({ ...historySettings, fileHistory: !historySettings.fileHistory })}
+          />
+          <span>Last</span>
+        </label>
+        <input
+          type="number"
+          className="git-context-count"
+          min={1}
+          max={MAX_HISTORY_COMMITS}
+          value={historySettings.commitsPerFile}
+          disabled={!historySettings.fileHistory}
+          onChange={(e: any) => {
+            const commitsPerFile = parseCount(e.target.value);
+            if (commitsPerFile) onHistorySettingsChange({ ...historySettings, commitsPerFile });
+          }}
+        />
+        <span>commits per file</span>
+        <label className="git-context-field">
+          <input
+            type="checkbox"
+            checked={historySettings.log}
+            onChange={() => onHistorySettingsChange({ ...historySettings, log: !historySettings.log })}
+          />
+          <span>Git log of</span>
+        </label>
+        <input
+          type="number"
+          className="git-context-count"
+          min={1}
+          max={MAX_HISTORY_COMMITS}
+          value={historySettings.logCount}
+          disabled={!historySettings.log}
+          onChange={(e: any) => {
+            const logCount = parseCount(e.target.value);
+            if (logCount) onHistorySettingsChange({ ...historySettings, logCount });
+          }}
+        />
+        <span>commits</span>
+        {isHistoryOn && !historyError && historyResult && (
+          <span className="git-context-stats">~{historyResult.tokenCount.toLocaleString()} tokens</span>
+        )}
+      </div>
+      {isHistoryOn && historyError && <div className="git-context-error">{historyError}</div>}
+    </div>
+  );
+};
+
+export default GitContext;
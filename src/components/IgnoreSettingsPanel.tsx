@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { X } from "lucide-react";
+import {
+  IgnoreSettings,
+  IgnoreSettingsInfo,
+  IgnoreExplanation,
+  IgnorePreview,
+  IgnorePreviewEntry,
+} from "../types/FileTypes";
+
+interface IgnoreSettingsPanelProps {
+  selectedFolder: string | null;
+  onClose: () => void;
+  onApply: () => void;
+}
+
+// Delay before the preview is refreshed while the user is typing
+const PREVIEW_DELAY_MS = 300;
+
+/**
+ * Human-readable names for the rule sources reported by the ignore filter
+ */
+const SOURCE_LABELS: Record<string, string> = {
+  always: "Always ignored",
+  default: "Default ignores",
+  "excluded-files": "Excluded files list",
+  custom: "Custom rules",
+  "global-gitignore": "Global git excludes",
+  "git-info-exclude": ".git/info/exclude",
+  gitignore: ".gitignore",
+  project: "Project ignores",
+};
+
+/**
+ * Describes the rule behind an explain() result, e.g. `"dist" from Default ignores`
+ */
+const describeRule = (explanation: IgnoreExplanation): string => {
+  const label = SOURCE_LABELS[explanation.source || ""] || explanation.source;
+  const from = explanation.file && explanation.source === "gitignore" ? explanation.file : label;
+  return explanation.pattern ? `"${explanation.pattern}" from ${from}` : `${from}`;
+};
+
+/**
+ * Describes the result for the "Test a path" box, naming the parent
+ * directory when that is what the rule matched
+ */
+const describeTestResult = (result: IgnoreExplanation, testedPath: string): string => {
+  const trimSlash = (value: string) => value.trim().replace(/\/+$/, "");
+  let text = "Not ignored";
+  if (result.ignored) {
+    text = `Hidden by ${describeRule(result)}`;
+    if (result.path && trimSlash(result.path) !== trimSlash(testedPath)) {
+      text += ` (matched ${result.path})`;
+    }
+  }
+  return result.exists === false ? `${text} - path doesn't exist` : text;
+};
+
+/**
+ * Splits the custom rules textarea into patterns; blank lines and comments
+ * are dropped by the main process.
+ */
+const toPatterns = (text: string): string[] => text.split(/\r?\n/);
+
+/**
+ * Ignore Rules panel
+ *
+ * Lets the user switch each ignore source on or off, add custom patterns and
+ * see which paths in the open folder the edited rules hide before applying
+ * them. Nothing is saved until "Apply", which also rescans the folder.
+ */
+const IgnoreSettingsPanel = ({
+  selectedFolder,
+  onClose,
+  onApply,
+}: IgnoreSettingsPanelProps): JSX.Element => {
+  const [info, setInfo] = useState(null as IgnoreSettingsInfo | null);
+  const [draft, setDraft] = useState(null as IgnoreSettings | null);
+  const [customText, setCustomText] = useState("");
+  const [preview, setPreview] = useState(null as IgnorePreview | null);
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+  const [testPath, setTestPath] = useState("");
+  const [testResult, setTestResult] = useState(null as IgnoreExplanation | null);
+  const [error, setError] = useState("");
+
+  // Load the saved settings and the patterns of each source
+  useEffect(() => {
+    window.electron
+      .invoke("get-ignore-settings", selectedFolder)
+      .then((result: IgnoreSettingsInfo) => {
+        setInfo(result);
+        setDraft(result.settings);
+        setCustomText(result.settings.customIgnores.join("\n"));
+      })
+      .catch((err: Error) => setError(`Could not load ignore settings: ${err.message}`));
+  }, [selectedFolder]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const draftSettings = useMemo(
+    () => (draft ? { ...draft, customIgnores: toPatterns(customText) } : null),
+    [draft, customText],
+  );
+
+  // Live preview of the paths the edited rules hide or show
+  useEffect(() => {
+    if (!draftSettings || !selectedFolder) return;
+    setIsPreviewLoading(true);
+    const timeoutId = setTimeout(() => {
+      window.electron
+        .invoke("preview-ignore-rules", { folderPath: selectedFolder, settings: draftSettings })
+        .then((result: IgnorePreview) => setPreview(result))
+        .catch((err: Error) => setError(`Preview failed: ${err.message}`))
+        .finally(() => setIsPreviewLoading(false));
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [draftSettings, selectedFolder]);
+
+  // Explain the path typed into the "Test a path" box
+  useEffect(() => {
+    if (!draftSettings || !selectedFolder || !testPath.trim()) {
+      setTestResult(null);
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      window.electron
+        .invoke("explain-ignore-path", {
+          folderPath: selectedFolder,
+          settings: draftSettings,
+          relativePath: testPath.trim(),
+        })
+        .then((result: IgnoreExplanation) => setTestResult(result))
+        .catch((err: Error) => setError(`Could not test path: ${err.message}`));
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [draftSettings, selectedFolder, testPath]);
+
+  const toggleSource = (key: keyof IgnoreSettings) => {
+    if (!draft) return;
+    setDraft({ ...draft, [key]: !draft[key] });
+  };
+
+  const handleApply = () => {
+    if (!draftSettings) return;
+    window.electron
+      .invoke("set-ignore-settings", draftSettings)
+      .then(() => onApply())
+      .catch((err: Error) => setError(`Could not save ignore settings: ${err.message}`));
+  };
+
+  const handleReset = () => {
+    setDraft({
+      useGitignore: true,
+      useDefaultIgnores: true,
+      useExcludedFiles: true,
+      useProjectIgnores: true,
+      useCustomIgnores: true,
+      customIgnores: [],
+    });
+    setCustomText("");
+  };
+
+  const renderPatterns = (patterns: string[]) =>
+    patterns.length > 0 ? (
+      <details className="ignore-source-patterns">
+        <summary>{patterns.length} patterns</summary>
+        <pre>{patterns.join("\n")}</pre>
+      </details>
+    ) : (
+      <div className="ignore-source-empty">No patterns</div>
+    );
+
+  const renderSource = (
+    key: keyof IgnoreSettings,
+    title: string,
+    description: string,
+    patterns: string[] | null,
+    disabledByProject = false,
+  ) => (
+    <div className="ignore-source" key={key}>
+      <label className="ignore-source-toggle">
+        <input
+          type="checkbox"
+          checked={!!draft?.[key]}
+          onChange={() => toggleSource(key)}
+        />
+        <span className="ignore-source-title">{title}</span>
+      </label>
+      <div className="ignore-source-description">
+        {description}
+        {disabledByProject && " Turned off by this project's .pastemax.json."}
+      </div>
+      {patterns && renderPatterns(patterns)}
+    </div>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal ignore-settings-panel"
+        onClick={(e: any) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <div className="content-title">Ignore Rules</div>
+          <button className="modal-close-btn" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {error && <div className="ignore-settings-error">{error}</div>}
+
+        {!draft || !info ? (
+          <div className="modal-body">Loading ignore settings...</div>
+        ) : (
+          <div className="modal-body ignore-settings-body">
+            <div className="ignore-settings-sources">
+              <div className="ignore-source">
+                <div className="ignore-source-title">Always ignored</div>
+                <div className="ignore-source-description">
+                  {info.sources.always.join(", ")} can't be included.
+                </div>
+              </div>
+              {renderSource(
+                "useGitignore",
+                ".gitignore files",
+                "Every .gitignore in the folder, .git/info/exclude and your global git excludes file.",
+                null,
+              )}
+              {renderSource(
+                "useDefaultIgnores",
+                "Default ignores",
+                "Common build output and editor folders.",
+                info.sources.default,
+                info.projectFlags?.useDefaultIgnores === false,
+              )}
+              {renderSource(
+                "useExcludedFiles",
+                "Excluded files list",
+                "Lock files, binaries and other files that rarely help as context.",
+                info.sources.excludedFiles,
+                info.projectFlags?.useExcludedFiles === false,
+              )}
+              {renderSource(
+                "useProjectIgnores",
+                "Project ignores",
+                "Patterns from .pastemaxignore and the \"ignore\" key of .pastemax.json.",
+                info.sources.project,
+              )}
+              {renderSource(
+                "useCustomIgnores",
+                "Custom rules",
+                "Your own patterns in .gitignore syntax, applied to every folder.",
+                null,
+              )}
+              <textarea
+                className="ignore-custom-rules"
+                value={customText}
+                onChange={(e: any) => setCustomText(e.target.value)}
+                placeholder={"# One pattern per line\n*.snap\ncoverage/\n!coverage/summary.json"}
+                rows={6}
+                disabled={!draft.useCustomIgnores}
+                spellCheck={false}
+              />
+
+              <div className="ignore-test-path">
+                <div className="ignore-source-title">Test a path</div>
+                <input
+                  type="text"
+                  value={testPath}
+                  onChange={(e: any) => setTestPath(e.target.value)}
+                  placeholder="src/generated/api.ts"
+                />
+                {testResult && (
+                  <div className={`ignore-test-result ${testResult.ignored ? "hidden" : "visible"}`}>
+                    {describeTestResult(testResult, testPath)}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="ignore-settings-preview">
+              <div className="ignore-preview-header">
+                <span className="ignore-source-title">Preview</span>
+                {isPreviewLoading && <span className="ignore-preview-status">Updating...</span>}
+              </div>
+              {!selectedFolder ? (
+                <div className="ignore-source-empty">Select a folder to preview the rules.</div>
+              ) : preview ? (
+                <ul className="ignore-preview-list">
+                  {preview.shown.map((entry: IgnorePreviewEntry) => (
+                    <li key={`shown-${entry.relativePath}`} className="ignore-preview-item shown">
+                      <span className="ignore-preview-path">
+                        {entry.relativePath}
+                        {entry.isDirectory ? "/" : ""}
+                      </span>
+                      <span className="ignore-preview-reason">now included</span>
+                    </li>
+                  ))}
+                  {preview.hidden.map((entry: IgnorePreviewEntry) => (
+                    <li
+                      key={`hidden-${entry.relativePath}`}
+                      className={`ignore-preview-item ${entry.isNew ? "newly-hidden" : ""}`}
+                    >
+                      <span className="ignore-preview-path">
+                        {entry.relativePath}
+                        {entry.isDirectory ? "/" : ""}
+                      </span>
+                      <span className="ignore-preview-reason">
+                        {entry.isNew ? "newly hidden: " : ""}
+                        {describeRule(entry)}
+                      </span>
+                    </li>
+                  ))}
+                  {preview.hidden.length === 0 && preview.shown.length === 0 && (
+                    <li className="ignore-source-empty">Nothing is ignored.</li>
+                  )}
+                  {preview.truncated && (
+                    <li className="ignore-source-empty">Preview truncated; more paths are affected.</li>
+                  )}
+                </ul>
+              ) : (
+                <div className="ignore-source-empty">Loading preview...</div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <button onClick={handleReset} disabled={!draft}>
+            Reset to Defaults
+          </button>
+          <div className="modal-footer-actions">
+            <button onClick={onClose}>Cancel</button>
+            <button className="primary" onClick={handleApply} disabled={!draft}>
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IgnoreSettingsPanel;
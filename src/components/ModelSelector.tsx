@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from "react";
+import { ModelSettings, ModelSettingsInfo, ModelProfile } from "../types/FileTypes";
+
+interface ModelSelectorProps {
+  modelInfo: ModelSettingsInfo;
+  onChange: (settings: ModelSettings) => void;
+  disabled?: boolean;
+}
+
+/**
+ * ModelSelector Component
+ *
+ * Dropdown for the model profile used to count tokens. Uses the same dropdown
+ * styling as the sort menu. The "Custom" profile shows fields for its
+ * characters-per-token heuristic and context window, applied on blur or Enter.
+ */
+const ModelSelector = ({ modelInfo, onChange, disabled = false }: ModelSelectorProps): JSX.Element => {
+  const { settings, profiles, profile } = modelInfo;
+  const [isOpen, setIsOpen] = useState(false);
+  const [charsPerToken, setCharsPerToken] = useState(String(settings.customCharsPerToken));
+  const [contextWindow, setContextWindow] = useState(String(settings.customContextWindow));
+
+  // Keep the custom fields in sync with the saved settings
+  useEffect(() => {
+    setCharsPerToken(String(settings.customCharsPerToken));
+    setContextWindow(String(settings.customContextWindow));
+  }, [settings.customCharsPerToken, settings.customContextWindow]);
+
+  const selectProfile = (profileId: string) => {
+    // Keep the menu open for "Custom" so its fields can be edited
+    if (profileId !== "custom") setIsOpen(false);
+    if (profileId !== settings.profileId) {
+      onChange({ ...settings, profileId });
+    }
+  };
+
+  const applyCustomValues = () => {
+    const nextCharsPerToken = parseFloat(charsPerToken);
+    const nextContextWindow = parseInt(contextWindow, 10);
+    if (
+      nextCharsPerToken === settings.customCharsPerToken &&
+      nextContextWindow === settings.customContextWindow
+    ) {
+      return;
+    }
+    // The main process validates the values and falls back to the defaults
+    onChange({
+      ...settings,
+      customCharsPerToken: nextCharsPerToken,
+      customContextWindow: nextContextWindow,
+    });
+  };
+
+  const handleCustomKeyDown = (e: any) => {
+    if (e.key === "Enter") applyCustomValues();
+  };
+
+  return (
+    <div className="sort-dropdown model-selector">
+      <button
+        className="sort-dropdown-button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="Model used to count tokens"
+      >
+        Model: {profile.name}
+      </button>
+      {isOpen && (
+        <div className="sort-options model-options">
+          {profiles.map((option: ModelProfile) => (
+            <div
+              key={option.id}
+              className={`sort-option ${settings.profileId === option.id ? "active" : ""}`}
+              onClick={() => selectProfile(option.id)}
+            >
+              {option.name}
+              {option.id !== "custom" && (
+                <span className="model-option-context">
+                  {option.contextWindow.toLocaleString()} tokens
+                </span>
+              )}
+            </div>
+          ))}
+          {settings.profileId === "custom" && (
+            <div className="model-custom-fields">
+              <label>
+                <span>Chars per token</span>
+                <input
+                  type="number"
+                  min={0.5}
+                  max={20}
+                  step={0.1}
+                  value={charsPerToken}
+                  onChange={(e: any) => setCharsPerToken(e.target.value)}
+                  onBlur={applyCustomValues}
+                  onKeyDown={handleCustomKeyDown}
+                />
+              </label>
+              <label>
+                <span>Context window</span>
+                <input
+                  type="number"
+                  min={1}
+                  step={1000}
+                  value={contextWindow}
+                  onChange={(e: any) => setContextWindow(e.target.value)}
+                  onBlur={applyCustomValues}
+                  onKeyDown={handleCustomKeyDown}
+                />
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSelector;
@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { X } from "lucide-react";
+import {
+  FileData,
+  FileOutline,
+  LineRange,
+  OutlineSpan,
+  OutlineSymbol,
+  PreviewTarget,
+  CompressionSettings,
+  CopiedFile,
+} from "../types/FileTypes";
+import { arePathsEqual } from "../utils/pathUtils";
+import { loadFileContents } from "../utils/fileContentUtils";
+import { getLanguageFromFilename } from "../utils/languageUtils";
+import { highlightCode, HighlightToken } from "../utils/syntaxHighlightUtils";
+import {
+  splitLines,
+  createLineRange,
+  normalizeLineRanges,
+  formatLineRanges,
+  extractLineRanges,
+} from "../utils/lineRangeUtils";
+import { loadFileOutlines } from "../utils/symbolOutlineUtils";
+import { isCompressionActive, compressContent } from "../utils/compressionUtils";
+import CompressionOptions from "./CompressionOptions";
+
+interface PreviewPaneProps {
+  target: PreviewTarget;
+  allFiles: FileData[];
+  bundleKey: string; // Changes with the copy options; file changes arrive as a new allFiles
+  bundleTokens: number;
+  bundleLanguage: string;
+  loadBundle: () => Promise<string>;
+  onShowBundle: () => void;
+  onClose: () => void;
+  lineRanges: LineRange[]; // Lines picked in the shown file
+  onLineRangesChange: (filePath: string, ranges: LineRange[]) => void;
+  selectedSymbols: string[]; // Ids of the symbols picked in the shown file's outline
+  onSelectedSymbolsChange: (filePath: string, symbolIds: string[]) => void;
+  compression: CompressionSettings; // Compression of the shown file: its own settings or the ones for all files
+  hasOwnCompression: boolean;
+  onFileCompressionChange: (filePath: string, settings: CompressionSettings | null) => void;
+  copiedFile?: CopiedFile; // What is copied of the shown file, when that isn't the whole file
+}
+
+// Longer texts are cut off so the pane stays responsive
+const MAX_PREVIEW_LINES = 5000;
+
+// Waits for typing in the instructions to pause before building the bundle again
+const BUNDLE_DELAY_MS = 300;
+
+/**
+ * PreviewPane Component
+ *
+ * Right-hand pane showing either one file, highlighted for its language, or
+ * the whole bundle exactly as "COPY ALL SELECTED" would copy it. Both come
+ * with line numbers and a token count, and are loaded again when the file
+ * or the copy options change. Clicking a file's line numbers (Shift+click to
+ * extend) picks line ranges, so only those lines of the file are copied.
+ * JS/TS and Python files also have an outline of their functions, classes
+ * and exports; picked symbols are copied along with the file's imports.
+ * A file can have its own compression settings, and "As copied" shows its
+ * picked lines after compression.
+ */
+const PreviewPane = ({
+  target,
+  allFiles,
+  bundleKey,
+  bundleTokens,
+  bundleLanguage,
+  loadBundle,
+  onShowBundle,
+  onClose,
+  lineRanges,
+  onLineRangesChange,
+  selectedSymbols,
+  onSelectedSymbolsChange,
+  compression,
+  hasOwnCompression,
+  onFileCompressionChange,
+  copiedFile,
+}: PreviewPaneProps): JSX.Element => {
+  const [content, setContent] = useState(null as string | null);
+  const [error, setError] = useState(null as string | null);
+  // Lines being picked: the clicked line and the Shift+clicked one
+  const [pending, setPending] = useState(null as { anchor: number; end: number } | null);
+  const [outline, setOutline] = useState(null as FileOutline | null);
+  const [isOutlineOpen, setIsOutlineOpen] = useState(false);
+  const [isAsCopied, setIsAsCopied] = useState(false);
+  const isBundleShown = useRef(false); // Whether content holds a bundle rather than a file
+
+  // The bundle loader changes on every render; keep the latest without reloading
+  const loadBundleRef = useRef(loadBundle);
+  loadBundleRef.current = loadBundle;
+
+  const file =
+    target.type === "file"
+      ? allFiles.find((candidate: FileData) => arePathsEqual(candidate.path, target.path)) || null
+      : null;
+  const filePath = target.type === "file" ? target.path : null;
+
+  // Load the file again when the watcher reports a change (a new FileData object)
+  useEffect(() => {
+    setPending(null);
+    setIsOutlineOpen(false);
+    setIsAsCopied(false);
+  }, [filePath]);
+
+  // The outline is read again with the file, so its lines and token counts stay current
+  useEffect(() => {
+    setOutline(null);
+    if (!filePath) return;
+    let isCurrent = true;
+    loadFileOutlines([filePath])
+      .then((outlines: Record<string, FileOutline>) => {
+        const loaded = Object.values(outlines)[0];
+        if (isCurrent && loaded && loaded.language) setOutline(loaded);
+      })
+      .catch((err: Error) => console.error("Failed to read the outline:", err));
+    return () => {
+      isCurrent = false;
+    };
+  }, [filePath, file]);
+
+  useEffect(() => {
+    if (!filePath) return;
+    let isCurrent = true;
+    setContent(null);
+    isBundleShown.current = false;
+    setError(null);
+    loadFileContents([filePath])
+      .then(({ contents, errors }: { contents: Record<string, string>; errors: Record<string, string> }) => {
+        if (!isCurrent) return;
+        if (filePath in contents) {
+          setContent(contents[filePath]);
+        } else {
+          setContent(null);
+          setError(errors[filePath] || "The file could not be read.");
+        }
+      })
+      .catch((err: Error) => isCurrent && setError(err.message));
+    return () => {
+      isCurrent = false;
+    };
+  }, [filePath, file]);
+
+  useEffect(() => {
+    if (target.type !== "bundle") return;
+    let isCurrent = true;
+    setError(null);
+    if (!isBundleShown.current) setContent(null); // Keep the old bundle on screen while it is rebuilt
+    const timeoutId = setTimeout(() => {
+      loadBundleRef
+        .current()
+        .then((text: string) => {
+          if (!isCurrent) return;
+          isBundleShown.current = true;
+          setContent(text);
+        })
+        .catch((err: Error) => {
+          if (!isCurrent) return;
+          setContent(null);
+          setError(err.message);
+        });
+    }, BUNDLE_DELAY_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeoutId);
+    };
+  }, [target.type, bundleKey, allFiles]);
+
+  const language = file ? getLanguageFromFilename(file.name) : bundleLanguage;
+  const isCompressed = !!file && isCompressionActive(compression);
+
+  // Lines copied for the picked symbols: the symbols and the imports
+  const symbolSpans = useMemo(() => {
+    if (!outline) return [];
+    const picked = outline.symbols.filter((symbol: OutlineSymbol) => selectedSymbols.includes(symbol.id));
+    return picked.length > 0 ? [...outline.imports, ...picked] : [];
+  }, [outline, selectedSymbols]);
+
+  const isPartial = lineRanges.length > 0 || symbolSpans.length > 0;
+  const showAsCopied = isAsCopied && !!file && (isPartial || isCompressed);
+
+  // The file as copied: only the picked lines, then compressed
+  const shownContent = useMemo(() => {
+    if (content === null || !showAsCopied) return content;
+    const picked = isPartial
+      ? extractLineRanges(
+          content,
+          normalizeLineRanges([
+            ...lineRanges,
+            ...symbolSpans.map((span: OutlineSpan) => createLineRange(splitLines(content), span.start, span.end)),
+          ]),
+        )
+      : content;
+    return isCompressed ? compressContent(picked, language, compression) : picked;
+  }, [content, showAsCopied, isPartial, lineRanges, symbolSpans, isCompressed, language, compression]);
+
+  const lineCount = shownContent === null ? 0 : shownContent.split("\n").length;
+
+  const lines = useMemo(() => {
+    if (shownContent === null) return [];
+    const shown =
+      lineCount > MAX_PREVIEW_LINES
+        ? shownContent.split("\n").slice(0, MAX_PREVIEW_LINES).join("\n")
+        : shownContent;
+    return highlightCode(shown, language);
+  }, [shownContent, language, lineCount]);
+
+  const tokens = file ? file.tokenCount : bundleTokens;
+
+  // Lines are numbered as in the file only while the file itself is shown
+  const canPickLines = !!filePath && content !== null && !showAsCopied;
+  const pendingStart = pending ? Math.min(pending.anchor, pending.end) : 0;
+  const pendingEnd = pending ? Math.max(pending.anchor, pending.end) : 0;
+
+  const isLinePicked = (line: number) =>
+    [...lineRanges, ...symbolSpans].some((span: OutlineSpan) => line >= span.start && line <= span.end);
+
+  const toggleSymbol = (symbolId: string) => {
+    if (!filePath) return;
+    onSelectedSymbolsChange(
+      filePath,
+      selectedSymbols.includes(symbolId)
+        ? selectedSymbols.filter((id: string) => id !== symbolId)
+        : [...selectedSymbols, symbolId],
+    );
+  };
+
+  const copyWholeFile = () => {
+    if (!filePath) return;
+    onLineRangesChange(filePath, []);
+    onSelectedSymbolsChange(filePath, []);
+  };
+
+  const handleLineClick = (line: number, extend: boolean) => {
+    if (!canPickLines) return;
+    setPending(extend && pending ? { ...pending, end: line } : { anchor: line, end: line });
+  };
+
+  const addPendingRange = () => {
+    if (!filePath || content === null || !pending) return;
+    const range = createLineRange(splitLines(content), pendingStart, pendingEnd);
+    onLineRangesChange(filePath, normalizeLineRanges([...lineRanges, range]));
+    setPending(null);
+  };
+
+  const removeRange = (removed: LineRange) => {
+    if (!filePath) return;
+    onLineRangesChange(
+      filePath,
+      lineRanges.filter((range: LineRange) => range !== removed),
+    );
+  };
+
+  return (
+    <div className="preview-pane">
+      <div className="preview-header">
+        <div className="preview-title monospace" title={file ? file.path : undefined}>
+          {file ? file.relativePath || file.name : "Copied output"}
+        </div>
+        {outline && (
+          <button
+            className={`preview-header-btn ${isOutlineOpen ? "active" : ""}`}
+            onClick={() => setIsOutlineOpen(!isOutlineOpen)}
+            title="Pick functions, classes and exports to copy instead of the whole file"
+          >
+            Outline
+          </button>
+        )}
+        {file && (isPartial || isCompressed) && (
+          <button
+            className={`preview-header-btn ${isAsCopied ? "active" : ""}`}
+            onClick={() => {
+              setPending(null);
+              setIsAsCopied(!isAsCopied);
+            }}
+            title="Show only what is copied of this file, after compression"
+          >
+            As copied
+          </button>
+        )}
+        {target.type === "file" && (
+          <button className="preview-header-btn" onClick={onShowBundle} title="Preview everything that will be copied">
+            Whole bundle
+          </button>
+        )}
+        <button className="preview-close" onClick={onClose} title="Close the preview">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="preview-meta">
+        <span>{language}</span>
+        <span>{lineCount.toLocaleString()} lines</span>
+        <span>~{tokens.toLocaleString()} tokens</span>
+        {copiedFile && copiedFile.tokenCount !== tokens && (
+          <span>~{copiedFile.tokenCount.toLocaleString()} tokens copied</span>
+        )}
+      </div>
+
+      {error && <div className="preview-error">{error}</div>}
+
+      {target.type === "file" && !file && (
+        <div className="preview-error">This file is no longer in the folder.</div>
+      )}
+
+      {canPickLines && (
+        <div className="preview-ranges">
+          {pending ? (
+            <>
+              <button className="preview-header-btn" onClick={addPendingRange}>
+                Select {pendingStart === pendingEnd ? `line ${pendingStart}` : `lines ${pendingStart}-${pendingEnd}`}
+              </button>
+              <button className="preview-header-btn" onClick={() => setPending(null)}>
+                Cancel
+              </button>
+            </>
+          ) : lineRanges.length === 0 && symbolSpans.length === 0 ? (
+            <span className="preview-ranges-hint">
+              Click a line number to copy only some lines, Shift+click to extend
+            </span>
+          ) : (
+            <>
+              <span className="preview-ranges-hint">
+                Copying {symbolSpans.length > 0 ? "the picked symbols with the imports" : "lines"}
+                {symbolSpans.length > 0 && lineRanges.length > 0 ? ", and lines" : ""}
+              </span>
+              {lineRanges.map((range: LineRange) => (
+                <span className="preview-range-chip" key={`${range.start}-${range.end}`}>
+                  {formatLineRanges([range])}
+                  <button onClick={() => removeRange(range)} title="Stop copying these lines">
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+              <button className="preview-header-btn" onClick={copyWholeFile} title="Copy the whole file again">
+                Whole file
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {filePath && file && (
+        <div className="preview-compression">
+          <label className="compression-option">
+            <input
+              type="checkbox"
+              checked={hasOwnCompression}
+              onChange={() => onFileCompressionChange(filePath, hasOwnCompression ? null : compression)}
+            />
+            <span>Own compression settings</span>
+          </label>
+          {hasOwnCompression && (
+            <CompressionOptions
+              settings={compression}
+              onChange={(settings: CompressionSettings) => onFileCompressionChange(filePath, settings)}
+              label="This file"
+              savings={
+                copiedFile && isCompressed
+                  ? { before: copiedFile.uncompressedTokenCount, after: copiedFile.tokenCount }
+                  : null
+              }
+            />
+          )}
+        </div>
+      )}
+
+      {outline && isOutlineOpen && (
+        <div className="preview-outline">
+          {outline.symbols.length === 0 ? (
+            <div className="preview-outline-note">No top-level functions, classes or exports found.</div>
+          ) : (
+            <>
+              <div className="preview-outline-note">
+                Imports ({outline.imports.length === 0 ? "none" : `~${outline.importTokenCount.toLocaleString()} tokens`})
+                are copied with any picked symbol
+              </div>
+              {outline.symbols.map((symbol: OutlineSymbol) => (
+                <label className="preview-outline-item" key={symbol.id}>
+                  <input
+                    type="checkbox"
+                    checked={selectedSymbols.includes(symbol.id)}
+                    onChange={() => toggleSymbol(symbol.id)}
+                  />
+                  <span className="preview-outline-kind">{symbol.kind}</span>
+                  <span className={`preview-outline-name monospace ${symbol.exported ? "exported" : ""}`}>
+                    {symbol.name}
+                  </span>
+                  <span className="preview-outline-meta">
+                    {symbol.start === symbol.end ? symbol.start : `${symbol.start}-${symbol.end}`} · ~
+                    {symbol.tokenCount.toLocaleString()} tokens
+                  </span>
+                </label>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="preview-code">
+        {lines.map((line: HighlightToken[], index: number) => (
+          <div
+            className={`preview-line ${canPickLines && isLinePicked(index + 1) ? "in-range" : ""} ${
+              pending && index + 1 >= pendingStart && index + 1 <= pendingEnd ? "pending" : ""
+            }`}
+            key={index}
+          >
+            <span
+              className={`preview-line-number ${canPickLines ? "pickable" : ""}`}
+              onClick={(e: any) => handleLineClick(index + 1, e.shiftKey)}
+            >
+              {index + 1}
+            </span>
+            <span className="preview-line-text">
+              {line.map((token: HighlightToken, tokenIndex: number) =>
+                token.type ? (
+                  <span key={tokenIndex} className={`hl-${token.type}`}>
+                    {token.text}
+                  </span>
+                ) : (
+                  token.text
+                ),
+              )}
+            </span>
+          </div>
+        ))}
+        {lineCount > MAX_PREVIEW_LINES && (
+          <div className="preview-truncated">
+            Showing the first {MAX_PREVIEW_LINES.toLocaleString()} of {lineCount.toLocaleString()} lines.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PreviewPane;
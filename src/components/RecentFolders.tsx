@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { RecentFolder } from "../types/FileTypes";
+import { arePathsEqual } from "../utils/pathUtils";
+
+interface RecentFoldersProps {
+  selectedFolder: string | null;
+  onSelect: (folderPath: string) => void;
+  disabled?: boolean;
+}
+
+/**
+ * RecentFolders Component
+ *
+ * Header menu of the folders opened most recently. Opening one restores its
+ * selection, expanded folders, search term and instructions. Folders that no
+ * longer exist are shown dimmed and can be removed from the list.
+ */
+const RecentFolders = ({ selectedFolder, onSelect, disabled = false }: RecentFoldersProps): JSX.Element => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [folders, setFolders] = useState([] as RecentFolder[]);
+
+  // The list changes whenever a folder is opened, so load it each time the menu opens
+  const toggleMenu = () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+    window.electron
+      .invoke("get-recent-folders")
+      .then((result: RecentFolder[]) => {
+        setFolders(result);
+        setIsOpen(true);
+      })
+      .catch((err: Error) => console.error("Failed to load recent folders:", err));
+  };
+
+  const selectFolder = (folder: RecentFolder) => {
+    if (!folder.exists) return;
+    setIsOpen(false);
+    onSelect(folder.path);
+  };
+
+  const removeFolder = (e: any, folder: RecentFolder) => {
+    e.stopPropagation();
+    window.electron
+      .invoke("remove-recent-folder", folder.path)
+      .then((result: RecentFolder[]) => setFolders(result))
+      .catch((err: Error) => console.error("Failed to remove recent folder:", err));
+  };
+
+  return (
+    <div className="sort-dropdown recent-folders">
+      <button
+        className="sort-dropdown-button"
+        onClick={toggleMenu}
+        disabled={disabled}
+        title="Reopen a folder with its selection"
+      >
+        Recent Folders
+      </button>
+      {isOpen && (
+        <div className="sort-options recent-folders-options">
+          {folders.length === 0 && <div className="recent-folders-empty">No recent folders</div>}
+          {folders.map((folder: RecentFolder) => (
+            <div
+              key={folder.path}
+              className={`sort-option recent-folder ${arePathsEqual(folder.path, selectedFolder) ? "active" : ""} ${
+                folder.exists ? "" : "missing"
+              }`}
+              onClick={() => selectFolder(folder)}
+              title={folder.exists ? folder.path : `${folder.path} (not found)`}
+            >
+              <div className="recent-folder-text">
+                <span className="recent-folder-name">{folder.name}</span>
+                <span className="recent-folder-path">{folder.path}</span>
+              </div>
+              <button
+                className="recent-folder-remove"
+                onClick={(e: any) => removeFolder(e, folder)}
+                title="Remove from recent folders"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecentFolders;
@@ -0,0 +1,87 @@
+import React from "react";
+import { ShieldAlert } from "lucide-react";
+import { SecretAction, SecretFinding, SecretScanFile } from "../types/FileTypes";
+import { SECRET_ACTIONS, countBlockedSecrets, describeSecretSource } from "../utils/secretScanUtils";
+
+interface SecretWarningsProps {
+  files: SecretScanFile[]; // Selected files, and their diff and history, with findings
+  action: SecretAction;
+  onActionChange: (action: SecretAction) => void;
+  onAllowFinding: (file: SecretScanFile, finding: SecretFinding, allowed: boolean) => void;
+  error: string | null; // Why the last copy was blocked
+}
+
+/**
+ * SecretWarnings Component
+ *
+ * Possible secrets found in the selected files and in the git diff and
+ * history copied along with them, shown above the copy button.
+ * Findings can be allowed one by one; the exceptions are kept for the open
+ * folder. The others block the copy or are redacted in the output, as chosen
+ * here.
+ */
+const SecretWarnings = ({
+  files,
+  action,
+  onActionChange,
+  onAllowFinding,
+  error,
+}: SecretWarningsProps): JSX.Element => {
+  const blockedCount = files.reduce((sum: number, file: SecretScanFile) => sum + countBlockedSecrets(file), 0);
+
+  return (
+    <div className={`secret-warnings ${blockedCount > 0 ? "has-blocked" : ""}`}>
+      <div className="secret-warnings-header">
+        <ShieldAlert size={16} />
+        <span className="secret-warnings-summary">
+          {blockedCount > 0
+            ? `${blockedCount} possible secret${blockedCount === 1 ? "" : "s"} in the selected files`
+            : "Every possible secret in the selected files is allowed"}
+        </span>
+        <label className="secret-warnings-action">
+          <span>When copying</span>
+          <select value={action} onChange={(e: any) => onActionChange(e.target.value as SecretAction)}>
+            {SECRET_ACTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {error && <div className="secret-warnings-error">{error}</div>}
+      <div className="secret-warnings-list">
+        {files.map((file: SecretScanFile) => (
+          <div className="secret-warnings-file" key={file.id}>
+            <div className="secret-warnings-path monospace" title={file.path ?? undefined}>
+              {describeSecretSource(file)}
+            </div>
+            {file.findings.map((finding: SecretFinding) => (
+              <div
+                className={`secret-finding ${finding.isAllowed ? "allowed" : ""}`}
+                key={`${finding.fingerprint}-${finding.line}`}
+              >
+                <span className="secret-finding-line">line {finding.line}</span>
+                <span className="secret-finding-label">{finding.label}</span>
+                <span className="secret-finding-preview monospace">{finding.preview}</span>
+                <button
+                  className="secret-finding-toggle"
+                  onClick={() => onAllowFinding(file, finding, !finding.isAllowed)}
+                  title={
+                    finding.isAllowed
+                      ? "Treat this value as a secret again"
+                      : "Not a secret: copy it as it is in this folder from now on"
+                  }
+                >
+                  {finding.isAllowed ? "Allowed" : "Allow"}
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SecretWarnings;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { FileData, SelectionPreset } from "../types/FileTypes";
+import { toPresetPaths, diffPreset } from "../utils/selectionPresetUtils";
+
+interface SelectionPresetsProps {
+  presets: SelectionPreset[];
+  allFiles: FileData[];
+  selectedFiles: string[];
+  onSave: (name: string) => void;
+  onLoad: (preset: SelectionPreset) => string[];
+  onRename: (presetId: string, name: string) => void;
+  onDelete: (presetId: string) => void;
+}
+
+/**
+ * SelectionPresets Component
+ *
+ * Sidebar section for the named selections of the open folder. Saving under
+ * an existing name updates that preset. "Diff" compares the chosen preset
+ * with the current selection.
+ */
+const SelectionPresets = ({
+  presets,
+  allFiles,
+  selectedFiles,
+  onSave,
+  onLoad,
+  onRename,
+  onDelete,
+}: SelectionPresetsProps): JSX.Element => {
+  const [activeId, setActiveId] = useState("");
+  const [name, setName] = useState("");
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const [missing, setMissing] = useState([] as string[]);
+
+  const activePreset = presets.find((preset: SelectionPreset) => preset.id === activeId) || null;
+
+  // Pick another preset when the chosen one is deleted or the folder changes
+  useEffect(() => {
+    if (!activePreset) {
+      setActiveId(presets[0]?.id || "");
+      setIsRenaming(false);
+      setShowDiff(false);
+    }
+  }, [presets, activePreset]);
+
+  const diff = useMemo(
+    () => (activePreset && showDiff ? diffPreset(activePreset, toPresetPaths(allFiles, selectedFiles)) : null),
+    [activePreset, showDiff, allFiles, selectedFiles],
+  );
+
+  const handleSubmit = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (isRenaming && activePreset) {
+      onRename(activePreset.id, trimmed);
+      setIsRenaming(false);
+    } else {
+      onSave(trimmed);
+    }
+    setName("");
+  };
+
+  const handleLoad = () => {
+    if (!activePreset) return;
+    setMissing(onLoad(activePreset));
+  };
+
+  const startRename = () => {
+    if (!activePreset) return;
+    setIsRenaming(true);
+    setName(activePreset.name);
+  };
+
+  const cancelRename = () => {
+    setIsRenaming(false);
+    setName("");
+  };
+
+  return (
+    <div className="selection-presets">
+      <div className="selection-presets-row">
+        <select
+          value={activeId}
+          onChange={(e: any) => {
+            setActiveId(e.target.value);
+            setMissing([]);
+            cancelRename();
+          }}
+          disabled={presets.length === 0}
+        >
+          {presets.length === 0 && <option value="">No presets</option>}
+          {presets.map((preset: SelectionPreset) => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name} ({preset.files.length})
+            </option>
+          ))}
+        </select>
+        <button className="sidebar-action-btn" onClick={handleLoad} disabled={!activePreset}>
+          Load
+        </button>
+      </div>
+
+      <div className="selection-presets-row">
+        <button className="sidebar-action-btn" onClick={startRename} disabled={!activePreset}>
+          Rename
+        </button>
+        <button
+          className="sidebar-action-btn"
+          onClick={() => setShowDiff(!showDiff)}
+          disabled={!activePreset}
+        >
+          {showDiff ? "Hide Diff" : "Diff"}
+        </button>
+        <button
+          className="sidebar-action-btn"
+          onClick={() => activePreset && onDelete(activePreset.id)}
+          disabled={!activePreset}
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="selection-presets-row">
+        <input
+          type="text"
+          value={name}
+          onChange={(e: any) => setName(e.target.value)}
+          onKeyDown={(e: any) => {
+            if (e.key === "Enter") handleSubmit();
+            if (e.key === "Escape") cancelRename();
+          }}
+          placeholder={isRenaming ? "New name" : "Save selection as..."}
+        />
+        <button
+          className="sidebar-action-btn"
+          onClick={handleSubmit}
+          disabled={!name.trim() || (!isRenaming && selectedFiles.length === 0)}
+          title={isRenaming ? "Rename the preset" : "Save the selection, instructions and output options"}
+        >
+          {isRenaming ? "Rename" : "Save"}
+        </button>
+      </div>
+
+      {missing.length > 0 && (
+        <div className="selection-presets-note">
+          {missing.length} file{missing.length === 1 ? "" : "s"} of this preset couldn't be
+          selected (deleted, renamed or ignored): {missing.slice(0, 5).join(", ")}
+          {missing.length > 5 ? ", ..." : ""}
+        </div>
+      )}
+
+      {diff && (
+        <ul className="selection-presets-diff">
+          {diff.added.map((path: string) => (
+            <li key={`added-${path}`} className="added" title="Selected now, not in the preset">
+              + {path}
+            </li>
+          ))}
+          {diff.removed.map((path: string) => (
+            <li key={`removed-${path}`} className="removed" title="In the preset, not selected now">
+              - {path}
+            </li>
+          ))}
+          {diff.added.length === 0 && diff.removed.length === 0 && (
+            <li>The selection matches this preset.</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SelectionPresets;
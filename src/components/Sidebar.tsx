@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from "react";
-import { SidebarProps, TreeNode } from "../types/FileTypes";
+import React, { useState, useEffect, useMemo } from "react";
+import { GitFileStatus, SidebarProps, TreeNode } from "../types/FileTypes";
 import SearchBar from "./SearchBar";
 import TreeItem from "./TreeItem";
+import SelectionPresets from "./SelectionPresets";
+import GitActions from "./GitActions";
+import ContentSearch from "./ContentSearch";
+import DependencyActions from "./DependencyActions";
+import { parseFilter, matchesFilter } from "../utils/filterUtils";
 
 /**
  * Import path utilities for handling file paths across different operating systems.
@@ -13,7 +18,10 @@ import { normalizePath, join, isSubPath, arePathsEqual } from "../utils/pathUtil
  * The Sidebar component displays a tree view of files and folders, allowing users to:
  * - Navigate through the file structure
  * - Select/deselect files and folders
- * - Search for specific files
+ * - Search for specific files, or for text inside them
+ * - Save and load named selection presets
+ * - Select the files git reports as changed, and see their status
+ * - Add the files the selection imports, or the files importing a file
  * - Resize the sidebar width
  */
 const Sidebar = ({
@@ -28,6 +36,29 @@ const Sidebar = ({
   deselectAllFiles,
   expandedNodes,
   toggleExpanded,
+  presets,
+  onSavePreset,
+  onLoadPreset,
+  onRenamePreset,
+  onDeletePreset,
+  gitStatus,
+  onSelectGitChanges,
+  onSelectBranchChanges,
+  onRefreshGitStatus,
+  contentSearch,
+  onContentSearchChange,
+  contentSearchResult,
+  contentSearchError,
+  isContentSearching,
+  onSelectContentMatches,
+  onFindDependencies,
+  onAddToSelection,
+  onSelectDependents,
+  dependentsImpact,
+  onDismissDependentsImpact,
+  onPreviewFile,
+  isPreviewOpen,
+  secretCounts,
 }: Omit<SidebarProps, 'openFolder'>) => {
   // State for managing the file tree and UI
   const [fileTree, setFileTree] = useState(() => [] as TreeNode[]);
@@ -35,6 +66,26 @@ const Sidebar = ({
   const [sidebarWidth, setSidebarWidth] = useState(300);
   const [isResizing, setIsResizing] = useState(false);
 
+  // Git status badge of each changed file, by normalized path
+  const gitBadges = useMemo(() => {
+    const badges: Record<string, GitFileStatus["status"]> = {};
+    (gitStatus?.files || []).forEach((file: GitFileStatus) => {
+      badges[normalizePath(file.path)] = file.status;
+    });
+    return badges;
+  }, [gitStatus]);
+
+  // Content search hits of each matching file, by normalized path
+  const matchCounts = useMemo(() => {
+    const counts: Record<string, number> = {};
+    if (contentSearch.query && contentSearchResult) {
+      contentSearchResult.matches.forEach((match: { path: string; count: number }) => {
+        counts[normalizePath(match.path)] = match.count;
+      });
+    }
+    return counts;
+  }, [contentSearch.query, contentSearchResult]);
+
   // Sidebar width constraints for a good UX
   const MIN_SIDEBAR_WIDTH = 200;
   const MAX_SIDEBAR_WIDTH = 500;
@@ -257,19 +308,18 @@ const Sidebar = ({
     return result;
   };
 
-  // Filter the tree based on search term
-  const filterTree = (nodes: TreeNode[], term: string): TreeNode[] => {
-    if (!term) return nodes;
+  // The search box holds a filter expression (see filterUtils.ts)
+  const parsedFilter = useMemo(() => parseFilter(searchTerm), [searchTerm]);
 
-    const lowerTerm = term.toLowerCase();
+  // Filter the tree: files must match the filter, directories must contain a match
+  const filterTree = (nodes: TreeNode[]): TreeNode[] => {
+    if (parsedFilter.isEmpty) return nodes;
 
     // Function to check if a node or any of its children match the search
     const nodeMatches = (node: TreeNode): boolean => {
-      // Check if the node name matches
-      if (node.name.toLowerCase().includes(lowerTerm)) return true;
-
-      // If it's a file, we're done
-      if (node.type === "file") return false;
+      if (node.type === "file") {
+        return !!node.fileData && matchesFilter(node.fileData, parsedFilter);
+      }
 
       // For directories, check if any children match
       if (node.children) {
@@ -285,7 +335,7 @@ const Sidebar = ({
       if (node.type === "directory" && node.children) {
         return {
           ...node,
-          children: filterTree(node.children, term),
+          children: filterTree(node.children),
           isExpanded: true, // Auto-expand directories when searching
         };
       }
@@ -294,7 +344,7 @@ const Sidebar = ({
   };
 
   // The final tree to render, filtered and flattened
-  const visibleTree = flattenTree(filterTree(fileTree, searchTerm));
+  const visibleTree = flattenTree(filterTree(fileTree));
 
   return (
     <div className="sidebar" style={{ width: `${sidebarWidth}px` }}>
@@ -307,7 +357,20 @@ const Sidebar = ({
         <SearchBar
           searchTerm={searchTerm}
           onSearchChange={onSearchChange}
-          placeholder="Search files..."
+          placeholder="Filter: *.ts !**/*.test.ts ext:py size:>10kb"
+        />
+        {parsedFilter.errors.length > 0 && (
+          <div className="filter-errors" title="These terms are ignored">
+            {parsedFilter.errors.join("; ")}
+          </div>
+        )}
+        <ContentSearch
+          search={contentSearch}
+          onChange={onContentSearchChange}
+          result={contentSearchResult}
+          error={contentSearchError}
+          isSearching={isContentSearching}
+          onSelectMatches={onSelectContentMatches}
         />
       </div>
 
@@ -320,6 +383,38 @@ const Sidebar = ({
         </button>
       </div>
 
+      {selectedFolder && (
+        <SelectionPresets
+          presets={presets}
+          allFiles={allFiles}
+          selectedFiles={selectedFiles}
+          onSave={onSavePreset}
+          onLoad={onLoadPreset}
+          onRename={onRenamePreset}
+          onDelete={onDeletePreset}
+        />
+      )}
+
+      {selectedFolder && gitStatus?.isRepo && (
+        <GitActions
+          gitStatus={gitStatus}
+          onSelectChanges={onSelectGitChanges}
+          onSelectBranchChanges={onSelectBranchChanges}
+          onRefresh={onRefreshGitStatus}
+        />
+      )}
+
+      {selectedFolder && (
+        <DependencyActions
+          allFiles={allFiles}
+          selectedFiles={selectedFiles}
+          onFind={onFindDependencies}
+          onAdd={onAddToSelection}
+          impact={dependentsImpact}
+          onDismissImpact={onDismissDependentsImpact}
+        />
+      )}
+
       {allFiles.length > 0 ? (
         isTreeBuildingComplete ? (
           <div className="file-tree">
@@ -332,6 +427,12 @@ const Sidebar = ({
                   toggleFileSelection={toggleFileSelection}
                   toggleFolderSelection={toggleFolderSelection}
                   toggleExpanded={toggleExpanded}
+                  gitStatus={node.type === "file" ? gitBadges[normalizePath(node.path)] : undefined}
+                  matchCount={node.type === "file" ? matchCounts[normalizePath(node.path)] : undefined}
+                  secretCount={node.type === "file" ? secretCounts[normalizePath(node.path)] : undefined}
+                  onSelectDependents={onSelectDependents}
+                  onPreview={onPreviewFile}
+                  isPreviewOpen={isPreviewOpen}
                 />
               ))
             ) : (
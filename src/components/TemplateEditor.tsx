@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { X } from "lucide-react";
+import { FileData, OutputTemplate } from "../types/FileTypes";
+import { formatContentForCopying, TEMPLATE_PLACEHOLDERS } from "../utils/contentFormatUtils";
+import { loadFileContents } from "../utils/fileContentUtils";
+
+interface TemplateEditorProps {
+  templates: OutputTemplate[];
+  activeTemplateId: string | null;
+  allFiles: FileData[];
+  selectedFiles: string[];
+  selectedFolder: string | null;
+  sortOrder: string;
+  includeFileTree: boolean;
+  userInstructions: string;
+  onClose: () => void;
+  onSave: (templates: OutputTemplate[]) => void;
+}
+
+/** Response of the "import-output-template" invoke channel */
+interface ImportTemplateResponse {
+  canceled: boolean;
+  template?: OutputTemplate;
+}
+
+/** Response of the "export-output-template" invoke channel */
+interface ExportTemplateResponse {
+  canceled: boolean;
+  filePath?: string;
+}
+
+// Number of selected files loaded to preview the template with
+const PREVIEW_FILE_LIMIT = 3;
+
+// The preview is cut off after this many characters
+const PREVIEW_MAX_LENGTH = 20000;
+
+// Shown in the preview when no files are selected
+const SAMPLE_FILE: FileData = {
+  name: "example.ts",
+  path: "example/src/example.ts",
+  content: 'export const greet = (name: string) => `Hello, ${name}!`;\n',
+  tokenCount: 14,
+  size: 58,
+  isBinary: false,
+  isSkipped: false,
+};
+
+const createTemplate = (): OutputTemplate => ({
+  id: `template-${Date.now().toString(36)}`,
+  name: "New template",
+  header: "{{tree}}\n",
+  fileBlock: "## {{relativePath}} ({{tokenCount}} tokens)\n\n{{fence}}{{language}}\n{{content}}\n{{fence}}\n\n",
+  footer: "{{instructions}}\n",
+});
+
+/**
+ * Templates panel
+ *
+ * Lists the user's output templates and edits the selected one, with a live
+ * preview built from the first selected files (or a sample file). Templates
+ * can be imported from and exported to files for sharing. Nothing is saved
+ * until "Save".
+ */
+const TemplateEditor = ({
+  templates,
+  activeTemplateId,
+  allFiles,
+  selectedFiles,
+  selectedFolder,
+  sortOrder,
+  includeFileTree,
+  userInstructions,
+  onClose,
+  onSave,
+}: TemplateEditorProps): JSX.Element => {
+  const [drafts, setDrafts] = useState(templates);
+  const [editingId, setEditingId] = useState(
+    (activeTemplateId || templates[0]?.id || null) as string | null
+  );
+  const [previewContents, setPreviewContents] = useState({} as Record<string, string>);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const editing = drafts.find((template: OutputTemplate) => template.id === editingId) || null;
+
+  // Load the first few selected files to preview the template with
+  const previewPaths = useMemo(
+    () =>
+      allFiles
+        .filter((file: FileData) => selectedFiles.includes(file.path) && !file.isBinary && !file.isSkipped)
+        .slice(0, PREVIEW_FILE_LIMIT)
+        .map((file: FileData) => file.path),
+    [allFiles, selectedFiles],
+  );
+
+  useEffect(() => {
+    if (previewPaths.length === 0) return;
+    loadFileContents(previewPaths)
+      .then(({ contents }) => setPreviewContents(contents))
+      .catch((err: Error) => setError(`Could not load files for the preview: ${err.message}`));
+  }, [previewPaths]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const preview = useMemo(() => {
+    if (!editing) return "";
+    const usesSelection = previewPaths.length > 0;
+    const files = usesSelection
+      ? allFiles.map((file: FileData) =>
+          file.path in previewContents ? { ...file, content: previewContents[file.path] } : file,
+        )
+      : [SAMPLE_FILE];
+    const text = formatContentForCopying({
+      files,
+      selectedFiles: usesSelection ? previewPaths : [SAMPLE_FILE.path],
+      sortOrder,
+      includeFileTree,
+      selectedFolder: usesSelection ? selectedFolder : "example",
+      userInstructions: userInstructions || "Your instructions go here.",
+      template: editing,
+    });
+    return text.length > PREVIEW_MAX_LENGTH ? `${text.slice(0, PREVIEW_MAX_LENGTH)}\n...` : text;
+  }, [editing, previewPaths, previewContents, allFiles, sortOrder, includeFileTree, selectedFolder, userInstructions]);
+
+  const updateEditing = (changes: Partial<OutputTemplate>) => {
+    setDrafts(drafts.map((template: OutputTemplate) =>
+      template.id === editingId ? { ...template, ...changes } : template,
+    ));
+  };
+
+  const addTemplate = (template: OutputTemplate) => {
+    setDrafts([...drafts, template]);
+    setEditingId(template.id);
+  };
+
+  const handleDuplicate = () => {
+    if (!editing) return;
+    addTemplate({ ...editing, id: createTemplate().id, name: `${editing.name} (copy)` });
+  };
+
+  const handleDelete = () => {
+    if (!editing) return;
+    const remaining = drafts.filter((template: OutputTemplate) => template.id !== editing.id);
+    setDrafts(remaining);
+    setEditingId(remaining[0]?.id || null);
+  };
+
+  const handleImport = () => {
+    setError("");
+    setMessage("");
+    window.electron
+      .invoke("import-output-template")
+      .then((result: ImportTemplateResponse) => {
+        if (result.canceled || !result.template) return;
+        addTemplate(result.template);
+        setMessage(`Imported "${result.template.name}". Save to keep it.`);
+      })
+      .catch((err: Error) => setError(`Could not import the template: ${err.message}`));
+  };
+
+  const handleExport = () => {
+    if (!editing) return;
+    setError("");
+    setMessage("");
+    window.electron
+      .invoke("export-output-template", editing)
+      .then((result: ExportTemplateResponse) => {
+        if (!result.canceled) setMessage(`Exported to ${result.filePath}`);
+      })
+      .catch((err: Error) => setError(`Could not export the template: ${err.message}`));
+  };
+
+  const handleSave = () => {
+    window.electron
+      .invoke("set-output-templates", drafts)
+      .then((saved: OutputTemplate[]) => onSave(saved))
+      .catch((err: Error) => setError(`Could not save templates: ${err.message}`));
+  };
+
+  const hasEmptyFileBlock = drafts.some((template: OutputTemplate) => !template.fileBlock.trim());
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal template-editor"
+        onClick={(e: any) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <div className="content-title">Output Templates</div>
+          <button className="modal-close-btn" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {error && <div className="ignore-settings-error">{error}</div>}
+        {message && <div className="template-editor-message">{message}</div>}
+
+        <div className="modal-body template-editor-body">
+          <div className="template-editor-list">
+            <ul>
+              {drafts.map((template: OutputTemplate) => (
+                <li
+                  key={template.id}
+                  className={template.id === editingId ? "active" : ""}
+                  onClick={() => setEditingId(template.id)}
+                >
+                  {template.name || "Untitled template"}
+                </li>
+              ))}
+              {drafts.length === 0 && <li className="ignore-source-empty">No templates yet.</li>}
+            </ul>
+            <button onClick={() => addTemplate(createTemplate())}>New</button>
+            <button onClick={handleDuplicate} disabled={!editing}>Duplicate</button>
+            <button onClick={handleDelete} disabled={!editing}>Delete</button>
+            <button onClick={handleImport}>Import...</button>
+            <button onClick={handleExport} disabled={!editing}>Export...</button>
+          </div>
+
+          {editing ? (
+            <div className="template-editor-fields">
+              <label>
+                <span className="ignore-source-title">Name</span>
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e: any) => updateEditing({ name: e.target.value })}
+                />
+              </label>
+              <label>
+                <span className="ignore-source-title">Header</span>
+                <textarea
+                  value={editing.header}
+                  onChange={(e: any) => updateEditing({ header: e.target.value })}
+                  rows={3}
+                  spellCheck={false}
+                />
+              </label>
+              <label>
+                <span className="ignore-source-title">File block (repeated for every file)</span>
+                <textarea
+                  value={editing.fileBlock}
+                  onChange={(e: any) => updateEditing({ fileBlock: e.target.value })}
+                  rows={6}
+                  spellCheck={false}
+                />
+              </label>
+              <label>
+                <span className="ignore-source-title">Footer</span>
+                <textarea
+                  value={editing.footer}
+                  onChange={(e: any) => updateEditing({ footer: e.target.value })}
+                  rows={3}
+                  spellCheck={false}
+                />
+              </label>
+              <details className="ignore-source-patterns">
+                <summary>Placeholders</summary>
+                <ul className="template-placeholders">
+                  {TEMPLATE_PLACEHOLDERS.map((placeholder) => (
+                    <li key={placeholder.name}>
+                      <code>{`{{${placeholder.name}}}`}</code> {placeholder.description}
+                      {placeholder.fileOnly && " (file block only)"}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            </div>
+          ) : (
+            <div className="ignore-source-empty">Create or import a template to edit it.</div>
+          )}
+
+          <div className="template-editor-preview">
+            <div className="ignore-preview-header">
+              <span className="ignore-source-title">Preview</span>
+              <span className="ignore-preview-status">
+                {previewPaths.length > 0
+                  ? `First ${previewPaths.length} selected file${previewPaths.length === 1 ? "" : "s"}`
+                  : "Sample file"}
+              </span>
+            </div>
+            <pre>{preview}</pre>
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <span className="ignore-source-description">
+            {hasEmptyFileBlock && "Templates without a file block are not saved."}
+          </span>
+          <div className="modal-footer-actions">
+            <button onClick={onClose}>Cancel</button>
+            <button className="primary" onClick={handleSave}>
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateEditor;
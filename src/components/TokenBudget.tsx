@@ -0,0 +1,99 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { FileData } from "../types/FileTypes";
+import {
+  TokenBudgetSettings,
+  TrimPolicy,
+  TrimResult,
+  TRIM_POLICIES,
+} from "../utils/tokenBudgetUtils";
+
+interface TokenBudgetProps {
+  budget: TokenBudgetSettings;
+  onChange: (budget: TokenBudgetSettings) => void;
+  result: TrimResult;
+  onDeselectDropped: () => void;
+}
+
+/**
+ * TokenBudget Component
+ *
+ * Budget setting for the content area. When the selection goes over the
+ * budget, it warns and lists the files the chosen policy drops; the copied
+ * content then leaves exactly those files out.
+ */
+const TokenBudget = ({
+  budget,
+  onChange,
+  result,
+  onDeselectDropped,
+}: TokenBudgetProps): JSX.Element => {
+  const isOverBudget = budget.enabled && result.dropped.length > 0;
+
+  return (
+    <div className={`token-budget ${isOverBudget ? "over-budget" : ""}`}>
+      <div className="token-budget-controls">
+        <label className="token-budget-toggle">
+          <input
+            type="checkbox"
+            checked={budget.enabled}
+            onChange={() => onChange({ ...budget, enabled: !budget.enabled })}
+          />
+          <span>Token budget</span>
+        </label>
+        <input
+          type="number"
+          className="token-budget-limit"
+          min={1}
+          step={1000}
+          value={budget.limit}
+          disabled={!budget.enabled}
+          onChange={(e: any) => {
+            const limit = parseInt(e.target.value, 10);
+            if (limit > 0) onChange({ ...budget, limit });
+          }}
+        />
+        <select
+          className="token-budget-policy"
+          value={budget.policy}
+          disabled={!budget.enabled}
+          onChange={(e: any) => onChange({ ...budget, policy: e.target.value as TrimPolicy })}
+        >
+          {TRIM_POLICIES.map((policy) => (
+            <option key={policy.value} value={policy.value}>
+              {policy.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isOverBudget && (
+        <div className="token-budget-warning">
+          <div className="token-budget-summary">
+            <AlertTriangle size={14} />
+            <span>
+              Selection is {(result.totalTokens - budget.limit).toLocaleString()} tokens over
+              budget. {result.dropped.length} file{result.dropped.length === 1 ? "" : "s"} will
+              be left out of the copy ({result.keptTokens.toLocaleString()} tokens kept).
+            </span>
+            <button className="token-budget-deselect" onClick={onDeselectDropped}>
+              Deselect dropped files
+            </button>
+          </div>
+          <ul className="token-budget-dropped">
+            {result.dropped.map((file: FileData) => (
+              <li key={file.path}>
+                <span className="token-budget-dropped-path">{file.relativePath || file.name}</span>
+                <span className="token-budget-dropped-tokens">
+                  {(result.tokenCounts[file.path] ?? file.tokenCount).toLocaleString()} tokens
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TokenBudget;
@@ -1,9 +1,18 @@
 import React, { useRef, useEffect } from "react";
 import type { MouseEvent, ChangeEvent } from "react";
 import { TreeItemProps, TreeNode } from "../types/FileTypes";
-import { ChevronRight, File, Folder } from "lucide-react";
+import { ChevronRight, Eye, File, Folder, Network, ShieldAlert } from "lucide-react";
 import { arePathsEqual } from "../utils/pathUtils";
 
+// Tooltips of the git status badges
+const GIT_STATUS_LABELS: Record<string, string> = {
+  M: "Modified",
+  A: "Added",
+  D: "Deleted",
+  R: "Renamed",
+  "??": "Untracked",
+};
+
 /**
  * TreeItem represents a single item (file or folder) in the file tree.
  * It handles:
@@ -11,6 +20,10 @@ import { arePathsEqual } from "../utils/pathUtils";
  * - Folder expansion/collapse
  * - Visual indicators for selection state
  * - Special cases for binary/skipped/excluded files
+ * - Git status badges (M/A/D/R/??) for changed files
+ * - Highlighting and hit counts for content search matches
+ * - A warning on selected files with possible secrets
+ * - "Preview" and "Select dependents" buttons on files, shown on hover
  */
 const TreeItem = ({
   node,
@@ -18,6 +31,12 @@ const TreeItem = ({
   toggleFileSelection,
   toggleFolderSelection,
   toggleExpanded,
+  gitStatus,
+  matchCount,
+  secretCount,
+  onSelectDependents,
+  onPreview,
+  isPreviewOpen,
 }: TreeItemProps) => {
   const { id, name, path, type, level, isExpanded, fileData } = node;
   const checkboxRef = useRef(null);
@@ -133,6 +152,7 @@ const TreeItem = ({
       toggleExpanded(id);
     } else if (type === "file" && !isDisabled) {
       toggleFileSelection(path);
+      if (isPreviewOpen && onPreview) onPreview(path);
     }
   };
 
@@ -165,7 +185,7 @@ const TreeItem = ({
     <div
       className={`tree-item ${isSelected ? "selected" : ""} ${
         isDisabled ? "disabled-item" : ""
-      }`}
+      } ${matchCount ? "content-match" : ""}`}
       style={{ marginLeft: `${level * 16}px` }}
       onClick={handleItemClick}
     >
@@ -209,6 +229,34 @@ const TreeItem = ({
           </span>
         )}
 
+        {/* Show content search hits */}
+        {matchCount ? (
+          <span className="tree-item-matches" title={`${matchCount} content search match${matchCount === 1 ? "" : "es"}`}>
+            {matchCount.toLocaleString()}
+          </span>
+        ) : null}
+
+        {/* Show possible secrets found by the scan before copying */}
+        {secretCount ? (
+          <span
+            className="tree-item-secrets"
+            title={`${secretCount} possible secret${secretCount === 1 ? "" : "s"}; see the warnings above the copy button`}
+          >
+            <ShieldAlert size={12} />
+            {secretCount.toLocaleString()}
+          </span>
+        ) : null}
+
+        {/* Show git status for changed files */}
+        {gitStatus && (
+          <span
+            className={`tree-item-git-status git-status-${gitStatus === "??" ? "untracked" : gitStatus.toLowerCase()}`}
+            title={GIT_STATUS_LABELS[gitStatus]}
+          >
+            {gitStatus}
+          </span>
+        )}
+
         {/* Show badge for unselectable files */}
         {fileData && isDisabled && (
           <span className="tree-item-badge">
@@ -217,6 +265,32 @@ const TreeItem = ({
              "Excluded"}
           </span>
         )}
+
+        {type === "file" && !isDisabled && onPreview && (
+          <button
+            className="tree-item-action"
+            onClick={(e: any) => {
+              e.stopPropagation();
+              onPreview(path);
+            }}
+            title="Preview this file"
+          >
+            <Eye size={14} />
+          </button>
+        )}
+
+        {type === "file" && !isDisabled && onSelectDependents && (
+          <button
+            className="tree-item-action"
+            onClick={(e: any) => {
+              e.stopPropagation();
+              onSelectDependents(path);
+            }}
+            title="Select dependents: this file and every file importing it"
+          >
+            <Network size={14} />
+          </button>
+        )}
       </div>
     </div>
   );
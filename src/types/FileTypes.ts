@@ -1,9 +1,11 @@
 export interface FileData {
   name: string;
   path: string;
-  content: string;
+  relativePath?: string;
+  content?: string; // Not sent with the file list; loaded on demand (see fileContentUtils.ts)
   tokenCount: number;
   size: number;
+  mtimeMs?: number; // Last modification time, used by the "recently modified" budget policy
   isBinary: boolean;
   isSkipped: boolean;
   error?: string;
@@ -35,18 +37,47 @@ export interface SidebarProps {
   deselectAllFiles: () => void;
   expandedNodes: Record<string, boolean>;
   toggleExpanded: (nodeId: string) => void;
+  presets: SelectionPreset[];
+  onSavePreset: (name: string) => void;
+  onLoadPreset: (preset: SelectionPreset) => string[]; // Returns the preset paths that are missing
+  onRenamePreset: (presetId: string, name: string) => void;
+  onDeletePreset: (presetId: string) => void;
+  gitStatus: GitStatus | null;
+  onSelectGitChanges: (kind: "modified" | "staged") => Promise<number>; // Returns the number of files selected
+  onSelectBranchChanges: (base: string) => Promise<number>;
+  onRefreshGitStatus: () => void;
+  contentSearch: ContentSearchOptions;
+  onContentSearchChange: (search: ContentSearchOptions) => void;
+  contentSearchResult: ContentSearchResult | null;
+  contentSearchError: string | null;
+  isContentSearching: boolean;
+  onSelectContentMatches: () => void;
+  onFindDependencies: (depth: number) => Promise<DependencyFile[]>;
+  onAddToSelection: (paths: string[]) => void;
+  onSelectDependents: (filePath: string) => void;
+  dependentsImpact: DependentsImpact | null;
+  onDismissDependentsImpact: () => void;
+  onPreviewFile: (filePath: string) => void;
+  isPreviewOpen: boolean;
+  secretCounts: Record<string, number>; // Secrets found in selected files that aren't allowed, by normalized path
 }
 
 export interface FileListProps {
   files: FileData[];
   selectedFiles: string[];
   toggleFileSelection: (filePath: string) => void;
+  onSelectDependents?: (filePath: string) => void;
+  onPreview?: (filePath: string) => void;
+  copiedFiles?: Record<string, CopiedFile>; // Files copied partially or compressed, by normalized path
+  secretCounts?: Record<string, number>; // Secrets found that aren't allowed, by normalized path
 }
 
 export interface FileCardProps {
   file: FileData;
   isSelected: boolean;
   toggleSelection: (filePath: string) => void;
+  onSelectDependents?: (filePath: string) => void;
+  onPreview?: (filePath: string) => void;
 }
 
 export interface TreeItemProps {
@@ -55,6 +86,55 @@ export interface TreeItemProps {
   toggleFileSelection: (filePath: string) => void;
   toggleFolderSelection: (folderPath: string, isSelected: boolean) => void;
   toggleExpanded: (nodeId: string) => void;
+  gitStatus?: GitFileStatus["status"];
+  matchCount?: number; // Content search hits in the file
+  onSelectDependents?: (filePath: string) => void;
+  onPreview?: (filePath: string) => void;
+  isPreviewOpen?: boolean; // Clicking a file also shows it in the open preview pane
+  secretCount?: number; // Secrets found in the file that aren't allowed
+}
+
+/** What the preview pane shows: one file, or everything "COPY ALL SELECTED" would copy */
+export type PreviewTarget = { type: "file"; path: string } | { type: "bundle" };
+
+/** Lines of a file picked in the preview; only these lines are copied */
+export interface LineRange {
+  start: number; // First line, from 1
+  end: number; // Last line, inclusive
+  startText: string; // Trimmed text of the first and last line, to find the range again after edits
+  endText: string;
+}
+
+/** What is copied of a file with picked lines or symbols, or with compression */
+export interface CopiedFile {
+  lines: string | null; // e.g. "120-180, 300"; null when the whole file is copied
+  tokenCount: number;
+  uncompressedTokenCount: number; // Tokens of the same lines without compression
+}
+
+/** Lines of a file's outline, numbered from 1 */
+export interface OutlineSpan {
+  start: number;
+  end: number; // Inclusive
+}
+
+/** Top-level definition in a file's outline; comments and decorators right above it are included */
+export interface OutlineSymbol extends OutlineSpan {
+  id: string; // The name, with "#2", "#3"... for later symbols of the same name
+  name: string;
+  kind: "function" | "class" | "interface" | "type" | "enum" | "namespace" | "variable" | "export" | "call";
+  exported: boolean; // Exported in JS/TS; not starting with "_" in Python
+  tokenCount: number;
+}
+
+/** Symbols of a JS/TS or Python file, from the "get-file-outlines" invoke channel */
+export interface FileOutline {
+  path: string;
+  language: "js" | "python" | null; // null for files that can't be outlined
+  imports: OutlineSpan[]; // Import statements, copied along with any picked symbol
+  importTokenCount: number;
+  symbols: OutlineSymbol[];
+  error?: string;
 }
 
 export interface SortOption {
@@ -72,3 +152,302 @@ export interface CopyButtonProps {
   isDisabled: boolean;
   copyStatus: boolean;
 }
+
+/**
+ * Per-project settings loaded from .pastemax.json and .pastemaxignore
+ * (see project-config.js). `null` means the project doesn't set a default.
+ */
+export interface ProjectConfig {
+  ignore: string[];
+  include: string[];
+  sortOrder: string | null;
+  includeFileTree: boolean | null;
+  instructions: string | null;
+  useDefaultIgnores: boolean;
+  useExcludedFiles: boolean;
+}
+
+export interface ProjectConfigMessage {
+  rootDir: string;
+  config: ProjectConfig;
+  errors: string[];
+  reason: "load" | "change";
+}
+
+/**
+ * Sent by the file watcher when a .gitignore in the open folder changes
+ */
+export interface IgnoreRulesChangedMessage {
+  rootDir: string;
+  file: string; // The .gitignore, relative to the root
+}
+
+/**
+ * App-level ignore settings edited in the Ignore Rules panel
+ * (see DEFAULT_IGNORE_SETTINGS in file-scanner.js)
+ */
+export interface IgnoreSettings {
+  useGitignore: boolean;
+  useDefaultIgnores: boolean;
+  useExcludedFiles: boolean;
+  useProjectIgnores: boolean;
+  useCustomIgnores: boolean;
+  customIgnores: string[];
+}
+
+/** Response of the "get-ignore-settings" invoke channel */
+export interface IgnoreSettingsInfo {
+  settings: IgnoreSettings;
+  sources: {
+    always: string[];
+    default: string[];
+    excludedFiles: string[];
+    project: string[];
+  };
+  projectFlags: { useDefaultIgnores: boolean; useExcludedFiles: boolean } | null;
+}
+
+/** Which rule hides a path, as returned by the ignore filter's explain() */
+export interface IgnoreExplanation {
+  ignored: boolean;
+  source?: string;
+  pattern?: string | null;
+  file?: string;
+  path?: string;
+  exists?: boolean;
+}
+
+export interface IgnorePreviewEntry extends IgnoreExplanation {
+  relativePath: string;
+  isDirectory: boolean;
+  isNew?: boolean;
+}
+
+/** Response of the "preview-ignore-rules" invoke channel */
+export interface IgnorePreview {
+  hidden: IgnorePreviewEntry[];
+  shown: IgnorePreviewEntry[];
+  truncated: boolean;
+}
+
+/**
+ * How tokens are counted and how large the context window is for a model
+ * (see model-profiles.js)
+ */
+export interface ModelProfile {
+  id: string;
+  name: string;
+  encoding: "o200k_base" | "cl100k_base" | "chars";
+  charsPerToken?: number;
+  contextWindow: number;
+}
+
+export interface ModelSettings {
+  profileId: string;
+  customCharsPerToken: number;
+  customContextWindow: number;
+}
+
+/**
+ * User-defined output layout (see output-templates.js). The header and footer
+ * are written once, the file block once per selected file.
+ */
+export interface OutputTemplate {
+  id: string;
+  name: string;
+  header: string;
+  fileBlock: string;
+  footer: string;
+}
+
+/**
+ * Named selection of a root folder (see selection-presets.js). File paths are
+ * relative to the root folder and use "/" separators.
+ */
+export interface SelectionPreset {
+  id: string;
+  name: string;
+  files: string[];
+  instructions: string;
+  includeFileTree: boolean;
+  outputFormat: string;
+  templateId: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+/** State of one folder kept by the main process (see workspace-state.js) */
+export interface WorkspaceState {
+  selectedFiles: string[];
+  expandedNodes: Record<string, boolean>;
+  searchTerm: string;
+  instructions: string;
+  lineRanges: Record<string, LineRange[]>; // Normalized file path -> picked lines
+  selectedSymbols: Record<string, string[]>; // Normalized file path -> ids of the picked symbols
+  compression: Record<string, CompressionSettings>; // Normalized file path -> the file's own compression settings
+  lastOpened: number;
+}
+
+/** Entry of the "Recent folders" menu */
+export interface RecentFolder {
+  path: string;
+  name: string;
+  lastOpened: number;
+  exists: boolean;
+}
+
+/** Change of one file as shown by `git status` (see git-utils.js) */
+export interface GitFileStatus {
+  path: string;
+  status: "M" | "A" | "D" | "R" | "??";
+  staged: boolean;    // Has changes in the index
+  unstaged: boolean;  // Has changes in the working tree, or is untracked
+}
+
+/** Response of the "get-git-status" invoke channel */
+export interface GitStatus {
+  isRepo: boolean;
+  branch: string | null; // null on a detached HEAD
+  branches: string[];
+  files: GitFileStatus[];
+}
+
+/** Unified diff of one file (see getFileDiffs in git-utils.js) */
+export interface GitFileDiff {
+  path: string;
+  diff: string;
+  tokenCount: number;
+}
+
+/** Response of the "get-git-diff" invoke channel */
+export interface GitDiffResult {
+  files: GitFileDiff[];
+  tokenCount: number;
+}
+
+/**
+ * Git diff in the copied content:
+ * - off:     no diff
+ * - section: a <DIFF> section after the file contents
+ * - only:    the <DIFF> section instead of the file contents
+ */
+export type GitDiffMode = "off" | "section" | "only";
+
+export interface GitDiffSettings {
+  mode: GitDiffMode;
+  range: string; // Commit range such as "main..HEAD"; the working tree when empty
+}
+
+/** Recent commits of one file (see getGitHistory in git-utils.js) */
+export interface GitFileHistory {
+  path: string;
+  history: string; // One "<hash> <date> <author>" line per commit, message indented below
+  tokenCount: number;
+}
+
+/** Response of the "get-git-history" invoke channel */
+export interface GitHistoryResult {
+  files: GitFileHistory[] | null; // null when not requested
+  log: string | null; // `git log --oneline`, null when not requested
+  logTokenCount: number;
+  tokenCount: number; // Files and log together
+}
+
+/** Git history in the copied content; each part can be turned on separately */
+export interface GitHistorySettings {
+  fileHistory: boolean;   // Last commits touching each copied file
+  commitsPerFile: number;
+  log: boolean;           // Compact log of the repository
+  logCount: number;
+}
+
+/** Transforms applied to file contents before they are copied (see compressionUtils.ts) */
+export interface CompressionSettings {
+  removeComments: boolean;
+  collapseBlankLines: boolean;
+  dropLicenseHeaders: boolean;
+  signaturesOnly: boolean; // Declarations without function bodies
+}
+
+/** Content search in the sidebar (see content-search.js) */
+export interface ContentSearchOptions {
+  query: string;
+  isRegex: boolean;
+  caseSensitive: boolean;
+}
+
+/** Response of the "search-file-contents" invoke channel */
+export interface ContentSearchResult {
+  matches: { path: string; count: number }[]; // Files with at least one match
+  totalMatches: number;
+  searchedFiles: number;
+  cancelled: boolean; // A newer search started before this one finished
+}
+
+/** A file reached by following the imports of the selection ("find-file-dependencies" invoke channel) */
+export interface DependencyFile {
+  path: string;
+  depth: number; // 1 for files the selection imports directly
+  importedBy: string; // Path of the first file found importing it
+}
+
+/** A file importing the chosen one, directly or through other files ("find-file-dependents" invoke channel) */
+export interface DependentFile {
+  path: string;
+  depth: number; // 1 for files importing the chosen file directly
+  imports: string; // Path of the file it imports on the way to the chosen file
+}
+
+/** Summary of the last "Select dependents" action */
+export interface DependentsImpact {
+  path: string; // The chosen file
+  files: DependentFile[];
+  tokenCount: number; // Tokens of the dependent files
+  error?: string;
+}
+
+/** Response of the "get-model-settings" and "set-model-settings" invoke channels */
+export interface ModelSettingsInfo {
+  settings: ModelSettings;
+  profiles: ModelProfile[];
+  profile: ModelProfile;
+}
+
+/** What happens to secrets found in the files when copying */
+export type SecretAction = "block" | "redact";
+
+/** A possible secret found by the scan before copying (see secret-scanner.js) */
+export interface SecretFinding {
+  ruleId: string;
+  label: string; // e.g. "AWS access key ID"
+  line: number;
+  preview: string; // Start of the value, masked
+  fingerprint: string; // Identifies the secret for exceptions without revealing it
+  isAllowed: boolean; // Allowed to be copied as an exception of the open folder
+}
+
+/** Where scanned text comes from: a file, or the git diff, history or log copied along */
+export type SecretSource = "file" | "diff" | "history" | "log";
+
+/** Git text sent to the "scan-secrets" invoke channel along with the files */
+export interface SecretScanText {
+  id: string; // e.g. "diff:<path>"
+  source: Exclude<SecretSource, "file">;
+  path: string | null; // File the diff or history belongs to; null for the log
+  text: string;
+}
+
+/** Findings in one file or git text; those without findings aren't reported */
+export interface SecretScanFile {
+  id: string; // The path of a file, the id of a text
+  source: SecretSource;
+  path: string | null;
+  relativePath: string; // With "/" separators; empty for the log
+  findings: SecretFinding[];
+}
+
+/** Response of the "scan-secrets" invoke channel */
+export interface SecretScanResult {
+  files: SecretScanFile[];
+  redacted: Record<string, string>; // Text with the secrets that aren't allowed replaced, by id, when asked for
+}
@@ -0,0 +1,471 @@
+/**
+ * Compression transforms applied to file contents before they are copied, to
+ * fit more code into the context window: removing comments, collapsing blank
+ * lines, dropping license headers and a "signatures only" skeleton that keeps
+ * declarations but not function bodies.
+ *
+ * The transforms know the comment and string syntax of each language id
+ * returned by getLanguageFromFilename(), so comment markers inside strings
+ * are left alone. Languages without a known syntax only get their blank
+ * lines collapsed.
+ */
+
+import { CompressionSettings } from "../types/FileTypes";
+
+export const DEFAULT_COMPRESSION_SETTINGS: CompressionSettings = {
+  removeComments: false,
+  collapseBlankLines: false,
+  dropLicenseHeaders: false,
+  signaturesOnly: false,
+};
+
+export const COMPRESSION_OPTIONS: { key: keyof CompressionSettings; label: string; description: string }[] = [
+  { key: "removeComments", label: "Remove comments", description: "Drop line and block comments" },
+  { key: "collapseBlankLines", label: "Collapse blank lines", description: "Keep at most one blank line in a row" },
+  {
+    key: "dropLicenseHeaders",
+    label: "Drop license headers",
+    description: "Drop comments at the top of files that mention a license or copyright",
+  },
+  {
+    key: "signaturesOnly",
+    label: "Signatures only",
+    description: "Keep declarations and replace function bodies with { ... }",
+  },
+];
+
+/** Comment and string syntax of a language */
+interface LanguageSyntax {
+  line: string[]; // Line comment markers
+  block: [string, string][]; // Block comment delimiters
+  strings: string[]; // String delimiters, longest first; single-character ones end at a newline
+  hashNeedsSpace?: boolean; // "#" only starts a comment at the start of a line or after whitespace
+  regexLiterals?: boolean; // "/" can start a regex literal (JavaScript)
+  bodies?: "braces" | "indent"; // How function bodies are delimited, for "signatures only"
+}
+
+const C_LIKE: LanguageSyntax = {
+  line: ["//"],
+  block: [["/*", "*/"]],
+  strings: ['"', "'"],
+  bodies: "braces",
+};
+const JS_LIKE: LanguageSyntax = { ...C_LIKE, strings: ['"', "'", "`"], regexLiterals: true };
+const HASH: LanguageSyntax = { line: ["#"], block: [], strings: ['"', "'"], hashNeedsSpace: true };
+const PYTHON: LanguageSyntax = {
+  line: ["#"],
+  block: [],
+  strings: ['"""', "'''", '"', "'"],
+  hashNeedsSpace: true,
+  bodies: "indent",
+};
+const CSS: LanguageSyntax = { line: [], block: [["/*", "*/"]], strings: ['"', "'"] };
+const MARKUP: LanguageSyntax = { line: [], block: [["<!--", "-->"]], strings: [] };
+
+// Language ids from languageUtils.ts
+const LANGUAGE_SYNTAX: Record<string, LanguageSyntax> = {
+  javascript: JS_LIKE,
+  typescript: JS_LIKE,
+  jsx: JS_LIKE,
+  tsx: JS_LIKE,
+  java: C_LIKE,
+  c: C_LIKE,
+  cpp: C_LIKE,
+  csharp: C_LIKE,
+  kotlin: C_LIKE,
+  swift: C_LIKE,
+  scala: C_LIKE,
+  dart: C_LIKE,
+  groovy: C_LIKE,
+  gradle: C_LIKE,
+  objectivec: C_LIKE,
+  protobuf: C_LIKE,
+  go: { ...C_LIKE, strings: ['"', "'", "`"] },
+  rust: { ...C_LIKE, strings: ['"'] }, // ' also starts lifetimes
+  php: { ...C_LIKE, line: ["//", "#"], hashNeedsSpace: true },
+  jsonc: { ...C_LIKE, bodies: undefined },
+  json5: { ...C_LIKE, bodies: undefined },
+  python: PYTHON,
+  cython: PYTHON,
+  gdscript: PYTHON,
+  ruby: HASH,
+  elixir: HASH,
+  perl: HASH,
+  r: HASH,
+  shell: HASH,
+  bash: HASH,
+  powershell: { ...HASH, block: [["<#", "#>"]] },
+  makefile: HASH,
+  cmake: HASH,
+  dockerfile: HASH,
+  yaml: HASH,
+  toml: HASH,
+  gitignore: HASH,
+  nginx: HASH,
+  terraform: { ...HASH, line: ["#", "//"], block: [["/*", "*/"]] },
+  hcl: { ...HASH, line: ["#", "//"], block: [["/*", "*/"]] },
+  ini: { line: [";", "#"], block: [], strings: [], hashNeedsSpace: true },
+  properties: { line: ["#", "!"], block: [], strings: [], hashNeedsSpace: true },
+  sql: { line: ["--"], block: [["/*", "*/"]], strings: ["'", '"'] },
+  lua: { line: ["--"], block: [["--[[", "]]"]], strings: ['"', "'"] },
+  haskell: { line: ["--"], block: [["{-", "-}"]], strings: ['"'] },
+  elm: { line: ["--"], block: [["{-", "-}"]], strings: ['"'] },
+  css: CSS,
+  scss: { ...CSS, line: ["//"] },
+  less: { ...CSS, line: ["//"] },
+  html: MARKUP,
+  xml: MARKUP,
+  xsl: MARKUP,
+  svg: MARKUP,
+  vue: MARKUP,
+  svelte: MARKUP,
+  clojure: { line: [";"], block: [], strings: ['"'] },
+  lisp: { line: [";"], block: [], strings: ['"'] },
+  scheme: { line: [";"], block: [], strings: ['"'] },
+  racket: { line: [";"], block: [], strings: ['"'] },
+  erlang: { line: ["%"], block: [], strings: ['"'] },
+  latex: { line: ["%"], block: [], strings: [] },
+};
+
+// Words in a comment that make it a license header
+const LICENSE_PATTERN = /\b(?:copyright|licen[cs]ed?|spdx-license-identifier|all rights reserved)\b|\(c\)\s*\d{4}/i;
+
+// Statements whose braces aren't function bodies, even when the header ends with ")"
+const CONTROL_PATTERN = /^(?:\}\s*)?(?:else\s+)?(?:if|for|foreach|while|switch|catch|with|do|try|using|lock|synchronized|unless)\b/;
+
+// Stands in for cut comments until the lines they leave blank are removed
+const CUT_MARKER = "\u0000";
+
+/** A comment found in a text */
+interface CommentSpan {
+  start: number;
+  end: number; // Exclusive
+}
+
+/**
+ * Tells whether a language has a known comment syntax
+ * @param language A language id from getLanguageFromFilename()
+ */
+export function hasLanguageSyntax(language: string): boolean {
+  return language.toLowerCase() in LANGUAGE_SYNTAX;
+}
+
+/**
+ * Tells whether any transform is turned on
+ */
+export function isCompressionActive(settings: CompressionSettings | null | undefined): boolean {
+  return !!settings && COMPRESSION_OPTIONS.some(({ key }) => settings[key]);
+}
+
+/**
+ * Tells whether a "/" at a position starts a regex literal rather than a division,
+ * judging by the code before it
+ */
+function startsRegexLiteral(text: string, position: number): boolean {
+  let i = position - 1;
+  while (i >= 0 && (text[i] === " " || text[i] === "\t")) i--;
+  if (i < 0 || "(,=:[!&|?{};+-*%<>~^\n".includes(text[i])) return true;
+  return /\b(?:return|typeof|case|do|else|in|of|void|yield|await)$/.test(text.slice(Math.max(0, i - 10), i + 1));
+}
+
+/**
+ * Finds where a string or regex literal that starts at a position ends
+ * @returns The position after the closing delimiter, or the end of the line for
+ *   an unterminated single-character string
+ */
+function skipLiteral(text: string, position: number, delimiter: string): number {
+  const multiline = delimiter.length > 1 || delimiter === "`";
+  let inClass = false; // Inside [...] of a regex literal, where "/" doesn't end it
+  for (let i = position + delimiter.length; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "\n" && !multiline) {
+      return i;
+    } else if (delimiter === "/" && char === "[") {
+      inClass = true;
+    } else if (delimiter === "/" && char === "]") {
+      inClass = false;
+    } else if (!inClass && text.startsWith(delimiter, i)) {
+      return i + delimiter.length;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Finds the comments of a text, skipping over strings
+ */
+function findComments(text: string, syntax: LanguageSyntax): CommentSpan[] {
+  const comments: CommentSpan[] = [];
+  let i = 0;
+  while (i < text.length) {
+    const block = syntax.block.find(([open]: [string, string]) => text.startsWith(open, i));
+    if (block) {
+      const close = text.indexOf(block[1], i + block[0].length);
+      const end = close === -1 ? text.length : close + block[1].length;
+      comments.push({ start: i, end });
+      i = end;
+      continue;
+    }
+    const line = syntax.line.find(
+      (marker: string) =>
+        text.startsWith(marker, i) &&
+        !(marker === "#" && syntax.hashNeedsSpace && i > 0 && !/\s/.test(text[i - 1])),
+    );
+    if (line) {
+      const newline = text.indexOf("\n", i);
+      const end = newline === -1 ? text.length : newline;
+      comments.push({ start: i, end });
+      i = end;
+      continue;
+    }
+    const quote = syntax.strings.find((delimiter: string) => text.startsWith(delimiter, i));
+    if (quote) {
+      i = skipLiteral(text, i, quote);
+      continue;
+    }
+    if (syntax.regexLiterals && text[i] === "/" && startsRegexLiteral(text, i)) {
+      i = skipLiteral(text, i, "/");
+      continue;
+    }
+    i++;
+  }
+  return comments;
+}
+
+/**
+ * Cuts spans out of a text. Lines left blank by a cut are removed, and
+ * whitespace left at the end of a line is trimmed.
+ */
+function removeSpans(text: string, spans: CommentSpan[]): string {
+  if (spans.length === 0) return text;
+  let result = "";
+  let position = 0;
+  spans.forEach((span: CommentSpan) => {
+    const before = text.slice(position, span.start);
+    result += before;
+    // Mark the cut so the line can be recognized afterwards
+    result += CUT_MARKER;
+    position = span.end;
+  });
+  result += text.slice(position);
+
+  return result
+    .split("\n")
+    .filter((line: string) => !(line.includes(CUT_MARKER) && line.split(CUT_MARKER).join("").trim() === ""))
+    .map((line: string) => (line.includes(CUT_MARKER) ? line.split(CUT_MARKER).join("").trimEnd() : line))
+    .join("\n");
+}
+
+/**
+ * Drops the comments at the top of a file that mention a license or
+ * copyright. Other leading comments, such as a module's doc comment, stay.
+ */
+function dropLicenseHeader(text: string, syntax: LanguageSyntax): string {
+  // Shebang, XML declaration or "<?php" line stay in place
+  const prefix = /^(?:#!.*|<\?(?:xml|php)\b.*)(?:\r?\n|$)/.exec(text);
+  const start = prefix ? prefix[0].length : 0;
+
+  const comments = findComments(text, syntax);
+  const header: CommentSpan[] = [];
+  let position = start;
+  for (const comment of comments) {
+    if (comment.start < start) continue;
+    if (text.slice(position, comment.start).trim() !== "") break; // Code before the comment
+    header.push(comment);
+    position = comment.end;
+  }
+
+  // Consecutive line comments form one header block
+  const blocks: CommentSpan[] = [];
+  header.forEach((comment: CommentSpan) => {
+    const previous = blocks[blocks.length - 1];
+    if (previous && /^[ \t]*\r?\n[ \t]*$/.test(text.slice(previous.end, comment.start))) {
+      previous.end = comment.end;
+    } else {
+      blocks.push({ ...comment });
+    }
+  });
+
+  const licenses = blocks.filter((block: CommentSpan) => LICENSE_PATTERN.test(text.slice(block.start, block.end)));
+  if (licenses.length === 0) return text;
+  const removed = removeSpans(text, licenses);
+  // Don't leave the file starting with blank lines
+  const kept = prefix ? prefix[0] : "";
+  return kept + removed.slice(kept.length).replace(/^(?:[ \t]*\n)+/, "");
+}
+
+/**
+ * Finds the brace that closes the one at a position, skipping strings and comments
+ * @returns The position after the closing brace, or the end of the text
+ */
+function findClosingBrace(text: string, position: number, syntax: LanguageSyntax, comments: CommentSpan[]): number {
+  let depth = 0;
+  let commentIndex = comments.findIndex((comment: CommentSpan) => comment.start >= position);
+  for (let i = position; i < text.length; i++) {
+    if (commentIndex !== -1 && commentIndex < comments.length && comments[commentIndex].start === i) {
+      i = comments[commentIndex].end - 1;
+      commentIndex++;
+      continue;
+    }
+    const char = text[i];
+    const quote = syntax.strings.find((delimiter: string) => text.startsWith(delimiter, i));
+    if (quote) {
+      i = skipLiteral(text, i, quote) - 1;
+    } else if (syntax.regexLiterals && char === "/" && startsRegexLiteral(text, i)) {
+      i = skipLiteral(text, i, "/") - 1;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Tells whether a brace opens a function body, judging by the code before
+ * it: a parameter list, possibly followed by a return type, or an arrow
+ */
+function isFunctionBody(header: string): boolean {
+  const code = header.trim();
+  if (CONTROL_PATTERN.test(code)) return false;
+  return /=>\s*$/.test(code) || /\)[^;{}()=]*$/.test(code);
+}
+
+/**
+ * Replaces the bodies of functions in brace languages with "{ ... }"
+ */
+function stripBraceBodies(text: string, syntax: LanguageSyntax): string {
+  const comments = findComments(text, syntax);
+  let result = "";
+  let headerStart = 0; // Where the code before the next brace starts in the result
+  let commentIndex = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (commentIndex < comments.length && comments[commentIndex].start === i) {
+      result += text.slice(i, comments[commentIndex].end);
+      i = comments[commentIndex].end - 1;
+      commentIndex++;
+      headerStart = result.length;
+      continue;
+    }
+    const char = text[i];
+    const quote = syntax.strings.find((delimiter: string) => text.startsWith(delimiter, i));
+    if (quote || (syntax.regexLiterals && char === "/" && startsRegexLiteral(text, i))) {
+      const end = skipLiteral(text, i, quote || "/");
+      result += text.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if (char === "{" && isFunctionBody(result.slice(headerStart))) {
+      const end = findClosingBrace(text, i, syntax, comments);
+      result += "{ ... }";
+      while (commentIndex < comments.length && comments[commentIndex].start < end) commentIndex++;
+      i = end - 1;
+      headerStart = result.length;
+      continue;
+    }
+    result += char;
+    if (char === "{" || char === "}" || char === ";") headerStart = result.length;
+  }
+  return result;
+}
+
+/**
+ * Replaces the bodies of Python functions with "..."; classes keep their
+ * bodies, so methods become signatures too
+ */
+function stripIndentBodies(text: string, syntax: LanguageSyntax): string {
+  const lines = text.split("\n");
+  const result: string[] = [];
+  let i = 0;
+  while (i < lines.length) {
+    const match = /^([ \t]*)(?:async[ \t]+)?def\b/.exec(lines[i]);
+    if (!match) {
+      result.push(lines[i]);
+      i++;
+      continue;
+    }
+
+    // The signature may span lines while brackets are open
+    const indent = match[1];
+    let depth = 0;
+    let signatureEnd = i;
+    let code = "";
+    for (; signatureEnd < lines.length; signatureEnd++) {
+      const line = lines[signatureEnd];
+      const comments = findComments(line, syntax);
+      code = comments.length > 0 ? line.slice(0, comments[0].start) : line;
+      for (const char of code) {
+        if ("([{".includes(char)) depth++;
+        else if (")]}".includes(char)) depth = Math.max(0, depth - 1);
+      }
+      if (depth === 0) break;
+    }
+    const signature = lines.slice(i, signatureEnd + 1);
+
+    // One-line functions ("def f(): return 1") stay as they are
+    if (signatureEnd >= lines.length || !/:\s*$/.test(code)) {
+      result.push(...signature);
+      i = signatureEnd + 1;
+      continue;
+    }
+
+    // The body: blank lines and lines indented deeper than the def
+    let bodyEnd = signatureEnd + 1;
+    let lastBodyLine = signatureEnd;
+    let bodyIndent: string | null = null;
+    while (bodyEnd < lines.length) {
+      const line = lines[bodyEnd];
+      if (line.trim() === "") {
+        bodyEnd++;
+        continue;
+      }
+      const lineIndent = /^[ \t]*/.exec(line)![0];
+      if (lineIndent.length <= indent.length) break;
+      if (bodyIndent === null) bodyIndent = lineIndent;
+      lastBodyLine = bodyEnd;
+      bodyEnd++;
+    }
+
+    result.push(...signature, `${bodyIndent ?? `${indent}    `}...`);
+    i = lastBodyLine + 1;
+  }
+  return result.join("\n");
+}
+
+/**
+ * Keeps at most one blank line in a row, and none at the start or end
+ */
+function collapseBlankLines(text: string): string {
+  return text
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/^\n+/, "")
+    .replace(/\n+$/, "\n");
+}
+
+/**
+ * Applies the transforms that are turned on to a file's content
+ * @param content The text copied for the file (possibly only some of its lines)
+ * @param language A language id from getLanguageFromFilename()
+ * @param settings Transforms to apply
+ * @returns The transformed text
+ */
+export function compressContent(content: string, language: string, settings: CompressionSettings): string {
+  if (!isCompressionActive(settings)) return content;
+  const syntax = LANGUAGE_SYNTAX[language.toLowerCase()];
+  let text = content.replace(/\r\n/g, "\n");
+
+  if (syntax) {
+    if (settings.dropLicenseHeaders) text = dropLicenseHeader(text, syntax);
+    if (settings.removeComments) text = removeSpans(text, findComments(text, syntax));
+    if (settings.signaturesOnly && syntax.bodies === "braces") text = stripBraceBodies(text, syntax);
+    if (settings.signaturesOnly && syntax.bodies === "indent") text = stripIndentBodies(text, syntax);
+  }
+  if (settings.collapseBlankLines) text = collapseBlankLines(text);
+  return text;
+}
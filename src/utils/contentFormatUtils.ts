@@ -2,9 +2,11 @@
  * Utility functions for formatting content for copying
  */
 
-import { FileData } from "../types/FileTypes";
+import { CompressionSettings, FileData, GitFileDiff, LineRange, OutputTemplate } from "../types/FileTypes";
 import { generateAsciiFileTree, normalizePath, basename, dirname, isSubPath } from "./pathUtils";
 import { getLanguageFromFilename } from "./languageUtils";
+import { relocateLineRanges, extractLineRanges, formatLineRanges } from "./lineRangeUtils";
+import { compressContent } from "./compressionUtils";
 
 /**
  * Interface defining parameters for formatting file content
@@ -16,6 +18,66 @@ interface FormatContentParams {
   includeFileTree: boolean;    // Whether to include file tree in output
   selectedFolder: string | null; // Current selected folder path
   userInstructions: string;    // User instructions to append to content
+  outputFormat?: OutputFormat; // Layout of the output, "xml" by default
+  template?: OutputTemplate | null; // User-defined layout, used instead of outputFormat
+  diffs?: GitFileDiff[] | null; // Diffs of the selected files; adds a <DIFF> section when given
+  diffOnly?: boolean;          // Leave out the file contents and keep only the diffs
+  history?: GitHistory | null; // Recent commits; adds the git log and file history sections
+  lineRanges?: Record<string, LineRange[]> | null; // Lines to copy, by normalized path; other files are copied whole
+  compression?: CompressionSettings | null; // Transforms applied to every file's content
+  fileCompression?: Record<string, CompressionSettings> | null; // Per-file transforms by normalized path, instead of compression
+}
+
+/**
+ * Recent git history, read by the main process (see getGitHistory in git-utils.js)
+ */
+interface GitHistory {
+  files: { path: string; history: string }[] | null; // Only files with commits; null when not requested
+  log: string | null;                          // `git log --oneline`, null when not requested
+}
+
+/**
+ * Output layouts for the copied content
+ * - xml:      <FILE_STRUCTURE>, <CODEBASE> with fenced files, <user_instructions>
+ * - markdown: headings and fenced code blocks only
+ * - claude:   <documents><document index="n"> layout recommended for long context prompts
+ * - json:     array of { path, language, content }
+ */
+export type OutputFormat = "xml" | "markdown" | "claude" | "json";
+
+export const OUTPUT_FORMATS: { value: OutputFormat; label: string }[] = [
+  { value: "xml", label: "XML tags" },
+  { value: "markdown", label: "Markdown" },
+  { value: "claude", label: "Claude documents" },
+  { value: "json", label: "JSON (files only)" },
+];
+
+/**
+ * A selected file with everything the formatters need
+ */
+interface FormattedFile {
+  path: string;          // Display path: "folder/relative/path", or the full path outside the folder
+  relativePath: string;  // Path relative to the selected folder, or the full path outside it
+  language: string;      // Language identifier for code fences
+  content: string;       // Only the picked lines, with elision markers, when the file has line ranges
+  tokenCount: number;
+  lines: string | null;  // Picked lines, e.g. "120-180, 300", or null when the whole file is copied
+  diff: string | null;   // Unified diff, when diffs were requested and the file has changes
+  history: string | null; // Recent commits, when requested and the file has any
+}
+
+/**
+ * What every format is built from
+ */
+interface FormatSections {
+  folderName: string;
+  fileTree: string | null;   // ASCII tree, when enabled
+  files: FormattedFile[];
+  instructions: string;      // Trimmed user instructions, may be empty
+  diff: string | null;       // All diffs, in file order, when requested
+  diffOnly: boolean;         // The diff replaces the file contents
+  gitLog: string | null;     // Repository log, when requested
+  fileHistory: boolean;      // Whether the file history was requested
 }
 
 /**
@@ -56,14 +118,331 @@ function getFilesInFolder(files: FileData[], folderPath: string): FileData[] {
 }
 
 /**
- * Assembles the formatted content for copying
- * The content is assembled in the following order:
+ * Returns the path shown for a file: the folder name plus the path relative to
+ * it, or the full normalized path for files outside the selected folder
+ */
+function getDisplayPath(file: FileData, selectedFolder: string | null): string {
+  const normalizedPath = normalizePath(file.path);
+  if (!selectedFolder) return normalizedPath;
+
+  const relativePath = getRelativePath(selectedFolder, file.path);
+  if (relativePath && relativePath !== file.path) {
+    // Include the selected directory name at the beginning of the relative path
+    return `${basename(selectedFolder)}/${relativePath}`;
+  }
+  return normalizedPath;
+}
+
+/**
+ * Returns the path relative to the selected folder, or the full normalized
+ * path for files outside it
+ */
+function getFolderRelativePath(file: FileData, selectedFolder: string | null): string {
+  const relativePath = selectedFolder ? getRelativePath(selectedFolder, file.path) : "";
+  return relativePath && relativePath !== file.path ? relativePath : normalizePath(file.path);
+}
+
+/**
+ * Picks a code fence longer than any run of backticks in the content,
+ * so files that contain fences themselves don't end the block early
+ */
+function getFence(content: string): string {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map((run) => run.length));
+  return "`".repeat(longestRun + 1);
+}
+
+/**
+ * Diff text shown in the diff sections, with a note when nothing changed
+ */
+function getDiffText(diff: string): string {
+  return diff.trimEnd() || "No changes in the selected files.";
+}
+
+/**
+ * Repository log shown in the git log sections
+ */
+function getLogText(log: string): string {
+  return log.trimEnd() || "No commits yet.";
+}
+
+/**
+ * Files with recent commits, for the file history sections
+ */
+function getFilesWithHistory(files: FormattedFile[]): FormattedFile[] {
+  return files.filter((file: FormattedFile) => file.history !== null);
+}
+
+const NO_FILE_HISTORY = "No commits touch the selected files.";
+
+/**
+ * Path shown above a file's content, with the picked lines for partial files
+ */
+function getFileHeading(file: FormattedFile): string {
+  return file.lines !== null ? `${file.path} (lines ${file.lines})` : file.path;
+}
+
+/**
+ * XML-style layout:
  * 1. File tree (if enabled) within <FILE_STRUCTURE> tags
- * 2. All selected file content within <CODEBASE> tags
- * 3. User instructions at the end within <user_instructions> tags
- * 
- * Each section is clearly separated with the appropriate tags
- * File contents include the full file path and language syntax highlighting
+ * 2. All selected file content within <CODEBASE> tags, unless only the diff is copied
+ * 3. Diffs (if requested) within <DIFF> tags
+ * 4. Repository log and per-file commits (if requested) within <GIT_LOG> and <FILE_HISTORY> tags
+ * 5. User instructions at the end within <user_instructions> tags
+ */
+function formatAsXml(sections: FormatSections): string {
+  const { folderName, fileTree, files, instructions, diff, diffOnly, gitLog, fileHistory } = sections;
+  let output = "";
+
+  if (fileTree !== null) {
+    output += `<FILE_STRUCTURE>\n${folderName}\n${fileTree}\n</FILE_STRUCTURE>\n\n`;
+  }
+
+  if (!diffOnly) {
+    output += `<CODEBASE>\n`;
+    files.forEach((file) => {
+      const fence = getFence(file.content);
+      output += `File: ${getFileHeading(file)}\n${fence}${file.language}\n${file.content}\n${fence}\n\n`;
+    });
+    output += `</CODEBASE>\n\n`;
+  }
+
+  if (diff !== null) {
+    const diffText = getDiffText(diff);
+    const fence = getFence(diffText);
+    output += `<DIFF>\n${fence}diff\n${diffText}\n${fence}\n</DIFF>\n\n`;
+  }
+
+  if (gitLog !== null) {
+    output += `<GIT_LOG>\n${getLogText(gitLog)}\n</GIT_LOG>\n\n`;
+  }
+
+  if (fileHistory) {
+    const withHistory = getFilesWithHistory(files);
+    output += `<FILE_HISTORY>\n`;
+    withHistory.forEach((file) => {
+      output += `File: ${file.path}\n${file.history}\n`;
+    });
+    if (withHistory.length === 0) output += `${NO_FILE_HISTORY}\n`;
+    output += `</FILE_HISTORY>\n\n`;
+  }
+
+  if (instructions) {
+    output += `<user_instructions>\n${instructions}\n</user_instructions>\n`;
+  }
+  return output;
+}
+
+/**
+ * Markdown layout with headings for the tree, each file and the instructions
+ */
+function formatAsMarkdown(sections: FormatSections): string {
+  const { folderName, fileTree, files, instructions, diff, diffOnly, gitLog, fileHistory } = sections;
+  let output = "";
+
+  if (fileTree !== null) {
+    output += `## File Structure\n\n\`\`\`\n${folderName}\n${fileTree}\n\`\`\`\n\n`;
+  }
+
+  if (!diffOnly) {
+    output += `## Files\n\n`;
+    files.forEach((file) => {
+      const fence = getFence(file.content);
+      output += `### ${getFileHeading(file)}\n\n${fence}${file.language}\n${file.content}\n${fence}\n\n`;
+    });
+  }
+
+  if (diff !== null) {
+    const diffText = getDiffText(diff);
+    const fence = getFence(diffText);
+    output += `## Diff\n\n${fence}diff\n${diffText}\n${fence}\n\n`;
+  }
+
+  if (gitLog !== null) {
+    const logText = getLogText(gitLog);
+    const fence = getFence(logText);
+    output += `## Git Log\n\n${fence}\n${logText}\n${fence}\n\n`;
+  }
+
+  if (fileHistory) {
+    const withHistory = getFilesWithHistory(files);
+    output += `## File History\n\n`;
+    withHistory.forEach((file) => {
+      const fence = getFence(file.history as string);
+      output += `### ${file.path}\n\n${fence}\n${(file.history as string).trimEnd()}\n${fence}\n\n`;
+    });
+    if (withHistory.length === 0) output += `${NO_FILE_HISTORY}\n\n`;
+  }
+
+  if (instructions) {
+    output += `## Instructions\n\n${instructions}\n`;
+  }
+  return output;
+}
+
+/**
+ * Claude-style layout: each file is a <document> with its source and content,
+ * followed by the instructions, as recommended for long documents in a prompt
+ */
+function formatAsClaudeDocuments(sections: FormatSections): string {
+  const { folderName, fileTree, files, instructions, diff, diffOnly, gitLog, fileHistory } = sections;
+  let output = "";
+
+  if (fileTree !== null) {
+    output += `<file_structure>\n${folderName}\n${fileTree}\n</file_structure>\n\n`;
+  }
+
+  if (!diffOnly) {
+    output += `<documents>\n`;
+    files.forEach((file, index) => {
+      output += `<document index="${index + 1}">\n`;
+      output += `<source>${getFileHeading(file)}</source>\n`;
+      output += `<document_content>\n${file.content}\n</document_content>\n`;
+      output += `</document>\n`;
+    });
+    output += `</documents>\n\n`;
+  }
+
+  if (diff !== null) {
+    output += `<diff>\n${getDiffText(diff)}\n</diff>\n\n`;
+  }
+
+  if (gitLog !== null) {
+    output += `<git_log>\n${getLogText(gitLog)}\n</git_log>\n\n`;
+  }
+
+  if (fileHistory) {
+    const withHistory = getFilesWithHistory(files);
+    output += `<file_history>\n`;
+    withHistory.forEach((file) => {
+      output += `<history source="${file.path}">\n${(file.history as string).trimEnd()}\n</history>\n`;
+    });
+    if (withHistory.length === 0) output += `${NO_FILE_HISTORY}\n`;
+    output += `</file_history>\n\n`;
+  }
+
+  if (instructions) {
+    output += `<user_instructions>\n${instructions}\n</user_instructions>\n`;
+  }
+  return output;
+}
+
+/**
+ * JSON array of { path, language, content }, plus "lines" for files copied
+ * partially, "diff" for changed files when diffs were requested and
+ * "history" for files with recent commits when the file history was requested. Only the files are included; the file tree,
+ * the repository log and the instructions have no place in the array. With only the diff, the array
+ * holds the changed files without their content.
+ */
+function formatAsJson({ files, diffOnly }: FormatSections): string {
+  return JSON.stringify(
+    files
+      .filter((file: FormattedFile) => !diffOnly || file.diff !== null)
+      .map(({ path, language, content, lines, diff, history }: FormattedFile) => ({
+        path,
+        language,
+        ...(lines !== null ? { lines } : {}),
+        ...(diffOnly ? {} : { content }),
+        ...(diff !== null ? { diff } : {}),
+        ...(history !== null ? { history } : {}),
+      })),
+    null,
+    2
+  );
+}
+
+/**
+ * Placeholders available in user templates. File placeholders only work in
+ * the file block; the others work everywhere.
+ */
+export const TEMPLATE_PLACEHOLDERS: { name: string; description: string; fileOnly: boolean }[] = [
+  { name: "relativePath", description: "Path relative to the selected folder", fileOnly: true },
+  { name: "path", description: "Path starting with the folder name, as in the built-in formats", fileOnly: true },
+  { name: "language", description: "Language identifier for code fences", fileOnly: true },
+  { name: "content", description: "File content, or only the picked lines with elision markers", fileOnly: true },
+  { name: "lines", description: "Picked lines, e.g. \"120-180\", empty when the whole file is copied", fileOnly: true },
+  { name: "tokenCount", description: "Tokens in the file", fileOnly: true },
+  { name: "index", description: "Position of the file, starting at 1", fileOnly: true },
+  { name: "fence", description: "A code fence longer than any backtick run in the file", fileOnly: true },
+  { name: "fileDiff", description: "Git diff of the file, empty unless a git diff is included", fileOnly: true },
+  { name: "fileHistory", description: "Recent commits of the file, empty unless the file history is included", fileOnly: true },
+  { name: "tree", description: "Folder name and file tree, empty unless \"Include File Tree\" is on", fileOnly: false },
+  { name: "instructions", description: "User instructions", fileOnly: false },
+  { name: "folderName", description: "Name of the selected folder", fileOnly: false },
+  { name: "fileCount", description: "Number of files copied", fileOnly: false },
+  { name: "totalTokens", description: "Tokens in all copied files", fileOnly: false },
+  { name: "diff", description: "Git diff of all copied files, empty unless a git diff is included", fileOnly: false },
+  { name: "gitLog", description: "Compact git log of the repository, empty unless it is included", fileOnly: false },
+];
+
+/**
+ * Replaces {{name}} placeholders in a single pass, so placeholders that appear
+ * inside file contents are left alone. Unknown placeholders are kept as written.
+ */
+function fillPlaceholders(text: string, values: Record<string, string>): string {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match: string, name: string) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+/**
+ * Formats the sections with a user template: the header, the file block for
+ * every file, then the footer. With only the diff, file blocks are written
+ * for the changed files only.
+ */
+function formatWithTemplate(template: OutputTemplate, sections: FormatSections): string {
+  const { folderName, fileTree, instructions, diff, diffOnly } = sections;
+  const files = diffOnly ? sections.files.filter((file: FormattedFile) => file.diff !== null) : sections.files;
+  const globalValues: Record<string, string> = {
+    tree: fileTree !== null ? `${folderName}\n${fileTree}` : "",
+    instructions,
+    folderName,
+    fileCount: String(files.length),
+    totalTokens: String(files.reduce((sum: number, file: FormattedFile) => sum + file.tokenCount, 0)),
+    diff: diff ?? "",
+    gitLog: sections.gitLog ?? "",
+  };
+
+  const blocks = files.map((file: FormattedFile, index: number) =>
+    fillPlaceholders(template.fileBlock, {
+      ...globalValues,
+      relativePath: file.relativePath,
+      path: file.path,
+      language: file.language,
+      content: file.content,
+      lines: file.lines ?? "",
+      tokenCount: String(file.tokenCount),
+      index: String(index + 1),
+      fence: getFence(file.content),
+      fileDiff: file.diff ?? "",
+      fileHistory: file.history ?? "",
+    })
+  );
+
+  return (
+    fillPlaceholders(template.header, globalValues) +
+    blocks.join("") +
+    fillPlaceholders(template.footer, globalValues)
+  );
+}
+
+const FORMATTERS: Record<OutputFormat, (sections: FormatSections) => string> = {
+  xml: formatAsXml,
+  markdown: formatAsMarkdown,
+  claude: formatAsClaudeDocuments,
+  json: formatAsJson,
+};
+
+/**
+ * Assembles the formatted content for copying
+ * The content is assembled in the following order, in the chosen output format
+ * (see OutputFormat):
+ * 1. File tree (if enabled)
+ * 2. All selected file content, with paths and language identifiers, unless
+ *    diffOnly is set; files with line ranges contribute only those lines,
+ *    and the compression transforms are applied to what is copied
+ * 3. Git diffs of the selected files (if given)
+ * 4. Git log and per-file commit history (if given)
+ * 5. User instructions at the end
  * 
  * @param {FormatContentParams} params - Parameters for formatting content
  * @returns {string} The concatenated content ready for copying
@@ -74,7 +453,15 @@ export const formatContentForCopying = ({
   sortOrder,
   includeFileTree,
   selectedFolder,
-  userInstructions
+  userInstructions,
+  outputFormat = "xml",
+  template = null,
+  diffs = null,
+  diffOnly = false,
+  history = null,
+  lineRanges = null,
+  compression = null,
+  fileCompression = null,
 }: FormatContentParams): string => {
   // Sort files according to current sort settings
   const sortedSelected = files
@@ -98,57 +485,58 @@ export const formatContentForCopying = ({
     return "No files selected.";
   }
 
-  let concatenatedString = "";
-  
-  // Add ASCII file tree if enabled within <FILE_STRUCTURE> tags
-  if (includeFileTree && selectedFolder) {
-    const normalizedFolder = normalizePath(selectedFolder);
-    
-    // Get all files in the selected folder for the tree view instead of just selected files
-    const allFolderFiles = getFilesInFolder(files, selectedFolder);
-    
-    // Generate the ASCII tree with all files in the folder
-    const asciiTree = generateAsciiFileTree(allFolderFiles, selectedFolder);
-    
+  // Generate the ASCII tree with all files in the folder instead of just selected files
+  const fileTree = includeFileTree && selectedFolder
+    ? generateAsciiFileTree(getFilesInFolder(files, selectedFolder), selectedFolder)
+    : null;
+
+  const diffsByPath = new Map<string, string>();
+  (diffs || []).forEach((fileDiff: GitFileDiff) => diffsByPath.set(normalizePath(fileDiff.path), fileDiff.diff));
+  const getDiff = (file: FileData): string | null =>
+    diffs ? diffsByPath.get(normalizePath(file.path)) ?? null : null;
+
+  const historyByPath = new Map<string, string>();
+  (history?.files || []).forEach((file) => historyByPath.set(normalizePath(file.path), file.history));
+
+  // Partial files: the picked lines, found again in the current content. Compression comes after.
+  const getCopiedContent = (file: FileData): { content: string; lines: string | null } => {
+    const key = normalizePath(file.path);
+    const content = file.content ?? "";
+    const ranges = lineRanges?.[key];
+    const current = ranges && ranges.length > 0 ? relocateLineRanges(ranges, content) : [];
+    const picked = current.length > 0 ? extractLineRanges(content, current) : content;
+    const settings = fileCompression?.[key] ?? compression;
+    return {
+      content: settings ? compressContent(picked, getLanguageFromFilename(file.name), settings) : picked,
+      lines: current.length > 0 ? formatLineRanges(current) : null,
+    };
+  };
+
+  const sections: FormatSections = {
     // Only use the folder name instead of the full path
-    const folderName = basename(selectedFolder);
-    
-    concatenatedString += `<FILE_STRUCTURE>\n${folderName}\n${asciiTree}\n</FILE_STRUCTURE>\n\n`;
-  }
-  
-  // Add file contents section
-  concatenatedString += `<CODEBASE>\n`;
-  
-  // Add each file with its path and language-specific syntax highlighting
-  sortedSelected.forEach((file: FileData) => {
-    // Use the enhanced getLanguageFromFilename utility for optimal language detection
-    const language = getLanguageFromFilename(file.name);
-    // Normalize the file path for cross-platform compatibility
-    const normalizedPath = normalizePath(file.path);
-    
-    // Calculate relative path if a selected folder is provided
-    let relativePath = "";
-    if (selectedFolder) {
-      relativePath = getRelativePath(selectedFolder, file.path);
-    }
-    
-    // Add file path (both absolute and relative) and content with language-specific code fencing
-    let pathInfo = `File: ${normalizedPath}`;
-    if (relativePath && relativePath !== file.path) {
-      // Include the selected directory name at the beginning of the relative path
-      const folderName = selectedFolder ? basename(selectedFolder) : "";
-      pathInfo = `File: ${folderName}/${relativePath}`;
-    }
-    
-    concatenatedString += `${pathInfo}\n\`\`\`${language}\n${file.content}\n\`\`\`\n\n`;
-  });
-  
-  concatenatedString += `</CODEBASE>\n\n`;
-  
-  // Add user instructions at the end if present
-  if (userInstructions.trim()) {
-    concatenatedString += `${userInstructions.trim()}`;
-  }
+    folderName: selectedFolder ? basename(selectedFolder) : "",
+    fileTree,
+    files: sortedSelected.map((file: FileData) => ({
+      path: getDisplayPath(file, selectedFolder),
+      relativePath: getFolderRelativePath(file, selectedFolder),
+      // Use the enhanced getLanguageFromFilename utility for optimal language detection
+      language: getLanguageFromFilename(file.name),
+      ...getCopiedContent(file),
+      tokenCount: file.tokenCount,
+      diff: getDiff(file),
+      history: historyByPath.get(normalizePath(file.path)) ?? null,
+    })),
+    instructions: userInstructions.trim(),
+    // Patches already end with a newline, so they can be joined as they are
+    diff: diffs ? sortedSelected.map((file: FileData) => getDiff(file) ?? "").join("") : null,
+    diffOnly: diffs !== null && diffOnly,
+    gitLog: history ? history.log : null,
+    fileHistory: !!history && history.files !== null,
+  };
 
-  return concatenatedString;
-}; 
\ No newline at end of file
+  if (template) {
+    return formatWithTemplate(template, sections);
+  }
+  const formatter = FORMATTERS[outputFormat] || formatAsXml;
+  return formatter(sections);
+};
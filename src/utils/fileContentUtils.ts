@@ -0,0 +1,75 @@
+/**
+ * Loads file contents from the main process on demand.
+ *
+ * The file list only carries metadata (path, size, token count, flags), so
+ * contents are requested through the "read-file-contents" invoke channel when
+ * the user copies or previews files. Large selections are requested in
+ * batches to keep each IPC message small.
+ */
+
+import { FileData } from "../types/FileTypes";
+
+// Number of files requested per IPC call
+const BATCH_SIZE = 50;
+
+interface FileContentsResponse {
+  contents: Record<string, string>;
+  errors: Record<string, string>;
+}
+
+/**
+ * Reads the contents of several files, one batch at a time
+ * @param paths Absolute paths of the files
+ * @param onProgress Called after each batch with the number of files loaded so far
+ * @returns Contents keyed by path; files that couldn't be read are missing and listed in errors
+ */
+export async function loadFileContents(
+  paths: string[],
+  onProgress?: (loaded: number, total: number) => void,
+): Promise<FileContentsResponse> {
+  const contents: Record<string, string> = {};
+  const errors: Record<string, string> = {};
+
+  for (let i = 0; i < paths.length; i += BATCH_SIZE) {
+    const batch = paths.slice(i, i + BATCH_SIZE);
+    const response: FileContentsResponse = await window.electron.invoke("read-file-contents", batch);
+    Object.assign(contents, response.contents);
+    Object.assign(errors, response.errors);
+    onProgress?.(Math.min(i + BATCH_SIZE, paths.length), paths.length);
+  }
+
+  Object.entries(errors).forEach(([path, error]) =>
+    console.warn(`Could not load content of ${path}: ${error}`),
+  );
+  return { contents, errors };
+}
+
+/**
+ * Reads the content of a single file
+ * @param path Absolute path of the file
+ * @returns The content, or an empty string if it couldn't be read
+ */
+export async function loadFileContent(path: string): Promise<string> {
+  const { contents } = await loadFileContents([path]);
+  return contents[path] ?? "";
+}
+
+/**
+ * Fills in the contents of the selected files, ready for formatContentForCopying().
+ * Other files are returned unchanged; the file tree still needs them.
+ * @param files All loaded files
+ * @param selectedFiles Paths of the selected files
+ * @returns All files, with content for the selected ones
+ */
+export async function withFileContents(
+  files: FileData[],
+  selectedFiles: string[],
+): Promise<FileData[]> {
+  const paths = files
+    .filter((file: FileData) => selectedFiles.includes(file.path) && !file.isBinary && !file.isSkipped)
+    .map((file: FileData) => file.path);
+  const { contents } = await loadFileContents(paths);
+  return files.map((file: FileData) =>
+    file.path in contents ? { ...file, content: contents[file.path] } : file,
+  );
+}
@@ -0,0 +1,219 @@
+/**
+ * Filter language of the search box, applied to the file tree, the file list
+ * and "Select All"/"Deselect All". See docs/filter-syntax.md.
+ *
+ * Terms are separated by spaces:
+ * - `*.ts`, `src/**\/api/*`: globs matched against the path in the folder
+ * - `/pattern/`, `/pattern/i`: regular expressions matched against the path
+ * - `ext:py`, `ext:ts,tsx`: file extensions
+ * - `size:>10kb`, `tokens:<2000`: comparisons on the file size and token count
+ * - anything else: text found in the file name or path, ignoring case
+ * - `!term`: leaves out the files the term matches
+ *
+ * A file must match at least one of the globs, regular expressions and text
+ * terms (when there are any), every ext/size/tokens term, and no negated term.
+ */
+
+import { FileData } from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+type FilterTerm = (file: FileData, relativePath: string) => boolean;
+
+export interface ParsedFilter {
+  pathTerms: FilterTerm[];   // Globs, regular expressions and text; any one must match
+  requiredTerms: FilterTerm[]; // ext, size and tokens; all must match
+  excludedTerms: FilterTerm[]; // Negated terms; none may match
+  errors: string[];          // Terms that couldn't be read, which are ignored
+  isEmpty: boolean;
+}
+
+const SIZE_UNITS: Record<string, number> = {
+  "": 1,
+  b: 1,
+  kb: 1024,
+  k: 1024,
+  mb: 1024 * 1024,
+  m: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+  g: 1024 * 1024 * 1024,
+};
+
+const TOKEN_UNITS: Record<string, number> = {
+  "": 1,
+  k: 1000,
+  m: 1000000,
+};
+
+/**
+ * Converts a glob to a regular expression matched against the whole path.
+ * Like .gitignore, a glob without a slash matches the file name in any
+ * folder, a leading slash anchors it to the folder root and a trailing
+ * slash matches everything inside a directory.
+ */
+export function globToRegExp(glob: string): RegExp {
+  let pattern = glob;
+  const isAnchored = pattern.startsWith("/") || pattern.replace(/\/$/, "").includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+  if (pattern.endsWith("/")) pattern += "**";
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more folders, "**" anything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${isAnchored ? "" : "(?:.*/)?"}${source}$`, "i");
+}
+
+/**
+ * Reads a comparison such as ">10kb", "<=2000" or "1.5k"
+ * @returns The test, or null when the value can't be read
+ */
+function parseComparison(
+  value: string,
+  units: Record<string, number>,
+): ((actual: number) => boolean) | null {
+  const match = /^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(value);
+  if (!match || !(match[3].toLowerCase() in units)) return null;
+
+  const limit = parseFloat(match[2]) * units[match[3].toLowerCase()];
+  switch (match[1]) {
+    case ">":
+      return (actual: number) => actual > limit;
+    case ">=":
+      return (actual: number) => actual >= limit;
+    case "<":
+      return (actual: number) => actual < limit;
+    case "<=":
+      return (actual: number) => actual <= limit;
+    default:
+      return (actual: number) => actual === limit;
+  }
+}
+
+/**
+ * Parses one term, without its "!"
+ * @returns The term and whether it narrows the path (glob, regex, text), or an error
+ */
+function parseTerm(term: string): { test: FilterTerm; isPathTerm: boolean } | { error: string } {
+  const qualifier = /^(ext|size|tokens):(.*)$/i.exec(term);
+  if (qualifier) {
+    const key = qualifier[1].toLowerCase();
+    const value = qualifier[2];
+
+    if (key === "ext") {
+      const extensions = value
+        .split(",")
+        .map((ext: string) => ext.trim().replace(/^\./, "").toLowerCase())
+        .filter(Boolean);
+      if (extensions.length === 0) return { error: `"${term}" needs an extension, e.g. ext:py` };
+      return {
+        isPathTerm: false,
+        test: (file: FileData) => extensions.some((ext: string) => file.name.toLowerCase().endsWith(`.${ext}`)),
+      };
+    }
+
+    const compare = parseComparison(value, key === "size" ? SIZE_UNITS : TOKEN_UNITS);
+    if (!compare) {
+      return { error: key === "size" ? `"${term}" should look like size:>10kb` : `"${term}" should look like tokens:<2000` };
+    }
+    return {
+      isPathTerm: false,
+      test: key === "size"
+        ? (file: FileData) => compare(file.size)
+        : (file: FileData) => compare(file.tokenCount),
+    };
+  }
+
+  const regex = /^\/(.+)\/([imsu]*)$/.exec(term);
+  if (regex) {
+    try {
+      const pattern = new RegExp(regex[1], regex[2]);
+      return { isPathTerm: true, test: (file: FileData, relativePath: string) => pattern.test(relativePath) };
+    } catch (err) {
+      return { error: (err as Error).message };
+    }
+  }
+
+  if (/[*?[]/.test(term)) {
+    const pattern = globToRegExp(term);
+    return { isPathTerm: true, test: (file: FileData, relativePath: string) => pattern.test(relativePath) };
+  }
+
+  const lowerTerm = term.toLowerCase();
+  return {
+    isPathTerm: true,
+    test: (file: FileData) =>
+      file.name.toLowerCase().includes(lowerTerm) || file.path.toLowerCase().includes(lowerTerm),
+  };
+}
+
+/**
+ * Parses a filter expression. Terms are separated by spaces; wrap a term in
+ * double quotes to search for text with spaces.
+ */
+export function parseFilter(expression: string): ParsedFilter {
+  const filter: ParsedFilter = { pathTerms: [], requiredTerms: [], excludedTerms: [], errors: [], isEmpty: true };
+  const terms = expression.match(/!?"[^"]*"|\S+/g) || [];
+
+  terms.forEach((rawTerm: string) => {
+    const isNegated = rawTerm.startsWith("!") && rawTerm.length > 1;
+    const term = (isNegated ? rawTerm.slice(1) : rawTerm).replace(/^"(.*)"$/, "$1");
+    if (!term) return;
+
+    const parsed = parseTerm(term);
+    if ("error" in parsed) {
+      filter.errors.push(parsed.error);
+      return;
+    }
+    if (isNegated) {
+      filter.excludedTerms.push(parsed.test);
+    } else if (parsed.isPathTerm) {
+      filter.pathTerms.push(parsed.test);
+    } else {
+      filter.requiredTerms.push(parsed.test);
+    }
+    filter.isEmpty = false;
+  });
+
+  return filter;
+}
+
+/**
+ * Checks a file against a parsed filter
+ */
+export function matchesFilter(file: FileData, filter: ParsedFilter): boolean {
+  if (filter.isEmpty) return true;
+  const relativePath = normalizePath(file.relativePath || file.path);
+
+  return (
+    (filter.pathTerms.length === 0 || filter.pathTerms.some((test: FilterTerm) => test(file, relativePath))) &&
+    filter.requiredTerms.every((test: FilterTerm) => test(file, relativePath)) &&
+    !filter.excludedTerms.some((test: FilterTerm) => test(file, relativePath))
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * Settings for the git context added to the copied content (see GitContext)
+ */
+
+import {
+  GitDiffMode,
+  GitDiffResult,
+  GitDiffSettings,
+  GitFileDiff,
+  GitFileHistory,
+  GitHistoryResult,
+  GitHistorySettings,
+} from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+export const DEFAULT_GIT_DIFF_SETTINGS: GitDiffSettings = {
+  mode: "off",
+  range: "",
+};
+
+export const DEFAULT_GIT_HISTORY_SETTINGS: GitHistorySettings = {
+  fileHistory: false,
+  commitsPerFile: 3,
+  log: false,
+  logCount: 20,
+};
+
+export const MAX_HISTORY_COMMITS = 100; // Same limit as git-utils.js
+
+export const GIT_DIFF_MODES: { value: GitDiffMode; label: string }[] = [
+  { value: "off", label: "No diff" },
+  { value: "section", label: "Add diff section" },
+  { value: "only", label: "Diff only" },
+];
+
+/**
+ * Keeps the diffs and file history of the copied files only. Both are read for
+ * the whole selection, so the token budget can count them; files it drops
+ * leave theirs out of the copy too.
+ * @param paths Paths of the copied files
+ */
+export function keepCopiedGitFiles(
+  diff: GitDiffResult | null,
+  history: GitHistoryResult | null,
+  paths: string[],
+): { diff: GitDiffResult | null; history: GitHistoryResult | null } {
+  const copied = new Set(paths.map(normalizePath));
+  const isCopied = (file: { path: string }) => copied.has(normalizePath(file.path));
+  const sumTokens = (files: { tokenCount: number }[], start: number) =>
+    files.reduce((sum: number, file: { tokenCount: number }) => sum + file.tokenCount, start);
+
+  const diffFiles = diff ? diff.files.filter((file: GitFileDiff) => isCopied(file)) : [];
+  const historyFiles = history && history.files ? history.files.filter((file: GitFileHistory) => isCopied(file)) : null;
+  return {
+    diff: diff && { files: diffFiles, tokenCount: sumTokens(diffFiles, 0) },
+    history: history && {
+      ...history,
+      files: historyFiles,
+      tokenCount: sumTokens(historyFiles || [], history.logTokenCount),
+    },
+  };
+}
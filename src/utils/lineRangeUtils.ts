@@ -0,0 +1,167 @@
+/**
+ * Line ranges picked in the preview pane.
+ *
+ * A file with line ranges is copied partially: only the picked lines, with
+ * elision markers for the lines left out. Each range remembers the text of
+ * its first and last line, so it can be found again after the file is
+ * edited and the lines move.
+ */
+
+import { LineRange } from "../types/FileTypes";
+
+/**
+ * Splits content into lines as the preview numbers them
+ */
+export function splitLines(content: string): string[] {
+  return content.split(/\r?\n/);
+}
+
+/**
+ * Creates a range over lines of the current content
+ * @param lines The file's lines (see splitLines)
+ * @param start First line, from 1
+ * @param end Last line, inclusive
+ */
+export function createLineRange(lines: string[], start: number, end: number): LineRange {
+  const first = Math.max(1, Math.min(start, end, lines.length));
+  const last = Math.max(first, Math.min(Math.max(start, end), lines.length));
+  return {
+    start: first,
+    end: last,
+    startText: lines[first - 1].trim(),
+    endText: lines[last - 1].trim(),
+  };
+}
+
+/**
+ * Sorts ranges and merges the ones that overlap or touch
+ */
+export function normalizeLineRanges(ranges: LineRange[]): LineRange[] {
+  const merged: LineRange[] = [];
+  [...ranges]
+    .sort((a: LineRange, b: LineRange) => a.start - b.start)
+    .forEach((range: LineRange) => {
+      const previous = merged[merged.length - 1];
+      if (previous && range.start <= previous.end + 1) {
+        if (range.end > previous.end) {
+          merged[merged.length - 1] = { ...previous, end: range.end, endText: range.endText };
+        }
+      } else {
+        merged.push(range);
+      }
+    });
+  return merged;
+}
+
+/**
+ * Finds the line with the given text closest to a line index
+ * @returns The index, or -1 when no line has that text
+ */
+function findNearestLine(trimmedLines: string[], text: string, around: number, from = 0): number {
+  if (!text) return -1; // Blank lines are too common to find a range by
+  for (let distance = 0; ; distance++) {
+    const after = around + distance;
+    const before = around - distance;
+    if (after >= from && after < trimmedLines.length && trimmedLines[after] === text) return after;
+    if (before >= from && before < trimmedLines.length && trimmedLines[before] === text) return before;
+    if (before < from && after >= trimmedLines.length) return -1;
+  }
+}
+
+/**
+ * Moves a range to where its first and last lines are now. A range whose
+ * lines can't be found keeps its position, and takes the current text of
+ * those lines as its new anchors.
+ * @returns The range, or null when the file is now shorter than its start
+ */
+function relocateLineRange(range: LineRange, trimmedLines: string[]): LineRange | null {
+  let start = range.start - 1;
+  let end = range.end - 1;
+
+  const startIndex = findNearestLine(trimmedLines, range.startText, start);
+  if (startIndex !== -1) {
+    end += startIndex - start;
+    start = startIndex;
+  }
+  const endIndex = findNearestLine(trimmedLines, range.endText, Math.max(end, start), start);
+  if (endIndex !== -1) {
+    if (startIndex === -1) start = Math.min(start + endIndex - end, endIndex);
+    end = endIndex;
+  }
+
+  if (start >= trimmedLines.length) return null;
+  end = Math.min(end, trimmedLines.length - 1);
+  start = Math.max(0, Math.min(start, end));
+  return { start: start + 1, end: end + 1, startText: trimmedLines[start], endText: trimmedLines[end] };
+}
+
+/**
+ * Finds the ranges of a file again in its current content
+ * @param ranges Ranges as saved
+ * @param content Current content of the file
+ * @returns Ranges at their current lines, sorted and merged
+ */
+export function relocateLineRanges(ranges: LineRange[], content: string): LineRange[] {
+  const trimmedLines = splitLines(content).map((line: string) => line.trim());
+  return normalizeLineRanges(
+    ranges
+      .map((range: LineRange) => relocateLineRange(range, trimmedLines))
+      .filter((range: LineRange | null): range is LineRange => range !== null),
+  );
+}
+
+/**
+ * Checks whether two lists of ranges cover the same lines with the same anchors
+ */
+export function areLineRangesEqual(a: LineRange[], b: LineRange[]): boolean {
+  return (
+    a.length === b.length &&
+    a.every(
+      (range: LineRange, index: number) =>
+        range.start === b[index].start &&
+        range.end === b[index].end &&
+        range.startText === b[index].startText &&
+        range.endText === b[index].endText,
+    )
+  );
+}
+
+/**
+ * Describes the lines of some ranges, e.g. "120-180, 300"
+ */
+export function formatLineRanges(ranges: LineRange[]): string {
+  return ranges
+    .map((range: LineRange) => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`))
+    .join(", ");
+}
+
+/**
+ * Marker standing in for lines that are left out
+ */
+function getElisionMarker(start: number, end: number): string {
+  return start === end ? `... (line ${start} omitted) ...` : `... (lines ${start}-${end} omitted) ...`;
+}
+
+/**
+ * Keeps only the lines in the ranges, with a marker for each gap
+ * @param content Current content of the file
+ * @param ranges Ranges to keep; they are found again in the content first
+ * @returns The picked lines and elision markers
+ */
+export function extractLineRanges(content: string, ranges: LineRange[]): string {
+  const lines = splitLines(content);
+  const current = relocateLineRanges(ranges, content);
+  const parts: string[] = [];
+  let next = 1; // First line not yet written or elided
+
+  current.forEach((range: LineRange) => {
+    if (range.start > next) parts.push(getElisionMarker(next, range.start - 1));
+    parts.push(lines.slice(range.start - 1, range.end).join("\n"));
+    next = range.end + 1;
+  });
+  // The empty "line" after a final newline isn't worth a marker
+  const lastLine = lines.length > 1 && lines[lines.length - 1] === "" ? lines.length - 1 : lines.length;
+  if (next <= lastLine) parts.push(getElisionMarker(next, lastLine));
+
+  return parts.join("\n");
+}
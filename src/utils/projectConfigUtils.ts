@@ -0,0 +1,30 @@
+/**
+ * Helpers for applying per-project settings (.pastemax.json) in the renderer
+ */
+
+import ignore from "ignore";
+import { FileData, ProjectConfig } from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+/**
+ * Picks the files to select automatically when a folder is first loaded.
+ * Without "include" globs this is every text file that isn't excluded by default;
+ * with them, exactly the text files matching the globs.
+ * Globs are matched against each file's path relative to the project root.
+ *
+ * @param files All loaded files
+ * @param config The project settings, if any
+ * @returns Paths of the files to select
+ */
+export function getDefaultSelection(files: FileData[], config: ProjectConfig | null): string[] {
+  const includeGlobs = config?.include || [];
+  const matcher = includeGlobs.length > 0 ? ignore().add(includeGlobs) : null;
+
+  return files
+    .filter((file: FileData) => {
+      if (file.isBinary || file.isSkipped) return false;
+      if (matcher && file.relativePath) return matcher.ignores(normalizePath(file.relativePath));
+      return !file.excludedByDefault;
+    })
+    .map((file: FileData) => file.path);
+}
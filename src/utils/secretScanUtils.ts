@@ -0,0 +1,129 @@
+/**
+ * Secret scan of the files about to be copied, and of the git diff and
+ * history copied along with them, run by the main process (see
+ * secret-scanner.js). Findings that aren't allowed as exceptions either
+ * block the copy or are redacted in the output.
+ */
+
+import {
+  GitDiffResult,
+  GitFileDiff,
+  GitFileHistory,
+  GitHistoryResult,
+  SecretAction,
+  SecretFinding,
+  SecretScanFile,
+  SecretScanResult,
+  SecretScanText,
+} from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+export const DEFAULT_SECRET_ACTION: SecretAction = "block";
+
+export const SECRET_ACTIONS: { value: SecretAction; label: string }[] = [
+  { value: "block", label: "Block the copy" },
+  { value: "redact", label: "Redact them" },
+];
+
+/**
+ * Key of a scanned file or text: the normalized path of a file, the id of a text
+ */
+export function getSecretScanKey(entry: { id: string; source: string; path: string | null }): string {
+  return entry.source === "file" && entry.path !== null ? normalizePath(entry.path) : entry.id;
+}
+
+/**
+ * Git text copied along with the files, to be scanned with them
+ * @param diff Diff of the copied files, when included
+ * @param history History of the copied files and the log, when included
+ */
+export function getGitSecretTexts(diff: GitDiffResult | null, history: GitHistoryResult | null): SecretScanText[] {
+  const texts: SecretScanText[] = [];
+  (diff?.files || []).forEach((file: GitFileDiff) => {
+    texts.push({ id: `diff:${normalizePath(file.path)}`, source: "diff", path: file.path, text: file.diff });
+  });
+  (history?.files || []).forEach((file: GitFileHistory) => {
+    texts.push({ id: `history:${normalizePath(file.path)}`, source: "history", path: file.path, text: file.history });
+  });
+  if (history?.log) texts.push({ id: "log", source: "log", path: null, text: history.log });
+  return texts;
+}
+
+/**
+ * Scans files and git text for secrets
+ * @param paths Paths of loaded files
+ * @param texts Git text copied along (see getGitSecretTexts)
+ * @param redact Also get the text with findings, with the secrets that aren't allowed redacted
+ * @returns Files and texts with findings, and redacted text, both keyed by getSecretScanKey()
+ */
+export async function scanSecrets(
+  paths: string[],
+  texts: SecretScanText[] = [],
+  redact = false,
+): Promise<{ files: Record<string, SecretScanFile>; redacted: Record<string, string> }> {
+  const result: SecretScanResult = await window.electron.invoke("scan-secrets", { paths, texts, redact });
+  const files: Record<string, SecretScanFile> = {};
+  const redacted: Record<string, string> = {};
+  result.files.forEach((file: SecretScanFile) => {
+    const key = getSecretScanKey(file);
+    files[key] = file;
+    if (file.id in result.redacted) redacted[key] = result.redacted[file.id];
+  });
+  return { files, redacted };
+}
+
+/**
+ * Replaces the diffs and history with their redacted text
+ * @param redacted Redacted text from scanSecrets()
+ */
+export function redactGitText(
+  diff: GitDiffResult | null,
+  history: GitHistoryResult | null,
+  redacted: Record<string, string>,
+): { diff: GitDiffResult | null; history: GitHistoryResult | null } {
+  const redactFile = <T extends { path: string }>(file: T, source: string, field: keyof T): T => {
+    const text = redacted[`${source}:${normalizePath(file.path)}`];
+    return text === undefined ? file : { ...file, [field]: text };
+  };
+  return {
+    diff: diff && {
+      ...diff,
+      files: diff.files.map((file: GitFileDiff) => redactFile(file, "diff", "diff")),
+    },
+    history: history && {
+      ...history,
+      files: history.files && history.files.map((file: GitFileHistory) => redactFile(file, "history", "history")),
+      log: "log" in redacted ? redacted.log : history.log,
+    },
+  };
+}
+
+/**
+ * Names a scanned file or text for the warnings, e.g. "src/config.ts (diff)"
+ */
+export function describeSecretSource(file: SecretScanFile): string {
+  if (file.source === "log") return "git log";
+  return file.source === "file" ? file.relativePath : `${file.relativePath} (${file.source})`;
+}
+
+/**
+ * Counts the findings of a file that aren't allowed
+ */
+export function countBlockedSecrets(file: SecretScanFile): number {
+  return file.findings.filter((finding: SecretFinding) => !finding.isAllowed).length;
+}
+
+/**
+ * Explains why a copy was blocked
+ * @param files Scanned files and texts, keyed by getSecretScanKey()
+ * @returns The message, or null when every finding is allowed
+ */
+export function describeBlockedSecrets(files: Record<string, SecretScanFile>): string | null {
+  const blocked = Object.values(files).filter((file: SecretScanFile) => countBlockedSecrets(file) > 0);
+  if (blocked.length === 0) return null;
+  const count = blocked.reduce((sum: number, file: SecretScanFile) => sum + countBlockedSecrets(file), 0);
+  const names = blocked.map(describeSecretSource);
+  const shown = names.length > 3 ? `${names.slice(0, 3).join(", ")} and ${names.length - 3} more` : names.join(", ");
+  const them = count === 1 ? "it" : "them";
+  return `Copy blocked: ${count} possible secret${count === 1 ? "" : "s"} in ${shown}. Allow ${them}, or redact ${them} instead.`;
+}
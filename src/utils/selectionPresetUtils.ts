@@ -0,0 +1,72 @@
+/**
+ * Helpers for selection presets (see selection-presets.js).
+ *
+ * Presets store paths relative to the root folder, so they are converted
+ * to and from the absolute paths used by the selection here, through each
+ * file's relativePath.
+ */
+
+import { FileData, SelectionPreset } from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+export interface PresetDiff {
+  added: string[];    // Selected now but not in the preset
+  removed: string[];  // In the preset but not selected now
+}
+
+/**
+ * Converts selected paths to paths relative to the root folder
+ * @param files All loaded files
+ * @param selectedFiles Absolute paths of the selected files
+ * @returns Relative paths, sorted
+ */
+export function toPresetPaths(files: FileData[], selectedFiles: string[]): string[] {
+  const selected = new Set(selectedFiles.map(normalizePath));
+  return files
+    .filter((file: FileData) => file.relativePath && selected.has(normalizePath(file.path)))
+    .map((file: FileData) => normalizePath(file.relativePath as string))
+    .sort();
+}
+
+/**
+ * Resolves the relative paths of a preset to files of the loaded folder
+ * @param files All loaded files
+ * @param preset Preset to apply
+ * @returns Absolute paths of the preset's files, and the preset paths that
+ *   aren't in the folder anymore (deleted, renamed or now ignored)
+ */
+export function resolvePresetPaths(
+  files: FileData[],
+  preset: SelectionPreset,
+): { paths: string[]; missing: string[] } {
+  const byRelativePath = new Map<string, FileData>();
+  files.forEach((file: FileData) => {
+    if (file.relativePath) byRelativePath.set(normalizePath(file.relativePath), file);
+  });
+
+  const paths: string[] = [];
+  const missing: string[] = [];
+  preset.files.forEach((relativePath: string) => {
+    const file = byRelativePath.get(relativePath);
+    if (file && !file.isBinary && !file.isSkipped) {
+      paths.push(file.path);
+    } else {
+      missing.push(relativePath);
+    }
+  });
+  return { paths, missing };
+}
+
+/**
+ * Compares a preset with the current selection
+ * @param preset Preset to compare
+ * @param currentPaths Relative paths of the current selection (see toPresetPaths)
+ */
+export function diffPreset(preset: SelectionPreset, currentPaths: string[]): PresetDiff {
+  const presetPaths = new Set(preset.files);
+  const current = new Set(currentPaths);
+  return {
+    added: currentPaths.filter((path: string) => !presetPaths.has(path)),
+    removed: preset.files.filter((path: string) => !current.has(path)),
+  };
+}
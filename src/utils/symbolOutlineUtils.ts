@@ -0,0 +1,72 @@
+/**
+ * Symbol outlines of JS/TS and Python files, read by the main process.
+ *
+ * Picking symbols in the outline copies only those definitions plus the
+ * file's imports. Symbols are kept by id rather than by line, and turned
+ * into line ranges against the current content whenever the file is counted
+ * or copied, so they follow the code as it is edited.
+ */
+
+import { FileOutline, LineRange, OutlineSpan, OutlineSymbol } from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+import { splitLines, createLineRange, normalizeLineRanges, relocateLineRanges } from "./lineRangeUtils";
+
+/**
+ * Reads the outlines of some files
+ * @param paths Paths of loaded files
+ * @returns Outlines keyed by normalized path
+ */
+export async function loadFileOutlines(paths: string[]): Promise<Record<string, FileOutline>> {
+  const { files }: { files: FileOutline[] } = await window.electron.invoke("get-file-outlines", { paths });
+  const outlines: Record<string, FileOutline> = {};
+  files.forEach((outline: FileOutline) => {
+    outlines[normalizePath(outline.path)] = outline;
+  });
+  return outlines;
+}
+
+/**
+ * Lines copied for the picked symbols of a file: the symbols and the imports
+ * @param outline Outline of the file's current content
+ * @param symbolIds Ids of the picked symbols
+ * @param content Current content of the file
+ * @returns Line ranges, or none when no picked symbol is in the file anymore
+ */
+export function getSymbolLineRanges(outline: FileOutline, symbolIds: string[], content: string): LineRange[] {
+  const picked = outline.symbols.filter((symbol: OutlineSymbol) => symbolIds.includes(symbol.id));
+  if (picked.length === 0) return [];
+  const lines = splitLines(content);
+  return normalizeLineRanges(
+    [...outline.imports, ...picked].map((span: OutlineSpan) => createLineRange(lines, span.start, span.end)),
+  );
+}
+
+/**
+ * Works out the lines copied from each partial file: the picked line ranges,
+ * found again in the current content, and the picked symbols with the
+ * file's imports
+ * @param contents Current content by normalized path; files without content are left out
+ * @param lineRanges Picked line ranges by normalized path
+ * @param selectedSymbols Picked symbol ids by normalized path
+ * @returns Line ranges by normalized path, for formatContentForCopying()
+ */
+export async function resolveCopiedLineRanges(
+  contents: Record<string, string>,
+  lineRanges: Record<string, LineRange[]>,
+  selectedSymbols: Record<string, string[]>,
+): Promise<Record<string, LineRange[]>> {
+  const symbolPaths = Object.keys(selectedSymbols).filter((filePath: string) => filePath in contents);
+  const outlines = symbolPaths.length > 0 ? await loadFileOutlines(symbolPaths) : {};
+
+  const result: Record<string, LineRange[]> = {};
+  new Set([...Object.keys(lineRanges), ...symbolPaths]).forEach((filePath: string) => {
+    if (!(filePath in contents)) return;
+    const content = contents[filePath];
+    const ranges = normalizeLineRanges([
+      ...relocateLineRanges(lineRanges[filePath] || [], content),
+      ...(outlines[filePath] ? getSymbolLineRanges(outlines[filePath], selectedSymbols[filePath], content) : []),
+    ]);
+    if (ranges.length > 0) result[filePath] = ranges;
+  });
+  return result;
+}
@@ -0,0 +1,363 @@
+/**
+ * Lightweight syntax highlighting for the preview pane.
+ *
+ * Each language family is a list of regular expression rules (comments,
+ * strings, keywords, numbers, ...). The rules are joined into one pattern
+ * that is run over the whole text, so comments and strings spanning lines
+ * are coloured correctly; the result is then split into lines for display.
+ * Languages without rules are shown as plain text.
+ */
+
+export type HighlightType =
+  | "comment"
+  | "string"
+  | "keyword"
+  | "number"
+  | "literal"
+  | "tag"
+  | "attr"
+  | "property"
+  | "inserted"
+  | "deleted";
+
+export interface HighlightToken {
+  text: string;
+  type: HighlightType | null; // null for plain text
+}
+
+type Rule = [HighlightType, string];
+
+interface Grammar {
+  pattern: RegExp;
+  types: HighlightType[];
+}
+
+const words = (list: string): string => `\\b(?:${list.trim().split(/\s+/).join("|")})\\b`;
+
+// SQL and Dockerfile keywords are written in either case
+const anyCaseWords = (list: string): string =>
+  words(
+    list
+      .trim()
+      .split(/\s+/)
+      .flatMap((word: string) => [word.toUpperCase(), word.toLowerCase()])
+      .join(" "),
+  );
+
+const DOUBLE_QUOTED = String.raw`"(?:\\.|[^"\\\n])*"`;
+const SINGLE_QUOTED = String.raw`'(?:\\.|[^'\\\n])*'`;
+const BACKTICK = String.raw`\`(?:\\[\s\S]|[^\`\\])*\``;
+const BLOCK_COMMENT = String.raw`\/\*[\s\S]*?\*\/`;
+const LINE_COMMENT = String.raw`\/\/[^\n]*`;
+const HASH_COMMENT = String.raw`#[^\n]*`;
+const NUMBER = String.raw`\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)\b`;
+
+const JS_KEYWORDS = words(`
+  abstract as async await break case catch class const continue debugger declare default delete do else enum
+  export extends finally for from function get if implements import in instanceof interface keyof let namespace
+  new of private protected public readonly return satisfies set static super switch this throw try type typeof
+  var void while with yield
+`);
+
+const C_LIKE_KEYWORDS = words(`
+  abstract auto bool break case catch char class const continue default delete do double else enum explicit
+  extends extern final finally float for friend fun func goto if implements import inline int interface internal
+  let long namespace new object open override package private protected public return sealed short signed
+  sizeof static struct super switch template this throw throws try typedef typename union unsigned using val var
+  virtual void volatile when where while
+`);
+
+const GO_KEYWORDS = words(`
+  break case chan const continue default defer else fallthrough for func go goto if import interface map
+  package range return select struct switch type var
+`);
+
+const RUST_KEYWORDS = words(`
+  as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut
+  pub ref return self Self static struct super trait type unsafe use where while
+`);
+
+const PYTHON_KEYWORDS = words(`
+  and as assert async await break case class continue def del elif else except finally for from global if
+  import in is lambda match nonlocal not or pass raise return try while with yield
+`);
+
+const RUBY_KEYWORDS = words(`
+  alias and begin break case class def defined do else elsif end ensure for if in module next not or redo
+  require rescue retry return self super then undef unless until when while yield
+`);
+
+const SHELL_KEYWORDS = words(`
+  case do done elif else esac export fi for function if in local readonly return select then until while
+`);
+
+const DOCKERFILE_KEYWORDS = anyCaseWords(`
+  add arg cmd copy entrypoint env expose from healthcheck label maintainer onbuild run shell stopsignal user
+  volume workdir as
+`);
+
+const SQL_KEYWORDS = anyCaseWords(`
+  add all alter and as asc between by case column constraint create database default delete desc distinct drop
+  else end exists foreign from full group having if in index inner insert into is join key left like limit not
+  null on or order outer primary references right select set table then union unique update values view when
+  where with
+`);
+
+const C_LIKE_LITERALS = words("true false null nullptr nil undefined NaN Infinity");
+
+const GRAMMAR_RULES: Record<string, Rule[]> = {
+  js: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", LINE_COMMENT],
+    ["string", BACKTICK],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["keyword", JS_KEYWORDS],
+    ["literal", C_LIKE_LITERALS],
+    ["number", NUMBER],
+  ],
+  clike: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", LINE_COMMENT],
+    ["keyword", String.raw`^[ \t]*#[ \t]*\w+`], // Preprocessor directives
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["keyword", C_LIKE_KEYWORDS],
+    ["literal", C_LIKE_LITERALS],
+    ["number", NUMBER],
+  ],
+  go: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", LINE_COMMENT],
+    ["string", BACKTICK],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["keyword", GO_KEYWORDS],
+    ["literal", words("true false nil iota")],
+    ["number", NUMBER],
+  ],
+  rust: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", LINE_COMMENT],
+    ["string", DOUBLE_QUOTED],
+    ["keyword", RUST_KEYWORDS],
+    ["literal", words("true false None Some Ok Err")],
+    ["number", NUMBER],
+  ],
+  python: [
+    ["string", String.raw`[rRbBfFuU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')`],
+    ["comment", HASH_COMMENT],
+    ["string", `[rRbBfFuU]{0,2}(?:${DOUBLE_QUOTED}|${SINGLE_QUOTED})`],
+    ["keyword", String.raw`^[ \t]*@[\w.]+`], // Decorators
+    ["keyword", PYTHON_KEYWORDS],
+    ["literal", words("True False None self")],
+    ["number", NUMBER],
+  ],
+  ruby: [
+    ["comment", HASH_COMMENT],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["literal", String.raw`:\w+`], // Symbols
+    ["keyword", RUBY_KEYWORDS],
+    ["literal", words("true false nil")],
+    ["number", NUMBER],
+  ],
+  shell: [
+    ["comment", String.raw`(?:^|(?<=\s))#[^\n]*`],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["property", String.raw`\$(?:\{[^}\n]*\}|\w+)`],
+    ["keyword", SHELL_KEYWORDS],
+    ["number", NUMBER],
+  ],
+  dockerfile: [
+    ["comment", HASH_COMMENT],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["keyword", DOCKERFILE_KEYWORDS],
+    ["property", String.raw`\$(?:\{[^}\n]*\}|\w+)`],
+  ],
+  yaml: [
+    ["comment", String.raw`(?:^|(?<=\s))#[^\n]*`],
+    ["property", String.raw`(?<=^[ \t]*(?:-[ \t]+)?)[\w"'./-]+(?=[ \t]*:(?:\s|$))`],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["literal", words("true false null yes no on off")],
+    ["number", NUMBER],
+  ],
+  ini: [
+    ["comment", String.raw`^[ \t]*[#;][^\n]*`],
+    ["tag", String.raw`^[ \t]*\[[^\]\n]+\]`],
+    ["property", String.raw`^[ \t]*[\w."-]+(?=[ \t]*=)`],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["literal", words("true false")],
+    ["number", NUMBER],
+  ],
+  sql: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", String.raw`--[^\n]*`],
+    ["string", SINGLE_QUOTED],
+    ["string", DOUBLE_QUOTED],
+    ["keyword", SQL_KEYWORDS],
+    ["number", NUMBER],
+  ],
+  css: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", String.raw`(?:^|(?<=\s))\/\/[^\n]*`], // SCSS and Less
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+    ["keyword", String.raw`@[\w-]+`],
+    ["property", String.raw`[\w-]+(?=[ \t]*:[^:\n{]*[;}\n])`],
+    ["number", String.raw`#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?`],
+  ],
+  markup: [
+    ["comment", String.raw`<!--[\s\S]*?-->`],
+    ["tag", String.raw`<\/?[\w:.-]+|\/?>`],
+    ["attr", String.raw`[\w:@.-]+(?==)`],
+    ["string", DOUBLE_QUOTED],
+    ["string", SINGLE_QUOTED],
+  ],
+  json: [
+    ["comment", BLOCK_COMMENT],
+    ["comment", LINE_COMMENT],
+    ["property", `${DOUBLE_QUOTED}(?=\\s*:)`],
+    ["string", DOUBLE_QUOTED],
+    ["literal", words("true false null")],
+    ["number", String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`],
+  ],
+  markdown: [
+    ["comment", String.raw`<!--[\s\S]*?-->`],
+    ["keyword", String.raw`^#{1,6}[ \t][^\n]*`],
+    ["string", String.raw`^\`\`\`[^\n]*|\`[^\`\n]+\``],
+    ["attr", String.raw`\[[^\]\n]*\]\([^)\n]*\)`],
+  ],
+  diff: [
+    ["keyword", String.raw`^(?:diff|index|---|\+\+\+)[^\n]*`],
+    ["attr", String.raw`^@@[^\n]*`],
+    ["inserted", String.raw`^\+[^\n]*`],
+    ["deleted", String.raw`^-[^\n]*`],
+  ],
+};
+
+// Language ids from getLanguageFromFilename() -> rule set
+const LANGUAGE_GRAMMARS: Record<string, string> = {
+  javascript: "js",
+  typescript: "js",
+  jsx: "js",
+  tsx: "js",
+  java: "clike",
+  c: "clike",
+  cpp: "clike",
+  csharp: "clike",
+  kotlin: "clike",
+  swift: "clike",
+  scala: "clike",
+  dart: "clike",
+  php: "clike",
+  groovy: "clike",
+  gradle: "clike",
+  objectivec: "clike",
+  protobuf: "clike",
+  go: "go",
+  rust: "rust",
+  python: "python",
+  cython: "python",
+  gdscript: "python",
+  ruby: "ruby",
+  erb: "ruby",
+  shell: "shell",
+  bash: "shell",
+  powershell: "shell",
+  makefile: "shell",
+  perl: "shell",
+  r: "shell",
+  elixir: "ruby",
+  dockerfile: "dockerfile",
+  yaml: "yaml",
+  toml: "ini",
+  ini: "ini",
+  properties: "ini",
+  gitconfig: "ini",
+  gitignore: "shell",
+  terraform: "shell",
+  hcl: "shell",
+  sql: "sql",
+  css: "css",
+  scss: "css",
+  sass: "css",
+  less: "css",
+  stylus: "css",
+  html: "markup",
+  xml: "markup",
+  xsl: "markup",
+  svg: "markup",
+  vue: "markup",
+  svelte: "markup",
+  astro: "markup",
+  handlebars: "markup",
+  json: "json",
+  jsonc: "json",
+  json5: "json",
+  markdown: "markdown",
+  mdx: "markdown",
+  diff: "diff",
+};
+
+const compiledGrammars: Record<string, Grammar> = {};
+
+function getGrammar(language: string): Grammar | null {
+  const name = LANGUAGE_GRAMMARS[language.toLowerCase()];
+  if (!name) return null;
+  if (!compiledGrammars[name]) {
+    const rules = GRAMMAR_RULES[name];
+    compiledGrammars[name] = {
+      // One capturing group per rule; the rules themselves only use non-capturing groups
+      pattern: new RegExp(rules.map(([, source]: Rule) => `(${source})`).join("|"), "gm"),
+      types: rules.map(([type]: Rule) => type),
+    };
+  }
+  return compiledGrammars[name];
+}
+
+/**
+ * Splits code into highlighted tokens, line by line
+ * @param code The text to highlight
+ * @param language A language id from getLanguageFromFilename(); unknown languages stay plain
+ * @returns One array of tokens per line; the tokens of a line never contain a newline
+ */
+export function highlightCode(code: string, language: string): HighlightToken[][] {
+  const tokens: HighlightToken[] = [];
+  const grammar = getGrammar(language);
+  let last = 0;
+
+  if (grammar) {
+    const pattern = grammar.pattern;
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(code)) !== null) {
+      if (match[0] === "") {
+        pattern.lastIndex++;
+        continue;
+      }
+      if (match.index > last) {
+        tokens.push({ text: code.slice(last, match.index), type: null });
+      }
+      const group = match.findIndex((value: string | undefined, index: number) => index > 0 && value !== undefined);
+      tokens.push({ text: match[0], type: grammar.types[group - 1] });
+      last = match.index + match[0].length;
+    }
+  }
+  if (last < code.length) {
+    tokens.push({ text: code.slice(last), type: null });
+  }
+
+  const lines: HighlightToken[][] = [[]];
+  tokens.forEach((token: HighlightToken) => {
+    token.text.split("\n").forEach((part: string, index: number) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, type: token.type });
+    });
+  });
+  return lines;
+}
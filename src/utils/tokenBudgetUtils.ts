@@ -0,0 +1,111 @@
+/**
+ * Token budget: trims a selection so its token total fits under a limit.
+ *
+ * Files are dropped one at a time, in the order given by the chosen policy,
+ * until the total of the remaining files is at or under the budget. Each file
+ * counts with its git diff and history when those are copied, and the git log
+ * counts whatever is kept; the headers and tags added by
+ * formatContentForCopying() come on top.
+ */
+
+import { FileData } from "../types/FileTypes";
+import { normalizePath } from "./pathUtils";
+
+export type TrimPolicy = "largest" | "deepest" | "oldest";
+
+export const TRIM_POLICIES: { value: TrimPolicy; label: string }[] = [
+  { value: "largest", label: "Drop the largest files" },
+  { value: "deepest", label: "Drop the files deepest in the tree" },
+  { value: "oldest", label: "Keep recently modified files" },
+];
+
+export interface TokenBudgetSettings {
+  enabled: boolean;
+  limit: number;
+  policy: TrimPolicy;
+}
+
+export const DEFAULT_TOKEN_BUDGET: TokenBudgetSettings = {
+  enabled: false,
+  limit: 100000,
+  policy: "largest",
+};
+
+/** Git text copied along with the files, counted against the budget */
+export interface GitBudgetTokens {
+  perFile: Record<string, number>; // Diff and history of each file, by normalized path
+  fixed: number;                   // Copied whichever files are kept (the git log)
+  contentsCopied: boolean;         // False when only the diff is copied
+}
+
+export const NO_GIT_TOKENS: GitBudgetTokens = { perFile: {}, fixed: 0, contentsCopied: true };
+
+export interface TrimResult {
+  keptPaths: string[];    // Selected paths that fit in the budget, in selection order
+  dropped: FileData[];    // Files removed to fit, in the order they were dropped
+  tokenCounts: Record<string, number>; // What each selected file adds to the copy, by path
+  totalTokens: number;    // Total of the whole selection, with the git text
+  keptTokens: number;     // Total of the kept files, with the git text; what is copied
+}
+
+const getDepth = (file: FileData): number =>
+  normalizePath(file.relativePath || file.path).split("/").length;
+
+/**
+ * Orders files so the first one is the first to drop under the given policy.
+ * Ties fall back to dropping the larger file first.
+ */
+const compareForDropping = (policy: TrimPolicy, tokenCounts: Record<string, number>) =>
+  (a: FileData, b: FileData): number => {
+    let comparison = 0;
+    if (policy === "deepest") {
+      comparison = getDepth(b) - getDepth(a);
+    } else if (policy === "oldest") {
+      comparison = (a.mtimeMs || 0) - (b.mtimeMs || 0);
+    }
+    return comparison || tokenCounts[b.path] - tokenCounts[a.path];
+  };
+
+/**
+ * Trims the selection to the token budget
+ * @param files All loaded files
+ * @param selectedFiles Paths of the selected files
+ * @param budget Budget settings; nothing is dropped while the budget is disabled
+ * @param git Git diff and history tokens copied along with the files
+ * @returns The paths to copy, the dropped files and the totals
+ */
+export function trimSelectionToBudget(
+  files: FileData[],
+  selectedFiles: string[],
+  budget: TokenBudgetSettings,
+  git: GitBudgetTokens = NO_GIT_TOKENS,
+): TrimResult {
+  const selectedPaths = new Set(selectedFiles);
+  const selected = files.filter((file: FileData) => selectedPaths.has(file.path));
+  const tokenCounts: Record<string, number> = {};
+  selected.forEach((file: FileData) => {
+    tokenCounts[file.path] = (git.contentsCopied ? file.tokenCount : 0) + (git.perFile[normalizePath(file.path)] || 0);
+  });
+  const totalTokens = selected.reduce((sum: number, file: FileData) => sum + tokenCounts[file.path], git.fixed);
+
+  if (!budget.enabled || totalTokens <= budget.limit) {
+    return { keptPaths: selectedFiles, dropped: [], tokenCounts, totalTokens, keptTokens: totalTokens };
+  }
+
+  const dropped: FileData[] = [];
+  let keptTokens = totalTokens;
+  for (const file of [...selected].sort(compareForDropping(budget.policy, tokenCounts))) {
+    if (keptTokens <= budget.limit) break;
+    dropped.push(file);
+    keptTokens -= tokenCounts[file.path];
+  }
+
+  const droppedPaths = new Set(dropped.map((file: FileData) => file.path));
+  return {
+    keptPaths: selectedFiles.filter((path: string) => !droppedPaths.has(path)),
+    dropped,
+    tokenCounts,
+    totalTokens,
+    keptTokens,
+  };
+}
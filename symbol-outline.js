@@ -0,0 +1,425 @@
+/**
+ * Outline of the top-level symbols of a file, used to copy single functions,
+ * classes and exports together with the file's imports. JS/TS files are
+ * parsed with the Babel parser; Python files with a small scanner that
+ * follows indentation, brackets and strings, which is all Python needs to
+ * tell where a definition ends.
+ */
+const fs = require("fs");
+const {
+  MAX_FILE_SIZE,
+  ensureAbsolutePath,
+  safeRelativePath,
+  isValidPath,
+  isBinaryFile,
+} = require("./file-scanner");
+const { getImportLanguage } = require("./import-graph");
+
+const CHUNK_SIZE = 20;
+const MAX_NAME_LENGTH = 60;
+
+// Parser plugins by extension; other JS files may contain JSX too
+const TS_PLUGINS = ["typescript", "decorators-legacy"];
+const PARSER_PLUGINS = {
+  ".ts": TS_PLUGINS,
+  ".mts": TS_PLUGINS,
+  ".cts": TS_PLUGINS,
+  ".tsx": [...TS_PLUGINS, "jsx"],
+};
+const JS_PLUGINS = ["jsx", "decorators-legacy"];
+
+/**
+ * Shortens long names such as the callee of a top-level call
+ * @param {string} name
+ * @returns {string}
+ */
+function shortenName(name) {
+  const singleLine = name.replace(/\s+/g, " ");
+  return singleLine.length > MAX_NAME_LENGTH ? `${singleLine.slice(0, MAX_NAME_LENGTH - 3)}...` : singleLine;
+}
+
+/**
+ * Returns the source text of a node, without its type annotation
+ * @param {object} node - Babel AST node
+ * @param {string} content - Content of the file
+ * @returns {string}
+ */
+function getText(node, content) {
+  const end = node.typeAnnotation ? node.typeAnnotation.start : node.end;
+  return content.slice(node.start, end).trim();
+}
+
+/**
+ * Tells whether a variable declarator is `x = require("...")`, possibly
+ * destructured or followed by a property access
+ * @param {object} declarator - Babel VariableDeclarator
+ * @returns {boolean}
+ */
+function isRequireDeclaration(declarator) {
+  let expression = declarator.init;
+  while (expression && expression.type === "MemberExpression" && !expression.computed) expression = expression.object;
+  return (
+    !!expression &&
+    expression.type === "CallExpression" &&
+    expression.callee.type === "Identifier" &&
+    expression.callee.name === "require"
+  );
+}
+
+/**
+ * Names and kinds a declaration, on its own or after `export` / `export default`
+ * @param {object} node - Babel AST node
+ * @param {string} content - Content of the file
+ * @returns {{ kind: string, name: string } | "import" | null} null for statements left out of the outline
+ */
+function describeJsDeclaration(node, content) {
+  switch (node.type) {
+    case "FunctionDeclaration":
+    case "TSDeclareFunction":
+      return { kind: "function", name: node.id ? node.id.name : "default" };
+    case "ClassDeclaration":
+      return { kind: "class", name: node.id ? node.id.name : "default" };
+    case "TSInterfaceDeclaration":
+      return { kind: "interface", name: node.id.name };
+    case "TSTypeAliasDeclaration":
+      return { kind: "type", name: node.id.name };
+    case "TSEnumDeclaration":
+      return { kind: "enum", name: node.id.name };
+    case "TSModuleDeclaration":
+      return { kind: "namespace", name: getText(node.id, content) };
+    case "VariableDeclaration": {
+      const { declarations } = node;
+      if (declarations.length > 0 && declarations.every(isRequireDeclaration)) return "import";
+      const init = declarations.length === 1 ? declarations[0].init : null;
+      const isFunction = !!init && (init.type === "ArrowFunctionExpression" || init.type === "FunctionExpression");
+      return {
+        kind: isFunction ? "function" : "variable",
+        name: shortenName(declarations.map((declarator) => getText(declarator.id, content)).join(", ")),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Names and kinds a top-level JS/TS statement
+ * @param {object} statement - Babel AST node
+ * @param {string} content - Content of the file
+ * @returns {{ kind: string, name: string } | "import" | null} null for statements left out of the outline
+ */
+function describeJsStatement(statement, content) {
+  switch (statement.type) {
+    case "ImportDeclaration":
+    case "TSImportEqualsDeclaration":
+    // export * from "a" re-exports another module like an import does
+    case "ExportAllDeclaration":
+      return "import";
+    case "ExportNamedDeclaration": {
+      // export { x } from "a"
+      if (statement.source) return "import";
+      if (statement.declaration) return describeJsDeclaration(statement.declaration, content);
+      const clause = content.slice(statement.start, statement.end).match(/\{[\s\S]*\}/);
+      return { kind: "export", name: shortenName(clause ? clause[0] : "export") };
+    }
+    case "ExportDefaultDeclaration": {
+      const description = describeJsDeclaration(statement.declaration, content);
+      return description && description !== "import" ? description : { kind: "export", name: "default" };
+    }
+    case "TSExportAssignment":
+      return { kind: "export", name: "export =" };
+    case "ExpressionStatement": {
+      const { expression } = statement;
+      // module.exports = ...; exports.x = ...
+      if (expression.type === "AssignmentExpression" && expression.operator === "=") {
+        const target = getText(expression.left, content);
+        if (/^(module\.)?exports\b/.test(target)) return { kind: "export", name: shortenName(target) };
+      }
+      // Top-level calls such as ipcMain.handle("channel", ...) or describe("suite", ...)
+      if (expression.type === "CallExpression" || expression.type === "OptionalCallExpression") {
+        const firstArgument = expression.arguments[0];
+        let label = "()";
+        if (firstArgument && firstArgument.type === "StringLiteral") {
+          label = `(${JSON.stringify(firstArgument.value)})`;
+        } else if (firstArgument && firstArgument.type === "TemplateLiteral" && firstArgument.expressions.length === 0) {
+          label = `(${JSON.stringify(firstArgument.quasis[0].value.cooked)})`;
+        }
+        return { kind: "call", name: shortenName(`${getText(expression.callee, content)}${label}`) };
+      }
+      return null;
+    }
+    default:
+      return describeJsDeclaration(statement, content);
+  }
+}
+
+/**
+ * Parses JS/TS code, as a module if possible
+ * @param {string} content
+ * @param {string[]} plugins - Babel parser plugins
+ * @returns {object|null} Babel File node, or null when the code can't be parsed
+ */
+function parseJs(content, plugins) {
+  // Loaded on first use, so starting the app doesn't pay for the parser
+  const { parse } = require("@babel/parser");
+  for (const sourceType of ["module", "script"]) {
+    try {
+      return parse(content, {
+        sourceType,
+        plugins,
+        errorRecovery: true,
+        attachComment: false,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        allowUndeclaredExports: true,
+      });
+    } catch (err) {
+      // Not valid as a module (e.g. `with` statements): try as a script
+    }
+  }
+  return null;
+}
+
+/**
+ * Outlines JS/TS code with the Babel parser
+ * @param {string} content
+ * @param {string} filePath - Used to tell TS, TSX and JS apart
+ * @returns {{ imports: { start: number, end: number }[], symbols: object[] }}
+ */
+function outlineJs(content, filePath) {
+  const extension = (filePath.match(/\.[^./\\]+$/) || [""])[0].toLowerCase();
+  const ast = parseJs(content, PARSER_PLUGINS[extension] || JS_PLUGINS);
+  const imports = [];
+  const symbols = [];
+  if (!ast) return { imports, symbols };
+
+  const { comments } = ast;
+  let commentIndex = 0;
+  let previousEnd = 0; // Where the previous statement ended
+  ast.program.body.forEach((statement) => {
+    // Comments right above the statement (doc comments) belong to it, but not those
+    // separated from it by a blank line or after the previous statement on its line
+    const leading = [];
+    while (commentIndex < comments.length && comments[commentIndex].end <= statement.start) {
+      const comment = comments[commentIndex++];
+      if (comment.start >= previousEnd && (previousEnd === 0 || content.slice(previousEnd, comment.start).includes("\n"))) {
+        leading.push(comment);
+      }
+    }
+    let start = statement.start;
+    let startLine = statement.loc.start.line;
+    for (let i = leading.length - 1; i >= 0; i--) {
+      if (/\n[ \t]*\r?\n/.test(content.slice(leading[i].end, start))) break;
+      start = leading[i].start;
+      startLine = leading[i].loc.start.line;
+    }
+    previousEnd = statement.end;
+
+    const description = describeJsStatement(statement, content);
+    if (!description) return;
+    const end = statement.loc.end.line;
+    if (description === "import") {
+      imports.push({ start: startLine, end });
+      return;
+    }
+
+    // Overloads are one symbol with their implementation
+    const declaration = statement.type === "ExportNamedDeclaration" ? statement.declaration : statement;
+    const previous = symbols[symbols.length - 1];
+    if (
+      previous &&
+      description.kind === "function" &&
+      previous.kind === "function" &&
+      previous.name === description.name &&
+      (declaration.type === "FunctionDeclaration" || declaration.type === "TSDeclareFunction")
+    ) {
+      previous.end = end;
+      return;
+    }
+    const exported = statement.type.startsWith("Export") || description.kind === "export";
+    symbols.push({ ...description, start: startLine, end, exported });
+  });
+  return { imports, symbols };
+}
+
+/**
+ * Splits Python code into logical lines: a statement continues over the next
+ * physical lines while brackets or a triple-quoted string are open, or after
+ * a trailing backslash
+ * @param {string[]} lines
+ * @returns {{ start: number, end: number, indent: number, text: string }[]} Lines numbered from 1
+ */
+function getPythonLogicalLines(lines) {
+  const logicalLines = [];
+  let current = null;
+  let depth = 0;
+  let tripleQuote = null;
+
+  lines.forEach((line, index) => {
+    if (!current) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+      current = { start: index + 1, end: index + 1, indent: line.length - line.trimStart().length, text: trimmed };
+    }
+    current.end = index + 1;
+
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (tripleQuote) {
+        if (char === "\\") i++;
+        else if (line.startsWith(tripleQuote, i)) {
+          tripleQuote = null;
+          i += 2;
+        }
+      } else if (quote) {
+        if (char === "\\") i++;
+        else if (char === quote) quote = null;
+      } else if (char === "#") {
+        break;
+      } else if (char === '"' || char === "'") {
+        if (line.startsWith(char.repeat(3), i)) {
+          tripleQuote = char.repeat(3);
+          i += 2;
+        } else {
+          quote = char;
+        }
+      } else if ("([{".includes(char)) {
+        depth++;
+      } else if (")]}".includes(char)) {
+        depth = Math.max(0, depth - 1);
+      }
+    }
+
+    const continues = depth > 0 || tripleQuote !== null || /\\$/.test(line.trimEnd());
+    if (!continues) {
+      logicalLines.push(current);
+      current = null;
+    }
+  });
+  if (current) logicalLines.push(current);
+  return logicalLines;
+}
+
+/**
+ * Outlines Python code: imports, functions, classes and assignments at the
+ * top level. A definition ends at its last indented line, and takes the
+ * decorators and comment lines right above it.
+ * @param {string} content
+ * @returns {{ imports: { start: number, end: number }[], symbols: object[] }}
+ */
+function outlinePython(content) {
+  const lines = content.split(/\r?\n/);
+  const imports = [];
+  const symbols = [];
+  let open = null; // Definition whose body is being read
+  let decoratorStart = null;
+
+  // Comment lines right above a line, without a blank line in between
+  const getCommentStart = (start) => {
+    let first = start;
+    while (first > 1 && /^#/.test(lines[first - 2])) first--;
+    return first;
+  };
+
+  getPythonLogicalLines(lines).forEach((logical) => {
+    if (logical.indent > 0) {
+      if (open) open.end = logical.end;
+      return;
+    }
+    open = null;
+
+    const text = logical.text;
+    if (text.startsWith("@")) {
+      if (decoratorStart === null) decoratorStart = logical.start;
+      return;
+    }
+    const start = getCommentStart(decoratorStart !== null ? decoratorStart : logical.start);
+    decoratorStart = null;
+
+    let match;
+    if (/^(import|from)\s/.test(text)) {
+      imports.push({ start: logical.start, end: logical.end });
+    } else if ((match = /^(?:async\s+)?def\s+([A-Za-z_]\w*)/.exec(text))) {
+      open = { kind: "function", name: match[1], start, end: logical.end };
+      symbols.push(open);
+    } else if ((match = /^class\s+([A-Za-z_]\w*)/.exec(text))) {
+      open = { kind: "class", name: match[1], start, end: logical.end };
+      symbols.push(open);
+    } else if ((match = /^([A-Za-z_]\w*)\s*(?::[^=]*)?=(?!=)/.exec(text))) {
+      symbols.push({ kind: "variable", name: match[1], start, end: logical.end });
+    }
+  });
+
+  symbols.forEach((symbol) => {
+    symbol.exported = !symbol.name.startsWith("_") || symbol.name === "__all__";
+  });
+  return { imports, symbols };
+}
+
+/**
+ * Outlines a file's content
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {{ language: "js" | "python", imports: { start: number, end: number }[],
+ *   symbols: { id: string, kind: string, name: string, start: number, end: number, exported: boolean }[] } | null}
+ *   Lines are numbered from 1; null for languages without an outline
+ */
+function outlineContent(content, filePath) {
+  const language = getImportLanguage(filePath);
+  if (!language) return null;
+
+  const { imports, symbols } = language === "js" ? outlineJs(content, filePath) : outlinePython(content);
+  // Ids stay the same while the file is edited, unless symbols are renamed or reordered
+  const seen = new Map();
+  symbols.forEach((symbol) => {
+    const count = (seen.get(symbol.name) || 0) + 1;
+    seen.set(symbol.name, count);
+    symbol.id = count === 1 ? symbol.name : `${symbol.name}#${count}`;
+  });
+  return { language, imports, symbols };
+}
+
+/**
+ * Reads and outlines loaded files, skipping files outside the folder, binary
+ * and large files
+ * @param {string[]} filePaths
+ * @param {string} rootDir - Folder the files must be in
+ * @returns {Promise<{ path: string, content: string, outline: object | null, error?: string }[]>}
+ *   The outline and the content it was made from, for counting tokens
+ */
+async function readFileOutlines(filePaths, rootDir) {
+  rootDir = ensureAbsolutePath(rootDir);
+  const results = [];
+  for (let i = 0; i < filePaths.length; i += CHUNK_SIZE) {
+    const chunk = filePaths.slice(i, i + CHUNK_SIZE);
+    const outlines = await Promise.all(
+      chunk.map(async (filePath) => {
+        const fullPath = ensureAbsolutePath(filePath);
+        const relativePath = safeRelativePath(rootDir, fullPath);
+        if (!relativePath || !isValidPath(relativePath) || relativePath.startsWith("..") || isBinaryFile(fullPath)) {
+          return { path: filePath, content: "", outline: null, error: "The file can't be outlined." };
+        }
+        try {
+          const stats = await fs.promises.stat(fullPath);
+          if (stats.size > MAX_FILE_SIZE) {
+            return { path: filePath, content: "", outline: null, error: "The file is too large to outline." };
+          }
+          const content = await fs.promises.readFile(fullPath, "utf8");
+          return { path: filePath, content, outline: outlineContent(content, fullPath) };
+        } catch (err) {
+          return { path: filePath, content: "", outline: null, error: err.message };
+        }
+      })
+    );
+    results.push(...outlines);
+  }
+  return results;
+}
+
+module.exports = {
+  outlineJs,
+  outlinePython,
+  outlineContent,
+  readFileOutlines,
+};
@@ -0,0 +1,208 @@
+/**
+ * Tests for git-utils.js against a throwaway repository.
+ *
+ * Run with `npm test` (node's built-in test runner); needs git on the PATH.
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runGit, getGitStatus, getBranchDiffFiles, getFileDiffs } = require("../git-utils");
+const { normalizePath } = require("../file-scanner");
+
+let repoDir;
+
+// Writes a file in the test repository, creating its folder
+function write(relativePath, content) {
+  const fullPath = path.join(repoDir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+}
+
+// Absolute, normalized path of a file in the test repository
+function repoPath(relativePath) {
+  return normalizePath(path.join(repoDir, relativePath));
+}
+
+before(async () => {
+  // Keep the user's git config (hooks, signing, default branch...) out of the tests
+  process.env.GIT_CONFIG_NOSYSTEM = "1";
+  process.env.GIT_CONFIG_GLOBAL = os.devNull;
+  process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = "Test";
+  process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = "test@example.com";
+
+  repoDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "pastemax-git-")));
+  await runGit(repoDir, ["init", "-q", "-b", "main"]);
+
+  write("a.txt", "one\ntwo\n");
+  write("b file.txt", "keep\n");
+  write("src/c.js", "const c = 1;\n");
+  write("gone.txt", "bye\n");
+  await runGit(repoDir, ["add", "-A"]);
+  await runGit(repoDir, ["commit", "-q", "-m", "Initial commit"]);
+
+  await runGit(repoDir, ["checkout", "-q", "-b", "feature"]);
+  write("src/c.js", "const c = 2;\n");
+  await runGit(repoDir, ["commit", "-q", "-am", "Change c"]);
+
+  write("a.txt", "one\nthree\n"); // unstaged change
+  write("b file.txt", "keep\nadded\n");
+  await runGit(repoDir, ["add", "b file.txt"]); // staged change
+  fs.unlinkSync(path.join(repoDir, "gone.txt"));
+  write("new/untracked.txt", "fresh\nlines"); // untracked, no newline at the end
+});
+
+after(() => {
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+describe("getGitStatus", () => {
+  it("parses the porcelain status into badges", async () => {
+    const status = await getGitStatus(repoDir);
+    assert.equal(status.isRepo, true);
+    assert.equal(status.branch, "feature");
+    assert.deepEqual(status.branches.sort(), ["feature", "main"]);
+
+    const byPath = Object.fromEntries(status.files.map((file) => [file.path, file]));
+    assert.deepEqual(Object.keys(byPath).sort(), [
+      repoPath("a.txt"),
+      repoPath("b file.txt"),
+      repoPath("gone.txt"),
+      repoPath("new/untracked.txt"),
+    ].sort());
+    assert.deepEqual(byPath[repoPath("a.txt")], { path: repoPath("a.txt"), status: "M", staged: false, unstaged: true });
+    assert.deepEqual(byPath[repoPath("b file.txt")], { path: repoPath("b file.txt"), status: "M", staged: true, unstaged: false });
+    assert.equal(byPath[repoPath("gone.txt")].status, "D");
+    assert.equal(byPath[repoPath("new/untracked.txt")].status, "??");
+  });
+
+  it("only lists files inside the opened folder", async () => {
+    write("src/d.js", "const d = 1;\n");
+    try {
+      const status = await getGitStatus(path.join(repoDir, "src"));
+      assert.deepEqual(status.files.map((file) => file.path), [repoPath("src/d.js")]);
+    } finally {
+      fs.unlinkSync(path.join(repoDir, "src/d.js"));
+    }
+  });
+
+  it("reports folders outside a repository", async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), "pastemax-nogit-"));
+    try {
+      assert.deepEqual(await getGitStatus(outside), { isRepo: false, branch: null, branches: [], files: [] });
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("getFileDiffs", () => {
+  it("matches each patch to its file", async () => {
+    const paths = ["a.txt", "b file.txt", "gone.txt"].map(repoPath);
+    const diffs = await getFileDiffs(repoDir, { paths });
+    assert.deepEqual(diffs.map((file) => file.path), paths);
+    diffs.forEach(({ path: fullPath, diff }) => {
+      const name = path.relative(repoDir, fullPath);
+      assert.ok(diff.startsWith(`diff --git a/${name} b/${name}\n`), `patch for ${name}: ${diff}`);
+    });
+    assert.match(diffs[0].diff, /^-two\n\+three$/m);
+    assert.match(diffs[1].diff, /^\+added$/m);
+    assert.match(diffs[2].diff, /^deleted file mode/m);
+  });
+
+  it("leaves out files that weren't asked for", async () => {
+    const diffs = await getFileDiffs(repoDir, { paths: [repoPath("b file.txt")] });
+    assert.deepEqual(diffs.map((file) => file.path), [repoPath("b file.txt")]);
+  });
+
+  it("shows untracked files as new files", async () => {
+    const [untracked] = await getFileDiffs(repoDir, { paths: [repoPath("new/untracked.txt")] });
+    assert.equal(
+      untracked.diff,
+      "diff --git a/new/untracked.txt b/new/untracked.txt\nnew file mode 100644\n" +
+        "--- /dev/null\n+++ b/new/untracked.txt\n@@ -0,0 +1,2 @@\n+fresh\n+lines\n\\ No newline at end of file\n",
+    );
+  });
+
+  it("diffs a commit range without untracked files", async () => {
+    const paths = ["src/c.js", "new/untracked.txt"].map(repoPath);
+    const diffs = await getFileDiffs(repoDir, { range: "main..feature", paths });
+    assert.deepEqual(diffs.map((file) => file.path), [repoPath("src/c.js")]);
+    assert.match(diffs[0].diff, /^-const c = 1;\n\+const c = 2;$/m);
+  });
+
+  it("rejects ranges git could read as options", async () => {
+    const output = path.join(repoDir, "injected.txt");
+    for (const range of [`--output=${output}`, "-p", "main --output=x", " "]) {
+      await assert.rejects(
+        getFileDiffs(repoDir, { range, paths: [repoPath("a.txt")] }),
+        /Invalid commit range/,
+      );
+    }
+    assert.equal(fs.existsSync(output), false);
+  });
+
+  it("shows every file as new before the first commit", async () => {
+    const emptyRepo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "pastemax-git-")));
+    try {
+      await runGit(emptyRepo, ["init", "-q"]);
+      fs.writeFileSync(path.join(emptyRepo, "staged.txt"), "staged\n");
+      fs.writeFileSync(path.join(emptyRepo, "untracked.txt"), "untracked\n");
+      await runGit(emptyRepo, ["add", "staged.txt"]);
+
+      const paths = ["staged.txt", "untracked.txt"].map((name) => normalizePath(path.join(emptyRepo, name)));
+      const diffs = await getFileDiffs(emptyRepo, { paths });
+      assert.deepEqual(diffs.map((file) => file.path), paths);
+      diffs.forEach(({ diff }) => assert.match(diff, /^new file mode/m));
+      assert.match(diffs[0].diff, /^\+staged$/m);
+    } finally {
+      fs.rmSync(emptyRepo, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("getBranchDiffFiles", () => {
+  it("lists files changed since the branch left the base", async () => {
+    assert.deepEqual(await getBranchDiffFiles(repoDir, "main"), [repoPath("src/c.js")]);
+  });
+
+  it("rejects branch names git could read as options", async () => {
+    await assert.rejects(getBranchDiffFiles(repoDir, "--output=x"), /Invalid branch/);
+  });
+});
+
+describe("a folder opened through a symlink", () => {
+  let linkDir;
+
+  before(() => {
+    linkDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pastemax-link-")), "repo");
+    fs.symlinkSync(repoDir, linkDir, "dir");
+  });
+
+  after(() => {
+    fs.rmSync(path.dirname(linkDir), { recursive: true, force: true });
+  });
+
+  // Absolute, normalized path of a file in the test repository, seen through the link
+  function linkPath(relativePath) {
+    return normalizePath(path.join(linkDir, relativePath));
+  }
+
+  it("keeps paths below the folder as opened", async () => {
+    const status = await getGitStatus(linkDir);
+    assert.deepEqual(status.files.map((file) => file.path).sort(), [
+      linkPath("a.txt"),
+      linkPath("b file.txt"),
+      linkPath("gone.txt"),
+      linkPath("new/untracked.txt"),
+    ].sort());
+    assert.deepEqual(await getBranchDiffFiles(linkDir, "main"), [linkPath("src/c.js")]);
+  });
+
+  it("matches diffs to the paths as opened", async () => {
+    const paths = ["a.txt", "new/untracked.txt"].map(linkPath);
+    const diffs = await getFileDiffs(linkDir, { paths });
+    assert.deepEqual(diffs.map((file) => file.path), paths);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Worker thread that reads and tokenizes files for the scanner, so large
+ * scans don't block the Electron main thread. Started by tokenizer-pool.js.
+ *
+ * Each worker loads file-scanner.js and with it its own tiktoken encoders
+ * (o200k_base, cl100k_base), created when a profile first needs them.
+ *
+ * Messages in:  { id, filePath, loadContent, profile }
+ * Messages out: { id, content, tokenCount } or { id, error: { code, message } }
+ */
+const fs = require("fs");
+const { parentPort } = require("worker_threads");
+const { countTokens } = require("./file-scanner");
+
+parentPort.on("message", async ({ id, filePath, loadContent, profile }) => {
+  try {
+    const content = await fs.promises.readFile(filePath, "utf8");
+    parentPort.postMessage({
+      id,
+      content: loadContent ? content : "",
+      tokenCount: countTokens(content, profile),
+    });
+  } catch (err) {
+    parentPort.postMessage({ id, error: { code: err.code, message: err.message } });
+  }
+});
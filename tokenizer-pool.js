@@ -0,0 +1,150 @@
+/**
+ * Pool of worker threads (token-worker.js) that read and tokenize files.
+ *
+ * - Backpressure: run() waits while `maxQueued` files are already waiting
+ *   for a worker, so a scan never holds more than a bounded number of reads
+ *   in memory at once.
+ * - Cancellation: cancel() rejects every queued and running task with a
+ *   ScanCancelledError; workers that were busy are restarted so a large
+ *   file can't delay the next scan.
+ */
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+class ScanCancelledError extends Error {
+  constructor() {
+    super("Scan cancelled");
+    this.name = "ScanCancelledError";
+  }
+}
+
+/**
+ * Creates a tokenizer pool. Workers are started on first use.
+ *
+ * @param {object} [options]
+ * @param {number} [options.size] - Number of workers (default: CPU count - 1, between 1 and 4)
+ * @param {number} [options.maxQueued] - Files allowed to wait for a worker before run() blocks
+ * @returns {{
+ *   run: (filePath: string, loadContent: boolean, profile?: object) => Promise<{content: string, tokenCount: number}>,
+ *   cancel: () => void,
+ *   destroy: () => Promise<void>
+ * }}
+ */
+function createTokenizerPool(options = {}) {
+  const size = options.size || Math.min(4, Math.max(1, os.cpus().length - 1));
+  const maxQueued = options.maxQueued || size * 4;
+
+  const workers = [];     // { worker, task, retired }
+  const queue = [];       // Tasks waiting for a worker
+  const capacityWaiters = []; // Resolvers of run() calls blocked by backpressure
+  let nextId = 0;
+  let generation = 0; // Bumped by cancel(), so calls waiting for capacity know they were cancelled
+
+  const releaseCapacity = () => {
+    while (capacityWaiters.length > 0 && queue.length < maxQueued) {
+      capacityWaiters.shift()();
+    }
+  };
+
+  const startWorker = () => {
+    const entry = {
+      worker: new Worker(path.join(__dirname, "token-worker.js")),
+      task: null,
+      retired: false, // Terminated by cancel() and waiting to exit
+    };
+
+    entry.worker.on("message", ({ id, error, content, tokenCount }) => {
+      const { task } = entry;
+      if (!task || task.id !== id) return;
+      entry.task = null;
+      if (error) {
+        const err = new Error(error.message);
+        err.code = error.code;
+        task.reject(err);
+      } else {
+        task.resolve({ content, tokenCount });
+      }
+      dispatch();
+    });
+
+    entry.worker.on("error", (err) => {
+      console.error("Tokenizer worker failed:", err);
+      if (entry.task) entry.task.reject(err);
+      entry.task = null;
+    });
+
+    entry.worker.on("exit", () => {
+      const index = workers.indexOf(entry);
+      if (index !== -1) workers.splice(index, 1);
+      if (entry.task) entry.task.reject(new Error("Tokenizer worker exited"));
+      entry.task = null;
+      dispatch();
+    });
+
+    workers.push(entry);
+    return entry;
+  };
+
+  // Hands queued tasks to idle workers, starting workers up to `size`
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let entry = workers.find(({ task, retired }) => !task && !retired);
+      if (!entry && workers.filter(({ retired }) => !retired).length < size) entry = startWorker();
+      if (!entry) break;
+
+      entry.task = queue.shift();
+      entry.worker.postMessage({
+        id: entry.task.id,
+        filePath: entry.task.filePath,
+        loadContent: entry.task.loadContent,
+        profile: entry.task.profile,
+      });
+    }
+    releaseCapacity();
+  };
+
+  /**
+   * Reads and tokenizes a file on a worker
+   * @param {string} filePath - Absolute path of the file
+   * @param {boolean} loadContent - Return the content as well as the token count
+   * @param {object} [profile] - Model profile used to count tokens (model-profiles.js)
+   * @returns {Promise<{content: string, tokenCount: number}>}
+   */
+  const run = async (filePath, loadContent, profile = null) => {
+    const startGeneration = generation;
+    while (queue.length >= maxQueued) {
+      await new Promise((resolve) => capacityWaiters.push(resolve));
+      if (generation !== startGeneration) throw new ScanCancelledError();
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, filePath, loadContent, profile, resolve, reject });
+      dispatch();
+    });
+  };
+
+  // Rejects all pending work; busy workers are terminated and replaced on demand
+  const cancel = () => {
+    generation++;
+    const cancelled = new ScanCancelledError();
+    queue.splice(0).forEach((task) => task.reject(cancelled));
+    workers
+      .filter(({ task }) => task)
+      .forEach((entry) => {
+        entry.task.reject(cancelled);
+        entry.task = null;
+        entry.retired = true;
+        entry.worker.terminate();
+      });
+    capacityWaiters.splice(0).forEach((resolve) => resolve());
+  };
+
+  const destroy = async () => {
+    cancel();
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  };
+
+  return { run, cancel, destroy };
+}
+
+module.exports = { createTokenizerPool, ScanCancelledError };
@@ -0,0 +1,156 @@
+/**
+ * Per-folder workspace state: the selection, line ranges, symbols and
+ * per-file compression settings, expanded tree nodes, search term and
+ * instructions of every folder opened in the app, kept by the main process in
+ * workspace-state.json. The folders opened most recently make up the "Recent
+ * folders" menu.
+ */
+const path = require("path");
+
+const MAX_RECENT_FOLDERS = 10;
+const MAX_STORED_FOLDERS = 50; // Older folders are forgotten
+const MAX_SELECTED_FILES = 100000;
+const MAX_LINE_RANGES = 100; // Per file
+const MAX_LINE_TEXT_LENGTH = 500; // Longer anchor lines are cut; they only need to be recognizable
+const MAX_SELECTED_SYMBOLS = 1000; // Per file
+const COMPRESSION_KEYS = ["removeComments", "collapseBlankLines", "dropLicenseHeaders", "signaturesOnly"];
+
+/**
+ * Cleans up the line ranges picked in one file
+ * @param {unknown} ranges - Ranges to check
+ * @returns {{ start: number, end: number, startText: string, endText: string }[]}
+ */
+function sanitizeLineRanges(ranges) {
+  if (!Array.isArray(ranges)) return [];
+  return ranges
+    .filter(
+      (range) =>
+        range &&
+        Number.isInteger(range.start) &&
+        Number.isInteger(range.end) &&
+        range.start >= 1 &&
+        range.end >= range.start
+    )
+    .slice(0, MAX_LINE_RANGES)
+    .map((range) => ({
+      start: range.start,
+      end: range.end,
+      startText: typeof range.startText === "string" ? range.startText.slice(0, MAX_LINE_TEXT_LENGTH) : "",
+      endText: typeof range.endText === "string" ? range.endText.slice(0, MAX_LINE_TEXT_LENGTH) : "",
+    }));
+}
+
+/**
+ * Cleans up the compression settings of one file
+ * @param {unknown} settings - Settings to check
+ * @returns {object|null} Every compression option as a boolean, or null when not an object
+ */
+function sanitizeCompression(settings) {
+  if (!settings || typeof settings !== "object") return null;
+  const clean = {};
+  COMPRESSION_KEYS.forEach((key) => {
+    clean[key] = settings[key] === true;
+  });
+  return clean;
+}
+
+const DEFAULT_WORKSPACE_SETTINGS = {
+  folders: {}, // Normalized root folder path -> workspace state
+};
+
+/**
+ * Cleans up the workspace state of one folder
+ * @param {object} raw - State to check
+ * @returns {object} { selectedFiles, expandedNodes, searchTerm, instructions, lineRanges, selectedSymbols, compression, lastOpened }
+ */
+function sanitizeWorkspace(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const expandedNodes = {};
+  if (source.expandedNodes && typeof source.expandedNodes === "object") {
+    Object.entries(source.expandedNodes).forEach(([nodeId, isExpanded]) => {
+      if (typeof isExpanded === "boolean") expandedNodes[nodeId] = isExpanded;
+    });
+  }
+  const lineRanges = {};
+  if (source.lineRanges && typeof source.lineRanges === "object") {
+    Object.entries(source.lineRanges).forEach(([filePath, ranges]) => {
+      const clean = sanitizeLineRanges(ranges);
+      if (clean.length > 0) lineRanges[filePath] = clean;
+    });
+  }
+  const selectedSymbols = {};
+  if (source.selectedSymbols && typeof source.selectedSymbols === "object") {
+    Object.entries(source.selectedSymbols).forEach(([filePath, ids]) => {
+      if (!Array.isArray(ids)) return;
+      const clean = ids.filter((id) => typeof id === "string").slice(0, MAX_SELECTED_SYMBOLS);
+      if (clean.length > 0) selectedSymbols[filePath] = clean;
+    });
+  }
+  const compression = {};
+  if (source.compression && typeof source.compression === "object") {
+    Object.entries(source.compression).forEach(([filePath, settings]) => {
+      const clean = sanitizeCompression(settings);
+      if (clean) compression[filePath] = clean;
+    });
+  }
+
+  return {
+    selectedFiles: Array.isArray(source.selectedFiles)
+      ? source.selectedFiles.filter((file) => typeof file === "string").slice(0, MAX_SELECTED_FILES)
+      : [],
+    expandedNodes,
+    searchTerm: typeof source.searchTerm === "string" ? source.searchTerm : "",
+    instructions: typeof source.instructions === "string" ? source.instructions : "",
+    lineRanges,
+    selectedSymbols,
+    compression,
+    lastOpened: getLastOpened(source),
+  };
+}
+
+/**
+ * Reads when a folder was last opened, without cleaning up the rest of its state
+ * @param {object} workspace - Stored state of the folder
+ * @returns {number} Timestamp, 0 when unknown
+ */
+function getLastOpened(workspace) {
+  return workspace && Number.isFinite(workspace.lastOpened) ? workspace.lastOpened : 0;
+}
+
+/**
+ * Returns a copy of the stored folders with one folder's state replaced,
+ * keeping only the MAX_STORED_FOLDERS most recently opened folders
+ * @param {object} folders - Stored workspace state by root folder
+ * @param {string} rootDir - Normalized root folder
+ * @param {object} workspace - New state of the folder
+ * @returns {object} Updated folders
+ */
+function updateWorkspace(folders, rootDir, workspace) {
+  const next = { ...folders, [rootDir]: sanitizeWorkspace(workspace) };
+  const byRecency = Object.keys(next).sort((a, b) => getLastOpened(next[b]) - getLastOpened(next[a]));
+  byRecency.slice(MAX_STORED_FOLDERS).forEach((staleDir) => delete next[staleDir]);
+  return next;
+}
+
+/**
+ * Lists the most recently opened folders, newest first
+ * @param {object} folders - Stored workspace state by root folder
+ * @returns {{ path: string, name: string, lastOpened: number }[]}
+ */
+function getRecentFolders(folders) {
+  return Object.keys(folders)
+    .map((rootDir) => ({
+      path: rootDir,
+      name: path.basename(rootDir) || rootDir,
+      lastOpened: getLastOpened(folders[rootDir]),
+    }))
+    .sort((a, b) => b.lastOpened - a.lastOpened)
+    .slice(0, MAX_RECENT_FOLDERS);
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE_SETTINGS,
+  sanitizeWorkspace,
+  updateWorkspace,
+  getRecentFolders,
+};